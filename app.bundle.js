@@ -0,0 +1,7012 @@
+// Generated from app.js by `npm run build`; do not edit.
+(() => {
+  // repository.js
+  var ERROR_TYPES = {
+    DATABASE: "DATABASE_ERROR",
+    VALIDATION: "VALIDATION_ERROR",
+    IMPORT: "IMPORT_ERROR",
+    EXPORT: "EXPORT_ERROR",
+    NETWORK: "NETWORK_ERROR"
+  };
+  var APPROVAL_STATUS = {
+    DRAFT: "draft",
+    PENDING: "pending",
+    APPROVED: "approved",
+    SUPERCEDED: "superseded"
+  };
+  var MATCH_MODES = {
+    ANY: "any",
+    ALL: "all",
+    NONE: "none"
+  };
+  function matchesValueSet(values, selected, mode = MATCH_MODES.ANY) {
+    if (!selected || selected.length === 0) return true;
+    switch (mode) {
+      case MATCH_MODES.ALL:
+        return selected.every((value) => values.includes(value));
+      case MATCH_MODES.NONE:
+        return !selected.some((value) => values.includes(value));
+      default:
+        return selected.some((value) => values.includes(value));
+    }
+  }
+  var SEARCH_FACETS = [
+    { key: "schedule", field: "schedule_number", criteria: ["scheduleNumber"] },
+    { key: "status", field: "approval_status", criteria: ["approvalStatus"] },
+    { key: "division", field: "division", criteria: ["division", "divisions", "divisionMode"], picked: "divisions", mode: "divisionMode" },
+    { key: "tag", field: "tags", criteria: ["tags", "tagMode"], picked: "tags", mode: "tagMode" },
+    { key: "media", field: "media_types", criteria: ["mediaTypes", "mediaMode"], picked: "mediaTypes", mode: "mediaMode" }
+  ];
+  var facetValues = (item, facet) => {
+    const value = item[facet.field];
+    return [...new Set((Array.isArray(value) ? value : [value]).filter(Boolean))];
+  };
+  var increment = (counts, key, by = 1) => counts.set(key, (counts.get(key) || 0) + by);
+  var BULK_EDIT_ACTIONS = {
+    set_division: { label: "Set division", field: "division", op: "set" },
+    clear_division: { label: "Clear division", field: "division", op: "clear" },
+    set_status: { label: "Set status", field: "approval_status", op: "set", schedule: true },
+    clear_status: { label: "Clear status", field: "approval_status", op: "clear", schedule: true },
+    set_retention_trigger: { label: "Set retention trigger", field: "ui_extras.retentionTrigger", op: "set" },
+    clear_retention_trigger: { label: "Clear retention trigger", field: "ui_extras.retentionTrigger", op: "clear" },
+    add_tags: { label: "Add tags", field: "tags", op: "add" },
+    remove_tags: { label: "Remove tags", field: "tags", op: "remove" },
+    add_media_types: { label: "Add media types", field: "media_types", op: "add" },
+    remove_media_types: { label: "Remove media types", field: "media_types", op: "remove" },
+    assign_schedule: { label: "Assign schedule number", field: "schedule_number", op: "set" },
+    delete: { label: "Delete", op: "delete" }
+  };
+  var EXPORT_FORMAT_VERSION = "3.8";
+  var EXCEL_TITLE_PLACEHOLDER = "PLACEHOLDER_TITLE";
+  var IMPORT_PREVIEW_CHUNK = 500;
+  var SEARCH_INDEX_STORE = "search_index";
+  var SAVED_SEARCH_STORE = "saved_searches";
+  function buildSearchableText(item) {
+    const fields = [
+      item.record_series_title,
+      item.schedule_number,
+      item.item_number,
+      item.division,
+      item.approval_status,
+      item.retention_text,
+      item.notes,
+      Array.isArray(item.tags) ? item.tags.join(" ") : "",
+      Array.isArray(item.media_types) ? item.media_types.join(" ") : "",
+      Array.isArray(item.omb_or_statute_refs) ? item.omb_or_statute_refs.join(" ") : "",
+      item.ui_extras?.seriesDescription || "",
+      item.ui_extras?.seriesContact || "",
+      item.ui_extras?.arrangement || ""
+    ];
+    return fields.filter(Boolean).join(" ");
+  }
+  function tokenizeSearchText(text) {
+    return [...new Set(String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+  }
+  var searchIndexEntry = (item) => ({
+    series_id: item._id,
+    tokens: tokenizeSearchText(buildSearchableText(item))
+  });
+  var rebuildSearchIndexStore = (transaction, callback) => {
+    const indexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    indexStore.clear();
+    const request = transaction.objectStore("series").getAll();
+    request.onsuccess = () => {
+      const items = request.result || [];
+      items.forEach((item) => indexStore.put(searchIndexEntry(item)));
+      callback(null, items.length);
+    };
+    request.onerror = () => callback(request.error);
+  };
+  var SearchQueryError = class extends Error {
+    constructor(message, position) {
+      super(message);
+      this.name = "SearchQueryError";
+      this.type = ERROR_TYPES.VALIDATION;
+      this.position = position;
+    }
+  };
+  var SearchQuery = class _SearchQuery {
+    // Qualifier -> record field. Listed fields compare whole values; text fields match words.
+    static FIELDS = {
+      division: { field: "division", kind: "value" },
+      schedule: { field: "schedule_number", kind: "value" },
+      status: { field: "approval_status", kind: "value" },
+      tag: { field: "tags", kind: "value" },
+      media: { field: "media_types", kind: "value" },
+      statute: { field: "omb_or_statute_refs", kind: "text" }
+    };
+    static parse(text) {
+      const tokens = _SearchQuery.lex(String(text || ""));
+      let index = 0;
+      const peek = () => tokens[index];
+      const next = () => tokens[index++];
+      const parseOr = () => {
+        const start = peek();
+        if (start && start.type === "or") {
+          throw new SearchQueryError("OR needs a search term before it", start.position);
+        }
+        const children = [parseAnd()];
+        while (peek() && peek().type === "or") {
+          const operator = next();
+          if (!peek() || peek().type === "or" || peek().type === "close") {
+            throw new SearchQueryError("OR needs a search term after it", operator.position);
+          }
+          children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: "or", children };
+      };
+      const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== "or" && peek().type !== "close") {
+          children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: "and", children };
+      };
+      const parseUnary = () => {
+        if (peek().type === "not") {
+          const operator = next();
+          if (!peek() || peek().type === "or" || peek().type === "close") {
+            throw new SearchQueryError('Nothing to exclude after "-"', operator.position);
+          }
+          return { type: "not", child: parseUnary() };
+        }
+        return parsePrimary();
+      };
+      const parsePrimary = () => {
+        const token = next();
+        if (token.type === "open") {
+          if (peek() && peek().type === "close") {
+            throw new SearchQueryError('Empty group "()"', token.position);
+          }
+          const group = parseOr();
+          if (!peek() || peek().type !== "close") {
+            throw new SearchQueryError(`Missing ")" for the group opened at character ${token.position + 1}`, token.position);
+          }
+          next();
+          return group;
+        }
+        return { type: "term", field: token.field, value: token.value, phrase: token.phrase };
+      };
+      if (tokens.length === 0) return null;
+      const tree = parseOr();
+      if (index < tokens.length) {
+        throw new SearchQueryError(`Unexpected ")" at character ${peek().position + 1}`, peek().position);
+      }
+      return tree;
+    }
+    static lex(text) {
+      const tokens = [];
+      let position = 0;
+      const readQuoted = (start) => {
+        const end = text.indexOf('"', start + 1);
+        if (end === -1) {
+          throw new SearchQueryError(`Missing closing quote for the phrase starting at character ${start + 1}`, start);
+        }
+        position = end + 1;
+        return text.slice(start + 1, end);
+      };
+      while (position < text.length) {
+        const char = text[position];
+        if (/\s/.test(char)) {
+          position++;
+        } else if (char === "(" || char === ")") {
+          tokens.push({ type: char === "(" ? "open" : "close", position });
+          position++;
+        } else if (char === "-" && position + 1 < text.length && !/[\s)]/.test(text[position + 1]) && (position === 0 || /[\s(]/.test(text[position - 1]))) {
+          tokens.push({ type: "not", position });
+          position++;
+        } else if (char === "-" && (position === 0 || /[\s(]/.test(text[position - 1]))) {
+          throw new SearchQueryError('Nothing to exclude after "-"', position);
+        } else if (char === '"') {
+          const start = position;
+          const value = readQuoted(start);
+          if (!value.trim()) throw new SearchQueryError('Empty phrase ""', start);
+          tokens.push({ type: "term", field: null, value, phrase: true, position: start });
+        } else {
+          const start = position;
+          while (position < text.length && !/[\s()"]/.test(text[position])) position++;
+          const word = text.slice(start, position);
+          if (word === "OR") {
+            tokens.push({ type: "or", position: start });
+            continue;
+          }
+          const qualifier = /^([a-z_]+):(.*)$/i.exec(word);
+          if (!qualifier) {
+            tokens.push({ type: "term", field: null, value: word, phrase: false, position: start });
+            continue;
+          }
+          const field = qualifier[1].toLowerCase();
+          if (!_SearchQuery.FIELDS[field]) {
+            throw new SearchQueryError(`Unknown field "${qualifier[1]}:" - use ${Object.keys(_SearchQuery.FIELDS).map((name) => `${name}:`).join(", ")}`, start);
+          }
+          let value = qualifier[2];
+          let phrase = false;
+          if (!value && text[position] === '"') {
+            value = readQuoted(position);
+            phrase = true;
+          }
+          if (!value.trim()) {
+            throw new SearchQueryError(`Missing value after "${field}:"`, start);
+          }
+          tokens.push({ type: "term", field, value, phrase, position: start });
+        }
+      }
+      return tokens;
+    }
+    static matches(node, item, options = {}) {
+      if (!node) return true;
+      switch (node.type) {
+        case "and":
+          return node.children.every((child) => _SearchQuery.matches(child, item, options));
+        case "or":
+          return node.children.some((child) => _SearchQuery.matches(child, item, options));
+        case "not":
+          return !_SearchQuery.matches(node.child, item, options);
+        default:
+          return _SearchQuery.matchesTerm(node, item, options);
+      }
+    }
+    static matchesTerm(term, item, options = {}) {
+      if (!term.field) {
+        return _SearchQuery.matchesWords(
+          _SearchQuery.queryWords(term.value),
+          _SearchQuery.textWords(buildSearchableText(item)),
+          { fuzzy: options.fuzzy && !term.phrase }
+        );
+      }
+      const { field, kind } = _SearchQuery.FIELDS[term.field];
+      const raw = item[field];
+      const values = (Array.isArray(raw) ? raw : [raw]).filter((value) => value != null && value !== "").map(String);
+      if (kind === "text") {
+        const words = _SearchQuery.queryWords(term.value);
+        return values.some((value) => _SearchQuery.matchesWords(words, _SearchQuery.textWords(value)));
+      }
+      const pattern = _SearchQuery.wildcardPattern(term.value.trim().toLowerCase());
+      return values.some((value) => pattern.test(value.trim().toLowerCase()));
+    }
+    // The words of a term, lower-cased; * is kept as a wildcard
+    static queryWords(value) {
+      return String(value).toLowerCase().split(/[^\p{L}\p{N}*]+/u).filter(Boolean);
+    }
+    static textWords(text) {
+      return String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+    // Consecutive words: earlier ones whole, the last one as a prefix; wildcard words as patterns
+    static matchesWords(queryWords, textWords, options = {}) {
+      if (queryWords.length === 0) return true;
+      const matchers = queryWords.map((word, index) => {
+        if (word.includes("*")) {
+          const pattern = _SearchQuery.wildcardPattern(word);
+          return (candidate) => pattern.test(candidate);
+        }
+        const matcher = index === queryWords.length - 1 ? (candidate) => candidate.startsWith(word) : (candidate) => candidate === word;
+        return options.fuzzy ? (candidate) => matcher(candidate) || _SearchQuery.isNearMiss(word, candidate) : matcher;
+      });
+      for (let start = 0; start + matchers.length <= textWords.length; start++) {
+        if (matchers.every((matcher, offset) => matcher(textWords[start + offset]))) return true;
+      }
+      return false;
+    }
+    static wildcardPattern(value) {
+      const escaped = value.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+      return new RegExp(`^${escaped}$`);
+    }
+    // Typos tolerated in a word: none in short words, where one changed letter makes another word
+    static typoAllowance(word) {
+      if (word.length < 4) return 0;
+      return word.length < 8 ? 1 : 2;
+    }
+    // Optimal string alignment distance (insert, delete, substitute, swap neighbours).
+    // Gives up early with limit + 1 once the distance must exceed limit.
+    static editDistance(a, b, limit = Infinity) {
+      if (Math.abs(a.length - b.length) > limit) return limit + 1;
+      let beforePrevious = null;
+      let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+      for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+          if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+            distance = Math.min(distance, beforePrevious[j - 2] + 1);
+          }
+          current[j] = distance;
+          rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = current;
+      }
+      return previous[b.length];
+    }
+    // A whole word within the typo allowance of a query word
+    static isNearMiss(word, candidate) {
+      const allowance = _SearchQuery.typoAllowance(word);
+      return allowance > 0 && _SearchQuery.editDistance(word, candidate, allowance) <= allowance;
+    }
+    // Words a result was found by, for ranking and highlighting; excluded terms do not count
+    static soughtWords(node) {
+      if (!node || node.type === "not") return [];
+      if (node.type === "and" || node.type === "or") {
+        return [...new Set(node.children.flatMap((child) => _SearchQuery.soughtWords(child)))];
+      }
+      if (!node.field || _SearchQuery.FIELDS[node.field].kind === "text") {
+        return _SearchQuery.queryWords(node.value);
+      }
+      return [];
+    }
+    // Words every match must contain, for narrowing candidates through the token index.
+    // Only plain free-text words outside OR and negation qualify.
+    static requiredWords(node) {
+      if (!node) return [];
+      if (node.type === "and") return node.children.flatMap((child) => _SearchQuery.requiredWords(child));
+      if (node.type === "term" && !node.field) {
+        return _SearchQuery.queryWords(node.value).filter((word) => !word.includes("*"));
+      }
+      return [];
+    }
+  };
+  var listText = (values) => Array.isArray(values) ? values.join("; ") : "";
+  var SearchRanker = class _SearchRanker {
+    // Heaviest first; the label names the field in result snippets
+    static FIELDS = [
+      { key: "record_series_title", label: "Title", weight: 10, read: (item) => item.record_series_title },
+      { key: "schedule_number", label: "Schedule", weight: 6, read: (item) => item.schedule_number },
+      { key: "item_number", label: "Item", weight: 6, read: (item) => item.item_number },
+      { key: "tags", label: "Tags", weight: 5, read: (item) => listText(item.tags) },
+      { key: "division", label: "Division", weight: 4, read: (item) => item.division },
+      { key: "seriesDescription", label: "Description", weight: 3, read: (item) => item.ui_extras?.seriesDescription },
+      { key: "retention_text", label: "Retention", weight: 3, read: (item) => item.retention_text },
+      { key: "omb_or_statute_refs", label: "Statutes", weight: 3, read: (item) => listText(item.omb_or_statute_refs) },
+      { key: "media_types", label: "Media", weight: 2, read: (item) => listText(item.media_types) },
+      { key: "approval_status", label: "Status", weight: 2, read: (item) => item.approval_status },
+      { key: "notes", label: "Notes", weight: 1, read: (item) => item.notes },
+      { key: "seriesContact", label: "Contact", weight: 1, read: (item) => item.ui_extras?.seriesContact },
+      { key: "arrangement", label: "Arrangement", weight: 1, read: (item) => item.ui_extras?.arrangement }
+    ];
+    static MATCH_QUALITY = { exact: 1, prefix: 0.8, wildcard: 0.7, typo: 0.5 };
+    // Scores one text word against one query word; 0 when it does not match
+    static wordMatcher(word, fuzzy) {
+      const quality = _SearchRanker.MATCH_QUALITY;
+      if (word.includes("*")) {
+        const pattern = SearchQuery.wildcardPattern(word);
+        return (candidate) => pattern.test(candidate) ? quality.wildcard : 0;
+      }
+      return (candidate) => {
+        if (candidate === word) return quality.exact;
+        if (candidate.startsWith(word)) return quality.prefix;
+        return fuzzy && SearchQuery.isNearMiss(word, candidate) ? quality.typo : 0;
+      };
+    }
+    // Lower-cased words with their character offsets in the original text
+    static wordSpans(text) {
+      return [...String(text).matchAll(/[\p{L}\p{N}]+/gu)].map((match) => ({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length }));
+    }
+    // Word distance between the nearest pair; a pair out of order counts one further apart
+    static closestGap(firstPositions, secondPositions) {
+      let gap = Infinity;
+      firstPositions.forEach((first) => secondPositions.forEach((second) => {
+        gap = Math.min(gap, second > first ? second - first : first - second + 1);
+      }));
+      return gap;
+    }
+    // { score, fields: [{ key, label, text, ranges: [[start, end], ...] }] } in field weight order
+    static explain(item, words, options = {}) {
+      const matchers = words.map((word) => _SearchRanker.wordMatcher(word, options.fuzzy));
+      const best = words.map(() => 0);
+      const fields = [];
+      let proximity = 0;
+      _SearchRanker.FIELDS.forEach((field) => {
+        const value = field.read(item);
+        if (value == null || value === "") return;
+        const text = String(value);
+        const positions = matchers.map(() => []);
+        const ranges = [];
+        _SearchRanker.wordSpans(text).forEach((span, position) => {
+          let matched = false;
+          matchers.forEach((matcher, index) => {
+            const quality = matcher(span.word);
+            if (quality === 0) return;
+            best[index] = Math.max(best[index], quality * field.weight);
+            positions[index].push(position);
+            matched = true;
+          });
+          if (matched) ranges.push([span.start, span.end]);
+        });
+        if (ranges.length === 0) return;
+        fields.push({ key: field.key, label: field.label, text, ranges });
+        for (let index = 1; index < positions.length; index++) {
+          const gap = _SearchRanker.closestGap(positions[index - 1], positions[index]);
+          if (gap !== Infinity) proximity += field.weight / (2 * gap);
+        }
+      });
+      return { score: best.reduce((sum, score) => sum + score, 0) + proximity, fields };
+    }
+    // Best first; the sort is stable, so equal scores keep their incoming order
+    static rank(items, words, options = {}) {
+      const scores = new Map(items.map((item) => [item, _SearchRanker.explain(item, words, options).score]));
+      return items.sort((a, b) => scores.get(b) - scores.get(a));
+    }
+    // A short excerpt around the first range, with the ranges moved to match
+    static snippet(text, ranges, radius = 40) {
+      const [firstStart, firstEnd] = ranges[0];
+      let start = Math.max(0, firstStart - radius);
+      let end = Math.min(text.length, firstEnd + radius * 2);
+      if (start > 0) {
+        const space = text.indexOf(" ", start);
+        if (space !== -1 && space < firstStart) start = space + 1;
+      }
+      if (end < text.length) {
+        const space = text.lastIndexOf(" ", end);
+        if (space > firstEnd) end = space;
+      }
+      const lead = start > 0 ? "\u2026" : "";
+      return {
+        text: `${lead}${text.slice(start, end)}${end < text.length ? "\u2026" : ""}`,
+        ranges: ranges.filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end).map(([rangeStart, rangeEnd]) => [rangeStart - start + lead.length, rangeEnd - start + lead.length])
+      };
+    }
+  };
+  var DateRangeError = class extends Error {
+    constructor(message, bound) {
+      super(message);
+      this.name = "DateRangeError";
+      this.type = ERROR_TYPES.VALIDATION;
+      this.bound = bound;
+    }
+  };
+  var DateRange = class _DateRange {
+    static OPEN_START = "0000-01-01";
+    static OPEN_END = "9999-12-31";
+    // The period a YYYY, YYYY-MM or YYYY-MM-DD value stands for; null when unreadable
+    static parse(value) {
+      const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(String(value ?? "").trim());
+      if (!match) return null;
+      const [, year, month, day] = match;
+      if (!month) return { start: `${year}-01-01`, end: `${year}-12-31` };
+      if (Number(month) < 1 || Number(month) > 12) return null;
+      const lastDay = _DateRange.daysInMonth(year, month);
+      if (!day) return { start: `${year}-${month}-01`, end: `${year}-${month}-${String(lastDay).padStart(2, "0")}` };
+      if (Number(day) < 1 || Number(day) > lastDay) return null;
+      return { start: `${year}-${month}-${day}`, end: `${year}-${month}-${day}` };
+    }
+    static daysInMonth(year, month) {
+      return new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    }
+    static isPresent(value) {
+      return String(value ?? "").trim().toLowerCase() === "present";
+    }
+    // What a series covers. A missing (or unreadable) end means the start period alone,
+    // a missing start means everything up to the end. null when neither is usable.
+    static coverage(item) {
+      const start = _DateRange.parse(item.dates_covered_start);
+      const end = _DateRange.isPresent(item.dates_covered_end) ? { end: _DateRange.OPEN_END } : _DateRange.parse(item.dates_covered_end);
+      if (!start && !end) return null;
+      return {
+        start: start ? start.start : _DateRange.OPEN_START,
+        end: end ? end.end : start.end
+      };
+    }
+    // Filter bounds from the two (optional) filter values; "present" as the upper bound is the same as none
+    static bounds(from, to, label = "Date") {
+      const lower = from ? _DateRange.parse(from) : null;
+      if (from && !lower) {
+        throw new DateRangeError(`${label} from "${from}" must be YYYY, YYYY-MM or YYYY-MM-DD`, "from");
+      }
+      if (_DateRange.isPresent(to)) to = "";
+      const upper = to ? _DateRange.parse(to) : null;
+      if (to && !upper) {
+        throw new DateRangeError(`${label} to "${to}" must be YYYY, YYYY-MM or YYYY-MM-DD`, "to");
+      }
+      if (lower && upper && lower.start > upper.end) {
+        throw new DateRangeError(`${label} from ${from} is after ${to}`, "to");
+      }
+      return {
+        start: lower ? lower.start : _DateRange.OPEN_START,
+        end: upper ? upper.end : _DateRange.OPEN_END
+      };
+    }
+    static overlaps(period, bounds) {
+      return Boolean(period) && period.start <= bounds.end && period.end >= bounds.start;
+    }
+  };
+  var AuditChain = class _AuditChain {
+    static GENESIS = "0".repeat(64);
+    // Stable serialization: sorted top-level keys, chain fields excluded
+    static canonicalize(event) {
+      const content = {};
+      Object.keys(event).filter((key) => key !== "hash" && key !== "prev_hash" && key !== "_id").sort().forEach((key) => {
+        content[key] = event[key];
+      });
+      return JSON.stringify(content);
+    }
+    static async hashEvent(prevHash, event) {
+      const data = new TextEncoder().encode(`${prevHash}|${_AuditChain.canonicalize(event)}`);
+      const digest = await crypto.subtle.digest("SHA-256", data);
+      return Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, "0")).join("");
+    }
+    // Walk events in chain order and report the first broken link.
+    // `sealed` is how many events a chain head kept elsewhere says were already hashed.
+    static async verify(events, { sealed = 0 } = {}) {
+      let prevHash = _AuditChain.GENESIS;
+      let verified = 0;
+      for (let index = 0; index < events.length; index++) {
+        const event = events[index];
+        if (!event.hash) {
+          if (index < sealed) {
+            return { ok: false, index, event, verified, reason: "event has no hash but the chain head covers it (its hash was removed)" };
+          }
+          if (events.slice(index + 1).some((later) => later.hash)) {
+            return { ok: false, index, event, verified, reason: "event has no hash but later events do" };
+          }
+          return { ok: true, verified, pending: events.length - index, headHash: prevHash };
+        }
+        if (event.prev_hash !== prevHash) {
+          return { ok: false, index, event, verified, reason: "link to the previous event is broken (an event was removed, inserted or reordered)" };
+        }
+        const expected = await _AuditChain.hashEvent(prevHash, event);
+        if (expected !== event.hash) {
+          return { ok: false, index, event, verified, reason: "content does not match its hash (the event was edited)" };
+        }
+        prevHash = event.hash;
+        verified++;
+      }
+      return { ok: true, verified, pending: 0, headHash: prevHash };
+    }
+  };
+  var DuplicateSeriesError = class extends Error {
+    constructor(item, conflict) {
+      const title = conflict.record_series_title || "Untitled";
+      super(`Schedule ${item.schedule_number} item ${item.item_number} already exists: "${title}" (record #${conflict._id})`);
+      this.name = "DuplicateSeriesError";
+      this.type = ERROR_TYPES.VALIDATION;
+      this.item = item;
+      this.conflict = conflict;
+    }
+  };
+  var createSeriesStore = (db) => {
+    const seriesStore = db.createObjectStore("series", { keyPath: "_id", autoIncrement: true });
+    seriesStore.createIndex("schedule_number_item_number", ["schedule_number", "item_number"], { unique: false });
+    seriesStore.createIndex("record_series_title", "record_series_title", { unique: false });
+    seriesStore.createIndex("division", "division", { unique: false });
+    seriesStore.createIndex("schedule_number", "schedule_number", { unique: false });
+    seriesStore.createIndex("dates_covered_start", "dates_covered_start", { unique: false });
+    seriesStore.createIndex("tags", "tags", { unique: false, multiEntry: true });
+    return seriesStore;
+  };
+  var DB_MIGRATIONS = [
+    {
+      version: 1,
+      name: "initial-schema",
+      migrate(db, transaction, done) {
+        const scheduleStore = db.createObjectStore("schedules", { autoIncrement: true });
+        scheduleStore.createIndex("schedule_number", "schedule_number", { unique: true });
+        scheduleStore.createIndex("approval_status", "approval_status", { unique: false });
+        scheduleStore.createIndex("approval_date", "approval_date", { unique: false });
+        const seriesItemsStore = db.createObjectStore("series_items", { autoIncrement: true });
+        seriesItemsStore.createIndex("schedule_id", "schedule_id", { unique: false });
+        seriesItemsStore.createIndex("schedule_item", ["schedule_id", "item_number"], { unique: true });
+        seriesItemsStore.createIndex("division", "division", { unique: false });
+        seriesItemsStore.createIndex("record_series_title", "record_series_title", { unique: false });
+        const auditStore = db.createObjectStore("audit_events", { autoIncrement: true });
+        auditStore.createIndex("entity", "entity", { unique: false });
+        auditStore.createIndex("action", "action", { unique: false });
+        auditStore.createIndex("at", "at", { unique: false });
+        done();
+      }
+    },
+    {
+      version: 2,
+      name: "audit-entity-action-date-index",
+      migrate(db, transaction, done) {
+        const auditStore = transaction.objectStore("audit_events");
+        if (!auditStore.indexNames.contains("entity_action_date")) {
+          auditStore.createIndex("entity_action_date", ["entity", "entity_id", "at"], { unique: false });
+        }
+        done();
+      }
+    },
+    {
+      // Schedules and series items were merged into one series record
+      version: 3,
+      name: "merge-schedules-into-series",
+      destructive: true,
+      backup: ["schedules", "series_items"],
+      migrate(db, transaction, done) {
+        ["schedules", "series_items"].forEach((storeName) => {
+          if (db.objectStoreNames.contains(storeName)) {
+            db.deleteObjectStore(storeName);
+          }
+        });
+        done();
+      }
+    },
+    {
+      // Recreate series with schedule_number naming and the current index set
+      version: 4,
+      name: "rename-application-number-to-schedule-number",
+      destructive: true,
+      backup: ["series"],
+      migrate(db, transaction, done) {
+        if (!db.objectStoreNames.contains("series")) {
+          createSeriesStore(db);
+          done();
+          return;
+        }
+        const getAllRequest = transaction.objectStore("series").getAll();
+        getAllRequest.onsuccess = () => {
+          const existingData = getAllRequest.result || [];
+          db.deleteObjectStore("series");
+          const seriesStore = createSeriesStore(db);
+          const toArr = (v) => Array.isArray(v) ? v : typeof v === "string" ? v.split(/[,;\n]/).map((x) => x.trim()).filter(Boolean) : [];
+          existingData.forEach((item) => {
+            if (item.application_number && !item.schedule_number) {
+              item.schedule_number = item.application_number;
+            }
+            delete item.application_number;
+            item.tags = toArr(item.tags);
+            item.media_types = toArr(item.media_types);
+            item.omb_or_statute_refs = toArr(item.omb_or_statute_refs);
+            item.related_series = toArr(item.related_series);
+            item.ui_extras = item.ui_extras || {};
+            delete item.retention_is_permanent;
+            delete item.schedule_id;
+            seriesStore.add(item);
+          });
+          done();
+        };
+        getAllRequest.onerror = () => done(getAllRequest.error);
+      }
+    },
+    {
+      // Local user profiles for audit attribution
+      version: 5,
+      name: "users-store",
+      migrate(db, transaction, done) {
+        const usersStore = db.createObjectStore("users", { keyPath: "_id", autoIncrement: true });
+        usersStore.createIndex("name", "name", { unique: true });
+        done();
+      }
+    },
+    {
+      // Deleted series are kept here, under their original _id, until purged
+      version: 6,
+      name: "trash-store",
+      migrate(db, transaction, done) {
+        const trashStore = db.createObjectStore("trash", { keyPath: "_id" });
+        trashStore.createIndex("deleted_at", "deleted_at", { unique: false });
+        done();
+      }
+    },
+    {
+      // Token index for text search, built from the existing records
+      version: 7,
+      name: "search-token-index",
+      migrate(db, transaction, done) {
+        const indexStore = db.createObjectStore(SEARCH_INDEX_STORE, { keyPath: "series_id" });
+        indexStore.createIndex("token", "tokens", { unique: false, multiEntry: true });
+        rebuildSearchIndexStore(transaction, (error) => done(error));
+      }
+    },
+    {
+      // Approval status became searchable text, so existing entries are rebuilt
+      version: 8,
+      name: "index-approval-status",
+      migrate(db, transaction, done) {
+        rebuildSearchIndexStore(transaction, (error) => done(error));
+      }
+    },
+    {
+      // Saved searches, listed by position
+      version: 9,
+      name: "saved-searches-store",
+      migrate(db, transaction, done) {
+        db.createObjectStore(SAVED_SEARCH_STORE, { keyPath: "_id", autoIncrement: true });
+        done();
+      }
+    }
+  ];
+  var MigrationRunner = class _MigrationRunner {
+    static BACKUP_STORE = "migration_backups";
+    static latestVersion(migrations = DB_MIGRATIONS) {
+      return migrations.reduce((latest, step) => Math.max(latest, step.version), 0);
+    }
+    static pending(oldVersion, newVersion, migrations = DB_MIGRATIONS) {
+      return migrations.filter((step) => step.version > oldVersion && step.version <= newVersion).sort((a, b) => a.version - b.version);
+    }
+    // callback(error, appliedSteps); appliedSteps carry the backup key when one was taken
+    static run(db, transaction, oldVersion, newVersion, callback, migrations = DB_MIGRATIONS) {
+      const steps = _MigrationRunner.pending(oldVersion, newVersion, migrations);
+      const applied = [];
+      const fail = (step, error) => {
+        const wrapped = new Error(`Migration v${step.version} (${step.name}) failed: ${error.message || error}`);
+        wrapped.type = ERROR_TYPES.DATABASE;
+        try {
+          transaction.abort();
+        } catch (e) {
+        }
+        callback(wrapped, applied);
+      };
+      const runStep = (index) => {
+        if (index >= steps.length) {
+          callback(null, applied);
+          return;
+        }
+        const step = steps[index];
+        const execute = (backupKey) => {
+          try {
+            step.migrate(db, transaction, (error) => {
+              if (error) {
+                fail(step, error);
+                return;
+              }
+              applied.push({ version: step.version, name: step.name, backupKey });
+              runStep(index + 1);
+            });
+          } catch (error) {
+            fail(step, error);
+          }
+        };
+        if (step.destructive && oldVersion > 0) {
+          _MigrationRunner.backup(db, transaction, step, oldVersion, (error, backupKey) => {
+            if (error) {
+              fail(step, error);
+              return;
+            }
+            execute(backupKey);
+          });
+        } else {
+          execute(null);
+        }
+      };
+      runStep(0);
+    }
+    // Snapshot the stores a destructive step touches into the backup store, in the same transaction
+    static backup(db, transaction, step, oldVersion, callback) {
+      if (!db.objectStoreNames.contains(_MigrationRunner.BACKUP_STORE)) {
+        db.createObjectStore(_MigrationRunner.BACKUP_STORE, { autoIncrement: true });
+      }
+      const storeNames = (step.backup || []).filter((name) => db.objectStoreNames.contains(name));
+      const snapshot = {
+        version: step.version,
+        name: step.name,
+        from_version: oldVersion,
+        created_at: (/* @__PURE__ */ new Date()).toISOString(),
+        stores: {}
+      };
+      const readStore = (index) => {
+        if (index >= storeNames.length) {
+          const request2 = transaction.objectStore(_MigrationRunner.BACKUP_STORE).add(snapshot);
+          request2.onsuccess = () => callback(null, request2.result);
+          request2.onerror = () => callback(request2.error);
+          return;
+        }
+        const request = transaction.objectStore(storeNames[index]).getAll();
+        request.onsuccess = () => {
+          snapshot.stores[storeNames[index]] = request.result || [];
+          readStore(index + 1);
+        };
+        request.onerror = () => callback(request.error);
+      };
+      readStore(0);
+    }
+  };
+  async function openRepositories(options = {}) {
+    const {
+      indexedDB = globalThis.indexedDB,
+      IDBKeyRange = globalThis.IDBKeyRange,
+      name = "RecordsRetentionRecords",
+      migrations = DB_MIGRATIONS,
+      version = MigrationRunner.latestVersion(migrations)
+    } = options;
+    const { db, applied } = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      let appliedMigrations = [];
+      let migrationError = null;
+      request.onerror = () => reject(migrationError || request.error);
+      request.onsuccess = () => resolve({ db: request.result, applied: appliedMigrations });
+      request.onupgradeneeded = (event) => {
+        const db2 = event.target.result;
+        const transaction = event.target.transaction;
+        MigrationRunner.run(db2, transaction, event.oldVersion, version, (error, steps) => {
+          if (error) {
+            migrationError = error;
+            return;
+          }
+          appliedMigrations = steps.map((step) => ({ ...step, from_version: event.oldVersion }));
+        }, migrations);
+      };
+    });
+    const audit = new AuditRepository(db, { ...options, IDBKeyRange });
+    const savedSearches = new SavedSearchRepository(db);
+    const series = new SeriesRepository(db, { ...options, IDBKeyRange, audit, savedSearches });
+    await audit.logMigrations(applied).catch((error) => audit.onError(error, "Log database migrations"));
+    return { db, audit, series, savedSearches, applied };
+  }
+  var AuditRepository = class _AuditRepository {
+    static CHAIN_HEAD_KEY = "iletsb_audit_chain_head";
+    // options: storage (localStorage-like, for the chain head), getActor(), onError(error, context)
+    constructor(db, options = {}) {
+      this.db = db;
+      this.IDBKeyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+      this.storage = options.storage !== void 0 ? options.storage : globalThis.localStorage || null;
+      this.getActor = options.getActor || (() => "local-user");
+      this.onError = options.onError || ((error, context) => console.error(context, error));
+      this.sealScheduled = false;
+      this.sealQueue = null;
+    }
+    // `fields` overrides event fields, e.g. the actor and time of an imported event
+    async log(entity, entityId, action, payload, transaction = null, fields = {}) {
+      return new Promise((resolve, reject) => {
+        const trans = transaction || this.db.transaction(["audit_events"], "readwrite");
+        const store = trans.objectStore("audit_events");
+        const event = {
+          entity,
+          entity_id: entityId,
+          action,
+          actor: this.getActor(),
+          at: (/* @__PURE__ */ new Date()).toISOString(),
+          payload: JSON.stringify(payload),
+          ...fields
+        };
+        const request = store.add(event);
+        request.onsuccess = () => {
+          this.seal();
+          resolve();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    // Audit Chain Sealing
+    // WebCrypto digests are asynchronous and would let an IndexedDB transaction
+    // auto-commit mid-write, so events are hashed in a serialized step right
+    // after the transaction that wrote them commits. Only log() starts one.
+    seal() {
+      if (this.sealScheduled) return this.sealQueue;
+      this.sealScheduled = true;
+      this.sealQueue = (this.sealQueue || Promise.resolve()).then(() => {
+        this.sealScheduled = false;
+        return this.sealPending();
+      }).catch((error) => this.onError(error, "Seal audit chain"));
+      return this.sealQueue;
+    }
+    // Resolves once the sealing log() has already started is done; starts none itself
+    sealed() {
+      return this.sealQueue || Promise.resolve();
+    }
+    async sealPending() {
+      const storedHead = this.getChainHead();
+      const range = storedHead?.key != null ? this.IDBKeyRange.lowerBound(storedHead.key, true) : null;
+      const { pending, headHash } = await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["audit_events"], "readonly");
+        const request = transaction.objectStore("audit_events").openCursor(range, "prev");
+        const unsealed = [];
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || cursor.value.hash) {
+            resolve({
+              pending: unsealed.reverse(),
+              headHash: cursor ? cursor.value.hash : range ? storedHead.hash : AuditChain.GENESIS
+            });
+            return;
+          }
+          unsealed.push({ key: cursor.primaryKey, value: cursor.value });
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+      if (pending.length === 0) return;
+      let prevHash = headHash;
+      for (const entry of pending) {
+        entry.value.prev_hash = prevHash;
+        entry.value.hash = await AuditChain.hashEvent(prevHash, entry.value);
+        prevHash = entry.value.hash;
+      }
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["audit_events"], "readwrite");
+        const store = transaction.objectStore("audit_events");
+        pending.forEach((entry) => store.put(entry.value, entry.key));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+      this.saveChainHead({ hash: prevHash, key: pending[pending.length - 1].key });
+    }
+    // The head is also kept outside IndexedDB so removing events from the end is detectable
+    saveChainHead(head) {
+      try {
+        if (this.storage) this.storage.setItem(_AuditRepository.CHAIN_HEAD_KEY, JSON.stringify(head));
+      } catch (e) {
+      }
+    }
+    getChainHead() {
+      try {
+        return this.storage ? JSON.parse(this.storage.getItem(_AuditRepository.CHAIN_HEAD_KEY) || "null") : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    // A cleared audit store starts a fresh chain
+    clearChainHead() {
+      try {
+        if (this.storage) this.storage.removeItem(_AuditRepository.CHAIN_HEAD_KEY);
+      } catch (e) {
+      }
+    }
+    // Read-only: waits for sealing already under way, but never seals or writes anything
+    async verify() {
+      await this.sealed();
+      const { events, keys } = await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["audit_events"], "readonly");
+        const store = transaction.objectStore("audit_events");
+        const eventsRequest = store.getAll();
+        const keysRequest = store.getAllKeys();
+        transaction.oncomplete = () => resolve({ events: eventsRequest.result || [], keys: keysRequest.result || [] });
+        transaction.onerror = () => reject(transaction.error);
+      });
+      const storedHead = this.getChainHead();
+      const sealed = storedHead?.key != null ? keys.filter((key) => key <= storedHead.key).length : 0;
+      const result = await AuditChain.verify(events, { sealed });
+      if (result.ok) {
+        if (storedHead && storedHead.hash !== result.headHash) {
+          return {
+            ...result,
+            ok: false,
+            reason: "the newest events recorded on this workstation are missing (events were removed from the end)"
+          };
+        }
+      }
+      return result;
+    }
+    describeChainHead(auditEvents) {
+      const sealed = auditEvents.filter((event) => event.hash);
+      return {
+        hash: sealed.length > 0 ? sealed[sealed.length - 1].hash : AuditChain.GENESIS,
+        events: sealed.length
+      };
+    }
+    // Check the audit log inside an import file against the chain head it was exported with
+    async verifyImported(auditEvents, chainHead) {
+      if (auditEvents.length === 0) return null;
+      if (!chainHead || !chainHead.hash) {
+        return { ok: null, message: "Audit log in this file carries no chain head and cannot be verified" };
+      }
+      const result = await AuditChain.verify(auditEvents);
+      if (!result.ok) {
+        return { ok: false, message: `Audit log in this file is broken at event ${result.index + 1}: ${result.reason}` };
+      }
+      if (result.headHash !== chainHead.hash) {
+        return { ok: false, message: "Audit log in this file does not end at the chain head recorded at export (events were removed or added)" };
+      }
+      return { ok: true, message: `Audit log in this file verified: ${result.verified} events, chain intact` };
+    }
+    async getAll() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["audit_events"], "readonly");
+        const request = transaction.objectStore("audit_events").getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    // Record History
+    async getForSeries(id) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["audit_events"], "readonly");
+        const index = transaction.objectStore("audit_events").index("entity_action_date");
+        const range = this.IDBKeyRange.bound(["series", id, ""], ["series", id, "\uFFFF"]);
+        const request = index.getAll(range);
+        request.onsuccess = () => {
+          const events = (request.result || []).map((event) => ({
+            ...event,
+            payload: this.parsePayload(event.payload)
+          }));
+          resolve(events);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    parsePayload(payload) {
+      if (typeof payload !== "string") return payload || {};
+      try {
+        return JSON.parse(payload) || {};
+      } catch (e) {
+        return {};
+      }
+    }
+    // Audit Log Queries
+    async query(criteria = {}) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["audit_events"], "readonly");
+        const store = transaction.objectStore("audit_events");
+        let request;
+        if (criteria.action) {
+          request = store.index("action").getAll(criteria.action);
+        } else if (criteria.from || criteria.to) {
+          let range;
+          if (criteria.from && criteria.to) {
+            range = this.IDBKeyRange.bound(criteria.from, criteria.to);
+          } else if (criteria.from) {
+            range = this.IDBKeyRange.lowerBound(criteria.from);
+          } else {
+            range = this.IDBKeyRange.upperBound(criteria.to);
+          }
+          request = store.index("at").getAll(range);
+        } else if (criteria.entity) {
+          request = store.index("entity").getAll(criteria.entity);
+        } else {
+          request = store.getAll();
+        }
+        request.onsuccess = () => {
+          const events = (request.result || []).map((event) => ({ ...event, payload: this.parsePayload(event.payload) })).filter((event) => this.matchesCriteria(event, criteria)).sort((a, b) => String(b.at || "").localeCompare(String(a.at || "")));
+          resolve(events);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    matchesCriteria(event, criteria) {
+      const payload = event.payload || {};
+      const current = payload.after || payload.before || {};
+      if (criteria.entity && event.entity !== criteria.entity) return false;
+      if (criteria.action && event.action !== criteria.action) return false;
+      if (criteria.from && String(event.at || "") < criteria.from) return false;
+      if (criteria.to && String(event.at || "") > criteria.to) return false;
+      if (criteria.actor && event.actor !== criteria.actor) return false;
+      if (criteria.scheduleNumber) {
+        const scheduleNumber = payload.schedule_number || current.schedule_number || (typeof event.entity_id === "string" ? event.entity_id.replace("sched_", "") : "");
+        if (scheduleNumber !== criteria.scheduleNumber) return false;
+      }
+      if (criteria.division) {
+        const divisions = [payload.before?.division, payload.after?.division].filter(Boolean).map((division) => division.toLowerCase());
+        if (!divisions.includes(criteria.division.toLowerCase())) return false;
+      }
+      if (criteria.text) {
+        const haystack = JSON.stringify(payload).toLowerCase();
+        if (!haystack.includes(criteria.text.toLowerCase())) return false;
+      }
+      return true;
+    }
+    // Each applied schema step becomes a 'migrate' event on the 'database' entity
+    async logMigrations(applied) {
+      for (const step of applied) {
+        await this.log("database", `v${step.version}`, "migrate", {
+          name: step.name,
+          version: step.version,
+          from_version: step.from_version,
+          backup_key: step.backupKey
+        });
+      }
+    }
+  };
+  var SavedSearchRepository = class _SavedSearchRepository {
+    constructor(db) {
+      this.db = db;
+    }
+    static cleanName(name) {
+      const cleaned = String(name ?? "").trim();
+      if (!cleaned) throw new Error("A saved search needs a name");
+      return cleaned;
+    }
+    // Only the plain criteria fields are kept; the parsed query is rebuilt from searchText
+    static cleanCriteria(criteria = {}) {
+      return JSON.parse(JSON.stringify({ ...criteria, query: void 0 }));
+    }
+    // In list order
+    async getAll() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SAVED_SEARCH_STORE], "readonly");
+        const request = transaction.objectStore(SAVED_SEARCH_STORE).getAll();
+        request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.position - b.position));
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async get(id) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SAVED_SEARCH_STORE], "readonly");
+        const request = transaction.objectStore(SAVED_SEARCH_STORE).get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    // Added at the end of the list
+    async create(name, criteria) {
+      const existing = await this.getAll();
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      const search = {
+        name: _SavedSearchRepository.cleanName(name),
+        criteria: _SavedSearchRepository.cleanCriteria(criteria),
+        position: existing.length > 0 ? existing[existing.length - 1].position + 1 : 0,
+        created_at: now,
+        updated_at: now
+      };
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SAVED_SEARCH_STORE], "readwrite");
+        const request = transaction.objectStore(SAVED_SEARCH_STORE).add(search);
+        request.onsuccess = () => {
+          search._id = request.result;
+        };
+        transaction.oncomplete = () => resolve(search);
+        transaction.onabort = () => reject(transaction.error || new Error("Saved search transaction aborted"));
+      });
+    }
+    async rename(id, name) {
+      const cleaned = _SavedSearchRepository.cleanName(name);
+      return this.update(id, (search) => ({ ...search, name: cleaned }));
+    }
+    async update(id, change) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SAVED_SEARCH_STORE], "readwrite");
+        const store = transaction.objectStore(SAVED_SEARCH_STORE);
+        let updated = null;
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (!request.result) {
+            reject(new Error(`Saved search #${id} not found`));
+            return;
+          }
+          updated = { ...change(request.result), _id: id, updated_at: (/* @__PURE__ */ new Date()).toISOString() };
+          store.put(updated);
+        };
+        transaction.oncomplete = () => updated && resolve(updated);
+        transaction.onabort = () => reject(transaction.error || new Error("Saved search transaction aborted"));
+      });
+    }
+    // Renumber positions to follow ids; searches not listed keep their relative order after them
+    async reorder(ids) {
+      const searches = await this.getAll();
+      const rank = new Map(ids.map((id, index) => [id, index]));
+      const ordered = [...searches].sort((a, b) => (rank.get(a._id) ?? ids.length + a.position) - (rank.get(b._id) ?? ids.length + b.position));
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SAVED_SEARCH_STORE], "readwrite");
+        const store = transaction.objectStore(SAVED_SEARCH_STORE);
+        ordered.forEach((search, position) => {
+          if (search.position !== position) {
+            search.position = position;
+            store.put(search);
+          }
+        });
+        transaction.oncomplete = () => resolve(ordered);
+        transaction.onabort = () => reject(transaction.error || new Error("Saved search transaction aborted"));
+      });
+    }
+    // Move one place up (offset -1) or down (offset 1); a no-op at either end of the list
+    async move(id, offset) {
+      const ids = (await this.getAll()).map((search) => search._id);
+      const from = ids.indexOf(id);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= ids.length) return this.getAll();
+      [ids[from], ids[to]] = [ids[to], ids[from]];
+      return this.reorder(ids);
+    }
+    async delete(id) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SAVED_SEARCH_STORE], "readwrite");
+        transaction.objectStore(SAVED_SEARCH_STORE).delete(id);
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error("Saved search transaction aborted"));
+      });
+    }
+    // Add exported searches in an import transaction, after the existing ones.
+    // A search with the same name and criteria as an existing one is skipped.
+    importInto(transaction, searches, callback) {
+      const store = transaction.objectStore(SAVED_SEARCH_STORE);
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const existing = request.result || [];
+        const seen = new Set(existing.map((search) => JSON.stringify([search.name, search.criteria])));
+        let position = existing.reduce((max, search) => Math.max(max, search.position + 1), 0);
+        const result = { imported: 0, alreadyPresent: 0 };
+        try {
+          [...searches].sort((a, b) => (a.position ?? 0) - (b.position ?? 0)).forEach((source) => {
+            const search = {
+              name: _SavedSearchRepository.cleanName(source.name),
+              criteria: _SavedSearchRepository.cleanCriteria(source.criteria),
+              position,
+              created_at: source.created_at || (/* @__PURE__ */ new Date()).toISOString(),
+              updated_at: source.updated_at || (/* @__PURE__ */ new Date()).toISOString()
+            };
+            const key = JSON.stringify([search.name, search.criteria]);
+            if (seen.has(key)) {
+              result.alreadyPresent++;
+              return;
+            }
+            seen.add(key);
+            store.add(search);
+            position++;
+            result.imported++;
+          });
+        } catch (error) {
+          callback(error);
+          return;
+        }
+        callback(null, result);
+      };
+      request.onerror = () => callback(request.error);
+    }
+  };
+  var SeriesRepository = class {
+    constructor(db, options = {}) {
+      this.db = db;
+      this.audit = options.audit;
+      this.IDBKeyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+      this.getActor = options.getActor || (() => this.audit ? this.audit.getActor() : "local-user");
+      this.onChange = options.onChange || null;
+      this.onError = options.onError || ((error, context) => console.error(context, error));
+      this.writeListeners = /* @__PURE__ */ new Set();
+      this.savedSearches = options.savedSearches || null;
+      this.tokenVocabulary = null;
+      this.searchIndexGeneration = 0;
+    }
+    notifyChange(label, changes) {
+      if (this.onChange) this.onChange(label, changes);
+      this.notifyWrite({ label, records: this.writtenRecords(changes, "after") });
+    }
+    // Subscribe to committed writes. Listeners get { label, records: [{ id, record }] }, record being
+    // null once it has left the series store, or { label, cleared: true } after clearAll().
+    // Returns a function that unsubscribes.
+    onWrite(listener) {
+      this.writeListeners.add(listener);
+      return () => this.writeListeners.delete(listener);
+    }
+    notifyWrite(event) {
+      this.writeListeners.forEach((listener) => {
+        try {
+          listener(event);
+        } catch (error) {
+          this.onError(error, "Series write listener");
+        }
+      });
+    }
+    // The series store state each undo change leaves behind, read from its 'before' or 'after' side
+    writtenRecords(changes, side) {
+      return changes.filter((change) => "series" in change[side]).map((change) => ({ id: change.id, record: change[side].series || null }));
+    }
+    // Keep the token index in step with a series write, in the same transaction.
+    // Pass null when the record leaves the series store.
+    updateSearchIndex(transaction, id, item) {
+      this.invalidateTokenVocabulary();
+      const store = transaction.objectStore(SEARCH_INDEX_STORE);
+      return item ? store.put(searchIndexEntry({ ...item, _id: id })) : store.delete(id);
+    }
+    async getAll() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series"], "readonly");
+        const request = transaction.objectStore("series").getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async get(id) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series"], "readonly");
+        const request = transaction.objectStore("series").get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async count() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series"], "readonly");
+        const store = transaction.objectStore("series");
+        const request = store.count();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async getSchedules() {
+      return this.schedulesFrom(await this.getAll());
+    }
+    // Schedules are derived from the schedule fields on each series record
+    schedulesFrom(series) {
+      const scheduleMap = /* @__PURE__ */ new Map();
+      series.forEach((item) => {
+        if (item.schedule_number) {
+          const key = item.schedule_number;
+          if (!scheduleMap.has(key)) {
+            scheduleMap.set(key, {
+              _id: `sched_${key}`,
+              schedule_number: item.schedule_number,
+              approval_status: item.approval_status,
+              approval_date: item.approval_date,
+              division: item.division,
+              notes: item.notes,
+              tags: item.tags || []
+            });
+          }
+        }
+      });
+      return Array.from(scheduleMap.values());
+    }
+    async findByNaturalKey(scheduleNumber, itemNumber) {
+      return new Promise((resolve, reject) => {
+        if (!scheduleNumber || !itemNumber) {
+          resolve(null);
+          return;
+        }
+        const transaction = this.db.transaction(["series"], "readonly");
+        const index = transaction.objectStore("series").index("schedule_number_item_number");
+        const request = index.get([scheduleNumber, itemNumber]);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    // Look up another series holding the same [schedule_number + item_number] pair.
+    // Series without a schedule assignment (or without an item number) are exempt.
+    findNaturalKeyConflict(seriesStore, item, callback) {
+      if (!item.schedule_number || !item.item_number) {
+        callback(null);
+        return;
+      }
+      const request = seriesStore.index("schedule_number_item_number").getAll([item.schedule_number, item.item_number]);
+      request.onsuccess = () => {
+        const matches = request.result || [];
+        callback(matches.find((match) => match._id !== item._id) || null);
+      };
+    }
+    // Only a write that gives a record a new schedule/item pair needs the uniqueness check,
+    // so records already sharing a pair (legacy data) can still be edited
+    movesNaturalKey(before, after) {
+      return Boolean(after && after.schedule_number && after.item_number && (!before || after.schedule_number !== before.schedule_number || after.item_number !== before.item_number));
+    }
+    // Audit payloads carry the identifying fields plus full before/after snapshots
+    buildAuditPayload(before, after) {
+      const current = after || before || {};
+      return {
+        schedule_number: current.schedule_number,
+        item_number: current.item_number,
+        record_series_title: current.record_series_title,
+        before: before ? { ...before } : null,
+        after: after ? { ...after } : null
+      };
+    }
+    async save(item, isUpdate = false, options = {}) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "audit_events", SEARCH_INDEX_STORE], "readwrite");
+        const seriesStore = transaction.objectStore("series");
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        if (!isUpdate) {
+          item.created_at = now;
+        }
+        item.updated_at = now;
+        let duplicateError = null;
+        let undoChange = null;
+        const beforeRequest = isUpdate && item._id != null ? seriesStore.get(item._id) : null;
+        const checkAndWrite = () => {
+          const before = beforeRequest ? beforeRequest.result || null : null;
+          if (!this.movesNaturalKey(before, item)) {
+            write(before);
+            return;
+          }
+          this.findNaturalKeyConflict(seriesStore, item, (conflict) => {
+            if (conflict) {
+              duplicateError = new DuplicateSeriesError(item, conflict);
+              transaction.abort();
+              return;
+            }
+            write(before);
+          });
+        };
+        const write = (before) => {
+          const request = isUpdate ? seriesStore.put(item) : seriesStore.add(item);
+          request.onsuccess = () => {
+            const id = request.result;
+            item._id = id;
+            undoChange = { id, before: { series: before }, after: { series: { ...item } } };
+            this.updateSearchIndex(transaction, id, item);
+            const action = options.action || (isUpdate ? "update" : "create");
+            this.audit.log("series", id, action, {
+              ...this.buildAuditPayload(before, item),
+              ...options.payload || {}
+            }, transaction).catch(() => {
+              transaction.abort();
+            });
+          };
+          request.onerror = () => reject(request.error);
+        };
+        if (beforeRequest) {
+          beforeRequest.onsuccess = checkAndWrite;
+        } else {
+          checkAndWrite();
+        }
+        transaction.oncomplete = () => {
+          const verb = { create: "Create", restore: "Restore version of" }[options.action || (isUpdate ? "update" : "create")] || "Edit";
+          this.notifyChange(`${verb} "${item.record_series_title}"`, [undoChange]);
+          resolve(item);
+        };
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(duplicateError || transaction.error || new Error("Save transaction aborted"));
+      });
+    }
+    async delete(id) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "trash", "audit_events", SEARCH_INDEX_STORE], "readwrite");
+        const store = transaction.objectStore("series");
+        let undoChange = null;
+        let abortError = null;
+        const beforeRequest = store.get(id);
+        beforeRequest.onsuccess = () => {
+          const before = beforeRequest.result || null;
+          if (!before) {
+            abortError = new Error(`Series record #${id} not found`);
+            transaction.abort();
+            return;
+          }
+          const trashed = { ...before, deleted_at: (/* @__PURE__ */ new Date()).toISOString(), deleted_by: this.getActor() };
+          undoChange = { id, before: { series: before, trash: null }, after: { series: null, trash: trashed } };
+          const request = store.delete(id);
+          request.onsuccess = () => {
+            transaction.objectStore("trash").put(trashed);
+            this.updateSearchIndex(transaction, id, null);
+            this.audit.log("series", id, "delete", {
+              ...this.buildAuditPayload(before, null),
+              trashed: true
+            }, transaction).catch(() => transaction.abort());
+          };
+          request.onerror = () => reject(request.error || new Error("Failed to delete series record"));
+        };
+        transaction.oncomplete = () => {
+          this.notifyChange(`Delete "${undoChange.before.series.record_series_title}"`, [undoChange]);
+          resolve();
+        };
+        transaction.onabort = () => reject(abortError || transaction.error || new Error("Transaction aborted during delete"));
+      });
+    }
+    async saveSchedule(schedule, isUpdate = false) {
+      const series = await this.getAll();
+      const matchingSeries = series.filter((s) => s.schedule_number === schedule.schedule_number);
+      if (matchingSeries.length === 0) {
+        return schedule;
+      }
+      return this.bulkUpdateSchedule(schedule, matchingSeries, isUpdate);
+    }
+    async bulkUpdateSchedule(schedule, matchingSeries, isUpdate) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "audit_events", SEARCH_INDEX_STORE], "readwrite");
+        const seriesStore = transaction.objectStore("series");
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        const updatedSeries = [];
+        const auditEvents = [];
+        const undoChanges = [];
+        matchingSeries.forEach((seriesItem) => {
+          const updatedItem = { ...seriesItem };
+          updatedItem.schedule_number = schedule.schedule_number;
+          updatedItem.approval_status = schedule.approval_status;
+          updatedItem.approval_date = schedule.approval_date;
+          updatedItem.division = schedule.division || seriesItem.division;
+          updatedItem.notes = schedule.notes;
+          updatedItem.tags = schedule.tags || seriesItem.tags;
+          updatedItem.updated_at = now;
+          updatedSeries.push(updatedItem);
+          undoChanges.push({ id: seriesItem._id, before: { series: seriesItem }, after: { series: updatedItem } });
+          auditEvents.push({
+            id: seriesItem._id,
+            payload: {
+              ...this.buildAuditPayload(seriesItem, updatedItem),
+              bulk_update_fields: ["approval_status", "approval_date", "division", "notes", "tags"]
+            }
+          });
+        });
+        transaction.oncomplete = () => {
+          this.notifyChange(`Bulk update of schedule ${schedule.schedule_number}`, undoChanges);
+          resolve(schedule);
+        };
+        transaction.onerror = (event) => {
+          reject(new Error(`Bulk update transaction failed: ${event.target.error?.message || "Unknown error"}`));
+        };
+        let duplicateError = null;
+        transaction.onabort = (event) => {
+          if (duplicateError) {
+            reject(duplicateError);
+            return;
+          }
+          reject(new Error(`Bulk update transaction aborted: ${event.target.error?.message || "Transaction aborted"}`));
+        };
+        const writeAll = () => {
+          try {
+            updatedSeries.forEach((item) => {
+              const request = seriesStore.put(item);
+              request.onerror = () => {
+                transaction.abort();
+              };
+              this.updateSearchIndex(transaction, item._id, item);
+            });
+            auditEvents.forEach(({ id, payload }) => {
+              this.audit.log("series", id, "schedule_bulk_update", payload, transaction, { at: now }).catch(() => {
+                transaction.abort();
+              });
+            });
+          } catch (error) {
+            transaction.abort();
+          }
+        };
+        const moved = updatedSeries.filter((item, index) => this.movesNaturalKey(matchingSeries[index], item));
+        const seenKeys = /* @__PURE__ */ new Map();
+        for (const item of moved) {
+          const key = `${item.schedule_number}|${item.item_number}`;
+          if (seenKeys.has(key)) {
+            duplicateError = new DuplicateSeriesError(item, seenKeys.get(key));
+            transaction.abort();
+            return;
+          }
+          seenKeys.set(key, item);
+        }
+        let pendingChecks = moved.length;
+        if (pendingChecks === 0) {
+          writeAll();
+          return;
+        }
+        moved.forEach((item) => {
+          this.findNaturalKeyConflict(seriesStore, item, (conflict) => {
+            if (duplicateError) return;
+            if (conflict) {
+              duplicateError = new DuplicateSeriesError(item, conflict);
+              transaction.abort();
+              return;
+            }
+            pendingChecks--;
+            if (pendingChecks === 0) writeAll();
+          });
+        });
+      });
+    }
+    async deleteSchedule(id) {
+      const series = await this.getAll();
+      const scheduleNumber = id.replace("sched_", "");
+      const matchingSeries = series.filter((s) => s.schedule_number === scheduleNumber);
+      const promises = matchingSeries.map((seriesItem) => {
+        delete seriesItem.schedule_number;
+        delete seriesItem.approval_status;
+        delete seriesItem.approval_date;
+        return this.save(seriesItem, true);
+      });
+      await Promise.all(promises);
+      this.audit.log("series", id, "schedule_unassigned", { schedule_number: scheduleNumber });
+    }
+    // Bulk Edit
+    // A results selection changed by one BULK_EDIT_ACTIONS action in a single transaction.
+    // Each record it changes gets its own audit event; the events share a batch_id.
+    // The record after `edit` ({ action, value }), or null when the action deletes it
+    applyBulkEdit(item, edit) {
+      const action = BULK_EDIT_ACTIONS[edit.action];
+      if (!action) throw new Error(`Unknown bulk action "${edit.action}"`);
+      if (action.op === "delete") return null;
+      const updated = { ...item, ui_extras: { ...item.ui_extras || {} } };
+      const [target, key] = action.field.startsWith("ui_extras.") ? [updated.ui_extras, action.field.slice("ui_extras.".length)] : [updated, action.field];
+      if (action.op === "add" || action.op === "remove") {
+        const values = this.bulkEditValues(edit.value);
+        const current = Array.isArray(target[key]) ? target[key] : [];
+        target[key] = action.op === "add" ? [.../* @__PURE__ */ new Set([...current, ...values])] : current.filter((value) => !values.includes(value));
+      } else if (action.op === "clear") {
+        target[key] = "";
+      } else {
+        target[key] = String(edit.value ?? "").trim();
+      }
+      return updated;
+    }
+    // Tag and media type lists arrive as arrays or as text separated like an import cell
+    bulkEditValues(value) {
+      const values = Array.isArray(value) ? value : String(value ?? "").split(/[,;\n]/);
+      return [...new Set(values.map((v) => String(v).trim()).filter(Boolean))];
+    }
+    // What `edit` would do to each record: { id, before, after, changes, errors, conflict, sameSchedule }.
+    // Records it leaves as they are have no changes. A change has errors when it fails validation
+    // or moves a record onto the schedule/item pair of another one, the `conflict`, in the
+    // selection or, when given, in `others` (e.g. every cached record). A schedule action also
+    // plans the records in `others` on the selection's schedules, flagged `sameSchedule`.
+    planBulkEdit(records, edit, others = null) {
+      const planEntry = (before, sameSchedule) => {
+        const after = this.applyBulkEdit(before, edit);
+        const changes = after ? this.diffFields(before, after) : [];
+        const known = this.validate(before).errors;
+        const errors = changes.length > 0 ? this.validate(after).errors.filter((error) => !known.includes(error)) : [];
+        return { id: before._id, before, after, changes, errors, conflict: null, sameSchedule };
+      };
+      const scheduleRecords = BULK_EDIT_ACTIONS[edit.action]?.schedule && others ? this.sameScheduleRecords(records, others) : [];
+      const plan = [
+        ...records.map((before) => planEntry(before, false)),
+        ...scheduleRecords.map((before) => planEntry(before, true))
+      ];
+      const naturalKey = (record) => record?.schedule_number && record.item_number ? `${record.schedule_number}|${record.item_number}` : null;
+      const byKey = /* @__PURE__ */ new Map();
+      plan.filter((entry) => naturalKey(entry.after)).forEach((entry) => {
+        byKey.set(naturalKey(entry.after), [...byKey.get(naturalKey(entry.after)) || [], entry]);
+      });
+      const taken = /* @__PURE__ */ new Map();
+      const planIds = new Set(plan.map((entry) => entry.id));
+      (others || []).forEach((other) => {
+        if (!planIds.has(other._id) && naturalKey(other)) taken.set(naturalKey(other), other);
+      });
+      plan.filter((entry) => this.movesNaturalKey(entry.before, entry.after)).forEach((entry) => {
+        const key = naturalKey(entry.after);
+        entry.conflict = byKey.get(key).find((other) => other !== entry)?.before || taken.get(key) || null;
+        if (entry.conflict) entry.errors.push(new DuplicateSeriesError(entry.after, entry.conflict).message);
+      });
+      return plan;
+    }
+    // The records in `pool` outside `records` that share a schedule_number with one of them
+    sameScheduleRecords(records, pool) {
+      const ids = new Set(records.map((item) => item._id));
+      const schedules = new Set(records.map((item) => item.schedule_number).filter(Boolean));
+      return pool.filter((item) => !ids.has(item._id) && schedules.has(item.schedule_number));
+    }
+    // Look for records outside the plan holding a schedule/item pair the plan moves a record to.
+    // Calls back with the clashes found, as [{ entry, conflict }].
+    findBulkEditConflicts(seriesStore, plan, callback) {
+      const planIds = new Set(plan.map((entry) => entry.id));
+      const moved = plan.filter((entry) => this.movesNaturalKey(entry.before, entry.after));
+      const conflicts = [];
+      let pending = moved.length;
+      if (pending === 0) {
+        callback(conflicts);
+        return;
+      }
+      moved.forEach((entry) => {
+        const request = seriesStore.index("schedule_number_item_number").getAll([entry.after.schedule_number, entry.after.item_number]);
+        request.onsuccess = () => {
+          const conflict = (request.result || []).find((series) => !planIds.has(series._id));
+          if (conflict) conflicts.push({ entry, conflict });
+          pending--;
+          if (pending === 0) callback(conflicts);
+        };
+      });
+    }
+    // The stored records for `ids`, in that order, skipping any that are gone
+    readRecords(store, ids, callback) {
+      const records = new Array(ids.length).fill(null);
+      let pending = ids.length;
+      if (pending === 0) {
+        callback([]);
+        return;
+      }
+      ids.forEach((id, index) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          records[index] = request.result || null;
+          pending--;
+          if (pending === 0) callback(records.filter(Boolean));
+        };
+      });
+    }
+    // The stored records on any of `scheduleNumbers`
+    readScheduleRecords(store, scheduleNumbers, callback) {
+      const records = [];
+      let pending = scheduleNumbers.length;
+      if (pending === 0) {
+        callback(records);
+        return;
+      }
+      scheduleNumbers.forEach((scheduleNumber) => {
+        const request = store.index("schedule_number").getAll(scheduleNumber);
+        request.onsuccess = () => {
+          records.push(...request.result || []);
+          pending--;
+          if (pending === 0) callback(records);
+        };
+      });
+    }
+    // Apply `edit` to the stored records for `ids` in one transaction. The plan is worked out
+    // again from what is stored, so the result does not depend on how old the caller's copies are.
+    // Nothing is written if any change is invalid or clashes. A schedule action also changes the
+    // rest of each selected record's schedule. Resolves to { batchId, count }.
+    async bulkEdit(ids, edit) {
+      const action = BULK_EDIT_ACTIONS[edit.action];
+      if (!action) throw new Error(`Unknown bulk action "${edit.action}"`);
+      const batchId = `bulk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "trash", "audit_events", SEARCH_INDEX_STORE], "readwrite");
+        const seriesStore = transaction.objectStore("series");
+        const undoChanges = [];
+        let failure = null;
+        const fail = (error) => {
+          if (failure) return;
+          failure = error;
+          try {
+            transaction.abort();
+          } catch (e) {
+          }
+        };
+        const write = (plan) => {
+          const now = (/* @__PURE__ */ new Date()).toISOString();
+          plan.forEach(({ id, before, after, changes, sameSchedule }) => {
+            if (after) {
+              const record = { ...after, updated_at: now };
+              const request2 = seriesStore.put(record);
+              request2.onerror = () => fail(request2.error);
+              this.updateSearchIndex(transaction, id, record);
+              undoChanges.push({ id, before: { series: before }, after: { series: record } });
+              this.audit.log("series", id, "bulk_edit", {
+                ...this.buildAuditPayload(before, record),
+                batch_id: batchId,
+                bulk_action: edit.action,
+                bulk_update_fields: changes.map((change) => change.field),
+                ...sameSchedule ? { same_schedule: true } : {}
+              }, transaction).catch(fail);
+              return;
+            }
+            const trashed = { ...before, deleted_at: now, deleted_by: this.getActor() };
+            const request = seriesStore.delete(id);
+            request.onerror = () => fail(request.error);
+            transaction.objectStore("trash").put(trashed);
+            this.updateSearchIndex(transaction, id, null);
+            undoChanges.push({ id, before: { series: before, trash: null }, after: { series: null, trash: trashed } });
+            this.audit.log("series", id, "delete", {
+              ...this.buildAuditPayload(before, null),
+              trashed: true,
+              batch_id: batchId,
+              bulk_action: edit.action
+            }, transaction).catch(fail);
+          });
+        };
+        const writePlan = (records, others) => {
+          const plan = this.planBulkEdit(records, edit, others).filter((entry) => !entry.after || entry.changes.length > 0);
+          const invalid = plan.find((entry) => entry.errors.length > 0);
+          if (invalid) {
+            fail(invalid.conflict ? new DuplicateSeriesError(invalid.after, invalid.conflict) : new Error(`Record #${invalid.id}: ${invalid.errors[0]}`));
+            return;
+          }
+          this.findBulkEditConflicts(seriesStore, plan, (conflicts) => {
+            if (conflicts.length > 0) {
+              fail(new DuplicateSeriesError(conflicts[0].entry.after, conflicts[0].conflict));
+              return;
+            }
+            write(plan);
+          });
+        };
+        this.readRecords(seriesStore, ids, (records) => {
+          if (!action.schedule) {
+            writePlan(records, null);
+            return;
+          }
+          const scheduleNumbers = [...new Set(records.map((item) => item.schedule_number).filter(Boolean))];
+          this.readScheduleRecords(seriesStore, scheduleNumbers, (scheduleRecords) => writePlan(records, scheduleRecords));
+        });
+        transaction.oncomplete = () => {
+          if (undoChanges.length > 0) {
+            const count = undoChanges.length;
+            const label = action.op === "delete" ? `Delete ${count} record${count !== 1 ? "s" : ""}` : `${action.label} on ${count} record${count !== 1 ? "s" : ""}`;
+            this.notifyChange(label, undoChanges);
+          }
+          resolve({ batchId, count: undoChanges.length });
+        };
+        transaction.onabort = () => reject(failure || transaction.error || new Error("Bulk edit transaction aborted"));
+      });
+    }
+    // Put a record back to the state captured in an earlier audit event.
+    // The write goes through saveSeries() so uniqueness and auditing still apply.
+    async restoreVersion(id, sourceEvent) {
+      const snapshot = sourceEvent.payload?.after;
+      if (!snapshot) {
+        throw new Error("This history entry has no saved version to restore");
+      }
+      const current = (await this.getAll()).find((series) => series._id === id) || null;
+      const restored = {
+        ...snapshot,
+        _id: id,
+        created_at: current?.created_at || snapshot.created_at,
+        version: (current?.version || snapshot.version || 0) + 1
+      };
+      return this.save(restored, true, {
+        action: "restore",
+        payload: { restored_from: { action: sourceEvent.action, at: sourceEvent.at } }
+      });
+    }
+    // Trash
+    async getTrashed() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["trash"], "readonly");
+        const request = transaction.objectStore("trash").getAll();
+        request.onsuccess = () => {
+          const items = request.result || [];
+          items.sort((a, b) => String(b.deleted_at || "").localeCompare(String(a.deleted_at || "")));
+          resolve(items);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    // Put a trashed record back under its original _id so its history stays attached
+    async restoreFromTrash(id) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "trash", "audit_events", SEARCH_INDEX_STORE], "readwrite");
+        const seriesStore = transaction.objectStore("series");
+        const trashStore = transaction.objectStore("trash");
+        let restored = null;
+        let undoChange = null;
+        let abortError = null;
+        const fail = (error) => {
+          abortError = error;
+          try {
+            transaction.abort();
+          } catch (e) {
+          }
+        };
+        const getRequest = trashStore.get(id);
+        getRequest.onsuccess = () => {
+          if (!getRequest.result) {
+            fail(new Error(`Record #${id} is not in the trash`));
+            return;
+          }
+          const { deleted_at, deleted_by, ...record } = getRequest.result;
+          this.findNaturalKeyConflict(seriesStore, record, (conflict) => {
+            if (conflict) {
+              fail(new DuplicateSeriesError(record, conflict));
+              return;
+            }
+            const request = seriesStore.add(record);
+            request.onsuccess = () => {
+              restored = record;
+              undoChange = { id, before: { series: null, trash: getRequest.result }, after: { series: record, trash: null } };
+              trashStore.delete(id);
+              this.updateSearchIndex(transaction, id, record);
+              this.audit.log("series", id, "trash_restore", {
+                ...this.buildAuditPayload(null, record),
+                deleted_at,
+                deleted_by
+              }, transaction).catch(fail);
+            };
+            request.onerror = () => fail(request.error);
+          });
+        };
+        getRequest.onerror = () => fail(getRequest.error);
+        transaction.oncomplete = () => {
+          this.notifyChange(`Restore "${restored.record_series_title}" from the trash`, [undoChange]);
+          resolve(restored);
+        };
+        transaction.onabort = () => reject(abortError || transaction.error || new Error("Transaction aborted during restore"));
+      });
+    }
+    // Permanently remove trashed records; the audit trail keeps a summary of what was purged
+    async purge(ids, options = {}) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["trash", "audit_events"], "readwrite");
+        const trashStore = transaction.objectStore("trash");
+        let purged = 0;
+        let abortError = null;
+        const fail = (error) => {
+          abortError = error;
+          try {
+            transaction.abort();
+          } catch (e) {
+          }
+        };
+        ids.forEach((id) => {
+          const getRequest = trashStore.get(id);
+          getRequest.onsuccess = () => {
+            const item = getRequest.result;
+            if (!item) return;
+            const request = trashStore.delete(id);
+            request.onsuccess = () => {
+              purged++;
+              this.audit.log("series", id, "purge", {
+                schedule_number: item.schedule_number || "",
+                item_number: item.item_number || "",
+                record_series_title: item.record_series_title || "",
+                deleted_at: item.deleted_at,
+                deleted_by: item.deleted_by,
+                automatic: !!options.automatic
+              }, transaction).catch(fail);
+            };
+            request.onerror = () => fail(request.error);
+          };
+          getRequest.onerror = () => fail(getRequest.error);
+        });
+        transaction.oncomplete = () => resolve(purged);
+        transaction.onabort = () => reject(abortError || transaction.error || new Error("Transaction aborted during purge"));
+      });
+    }
+    // Purge anything that has sat in the trash longer than `days`; 0 keeps it forever
+    async autoPurge(days) {
+      if (!days) return 0;
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1e3).toISOString();
+      const expired = (await this.getTrashed()).filter((item) => String(item.deleted_at || "") < cutoff);
+      if (expired.length === 0) return 0;
+      return this.purge(expired.map((item) => item._id), { automatic: true });
+    }
+    applyChanges(entry, direction) {
+      const expectedKey = direction === "undo" ? "after" : "before";
+      const targetKey = direction === "undo" ? "before" : "after";
+      const batchIds = new Set(entry.changes.map((change) => change.id));
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "trash", "audit_events", SEARCH_INDEX_STORE], "readwrite");
+        const seriesStore = transaction.objectStore("series");
+        let failure = null;
+        const fail = (error) => {
+          if (failure) return;
+          failure = error;
+          try {
+            transaction.abort();
+          } catch (e) {
+          }
+        };
+        const sameState = (a, b) => a == null && b == null || a != null && b != null && AuditChain.canonicalize(a) === AuditChain.canonicalize(b);
+        const checkChange = (index) => {
+          if (failure) return;
+          if (index >= entry.changes.length) {
+            checkNaturalKeys(0);
+            return;
+          }
+          const change = entry.changes[index];
+          const stores = Object.keys(change[expectedKey]);
+          let pending = stores.length;
+          stores.forEach((storeName) => {
+            const request = transaction.objectStore(storeName).get(change.id);
+            request.onsuccess = () => {
+              if (!sameState(request.result || null, change[expectedKey][storeName])) {
+                fail(new Error(`Cannot ${direction} "${entry.label}": record #${change.id} was changed afterwards`));
+                return;
+              }
+              pending--;
+              if (pending === 0) checkChange(index + 1);
+            };
+            request.onerror = () => fail(request.error);
+          });
+        };
+        const checkNaturalKeys = (index) => {
+          if (failure) return;
+          if (index >= entry.changes.length) {
+            writeChanges();
+            return;
+          }
+          const record = entry.changes[index][targetKey].series;
+          if (!record || !record.schedule_number || !record.item_number) {
+            checkNaturalKeys(index + 1);
+            return;
+          }
+          const request = seriesStore.index("schedule_number_item_number").getAll([record.schedule_number, record.item_number]);
+          request.onsuccess = () => {
+            const conflict = (request.result || []).find((series) => !batchIds.has(series._id));
+            if (conflict) {
+              fail(new DuplicateSeriesError(record, conflict));
+              return;
+            }
+            checkNaturalKeys(index + 1);
+          };
+          request.onerror = () => fail(request.error);
+        };
+        const writeChanges = () => {
+          entry.changes.forEach((change) => {
+            Object.entries(change[targetKey]).forEach(([storeName, state]) => {
+              const store = transaction.objectStore(storeName);
+              const request = state ? store.put(state) : store.delete(change.id);
+              request.onerror = () => fail(request.error);
+            });
+            if ("series" in change[targetKey]) {
+              this.updateSearchIndex(transaction, change.id, change[targetKey].series);
+            }
+            const current = change[expectedKey].series || null;
+            const target = change[targetKey].series || null;
+            this.audit.log("series", change.id, direction, {
+              ...this.buildAuditPayload(current, target),
+              [`${direction}_of`]: entry.label
+            }, transaction).catch(fail);
+          });
+        };
+        transaction.oncomplete = () => {
+          this.notifyWrite({ label: `${direction === "undo" ? "Undo" : "Redo"} ${entry.label}`, records: this.writtenRecords(entry.changes, targetKey) });
+          resolve();
+        };
+        transaction.onabort = () => reject(failure || transaction.error || new Error(`${direction} transaction aborted`));
+        checkChange(0);
+      });
+    }
+    // Modern Search and Filtering System
+    // searchCriteria.query is a parsed SearchQuery; searchText alone is matched word by word.
+    // fuzzy: true tolerates typos in search words; sortBy 'relevance' ranks with SearchRanker.
+    async search(searchCriteria = {}) {
+      const options = { fuzzy: Boolean(searchCriteria.fuzzy) };
+      const terms = this.searchTerms(searchCriteria);
+      let items = terms.length > 0 ? await this.findByTokenPrefixes(terms, options.fuzzy ? await this.findNearMissTokens(terms) : {}) : await this.getFilterCandidates(searchCriteria);
+      items = items.filter((item) => this.matchesFilterCriteria(item, searchCriteria));
+      if (searchCriteria.query) {
+        items = items.filter((item) => SearchQuery.matches(searchCriteria.query, item, options));
+      }
+      if (searchCriteria.sortBy === "relevance") {
+        const words = searchCriteria.query ? SearchQuery.soughtWords(searchCriteria.query) : terms;
+        items = SearchRanker.rank(this.sort(items, "schedule_item"), words, options);
+      } else if (searchCriteria.sortBy) {
+        items = this.sort(items, searchCriteria.sortBy, searchCriteria.sortOrder, searchCriteria.thenBy);
+      }
+      return items;
+    }
+    searchTerms(searchCriteria) {
+      return searchCriteria.query ? SearchQuery.requiredWords(searchCriteria.query) : tokenizeSearchText(searchCriteria.searchText);
+    }
+    // Live counts for the filter pane, one entry per SEARCH_FACETS key:
+    // - inResults: value -> records in the current results having it
+    // - ifPicked: value -> records the search would return with the value picked; values
+    //   not listed would return `otherwise` records
+    // Picking replaces a schedule or status, and is added to the picked divisions, tags or media types.
+    async facetCounts(searchCriteria = {}) {
+      const options = { fuzzy: Boolean(searchCriteria.fuzzy) };
+      const terms = this.searchTerms(searchCriteria);
+      let items = terms.length > 0 ? await this.findByTokenPrefixes(terms, options.fuzzy ? await this.findNearMissTokens(terms) : {}) : await this.getAll();
+      if (searchCriteria.query) {
+        items = items.filter((item) => SearchQuery.matches(searchCriteria.query, item, options));
+      }
+      const facets = SEARCH_FACETS.map((facet) => {
+        const withoutFacet = { ...searchCriteria };
+        facet.criteria.forEach((key) => delete withoutFacet[key]);
+        const picked = !facet.picked ? [] : searchCriteria[facet.picked]?.length ? searchCriteria[facet.picked] : facet.key === "division" && searchCriteria.division ? [searchCriteria.division] : [];
+        return { facet, withoutFacet, picked, mode: searchCriteria[facet.mode] || MATCH_MODES.ANY };
+      });
+      const counts = Object.fromEntries(SEARCH_FACETS.map((facet) => [facet.key, { inResults: /* @__PURE__ */ new Map(), ifPicked: /* @__PURE__ */ new Map(), otherwise: 0 }]));
+      const added = Object.fromEntries(SEARCH_FACETS.map((facet) => [facet.key, /* @__PURE__ */ new Map()]));
+      let total = 0;
+      items.forEach((item) => {
+        const inResults = this.matchesFilterCriteria(item, searchCriteria);
+        if (inResults) total++;
+        facets.forEach(({ facet, withoutFacet, picked, mode }) => {
+          const values = facetValues(item, facet);
+          if (inResults) values.forEach((value) => increment(counts[facet.key].inResults, value));
+          if (!facet.picked) {
+            if (this.matchesFilterCriteria(item, withoutFacet)) values.forEach((value) => increment(counts[facet.key].ifPicked, value));
+          } else if (!inResults && mode === MATCH_MODES.ANY && picked.length > 0 && this.matchesFilterCriteria(item, withoutFacet)) {
+            values.forEach((value) => increment(added[facet.key], value));
+          }
+        });
+      });
+      facets.forEach(({ facet, picked, mode }) => {
+        if (!facet.picked) return;
+        const { inResults, ifPicked } = counts[facet.key];
+        if (mode === MATCH_MODES.NONE) {
+          inResults.forEach((count, value) => ifPicked.set(value, total - count));
+          counts[facet.key].otherwise = total;
+        } else if (mode === MATCH_MODES.ANY && picked.length > 0) {
+          inResults.forEach((count, value) => ifPicked.set(value, total));
+          added[facet.key].forEach((count, value) => ifPicked.set(value, total + count));
+          counts[facet.key].otherwise = total;
+        } else {
+          inResults.forEach((count, value) => ifPicked.set(value, count));
+        }
+      });
+      return { total, facets: counts };
+    }
+    async getFilterCandidates(searchCriteria) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series"], "readonly");
+        const store = transaction.objectStore("series");
+        let request;
+        if (searchCriteria.scheduleNumber) {
+          request = store.index("schedule_number").getAll(searchCriteria.scheduleNumber);
+        } else if (searchCriteria.division) {
+          request = store.index("division").getAll(searchCriteria.division);
+        } else if (searchCriteria.divisions?.length === 1 && (searchCriteria.divisionMode || MATCH_MODES.ANY) === MATCH_MODES.ANY) {
+          request = store.index("division").getAll(searchCriteria.divisions[0]);
+        } else {
+          request = store.getAll();
+        }
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    // Records having, for every term, a token that starts with it (in _id order).
+    // nearMisses maps a term to whole tokens that also count for it (see findNearMissTokens).
+    async findByTokenPrefixes(terms, nearMisses = {}) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", SEARCH_INDEX_STORE], "readonly");
+        const tokenIndex = transaction.objectStore(SEARCH_INDEX_STORE).index("token");
+        const items = [];
+        let matches = null;
+        const lookupTerm = (index) => {
+          if (index >= terms.length) {
+            readRecords([...matches].sort((a, b) => a - b));
+            return;
+          }
+          const term = terms[index];
+          const ranges = [
+            this.IDBKeyRange.bound(term, `${term}\uFFFF`),
+            ...(nearMisses[term] || []).map((token) => this.IDBKeyRange.only(token))
+          ];
+          const ids = /* @__PURE__ */ new Set();
+          let pending = ranges.length;
+          ranges.forEach((range) => {
+            const request = tokenIndex.getAllKeys(range);
+            request.onsuccess = () => {
+              (request.result || []).forEach((id) => ids.add(id));
+              if (--pending > 0) return;
+              matches = matches ? new Set([...matches].filter((id) => ids.has(id))) : ids;
+              if (matches.size > 0) lookupTerm(index + 1);
+            };
+            request.onerror = () => reject(request.error);
+          });
+        };
+        const readRecords = (ids) => {
+          const store = transaction.objectStore("series");
+          ids.forEach((id) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+              if (request.result) items.push(request.result);
+            };
+          });
+        };
+        transaction.oncomplete = () => resolve(items);
+        transaction.onabort = () => reject(transaction.error || new Error("Search transaction aborted"));
+        lookupTerm(0);
+      });
+    }
+    // For each term, the indexed tokens within its typo allowance that it is not already a prefix of
+    async findNearMissTokens(terms) {
+      const vocabulary = await this.getTokenVocabulary();
+      const nearMisses = {};
+      terms.forEach((term) => {
+        nearMisses[term] = vocabulary.filter((token) => !token.startsWith(term) && SearchQuery.isNearMiss(term, token));
+      });
+      return nearMisses;
+    }
+    // Distinct tokens in the index, read once and kept until the index next changes
+    async getTokenVocabulary() {
+      if (this.tokenVocabulary) return this.tokenVocabulary;
+      const generation = this.searchIndexGeneration;
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([SEARCH_INDEX_STORE], "readonly");
+        const request = transaction.objectStore(SEARCH_INDEX_STORE).index("token").openKeyCursor(null, "nextunique");
+        const tokens = [];
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            tokens.push(cursor.key);
+            cursor.continue();
+          }
+        };
+        transaction.oncomplete = () => {
+          if (generation === this.searchIndexGeneration) this.tokenVocabulary = tokens;
+          resolve(tokens);
+        };
+        transaction.onabort = () => reject(transaction.error || new Error("Token vocabulary read aborted"));
+      });
+    }
+    invalidateTokenVocabulary() {
+      this.tokenVocabulary = null;
+      this.searchIndexGeneration++;
+    }
+    // Rebuild the token index from the series store, e.g. after an interrupted import or a tokenizer change
+    async rebuildSearchIndex() {
+      this.invalidateTokenVocabulary();
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", SEARCH_INDEX_STORE], "readwrite");
+        let indexed = 0;
+        rebuildSearchIndexStore(transaction, (error, count) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          indexed = count;
+        });
+        transaction.oncomplete = () => resolve(indexed);
+        transaction.onabort = () => reject(transaction.error || new Error("Search index rebuild aborted"));
+      });
+    }
+    matchesFilterCriteria(item, criteria) {
+      if (criteria.scheduleNumber && item.schedule_number !== criteria.scheduleNumber) {
+        return false;
+      }
+      if (criteria.division && item.division !== criteria.division) {
+        return false;
+      }
+      if (criteria.approvalStatus && item.approval_status !== criteria.approvalStatus) {
+        return false;
+      }
+      if (!matchesValueSet(item.division ? [item.division] : [], criteria.divisions, criteria.divisionMode)) {
+        return false;
+      }
+      if (!matchesValueSet(Array.isArray(item.tags) ? item.tags : [], criteria.tags, criteria.tagMode)) {
+        return false;
+      }
+      if (!matchesValueSet(Array.isArray(item.media_types) ? item.media_types : [], criteria.mediaTypes, criteria.mediaMode)) {
+        return false;
+      }
+      if (criteria.coveredFrom || criteria.coveredTo) {
+        const bounds = DateRange.bounds(criteria.coveredFrom, criteria.coveredTo, "Dates covered");
+        if (!DateRange.overlaps(DateRange.coverage(item), bounds)) {
+          return false;
+        }
+      }
+      if (criteria.approvedFrom || criteria.approvedTo) {
+        const bounds = DateRange.bounds(criteria.approvedFrom, criteria.approvedTo, "Approval date");
+        if (!DateRange.overlaps(DateRange.parse(item.approval_date), bounds)) {
+          return false;
+        }
+      }
+      return true;
+    }
+    // thenBy breaks ties in order: field names, with a leading '-' for descending
+    sort(items, sortBy, sortOrder = "asc", thenBy = []) {
+      const keys = [
+        { field: sortBy, order: sortOrder || "asc" },
+        ...(thenBy || []).map((key) => key.startsWith("-") ? { field: key.slice(1), order: "desc" } : { field: key, order: "asc" })
+      ];
+      return items.sort((a, b) => {
+        for (const { field, order } of keys) {
+          const comparison = this.compareSortValues(this.getSortValue(a, field), this.getSortValue(b, field), order);
+          if (comparison !== 0) return comparison;
+        }
+        return 0;
+      });
+    }
+    compareSortValues(aVal, bVal, sortOrder) {
+      if (aVal == null && bVal == null) return 0;
+      if (aVal == null) return sortOrder === "asc" ? 1 : -1;
+      if (bVal == null) return sortOrder === "asc" ? -1 : 1;
+      aVal = String(aVal).toLowerCase();
+      bVal = String(bVal).toLowerCase();
+      const comparison = aVal.localeCompare(bVal, void 0, { numeric: true });
+      return sortOrder === "asc" ? comparison : -comparison;
+    }
+    getSortValue(item, sortBy) {
+      switch (sortBy) {
+        case "schedule_item":
+          const scheduleNum = item.schedule_number || "zzz";
+          const itemNum = item.item_number || "zzz";
+          const parts = scheduleNum.split("-");
+          if (parts.length === 2) {
+            const yearPart = parts[0];
+            const seqPart = parts[1];
+            let fullYear;
+            if (yearPart.length === 2) {
+              const yearNum = parseInt(yearPart, 10);
+              fullYear = yearNum <= 25 ? 2e3 + yearNum : 1900 + yearNum;
+            } else {
+              fullYear = parseInt(yearPart, 10) || 9999;
+            }
+            const paddedYear = String(fullYear).padStart(4, "0");
+            return `${paddedYear}-${seqPart}-${itemNum}`;
+          }
+          return `${scheduleNum}-${itemNum}`;
+        case "dates_covered_start":
+        case "dates_covered_end":
+        case "approval_date":
+          return this.normalizeDateForSorting(item[sortBy]);
+        case "created_at":
+        case "updated_at":
+          return item[sortBy] || "";
+        default: {
+          const value = sortBy.startsWith("ui_extras.") ? item.ui_extras?.[sortBy.slice("ui_extras.".length)] : item[sortBy];
+          if (Array.isArray(value)) return value.join(", ");
+          return value == null ? "" : value;
+        }
+      }
+    }
+    // First day of the period; blanks sort first and "present" last
+    normalizeDateForSorting(dateStr) {
+      if (!dateStr) return "0000";
+      if (DateRange.isPresent(dateStr)) return "9999";
+      const period = DateRange.parse(dateStr);
+      if (period) return period.start;
+      const yearMatch = String(dateStr).match(/(\d{4})/);
+      return yearMatch ? yearMatch[1] : "0000";
+    }
+    // Import Upsert Helpers
+    normalize(item) {
+      if (item.application_number && !item.schedule_number) {
+        item.schedule_number = item.application_number;
+      }
+      delete item.application_number;
+      ["schedule_number", "item_number", "dates_covered_start", "dates_covered_end"].forEach((field) => {
+        if (item[field] != null && item[field] !== "") {
+          item[field] = String(item[field]).trim();
+        }
+      });
+      ["tags", "media_types", "omb_or_statute_refs", "related_series"].forEach((field) => {
+        if (typeof item[field] === "string") {
+          item[field] = item[field].split(/[,;\n]/).map((s) => s.trim()).filter(Boolean);
+        }
+      });
+      item.ui_extras = item.ui_extras || {};
+      delete item.retention_is_permanent;
+      delete item.schedule_id;
+      return item;
+    }
+    // Excel rows: arrays become semicolon-separated cells and ui_extras is flattened
+    // into ui_extras_<key> columns; fromExcelRow() reverses both
+    toExcelRow(item) {
+      const row = { ...item };
+      if (!row.record_series_title || String(row.record_series_title).trim() === "") {
+        row.record_series_title = EXCEL_TITLE_PLACEHOLDER;
+      }
+      ["tags", "media_types", "omb_or_statute_refs", "related_series"].forEach((field) => {
+        if (Array.isArray(row[field])) {
+          row[field] = row[field].join("; ");
+        }
+      });
+      if (row.ui_extras && typeof row.ui_extras === "object") {
+        Object.keys(row.ui_extras).forEach((key) => {
+          row[`ui_extras_${key}`] = row.ui_extras[key];
+        });
+        delete row.ui_extras;
+      }
+      return row;
+    }
+    fromExcelRow(row) {
+      const item = { ...row };
+      if (item.record_series_title === EXCEL_TITLE_PLACEHOLDER) {
+        item.record_series_title = "";
+      }
+      item.ui_extras = {};
+      Object.keys(item).forEach((key) => {
+        if (key.startsWith("ui_extras_")) {
+          item.ui_extras[key.replace("ui_extras_", "")] = item[key];
+          delete item[key];
+        }
+      });
+      return item;
+    }
+    // Import Preview (dry run) and Commit
+    validate(item) {
+      const errors = [];
+      const warnings = [];
+      const isoDate = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+      if (!item.record_series_title || String(item.record_series_title).trim() === "") {
+        errors.push("record_series_title is required");
+      }
+      if (item.schedule_number && !/^\d{2}-\d{3}$/.test(item.schedule_number)) {
+        errors.push(`schedule_number "${item.schedule_number}" must be in format XX-XXX`);
+      }
+      if (item.item_number && !/^\d+([A-Za-z]|\.\d+)?$/.test(item.item_number)) {
+        warnings.push(`item_number "${item.item_number}" should be numeric with optional letter or decimal suffix`);
+      }
+      if (item.approval_status && !Object.values(APPROVAL_STATUS).includes(item.approval_status)) {
+        errors.push(`approval_status "${item.approval_status}" must be one of ${Object.values(APPROVAL_STATUS).join(", ")}`);
+      }
+      if (item.dates_covered_start && !isoDate.test(item.dates_covered_start)) {
+        errors.push(`dates_covered_start "${item.dates_covered_start}" must be YYYY, YYYY-MM or YYYY-MM-DD`);
+      }
+      if (item.dates_covered_end && item.dates_covered_end !== "present" && !isoDate.test(item.dates_covered_end)) {
+        warnings.push(`dates_covered_end "${item.dates_covered_end}" is not an ISO date; kept as entered`);
+      }
+      return { errors, warnings };
+    }
+    // Field-level differences between two series records (ui_extras compared per key)
+    diffFields(before, after) {
+      const ignored = /* @__PURE__ */ new Set(["_id", "created_at", "updated_at", "version"]);
+      const flatten = (record) => {
+        const flat = {};
+        Object.keys(record || {}).forEach((key) => {
+          if (ignored.has(key)) return;
+          if (key === "ui_extras" && record.ui_extras && typeof record.ui_extras === "object") {
+            Object.keys(record.ui_extras).forEach((extraKey) => {
+              flat[`ui_extras.${extraKey}`] = record.ui_extras[extraKey];
+            });
+          } else {
+            flat[key] = record[key];
+          }
+        });
+        return flat;
+      };
+      const isBlank = (value) => value == null || value === "" || Array.isArray(value) && value.length === 0;
+      const beforeFlat = flatten(before);
+      const afterFlat = flatten(after);
+      const fields = [.../* @__PURE__ */ new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)])].sort();
+      return fields.filter((field) => !(isBlank(beforeFlat[field]) && isBlank(afterFlat[field]))).filter((field) => JSON.stringify(beforeFlat[field]) !== JSON.stringify(afterFlat[field])).map((field) => ({ field, before: beforeFlat[field], after: afterFlat[field] }));
+    }
+    // Update in place: keep the original _id and created_at, bump version.
+    // Fields missing from the imported row (including ui_extras keys) are kept.
+    mergeImported(existing, item) {
+      return {
+        ...existing,
+        ...item,
+        ui_extras: { ...existing.ui_extras || {}, ...item.ui_extras || {} },
+        _id: existing._id,
+        created_at: existing.created_at,
+        version: (existing.version || 0) + 1
+      };
+    }
+    async upsert(item) {
+      delete item._id;
+      if (!item.record_series_title || String(item.record_series_title).trim() === "") {
+        return { action: "skipped", reason: "missing record_series_title", item };
+      }
+      const existing = await this.findByNaturalKey(item.schedule_number, item.item_number);
+      if (existing) {
+        const merged = this.mergeImported(existing, item);
+        await this.save(merged, true);
+        return { action: "updated", item: merged };
+      }
+      item.version = item.version || 1;
+      await this.save(item, false);
+      return { action: "created", item };
+    }
+    // options: source, fileName, auditEvents, auditChainHead, savedSearches;
+    // onProgress(done, total) and an AbortSignal `signal` for long files
+    async buildImportPreview(rawRows, options = {}) {
+      const existingSeries = await this.getAll();
+      const existingByKey = /* @__PURE__ */ new Map();
+      existingSeries.forEach((series) => {
+        if (series.schedule_number && series.item_number) {
+          existingByKey.set(`${series.schedule_number}|${series.item_number}`, series);
+        }
+      });
+      const seenKeys = /* @__PURE__ */ new Map();
+      const classify = (raw, index) => {
+        const item = this.normalize({ ...raw });
+        delete item._id;
+        const { errors, warnings } = this.validate(item);
+        const key = item.schedule_number && item.item_number ? `${item.schedule_number}|${item.item_number}` : null;
+        const row = { rowNumber: index + 1, sourceId: raw._id, key, item, errors, warnings, changes: [], existing: null, reason: "" };
+        if (errors.length > 0) {
+          row.status = "invalid";
+          row.reason = errors.join("; ");
+          return row;
+        }
+        if (key && seenKeys.has(key)) {
+          row.status = "duplicate";
+          row.duplicateOf = seenKeys.get(key);
+          row.reason = `Repeats row ${row.duplicateOf} of this file`;
+          return row;
+        }
+        if (key) seenKeys.set(key, row.rowNumber);
+        const existing = key ? existingByKey.get(key) : null;
+        if (!existing) {
+          row.status = "new";
+          return row;
+        }
+        row.existing = existing;
+        row.changes = this.diffFields(existing, this.mergeImported(existing, item));
+        if (row.changes.length > 0) {
+          row.status = "update";
+        } else {
+          row.status = "duplicate";
+          row.reason = `Identical to existing record #${existing._id}`;
+        }
+        return row;
+      };
+      const rows = [];
+      for (let index = 0; index < rawRows.length; index++) {
+        if (index > 0 && index % IMPORT_PREVIEW_CHUNK === 0) {
+          if (options.onProgress) options.onProgress(index, rawRows.length);
+          if (options.signal) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            options.signal.throwIfAborted();
+          }
+        }
+        rows.push(classify(rawRows[index], index));
+      }
+      if (options.onProgress) options.onProgress(rawRows.length, rawRows.length);
+      const summary = { new: 0, update: 0, duplicate: 0, invalid: 0 };
+      rows.forEach((row) => summary[row.status]++);
+      const auditVerification = await this.audit.verifyImported(options.auditEvents || [], options.auditChainHead);
+      return {
+        source: options.source || "JSON",
+        fileName: options.fileName || "",
+        auditEvents: options.auditEvents || [],
+        savedSearches: this.savedSearches ? options.savedSearches || [] : [],
+        existingIdsByKey: new Map([...existingByKey].map(([key, series]) => [key, series._id])),
+        auditVerification,
+        rows,
+        summary
+      };
+    }
+    // Write all new/update rows of a preview in ONE transaction; any failure rolls everything back
+    async commitImport(preview) {
+      const rows = preview.rows.filter((row) => row.status === "new" || row.status === "update");
+      const savedSearches = preview.savedSearches || [];
+      return new Promise((resolve, reject) => {
+        const stores = ["series", "audit_events", SEARCH_INDEX_STORE];
+        if (savedSearches.length > 0) stores.push(SAVED_SEARCH_STORE);
+        const transaction = this.db.transaction(stores, "readwrite");
+        const seriesStore = transaction.objectStore("series");
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        const counts = { created: 0, updated: 0, skipped: preview.rows.length - rows.length };
+        let savedSearchCounts = { imported: 0, alreadyPresent: 0 };
+        const undoChanges = [];
+        let failure = null;
+        const fail = (error) => {
+          if (failure) return;
+          failure = error;
+          try {
+            transaction.abort();
+          } catch (e) {
+          }
+        };
+        const writeRow = (index) => {
+          if (failure) return;
+          if (index >= rows.length) {
+            writeAuditEvents();
+            return;
+          }
+          const row = rows[index];
+          const isUpdate = row.status === "update";
+          const record = isUpdate ? this.mergeImported(row.existing, row.item) : { ...row.item, version: row.item.version || 1, created_at: row.item.created_at || now };
+          record.updated_at = now;
+          this.findNaturalKeyConflict(seriesStore, record, (conflict) => {
+            if (conflict) {
+              fail(new DuplicateSeriesError(record, conflict));
+              return;
+            }
+            const request = isUpdate ? seriesStore.put(record) : seriesStore.add(record);
+            request.onsuccess = () => {
+              record._id = request.result;
+              row.savedId = record._id;
+              this.updateSearchIndex(transaction, record._id, record);
+              counts[isUpdate ? "updated" : "created"]++;
+              undoChanges.push({ id: record._id, before: { series: isUpdate ? row.existing : null }, after: { series: { ...record } } });
+              this.audit.log("series", record._id, isUpdate ? "update" : "create", {
+                ...this.buildAuditPayload(isUpdate ? row.existing : null, record),
+                import_source: preview.source
+              }, transaction).catch(fail);
+              writeRow(index + 1);
+            };
+            request.onerror = () => fail(request.error);
+          });
+        };
+        const audit = { imported: 0, alreadyPresent: 0, unresolved: [] };
+        const writeAuditEvents = () => {
+          const idMap = this.buildImportIdMap(preview);
+          const auditStore = transaction.objectStore("audit_events");
+          const writeEvent = (index) => {
+            if (failure || index >= preview.auditEvents.length) return;
+            const source = preview.auditEvents[index];
+            const entityId = this.resolveImportedAuditEntityId(source, idMap);
+            if (entityId == null) {
+              audit.unresolved.push(`${source.action || "event"} at ${source.at || "unknown time"} for old _id ${source.entity_id}`);
+              writeEvent(index + 1);
+              return;
+            }
+            const event = {
+              entity: source.entity || "series",
+              entity_id: entityId,
+              action: source.action,
+              actor: source.actor || "local-user",
+              at: source.at || now,
+              payload: typeof source.payload === "string" ? source.payload : JSON.stringify(source.payload ?? {})
+            };
+            if (source.hash) event.source_hash = source.hash;
+            const lookup = auditStore.index("entity_action_date").getAll([event.entity, event.entity_id, event.at]);
+            lookup.onsuccess = () => {
+              if ((lookup.result || []).some((existing) => existing.action === event.action)) {
+                audit.alreadyPresent++;
+                writeEvent(index + 1);
+                return;
+              }
+              const { entity, entity_id: id, action, ...fields } = event;
+              this.audit.log(entity, id, action, null, transaction, fields).then(() => {
+                audit.imported++;
+                writeEvent(index + 1);
+              }, fail);
+            };
+            lookup.onerror = () => fail(lookup.error);
+          };
+          writeEvent(0);
+        };
+        transaction.oncomplete = () => {
+          if (undoChanges.length > 0) {
+            this.notifyChange(`${preview.source} import${preview.fileName ? ` of ${preview.fileName}` : ""}`, undoChanges);
+          }
+          resolve({ counts, rows, audit, savedSearches: savedSearchCounts });
+        };
+        transaction.onabort = () => reject(failure || transaction.error || new Error("Import transaction aborted"));
+        if (savedSearches.length > 0) {
+          this.savedSearches.importInto(transaction, savedSearches, (error, result) => {
+            if (error) fail(error);
+            else savedSearchCounts = result;
+          });
+        }
+        writeRow(0);
+      });
+    }
+    // Map the _ids used in the import file to the _ids the rows ended up with.
+    // Rows that were skipped as duplicates resolve to the record they matched.
+    buildImportIdMap(preview) {
+      const byId = /* @__PURE__ */ new Map();
+      const byKey = new Map(preview.existingIdsByKey || []);
+      const resolvedByRow = /* @__PURE__ */ new Map();
+      preview.rows.forEach((row) => {
+        let resolved = row.savedId ?? row.existing?._id ?? null;
+        if (resolved == null && row.duplicateOf) {
+          resolved = resolvedByRow.get(row.duplicateOf) ?? null;
+        }
+        resolvedByRow.set(row.rowNumber, resolved);
+        if (resolved == null) return;
+        if (row.sourceId != null) byId.set(String(row.sourceId), resolved);
+        if (row.key) byKey.set(row.key, resolved);
+      });
+      return { byId, byKey };
+    }
+    resolveImportedAuditEntityId(event, idMap) {
+      if (event.entity && event.entity !== "series") {
+        return event.entity_id;
+      }
+      if (typeof event.entity_id === "string" && event.entity_id.startsWith("sched_")) {
+        return event.entity_id;
+      }
+      if (event.entity_id != null && idMap.byId.has(String(event.entity_id))) {
+        return idMap.byId.get(String(event.entity_id));
+      }
+      let payload = event.payload;
+      if (typeof payload === "string") {
+        try {
+          payload = JSON.parse(payload);
+        } catch (e) {
+          payload = null;
+        }
+      }
+      if (payload && payload.schedule_number && payload.item_number) {
+        const key = `${String(payload.schedule_number).trim()}|${String(payload.item_number).trim()}`;
+        if (idMap.byKey.has(key)) return idMap.byKey.get(key);
+      }
+      return null;
+    }
+    // Preview and commit in one call, for callers that do not review rows first
+    async import(rawRows, options = {}) {
+      const preview = await this.buildImportPreview(rawRows, options);
+      const result = await this.commitImport(preview);
+      return { ...result, summary: preview.summary, auditVerification: preview.auditVerification };
+    }
+    // Full backup in the JSON export format, saved searches included.
+    // Pass `series` to export a subset (audit events are narrowed to match, saved searches left out).
+    async export(options = {}) {
+      await this.audit.sealed();
+      const series = options.series || await this.getAll();
+      let auditEvents = await this.audit.getAll();
+      const metadata = {
+        exported_at: (/* @__PURE__ */ new Date()).toISOString(),
+        version: EXPORT_FORMAT_VERSION
+      };
+      if (options.series) {
+        const seriesIds = new Set(series.map((item) => item._id));
+        auditEvents = auditEvents.filter((event) => event.entity === "series" && seriesIds.has(event.entity_id));
+        metadata.filtered_export = true;
+      }
+      metadata.total_series = series.length;
+      metadata.total_schedules = new Set(series.map((item) => item.schedule_number).filter(Boolean)).size;
+      if (options.series) {
+        return { metadata, series, audit_events: auditEvents };
+      }
+      metadata.audit_chain_head = this.audit.describeChainHead(auditEvents);
+      const exported = { metadata, series, audit_events: auditEvents };
+      if (this.savedSearches) {
+        exported.saved_searches = await this.savedSearches.getAll();
+        metadata.total_saved_searches = exported.saved_searches.length;
+      }
+      return exported;
+    }
+    // Remove every record, trashed record, index entry, saved search and audit event; the audit chain starts fresh
+    async clearAll() {
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["series", "trash", "audit_events", SEARCH_INDEX_STORE, SAVED_SEARCH_STORE], "readwrite");
+        transaction.objectStore("series").clear();
+        transaction.objectStore(SAVED_SEARCH_STORE).clear();
+        transaction.objectStore(SEARCH_INDEX_STORE).clear();
+        this.invalidateTokenVocabulary();
+        transaction.objectStore("trash").clear();
+        transaction.objectStore("audit_events").clear();
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error("Clear transaction aborted"));
+      });
+      this.audit.clearChainHead();
+      this.notifyWrite({ label: "Clear database", cleared: true });
+    }
+  };
+  var SeriesCache = class {
+    constructor(repository) {
+      this.repository = repository;
+      this.records = null;
+      this.loading = null;
+      this.snapshot = null;
+      this.schedules = null;
+      this.listeners = /* @__PURE__ */ new Set();
+      this.unsubscribe = repository.onWrite((event) => this.applyWrite(event));
+    }
+    get loaded() {
+      return this.records !== null;
+    }
+    get size() {
+      return this.records ? this.records.size : 0;
+    }
+    // Read the store on first use; later calls resolve to the cached records
+    async load() {
+      if (!this.loading) {
+        this.loading = this.repository.getAll().then((items) => {
+          this.records = new Map(items.map((item) => [item._id, item]));
+          this.changed({ type: "load", label: "Load", ids: [...this.records.keys()] });
+        }).catch((error) => {
+          this.loading = null;
+          throw error;
+        });
+      }
+      await this.loading;
+      return this.getAll();
+    }
+    // Records in _id order; treat them as read-only, they are shared with every view
+    getAll() {
+      if (!this.records) return [];
+      if (!this.snapshot) {
+        this.snapshot = [...this.records.values()].sort((a, b) => a._id - b._id);
+      }
+      return this.snapshot;
+    }
+    get(id) {
+      return this.records?.get(id) || null;
+    }
+    getSchedules() {
+      if (!this.schedules) {
+        this.schedules = this.repository.schedulesFrom(this.getAll());
+      }
+      return this.schedules;
+    }
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+    // Writes before the first load are skipped: IndexedDB runs the initial read after any
+    // write transaction started before it, and any later write commits after the read
+    applyWrite({ label, records = [], cleared = false }) {
+      if (!this.records) return;
+      if (cleared) {
+        this.records.clear();
+        this.changed({ type: "clear", label, ids: [] });
+        return;
+      }
+      records.forEach(({ id, record }) => {
+        if (record) {
+          this.records.set(id, { ...record, _id: id });
+        } else {
+          this.records.delete(id);
+        }
+      });
+      this.changed({ type: "change", label, ids: records.map(({ id }) => id) });
+    }
+    changed(event) {
+      this.snapshot = null;
+      this.schedules = null;
+      this.listeners.forEach((listener) => {
+        try {
+          listener(event);
+        } catch (error) {
+          this.repository.onError(error, "Series cache listener");
+        }
+      });
+    }
+  };
+
+  // tasks.js
+  var XLSX_MODULE_URL = "https://unpkg.com/xlsx@0.18.5/xlsx.mjs";
+  var loadXLSX = () => globalThis.XLSX ? Promise.resolve(globalThis.XLSX) : import(XLSX_MODULE_URL);
+  var EXCEL_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+  var TaskCancelledError = class extends Error {
+    constructor(message = "Cancelled") {
+      super(message);
+      this.name = "TaskCancelledError";
+    }
+  };
+  var ImportFileError = class extends Error {
+    constructor(message) {
+      super(message);
+      this.name = "ImportFileError";
+    }
+  };
+  function taskError({ name, message }) {
+    if (name === "TaskCancelledError") return new TaskCancelledError(message);
+    if (name === "ImportFileError") return new ImportFileError(message);
+    return new Error(message);
+  }
+  var orderedByIds = (items, ids) => {
+    const byId = new Map(items.map((item) => [item._id, item]));
+    return ids.map((id) => byId.get(id)).filter(Boolean);
+  };
+  var TASK_HANDLERS = {
+    // Read a JSON or Excel export and classify its rows against the database
+    async parseImport({ file, format }, { repos, loadXLSX: loadXLSX2, signal, progress }) {
+      progress(`Reading ${file.name}`);
+      const content = format === "excel" ? await file.arrayBuffer() : await file.text();
+      signal.throwIfAborted();
+      let rows;
+      let options;
+      if (format === "excel") {
+        progress("Reading the workbook");
+        const XLSX = await loadXLSX2();
+        const workbook = XLSX.read(content, { type: "array" });
+        signal.throwIfAborted();
+        if (!workbook.SheetNames.includes("Series Data")) {
+          throw new ImportFileError('Invalid Excel file: missing "Series Data" sheet');
+        }
+        rows = XLSX.utils.sheet_to_json(workbook.Sheets["Series Data"]).map((row) => repos.series.fromExcelRow(row));
+        if (rows.length === 0) {
+          throw new ImportFileError("No series data found in Excel file");
+        }
+        const metadata = workbook.SheetNames.includes("Metadata") ? XLSX.utils.sheet_to_json(workbook.Sheets["Metadata"])[0] || {} : {};
+        options = {
+          source: "Excel",
+          auditEvents: workbook.SheetNames.includes("Audit Events") ? XLSX.utils.sheet_to_json(workbook.Sheets["Audit Events"]) : [],
+          auditChainHead: metadata.audit_chain_head_hash ? { hash: metadata.audit_chain_head_hash, events: metadata.audit_chain_head_events } : null
+        };
+      } else {
+        progress("Parsing JSON");
+        const data = JSON.parse(content);
+        signal.throwIfAborted();
+        if (!data.series || !Array.isArray(data.series)) {
+          throw new ImportFileError("Invalid import file: missing series array");
+        }
+        rows = data.series;
+        options = {
+          source: "JSON",
+          auditEvents: Array.isArray(data.audit_events) ? data.audit_events : [],
+          auditChainHead: data.metadata?.audit_chain_head,
+          savedSearches: Array.isArray(data.saved_searches) ? data.saved_searches : []
+        };
+      }
+      progress("Checking rows", 0, rows.length);
+      return repos.series.buildImportPreview(rows, {
+        ...options,
+        fileName: file.name,
+        signal,
+        onProgress: (done, total) => progress("Checking rows", done, total)
+      });
+    },
+    // Matching record ids in result order, with the filter pane counts
+    async search({ criteria }, { repos, signal }) {
+      const items = await repos.series.search(criteria);
+      signal.throwIfAborted();
+      const facets = await repos.series.facetCounts(criteria);
+      return { ids: items.map((item) => item._id), facets };
+    },
+    async facetCounts({ criteria }, { repos }) {
+      return repos.series.facetCounts(criteria);
+    },
+    // The JSON export as a file; `ids` limits it to those records, in that order
+    async exportJson({ ids = null }, { repos, signal, progress }) {
+      progress("Reading records");
+      const exported = ids ? await repos.series.export({ series: orderedByIds(await repos.series.getAll(), ids) }) : await repos.series.export();
+      signal.throwIfAborted();
+      progress(`Writing ${exported.series.length} records`);
+      const blob = new Blob([JSON.stringify(exported, null, 2)], { type: "application/json" });
+      return { blob, count: exported.series.length };
+    },
+    // Series, audit events and metadata sheets, flattened for spreadsheet editing
+    async exportExcel(payload, { repos, loadXLSX: loadXLSX2, signal, progress }) {
+      progress("Reading records");
+      const { metadata: exportMetadata, series, audit_events: auditEvents } = await repos.series.export();
+      signal.throwIfAborted();
+      progress(`Writing ${series.length} records`);
+      const XLSX = await loadXLSX2();
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(series.map((item) => repos.series.toExcelRow(item))), "Series Data");
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(auditEvents), "Audit Events");
+      const chainHead = exportMetadata.audit_chain_head;
+      const metadata = {
+        exported_at: exportMetadata.exported_at,
+        version: exportMetadata.version,
+        total_series: exportMetadata.total_series,
+        total_schedules: exportMetadata.total_schedules,
+        export_type: "excel_full_database",
+        audit_chain_head_hash: chainHead.hash,
+        audit_chain_head_events: chainHead.events
+      };
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([metadata]), "Metadata");
+      signal.throwIfAborted();
+      const blob = new Blob([XLSX.write(workbook, { bookType: "xlsx", type: "array" })], { type: EXCEL_MIME_TYPE });
+      return { blob, count: series.length };
+    }
+  };
+  async function runTask(type, payload, context) {
+    const handler = TASK_HANDLERS[type];
+    if (!handler) throw new Error(`Unknown task "${type}"`);
+    context.signal.throwIfAborted();
+    return handler(payload, context);
+  }
+
+  // app.js
+  var APP_CONSTANTS = {
+    DB_NAME: "RecordsRetentionRecords",
+    VIRTUAL_SCROLL_ITEM_HEIGHT: 80,
+    VIRTUAL_SCROLL_BUFFER: 5,
+    SEARCH_DEBOUNCE_MS: 300,
+    COMPLETENESS_THRESHOLDS: {
+      EXCELLENT: 90,
+      GOOD: 75,
+      FAIR: 60
+    },
+    ERROR_TYPES,
+    APPROVAL_STATUS,
+    AUDIT_ACTIONS: ["create", "update", "delete", "restore", "trash_restore", "purge", "undo", "redo", "bulk_edit", "schedule_bulk_update", "schedule_unassigned", "migrate"],
+    AUDIT_LOG_PAGE_SIZE: 50,
+    USER_ROLES: ["Records Manager", "Records Clerk", "Reviewer"],
+    TRASH_PURGE_DAYS_DEFAULT: 30,
+    UNDO_STACK_LIMIT: 50,
+    DEFAULT_SORT: "item_number",
+    // URL hash parameter for each search criteria field; the selected record is `record`
+    LOCATION_HASH_PARAMS: {
+      searchText: "q",
+      scheduleNumber: "schedule",
+      division: "division",
+      divisions: "divisions",
+      divisionMode: "division_mode",
+      approvalStatus: "status",
+      tags: "tags",
+      tagMode: "tag_mode",
+      mediaTypes: "media",
+      mediaMode: "media_mode",
+      sortBy: "sort",
+      sortOrder: "order",
+      thenBy: "then",
+      fuzzy: "relevance",
+      coveredFrom: "covered_from",
+      coveredTo: "covered_to",
+      approvedFrom: "approved_from",
+      approvedTo: "approved_to"
+    },
+    // Search pane date range inputs and the criteria they fill
+    DATE_RANGE_FILTERS: [
+      { label: "Dates covered", from: "coveredFrom", to: "coveredTo", fromInput: "coveredFromFilter", toInput: "coveredToFilter" },
+      { label: "Approval date", from: "approvedFrom", to: "approvedTo", fromInput: "approvedFromFilter", toInput: "approvedToFilter" }
+    ],
+    // Search pane chip pickers: element ids start with `id`, values fill `criteria`, the any/all/none toggle fills `mode`
+    CHIP_FILTERS: [
+      { id: "division", label: "Division", criteria: "divisions", mode: "divisionMode", field: "division", placeholder: "Add division\u2026" },
+      { id: "tag", label: "Tags", criteria: "tags", mode: "tagMode", field: "tags", placeholder: "Add tag\u2026" },
+      { id: "media", label: "Media types", criteria: "mediaTypes", mode: "mediaMode", field: "media_types", placeholder: "Add media type\u2026" }
+    ],
+    CHIP_FILTER_MODE_LABELS: { any: "any of", all: "all of", none: "none of" },
+    // Result breakdown groups, by SEARCH_FACETS key; `qualifier` is the search field used to narrow by a value
+    FACET_PANEL_GROUPS: [
+      { key: "division", label: "Division" },
+      { key: "status", label: "Status" },
+      { key: "media", label: "Media type", qualifier: "media" },
+      { key: "tag", label: "Tags", qualifier: "tag" }
+    ],
+    FACET_PANEL_LIMIT: 8,
+    // Results grid columns, one per series field; ui_extras fields are "ui_extras.<key>".
+    // `width` is in pixels, null shares out the spare room; `empty` shows for a blank value.
+    RESULT_COLUMNS: [
+      { key: "schedule_number", label: "Schedule #", className: "col-app-num", width: 80, empty: "N/A" },
+      { key: "item_number", label: "Item #", className: "col-item-num", width: 80, empty: "N/A" },
+      { key: "record_series_title", label: "Series Title", className: "col-title", width: null, empty: "Untitled" },
+      { key: "division", label: "Division", className: "col-division", width: 120 },
+      { key: "approval_status", label: "Status", width: 100 },
+      { key: "approval_date", label: "Approval Date", width: 110 },
+      { key: "dates_covered_start", label: "Dates From", width: 100 },
+      { key: "dates_covered_end", label: "Dates To", width: 100 },
+      { key: "retention_text", label: "Retention", width: 180 },
+      { key: "tags", label: "Tags", width: 140 },
+      { key: "media_types", label: "Media Types", width: 120 },
+      { key: "omb_or_statute_refs", label: "OMB / Statute Refs", width: 140 },
+      { key: "related_series", label: "Related Series", width: 140 },
+      { key: "notes", label: "Notes", width: 180 },
+      { key: "ui_extras.seriesDescription", label: "Description", width: 200 },
+      { key: "ui_extras.seriesContact", label: "Contact", width: 140 },
+      { key: "ui_extras.seriesLocation", label: "Location", width: 140 },
+      { key: "ui_extras.retentionTerm", label: "Retention Term", width: 100 },
+      { key: "ui_extras.retentionTrigger", label: "Retention Trigger", width: 140 },
+      { key: "ui_extras.volumePaper", label: "Paper Volume", width: 110 },
+      { key: "ui_extras.volumeElectronic", label: "Electronic Volume", width: 110 },
+      { key: "ui_extras.annualPaper", label: "Annual Paper", width: 110 },
+      { key: "ui_extras.annualElectronic", label: "Annual Electronic", width: 110 },
+      { key: "ui_extras.arrangement", label: "Arrangement", width: 140 },
+      { key: "ui_extras.electronicStandard", label: "Electronic Standard", width: 140 },
+      { key: "ui_extras.numberSizeFiles", label: "Number / Size of Files", width: 140 },
+      { key: "ui_extras.indexFindingAids", label: "Finding Aids", width: 140 },
+      { key: "ui_extras.representativeName", label: "Representative", width: 140 },
+      { key: "ui_extras.representativeTitle", label: "Representative Title", width: 140 },
+      { key: "ui_extras.representativePhone", label: "Representative Phone", width: 130 },
+      { key: "ui_extras.recordsOfficerName", label: "Records Officer", width: 140 },
+      { key: "ui_extras.recordsOfficerPhone", label: "Records Officer Phone", width: 130 },
+      { key: "created_at", label: "Created", width: 160, format: "timestamp" },
+      { key: "updated_at", label: "Last Updated", width: 160, format: "timestamp" },
+      { key: "version", label: "Version", width: 70 }
+    ],
+    DEFAULT_RESULT_COLUMNS: ["schedule_number", "item_number", "record_series_title", "division"],
+    RESULT_COLUMN_WIDTH: 140,
+    // For ui_extras fields found in the data but missing above
+    RESULT_COLUMN_MIN_WIDTH: 48,
+    RESULT_COLUMN_FLEX_MIN_WIDTH: 160,
+    RESULT_SELECT_COLUMN_WIDTH: 28,
+    // Tick boxes in front of the chosen columns
+    BULK_EDIT_PREVIEW_LIMIT: 200
+    // Rows listed in the bulk edit preview; the summary counts them all
+  };
+  var ErrorHandler = class {
+    static log(error, context = "", type = APP_CONSTANTS.ERROR_TYPES.DATABASE) {
+      const errorInfo = {
+        timestamp: (/* @__PURE__ */ new Date()).toISOString(),
+        type,
+        context,
+        message: error && error.message ? error.message : error || "Unknown error",
+        stack: error && error.stack ? error.stack : void 0
+      };
+      try {
+        const errors = JSON.parse(localStorage.getItem("iletsb_errors") || "[]");
+        errors.push(errorInfo);
+        if (errors.length > 50) errors.splice(0, errors.length - 50);
+        localStorage.setItem("iletsb_errors", JSON.stringify(errors));
+      } catch (e) {
+      }
+      if (window.location.hostname === "localhost" || window.location.hostname === "127.0.0.1") {
+        console.error(`[${type}] ${context}:`, error);
+      }
+      return errorInfo;
+    }
+    static getStoredErrors() {
+      try {
+        return JSON.parse(localStorage.getItem("iletsb_errors") || "[]");
+      } catch {
+        return [];
+      }
+    }
+    static clearStoredErrors() {
+      localStorage.removeItem("iletsb_errors");
+    }
+  };
+  var InputSanitizer = class {
+    static sanitizeText(input) {
+      if (typeof input !== "string") return input;
+      return input.replace(/[<>"'&]/g, (match) => {
+        const entities = {
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#x27;",
+          "&": "&amp;"
+        };
+        return entities[match];
+      }).trim();
+    }
+    static sanitizeNumber(input) {
+      const num = parseFloat(input);
+      return isNaN(num) ? 0 : num;
+    }
+    static sanitizeDate(input) {
+      if (!input) return "";
+      const date = new Date(input);
+      return isNaN(date.getTime()) ? "" : input;
+    }
+  };
+  var DOMHelper = class _DOMHelper {
+    static clearElement(element) {
+      if (!element) return;
+      while (element.firstChild) {
+        element.removeChild(element.firstChild);
+      }
+    }
+    static createOption(value, text) {
+      const option = document.createElement("option");
+      option.value = InputSanitizer.sanitizeText(value);
+      option.textContent = InputSanitizer.sanitizeText(text);
+      return option;
+    }
+    static setTextContent(element, text) {
+      if (!element) return;
+      element.textContent = InputSanitizer.sanitizeText(text);
+    }
+    // Text with the given [start, end) character ranges wrapped in <mark>
+    static setHighlightedText(element, text, ranges = []) {
+      if (!element) return;
+      _DOMHelper.clearElement(element);
+      let position = 0;
+      ranges.forEach(([start, end]) => {
+        if (start > position) element.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement("mark");
+        mark.textContent = text.slice(start, end);
+        element.appendChild(mark);
+        position = end;
+      });
+      if (position < text.length) element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  };
+  var TaskRunner = class {
+    // getRepos() returns the page's repositories, for running in place and spotting index changes
+    constructor(dbName, getRepos) {
+      this.dbName = dbName;
+      this.getRepos = getRepos;
+      this.pending = /* @__PURE__ */ new Map();
+      this.nextId = 1;
+      this.indexGeneration = null;
+      this.worker = null;
+      if (typeof Worker === "undefined" || window.location.protocol === "file:") return;
+      try {
+        this.worker = new Worker("worker.js", { type: "module" });
+        this.worker.addEventListener("message", (e) => this.handleMessage(e.data));
+        this.worker.addEventListener("error", (e) => this.handleWorkerFailure(e));
+      } catch (error) {
+        ErrorHandler.log(error, "Start background worker");
+        this.worker = null;
+      }
+    }
+    // Start a task; onProgress({ message, done, total }) hears each step. Returns { promise, cancel() }.
+    run(type, payload, { onProgress } = {}) {
+      const id = this.nextId++;
+      const promise = new Promise((resolve, reject) => {
+        const task = { id, type, payload, onProgress, resolve, reject, controller: null };
+        this.pending.set(id, task);
+        if (this.worker) {
+          this.postTask(task);
+        } else {
+          this.runInPlace(task);
+        }
+      });
+      return { promise, cancel: () => this.cancel(id) };
+    }
+    postTask(task) {
+      const generation = this.getRepos().series.searchIndexGeneration;
+      if (generation !== this.indexGeneration) {
+        this.indexGeneration = generation;
+        this.worker.postMessage({ type: "invalidate" });
+      }
+      this.worker.postMessage({ id: task.id, type: task.type, payload: task.payload, dbName: this.dbName });
+    }
+    runInPlace(task) {
+      task.controller = new AbortController();
+      Promise.resolve().then(() => runTask(task.type, task.payload, {
+        repos: this.getRepos(),
+        loadXLSX,
+        signal: task.controller.signal,
+        progress: (message, done, total) => task.onProgress?.({ message, done, total })
+      })).then(task.resolve, task.reject).finally(() => this.pending.delete(task.id));
+    }
+    // Settles the task at once; the worker stops at its next check
+    cancel(id) {
+      const task = this.pending.get(id);
+      if (!task) return;
+      if (task.controller) {
+        task.controller.abort(new TaskCancelledError());
+        return;
+      }
+      this.pending.delete(id);
+      this.worker?.postMessage({ type: "cancel", id });
+      task.reject(new TaskCancelledError());
+    }
+    handleMessage({ id, progress, result, error }) {
+      const task = this.pending.get(id);
+      if (!task) return;
+      if (progress) {
+        task.onProgress?.(progress);
+        return;
+      }
+      this.pending.delete(id);
+      if (error) {
+        task.reject(taskError(error));
+      } else {
+        task.resolve(result);
+      }
+    }
+    // A worker that fails to load (e.g. no module worker support) hands its tasks back to the page
+    handleWorkerFailure(event) {
+      ErrorHandler.log(new Error(event.message || "Background worker failed"), "Background worker");
+      this.worker.terminate();
+      this.worker = null;
+      this.pending.forEach((task) => this.runInPlace(task));
+    }
+  };
+  var RecordsRetentionApp = class {
+    constructor() {
+      this.db = null;
+      this.seriesRepo = null;
+      this.auditRepo = null;
+      this.savedSearchRepo = null;
+      this.seriesCache = null;
+      this.dbName = APP_CONSTANTS.DB_NAME;
+      this.dbVersion = MigrationRunner.latestVersion();
+      this.currentSchedule = null;
+      this.currentSeriesItem = null;
+      this.searchTimeout = null;
+      this.schedules = [];
+      this.seriesItems = [];
+      this.filteredItems = [];
+      this.selectedItemId = null;
+      this.currentUser = null;
+      this.onUserPicked = null;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.resultHighlight = null;
+      this.savedSearches = [];
+      this.locationHash = null;
+      this.filterChips = {};
+      this.filterChoices = {};
+      this.facetCounts = null;
+      this.expandedFacets = /* @__PURE__ */ new Set();
+      this.resultsWindow = null;
+      this.resultsKey = null;
+      this.resultColumns = [];
+      this.sortThenBy = [];
+      this.resizingColumn = false;
+      this.draggedColumn = null;
+      this.checkedIds = /* @__PURE__ */ new Set();
+      this.checkAnchorId = null;
+      this.bulkEditPlan = null;
+      this.tasks = null;
+      this.searchTask = null;
+      this.progressTask = null;
+      this.init();
+    }
+    async init() {
+      try {
+        await this.initDatabase();
+        this.loadUndoHistory();
+        this.setupUserPicker();
+        await this.initUserProfiles();
+        this.initTheme();
+        this.initDiscoMode();
+        this.initRelevanceMode();
+        this.initFacetPanel();
+        this.loadResultLayout();
+        const existingData = await this.getAllSeries();
+        const trashedData = await this.getTrashedSeries();
+        if (existingData.length === 0 && trashedData.length === 0) {
+          await this.loadTestDataIfEmpty();
+        }
+        const purged = await this.autoPurgeTrash();
+        this.initEventListeners();
+        this.restoreSearchPaneState();
+        this.subscribeToSeriesCache();
+        await this.updateUI();
+        await this.loadSavedSearches();
+        await this.applyLocationHash();
+        if (purged > 0) {
+          this.setStatus(`Ready. Purged ${purged} record${purged !== 1 ? "s" : ""} older than ${this.getTrashPurgeDays()} days from the trash`, "info");
+        } else {
+          this.setStatus("Ready");
+        }
+      } catch (error) {
+        ErrorHandler.log(error, "App initialization");
+        this.setStatus("Error initializing application: " + error.message, "error");
+      }
+    }
+    async loadTestDataIfEmpty() {
+      try {
+        if (window.location.protocol === "file:") {
+          return;
+        }
+        const response = await fetch("./test-import.json");
+        if (response.ok) {
+          const testData = await response.json();
+          if (testData.series && testData.series.length > 0) {
+            for (const item of testData.series) {
+              await this.upsertSeries(this.normalizeImportedSeries(item));
+            }
+            this.clearUndoHistory();
+            this.setStatus("Test data loaded successfully", "success");
+          }
+        }
+      } catch (error) {
+        console.log("Test data not loaded:", error.message);
+      }
+    }
+    // Database Management
+    // Storage, search, import and export live in repository.js; the methods below delegate to it
+    async initDatabase() {
+      const { db, series, audit, savedSearches } = await openRepositories({
+        name: this.dbName,
+        version: this.dbVersion,
+        getActor: () => this.getCurrentActor(),
+        onChange: (label, changes) => this.pushUndoEntry(label, changes),
+        onError: (error, context) => ErrorHandler.log(error, context)
+      });
+      this.db = db;
+      this.seriesRepo = series;
+      this.auditRepo = audit;
+      this.savedSearchRepo = savedSearches;
+      this.seriesCache = new SeriesCache(series);
+      this.tasks = new TaskRunner(this.dbName, () => ({ db, series, audit, savedSearches }));
+    }
+    async getMigrationBackups() {
+      if (!this.db.objectStoreNames.contains(MigrationRunner.BACKUP_STORE)) return [];
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([MigrationRunner.BACKUP_STORE], "readonly");
+        const request = transaction.objectStore(MigrationRunner.BACKUP_STORE).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async getAllSchedules() {
+      await this.seriesCache.load();
+      return this.seriesCache.getSchedules();
+    }
+    async getAllSeries() {
+      return this.seriesCache.load();
+    }
+    // Same as SeriesRepository.saveSchedule(), with the matching records taken from the cache
+    async saveSchedule(schedule, isUpdate = false) {
+      const matchingSeries = (await this.getAllSeries()).filter((s) => s.schedule_number === schedule.schedule_number);
+      if (matchingSeries.length === 0) return schedule;
+      return this.seriesRepo.bulkUpdateSchedule(schedule, matchingSeries, isUpdate);
+    }
+    async saveSeries(item, isUpdate = false, options = {}) {
+      return this.seriesRepo.save(item, isUpdate, options);
+    }
+    // Offer to open the record a duplicate save collided with
+    promptOpenConflictingRecord(error) {
+      if (!(error instanceof DuplicateSeriesError)) return false;
+      this.setStatus(error.message, "error");
+      if (confirm(`${error.message}
+
+Open the existing record?`)) {
+        this.selectSeriesItem(error.conflict);
+      }
+      return true;
+    }
+    normalizeImportedSeries(item) {
+      return this.seriesRepo.normalize(item);
+    }
+    async upsertSeries(item) {
+      return this.seriesRepo.upsert(item);
+    }
+    formatImportSummary(counts, errorCount = 0) {
+      const parts = [
+        `${counts.created} created`,
+        `${counts.updated} updated`,
+        `${counts.skipped} skipped`
+      ];
+      if (errorCount > 0) {
+        parts.push(`${errorCount} error${errorCount !== 1 ? "s" : ""}`);
+      }
+      return parts.join(", ");
+    }
+    async deleteSeries(id) {
+      return this.seriesRepo.delete(id);
+    }
+    async getTrashedSeries() {
+      return this.seriesRepo.getTrashed();
+    }
+    async restoreFromTrash(id) {
+      return this.seriesRepo.restoreFromTrash(id);
+    }
+    async purgeTrashedSeries(ids, options = {}) {
+      return this.seriesRepo.purge(ids, options);
+    }
+    // Days a record stays in the trash before it is purged automatically; 0 keeps it forever
+    getTrashPurgeDays() {
+      try {
+        const stored = localStorage.getItem("iletsb_trash_purge_days");
+        const days = stored === null ? APP_CONSTANTS.TRASH_PURGE_DAYS_DEFAULT : parseInt(stored, 10);
+        return Number.isNaN(days) || days < 0 ? APP_CONSTANTS.TRASH_PURGE_DAYS_DEFAULT : days;
+      } catch (e) {
+        return APP_CONSTANTS.TRASH_PURGE_DAYS_DEFAULT;
+      }
+    }
+    setTrashPurgeDays(days) {
+      try {
+        localStorage.setItem("iletsb_trash_purge_days", String(days));
+      } catch (e) {
+      }
+    }
+    async autoPurgeTrash() {
+      return this.seriesRepo.autoPurge(this.getTrashPurgeDays());
+    }
+    // Undo / Redo
+    // Each entry holds, per touched record, its full state in the series and trash
+    // stores before and after the operation. Undo writes the "before" states back,
+    // redo the "after" states, both in one transaction.
+    pushUndoEntry(label, changes) {
+      this.undoStack.push({ label, at: (/* @__PURE__ */ new Date()).toISOString(), changes });
+      if (this.undoStack.length > APP_CONSTANTS.UNDO_STACK_LIMIT) {
+        this.undoStack.shift();
+      }
+      this.redoStack = [];
+      this.saveUndoHistory();
+      this.updateUndoButtons();
+    }
+    clearUndoHistory() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.saveUndoHistory();
+      this.updateUndoButtons();
+    }
+    // sessionStorage: the stacks survive a reload but not a new session
+    loadUndoHistory() {
+      try {
+        const stored = JSON.parse(sessionStorage.getItem("iletsb_undo_history") || "null");
+        this.undoStack = stored?.undo || [];
+        this.redoStack = stored?.redo || [];
+      } catch (e) {
+        this.undoStack = [];
+        this.redoStack = [];
+      }
+    }
+    saveUndoHistory() {
+      const undo = [...this.undoStack];
+      const redo = [...this.redoStack];
+      while (true) {
+        try {
+          sessionStorage.setItem("iletsb_undo_history", JSON.stringify({ undo, redo }));
+          return;
+        } catch (e) {
+          if (e?.name !== "QuotaExceededError") return;
+          if (undo.length > 0) {
+            undo.shift();
+          } else if (redo.length > 0) {
+            redo.shift();
+          } else {
+            return;
+          }
+        }
+      }
+    }
+    async undo() {
+      return this.stepUndoHistory(this.undoStack, this.redoStack, "undo");
+    }
+    async redo() {
+      return this.stepUndoHistory(this.redoStack, this.undoStack, "redo");
+    }
+    async stepUndoHistory(fromStack, toStack, direction) {
+      const entry = fromStack[fromStack.length - 1];
+      if (!entry) return null;
+      await this.applyUndoEntry(entry, direction);
+      fromStack.pop();
+      toStack.push(entry);
+      this.saveUndoHistory();
+      this.updateUndoButtons();
+      return entry;
+    }
+    applyUndoEntry(entry, direction) {
+      return this.seriesRepo.applyChanges(entry, direction);
+    }
+    async verifyAuditIntegrity() {
+      return this.auditRepo.verify();
+    }
+    async runAuditIntegrityCheck() {
+      try {
+        this.setStatus("Verifying audit integrity...", "info");
+        const result = await this.verifyAuditIntegrity();
+        let message;
+        if (result.ok) {
+          message = `Audit trail intact: ${result.verified} event${result.verified !== 1 ? "s" : ""} verified.`;
+        } else if (result.event) {
+          message = `Audit chain broken at event ${result.index + 1} (${result.event.action} on ${result.event.entity} ${result.event.entity_id}, ${result.event.at}): ${result.reason}.`;
+        } else {
+          message = `Audit chain broken: ${result.reason}.`;
+        }
+        this.setStatus(message, result.ok ? "success" : "error");
+        alert(message);
+        return result;
+      } catch (error) {
+        ErrorHandler.log(error, "Verify audit integrity");
+        this.setStatus(`Error verifying audit integrity: ${error.message}`, "error");
+      }
+    }
+    // User Profiles
+    // Local profiles only attribute audit events on a shared workstation; they are not authentication.
+    getCurrentActor() {
+      return this.currentUser ? this.currentUser.name : "local-user";
+    }
+    async getAllUsers() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["users"], "readonly");
+        const request = transaction.objectStore("users").getAll();
+        request.onsuccess = () => {
+          const users = request.result || [];
+          users.sort((a, b) => String(b.last_used_at || "").localeCompare(String(a.last_used_at || "")));
+          resolve(users);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    async saveUser(user) {
+      const name = String(user.name || "").trim();
+      if (!name) {
+        throw new Error("Profile name is required");
+      }
+      const record = {
+        ...user,
+        name,
+        initials: String(user.initials || "").trim().toUpperCase() || this.deriveInitials(name),
+        role: user.role || APP_CONSTANTS.USER_ROLES[0],
+        created_at: user.created_at || (/* @__PURE__ */ new Date()).toISOString()
+      };
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(["users"], "readwrite");
+        const store = transaction.objectStore("users");
+        const request = record._id ? store.put(record) : store.add(record);
+        request.onsuccess = () => {
+          record._id = request.result;
+        };
+        request.onerror = (event) => {
+          if (request.error && request.error.name === "ConstraintError") {
+            event.preventDefault();
+            const error = new Error(`A profile named "${name}" already exists`);
+            error.type = APP_CONSTANTS.ERROR_TYPES.VALIDATION;
+            reject(error);
+            return;
+          }
+          reject(request.error);
+        };
+        transaction.oncomplete = () => resolve(record);
+      });
+    }
+    deriveInitials(name) {
+      return name.split(/\s+/).filter(Boolean).map((part) => part[0]).join("").slice(0, 3).toUpperCase();
+    }
+    async setCurrentUser(user) {
+      const updated = await this.saveUser({ ...user, last_used_at: (/* @__PURE__ */ new Date()).toISOString() });
+      this.currentUser = updated;
+      try {
+        localStorage.setItem("iletsb_current_user", String(updated._id));
+      } catch (e) {
+      }
+      this.renderCurrentUser();
+      this.loadResultLayout();
+      this.renderResultsWindow(true);
+      return updated;
+    }
+    getRememberedUserId() {
+      try {
+        const id = parseInt(localStorage.getItem("iletsb_current_user"), 10);
+        return Number.isNaN(id) ? null : id;
+      } catch (e) {
+        return null;
+      }
+    }
+    async getAllAuditEvents() {
+      return this.auditRepo.getAll();
+    }
+    async getAuditEventsForSeries(id) {
+      return this.auditRepo.getForSeries(id);
+    }
+    async restoreSeriesVersion(id, sourceEvent) {
+      return this.seriesRepo.restoreVersion(id, sourceEvent);
+    }
+    async queryAuditEvents(criteria = {}) {
+      return this.auditRepo.query(criteria);
+    }
+    // Search in the background; a newer search cancels an older one still running.
+    // Resolves to { items, facets }, or rejects with TaskCancelledError when superseded.
+    async searchAndFilterSeries(searchCriteria = {}) {
+      this.searchTask?.cancel();
+      const task = this.tasks.run("search", { criteria: searchCriteria });
+      this.searchTask = task;
+      try {
+        const { ids, facets } = await task.promise;
+        await this.seriesCache.load();
+        return { items: ids.map((id) => this.seriesCache.get(id)).filter(Boolean), facets };
+      } finally {
+        if (this.searchTask === task) this.searchTask = null;
+      }
+    }
+    // Progress panel for long background tasks
+    // Run a task with the progress panel up and its Cancel button wired to it
+    async runWithProgress(title, type, payload) {
+      const task = this.tasks.run(type, payload, {
+        onProgress: (progress) => this.showTaskProgress(task, title, progress)
+      });
+      this.showTaskProgress(task, title, { message: "Starting..." });
+      try {
+        return await task.promise;
+      } finally {
+        this.hideTaskProgress(task);
+      }
+    }
+    showTaskProgress(task, title, { message, done, total }) {
+      const panel = document.getElementById("taskProgress");
+      if (!panel) return;
+      this.progressTask = task;
+      document.getElementById("taskProgressTitle").textContent = title;
+      document.getElementById("taskProgressMessage").textContent = total ? `${message}: ${done.toLocaleString()} of ${total.toLocaleString()}` : message;
+      const bar = document.getElementById("taskProgressBar");
+      if (total) {
+        bar.value = done / total;
+      } else {
+        bar.removeAttribute("value");
+      }
+      const cancelBtn = document.getElementById("taskProgressCancelBtn");
+      cancelBtn.disabled = false;
+      panel.classList.remove("hidden");
+    }
+    hideTaskProgress(task) {
+      if (this.progressTask !== task) return;
+      this.progressTask = null;
+      document.getElementById("taskProgress")?.classList.add("hidden");
+    }
+    cancelProgressTask() {
+      if (!this.progressTask) return;
+      document.getElementById("taskProgressCancelBtn").disabled = true;
+      document.getElementById("taskProgressMessage").textContent = "Cancelling...";
+      this.progressTask.cancel();
+    }
+    // UI Event Handlers
+    initEventListeners() {
+      const newScheduleBtn = document.getElementById("newScheduleBtn");
+      if (newScheduleBtn) {
+        newScheduleBtn.addEventListener("click", () => this.createNewSchedule());
+      }
+      document.getElementById("newSeriesBtn").addEventListener("click", () => this.selectSeriesItem(null));
+      document.getElementById("themeToggle").addEventListener("click", () => this.toggleTheme());
+      document.getElementById("importFile").addEventListener("change", (e) => this.importData(e));
+      document.getElementById("importExcelFile").addEventListener("change", (e) => this.importFromExcel(e));
+      document.getElementById("searchInput").addEventListener("input", (e) => this.debounceSearch(e.target.value));
+      document.getElementById("scheduleFilter").addEventListener("change", () => this.applyFilters());
+      document.getElementById("statusFilter").addEventListener("change", () => this.applyFilters());
+      document.getElementById("clearFiltersBtn").addEventListener("click", () => this.clearFilters());
+      document.getElementById("sortBy").addEventListener("change", () => this.applyFilters());
+      document.getElementById("sortOrder").addEventListener("change", () => this.applyFilters());
+      document.getElementById("columnChooserBtn").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleColumnChooser();
+      });
+      document.getElementById("relevanceMode").addEventListener("change", (e) => {
+        this.setRelevanceMode(e.target.checked);
+        this.applyFilters();
+      });
+      APP_CONSTANTS.DATE_RANGE_FILTERS.forEach((filter) => {
+        [filter.fromInput, filter.toInput].forEach((id) => {
+          document.getElementById(id).addEventListener("change", () => this.applyFilters());
+        });
+      });
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        document.getElementById(`${filter.id}ChipAdd`).addEventListener("change", (e) => {
+          const value = e.target.value;
+          e.target.value = "";
+          if (value) this.addFilterChip(filter, value);
+        });
+        document.getElementById(`${filter.id}FilterMode`).addEventListener("change", () => {
+          if (this.getFilterChips(filter).length > 0) this.applyFilters();
+        });
+      });
+      document.getElementById("saveSearchBtn").addEventListener("click", () => this.saveCurrentSearch());
+      document.getElementById("taskProgressCancelBtn").addEventListener("click", () => this.cancelProgressTask());
+      document.getElementById("facetToggleBtn").addEventListener("click", (e) => {
+        this.setFacetPanelCollapsed(e.currentTarget.getAttribute("aria-expanded") === "true");
+      });
+      window.addEventListener("hashchange", () => this.applyLocationHash());
+      document.getElementById("searchToggleBtn").addEventListener("click", () => this.toggleSearchPane());
+      this.setupTabNavigation();
+      document.getElementById("scheduleForm").addEventListener("submit", (e) => this.handleScheduleSubmit(e));
+      const seriesForm = document.getElementById("seriesForm");
+      if (seriesForm) {
+        seriesForm.addEventListener("submit", (e) => this.handleSeriesSubmit(e));
+      } else {
+        console.error("seriesForm element not found during event listener setup");
+      }
+      document.getElementById("cancelScheduleBtn").addEventListener("click", () => this.cancelScheduleEdit());
+      document.getElementById("cancelSeriesBtn").addEventListener("click", () => this.cancelSeriesEdit());
+      document.getElementById("deleteScheduleBtn").addEventListener("click", () => this.confirmDeleteSchedule());
+      document.getElementById("deleteSeriesBtn").addEventListener("click", () => this.confirmDeleteSeriesItem());
+      document.getElementById("cloneRecordBtn").addEventListener("click", () => this.cloneCurrentRecord());
+      document.getElementById("confirmBtn").addEventListener("click", () => this.handleConfirm());
+      document.getElementById("cancelBtn").addEventListener("click", () => this.hideModal());
+      document.querySelectorAll(".chip").forEach((chip) => {
+        chip.addEventListener("click", (e) => {
+          const value = e.target.dataset.value;
+          const select = e.target.closest(".form-group").querySelector("select");
+          if (select) {
+            select.value = value;
+            this.updateChipSelection(e.target.parentElement, value);
+          }
+        });
+      });
+      document.querySelectorAll(".converter-btn").forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const unit = e.target.dataset.unit;
+          const input = e.target.closest(".form-group").querySelector('input[type="text"]');
+          if (input) {
+            const currentValue = input.value.trim();
+            input.value = currentValue ? `${currentValue} ${unit}` : unit;
+          }
+        });
+      });
+      document.querySelectorAll(".form-control").forEach((input) => {
+        input.addEventListener("blur", (e) => this.validateField(e.target));
+        input.addEventListener("input", (e) => this.clearFieldError(e.target));
+      });
+      document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") {
+          this.handleEscapeKey();
+        } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+          this.handleSaveShortcut();
+        } else if (e.key.toLowerCase() === "z" && (e.ctrlKey || e.metaKey)) {
+          this.handleUndoShortcut(e);
+        } else {
+          this.handleKeydown(e);
+        }
+      });
+      this.setupAdminMenu();
+      this.setupImportStatusModal();
+      this.setupAuditLog();
+      this.setupTrash();
+      this.setupBulkEdit();
+      this.setupUndoButtons();
+      document.addEventListener("click", (e) => this.handleGlobalClick(e));
+    }
+    setupAdminMenu() {
+      const adminMenuBtn = document.getElementById("adminMenuBtn");
+      const adminDropdown = document.getElementById("adminDropdown");
+      const newSeriesBtn = document.getElementById("newSeriesBtn");
+      const exportBtn = document.getElementById("exportBtn");
+      const exportExcelBtn = document.getElementById("exportExcelBtn");
+      const importBtn = document.getElementById("importBtn");
+      const importExcelBtn = document.getElementById("importExcelBtn");
+      const exportFilteredBtn = document.getElementById("exportFilteredBtn");
+      const clearDbBtn = document.getElementById("clearDbBtn");
+      const auditLogBtn = document.getElementById("auditLogBtn");
+      const verifyAuditBtn = document.getElementById("verifyAuditBtn");
+      const trashBtn = document.getElementById("trashBtn");
+      const migrationBackupsBtn = document.getElementById("migrationBackupsBtn");
+      const rebuildIndexBtn = document.getElementById("rebuildIndexBtn");
+      if (!adminMenuBtn || !adminDropdown) return;
+      adminMenuBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const isExpanded = adminMenuBtn.getAttribute("aria-expanded") === "true";
+        document.querySelectorAll(".dropdown").forEach((dropdown) => {
+          if (dropdown !== adminDropdown) {
+            dropdown.classList.add("hidden");
+          }
+        });
+        if (isExpanded) {
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        } else {
+          adminDropdown.classList.remove("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "true");
+        }
+      });
+      if (newSeriesBtn) {
+        newSeriesBtn.addEventListener("click", () => {
+          this.selectSeriesItem(null);
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (exportBtn) {
+        exportBtn.addEventListener("click", () => {
+          this.exportData();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (exportExcelBtn) {
+        exportExcelBtn.addEventListener("click", () => {
+          this.exportToExcel();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (importBtn) {
+        importBtn.addEventListener("click", () => {
+          this.showImportModal();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (importExcelBtn) {
+        importExcelBtn.addEventListener("click", () => {
+          document.getElementById("importExcelFile").click();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (exportFilteredBtn) {
+        exportFilteredBtn.addEventListener("click", () => {
+          this.exportFilteredData();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (auditLogBtn) {
+        auditLogBtn.addEventListener("click", () => {
+          this.showAuditLog();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (verifyAuditBtn) {
+        verifyAuditBtn.addEventListener("click", () => {
+          this.runAuditIntegrityCheck();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (trashBtn) {
+        trashBtn.addEventListener("click", () => {
+          this.showTrash();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (migrationBackupsBtn) {
+        migrationBackupsBtn.addEventListener("click", () => {
+          this.exportMigrationBackups();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (rebuildIndexBtn) {
+        rebuildIndexBtn.addEventListener("click", () => {
+          this.rebuildSearchIndex();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+      if (clearDbBtn) {
+        clearDbBtn.addEventListener("click", () => {
+          this.confirmClearDatabase();
+          adminDropdown.classList.add("hidden");
+          adminMenuBtn.setAttribute("aria-expanded", "false");
+        });
+      }
+    }
+    // Audit Log Browser
+    setupAuditLog() {
+      const actionSelect = document.getElementById("auditAction");
+      if (actionSelect) {
+        APP_CONSTANTS.AUDIT_ACTIONS.forEach((action) => {
+          actionSelect.appendChild(DOMHelper.createOption(action, action.replace(/_/g, " ")));
+        });
+      }
+      const filters = document.getElementById("auditLogFilters");
+      if (filters) {
+        filters.addEventListener("submit", (e) => {
+          e.preventDefault();
+          this.applyAuditLogFilters();
+        });
+      }
+      const bindings = {
+        auditResetBtn: () => this.resetAuditLogFilters(),
+        auditPrevBtn: () => this.changeAuditLogPage(-1),
+        auditNextBtn: () => this.changeAuditLogPage(1),
+        auditExportCsvBtn: () => this.exportAuditLog("csv"),
+        auditExportJsonBtn: () => this.exportAuditLog("json"),
+        closeAuditLog: () => this.hideAuditLog(),
+        auditLogCloseBtn: () => this.hideAuditLog()
+      };
+      Object.entries(bindings).forEach(([id, handler]) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener("click", handler);
+      });
+    }
+    async showAuditLog() {
+      const modal = document.getElementById("auditLogModal");
+      if (modal) modal.classList.remove("hidden");
+      await this.populateAuditActorOptions();
+      await this.applyAuditLogFilters();
+    }
+    // Profiles plus any actor already in the log (e.g. 'local-user' or names from imported history)
+    async populateAuditActorOptions() {
+      const select = document.getElementById("auditActor");
+      if (!select) return;
+      try {
+        const [users, events] = await Promise.all([this.getAllUsers(), this.getAllAuditEvents()]);
+        const actors = new Set(users.map((user) => user.name));
+        events.forEach((event) => {
+          if (event.actor) actors.add(event.actor);
+        });
+        const selected = select.value;
+        DOMHelper.clearElement(select);
+        select.appendChild(DOMHelper.createOption("", "All Users"));
+        [...actors].sort((a, b) => a.localeCompare(b)).forEach((actor) => {
+          const option = document.createElement("option");
+          option.value = actor;
+          option.textContent = actor;
+          select.appendChild(option);
+        });
+        select.value = actors.has(selected) ? selected : "";
+      } catch (error) {
+        ErrorHandler.log(error, "Load audit actors");
+      }
+    }
+    hideAuditLog() {
+      const modal = document.getElementById("auditLogModal");
+      if (modal) modal.classList.add("hidden");
+    }
+    buildAuditLogCriteria() {
+      const value = (id) => document.getElementById(id)?.value.trim() || "";
+      const criteria = {};
+      if (value("auditFrom")) criteria.from = (/* @__PURE__ */ new Date(`${value("auditFrom")}T00:00:00`)).toISOString();
+      if (value("auditTo")) criteria.to = (/* @__PURE__ */ new Date(`${value("auditTo")}T23:59:59.999`)).toISOString();
+      if (value("auditAction")) criteria.action = value("auditAction");
+      if (value("auditActor")) criteria.actor = value("auditActor");
+      if (value("auditSchedule")) criteria.scheduleNumber = value("auditSchedule");
+      if (value("auditDivision")) criteria.division = value("auditDivision");
+      if (value("auditText")) criteria.text = value("auditText");
+      return criteria;
+    }
+    async applyAuditLogFilters() {
+      try {
+        this.auditLogCriteria = this.buildAuditLogCriteria();
+        this.auditLogResults = await this.queryAuditEvents(this.auditLogCriteria);
+        this.auditLogPage = 0;
+        this.renderAuditLogPage();
+      } catch (error) {
+        ErrorHandler.log(error, "Query audit log");
+        this.setStatus(`Error loading audit log: ${error.message}`, "error");
+      }
+    }
+    resetAuditLogFilters() {
+      const filters = document.getElementById("auditLogFilters");
+      if (filters) filters.reset();
+      this.applyAuditLogFilters();
+    }
+    changeAuditLogPage(delta) {
+      const pageCount = Math.max(1, Math.ceil((this.auditLogResults || []).length / APP_CONSTANTS.AUDIT_LOG_PAGE_SIZE));
+      const nextPage = Math.min(Math.max((this.auditLogPage || 0) + delta, 0), pageCount - 1);
+      if (nextPage === this.auditLogPage) return;
+      this.auditLogPage = nextPage;
+      this.renderAuditLogPage();
+    }
+    renderAuditLogPage() {
+      const body = document.getElementById("auditLogBody");
+      const summary = document.getElementById("auditLogSummary");
+      const pageLabel = document.getElementById("auditPageLabel");
+      const prevBtn = document.getElementById("auditPrevBtn");
+      const nextBtn = document.getElementById("auditNextBtn");
+      if (!body) return;
+      const results = this.auditLogResults || [];
+      const pageSize = APP_CONSTANTS.AUDIT_LOG_PAGE_SIZE;
+      const pageCount = Math.max(1, Math.ceil(results.length / pageSize));
+      const start = this.auditLogPage * pageSize;
+      DOMHelper.clearElement(body);
+      results.slice(start, start + pageSize).forEach((event) => {
+        const row = this.describeAuditEvent(event);
+        const tr = document.createElement("tr");
+        [
+          row.at ? new Date(row.at).toLocaleString() : "",
+          row.action.replace(/_/g, " "),
+          row.actor,
+          `${row.schedule_number || "\u2014"} / ${row.item_number || "\u2014"}`,
+          row.record_series_title || "",
+          row.changed_fields
+        ].forEach((text) => {
+          const td = document.createElement("td");
+          DOMHelper.setTextContent(td, text);
+          tr.appendChild(td);
+        });
+        body.appendChild(tr);
+      });
+      if (summary) {
+        summary.textContent = results.length > 0 ? `${results.length} event${results.length !== 1 ? "s" : ""} match; showing ${start + 1}-${Math.min(start + pageSize, results.length)}` : "No audit events match these filters";
+      }
+      if (pageLabel) pageLabel.textContent = `Page ${this.auditLogPage + 1} of ${pageCount}`;
+      if (prevBtn) prevBtn.disabled = this.auditLogPage === 0;
+      if (nextBtn) nextBtn.disabled = this.auditLogPage >= pageCount - 1;
+    }
+    // Flatten an audit event into the columns shown on screen and exported to CSV
+    describeAuditEvent(event) {
+      const payload = event.payload || {};
+      const current = payload.after || payload.before || {};
+      const changedFields = payload.before && payload.after ? this.diffSeriesFields(payload.before, payload.after).map((change) => change.field) : payload.bulk_update_fields || [];
+      return {
+        at: event.at || "",
+        action: event.action || "",
+        actor: event.actor || "",
+        entity: event.entity || "",
+        entity_id: event.entity_id ?? "",
+        schedule_number: payload.schedule_number || current.schedule_number || "",
+        item_number: payload.item_number || current.item_number || "",
+        record_series_title: payload.record_series_title || current.record_series_title || "",
+        division: current.division || "",
+        changed_fields: changedFields.join("; ")
+      };
+    }
+    exportAuditLog(format) {
+      const results = this.auditLogResults || [];
+      if (results.length === 0) {
+        this.setStatus("No audit events to export with current filters", "error");
+        return;
+      }
+      try {
+        const date = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
+        if (format === "csv") {
+          const columns = [
+            "at",
+            "action",
+            "actor",
+            "entity",
+            "entity_id",
+            "schedule_number",
+            "item_number",
+            "record_series_title",
+            "division",
+            "changed_fields",
+            "payload"
+          ];
+          const toCsvValue = (value) => {
+            const text = value == null ? "" : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+          };
+          const lines = [columns.join(",")];
+          results.forEach((event) => {
+            const row = { ...this.describeAuditEvent(event), payload: JSON.stringify(event.payload || {}) };
+            lines.push(columns.map((column) => toCsvValue(row[column])).join(","));
+          });
+          this.downloadFile(lines.join("\r\n"), `iletsb-audit-log-${date}.csv`, "text/csv");
+        } else {
+          const exportData = {
+            metadata: {
+              exported_at: (/* @__PURE__ */ new Date()).toISOString(),
+              filters: this.auditLogCriteria || {},
+              total_events: results.length
+            },
+            audit_events: results
+          };
+          this.downloadFile(JSON.stringify(exportData, null, 2), `iletsb-audit-log-${date}.json`, "application/json");
+        }
+        this.setStatus(`Exported ${results.length} audit events`, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Export audit log", APP_CONSTANTS.ERROR_TYPES.EXPORT);
+        this.setStatus(`Error exporting audit log: ${error.message}`, "error");
+      }
+    }
+    // Snapshots taken automatically before destructive schema migrations
+    async exportMigrationBackups() {
+      try {
+        const backups = await this.getMigrationBackups();
+        if (backups.length === 0) {
+          this.setStatus("No pre-migration backups on this workstation", "info");
+          return;
+        }
+        const date = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
+        this.downloadFile(JSON.stringify(backups, null, 2), `iletsb-migration-backups-${date}.json`, "application/json");
+        this.setStatus(`Exported ${backups.length} pre-migration backup${backups.length !== 1 ? "s" : ""}`, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Export migration backups", APP_CONSTANTS.ERROR_TYPES.EXPORT);
+        this.setStatus(`Error exporting migration backups: ${error.message}`, "error");
+      }
+    }
+    // The index is kept up to date on every write; this recovers it if it ever drifts
+    async rebuildSearchIndex() {
+      try {
+        this.setStatus("Rebuilding search index...", "info");
+        const indexed = await this.seriesRepo.rebuildSearchIndex();
+        await this.applyFilters();
+        this.setStatus(`Search index rebuilt for ${indexed} series record${indexed !== 1 ? "s" : ""}`, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Rebuild search index");
+        this.setStatus(`Error rebuilding search index: ${error.message}`, "error");
+      }
+    }
+    downloadFile(content, filename, type) {
+      this.downloadBlob(new Blob([content], { type }), filename);
+    }
+    downloadBlob(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }
+    setupImportStatusModal() {
+      const commitBtn = document.getElementById("importCommitBtn");
+      const cancelBtn = document.getElementById("importCancelBtn");
+      const closeBtn = document.getElementById("closeImportStatus");
+      const footerCloseBtn = document.getElementById("importStatusCloseBtn");
+      if (commitBtn) commitBtn.addEventListener("click", () => this.commitPendingImport());
+      [cancelBtn, closeBtn, footerCloseBtn].forEach((btn) => {
+        if (btn) btn.addEventListener("click", () => this.cancelPendingImport());
+      });
+    }
+    // User Profile Picker
+    setupUserPicker() {
+      const roleSelect = document.getElementById("newUserRole");
+      if (roleSelect) {
+        APP_CONSTANTS.USER_ROLES.forEach((role) => {
+          roleSelect.appendChild(DOMHelper.createOption(role, role));
+        });
+      }
+      const form = document.getElementById("newUserForm");
+      if (form) {
+        form.addEventListener("submit", (e) => {
+          e.preventDefault();
+          this.handleCreateUserProfile();
+        });
+      }
+      const currentUserBtn = document.getElementById("currentUserBtn");
+      if (currentUserBtn) currentUserBtn.addEventListener("click", () => this.showUserPicker());
+      const closeBtn = document.getElementById("closeUserPicker");
+      if (closeBtn) closeBtn.addEventListener("click", () => this.hideUserPicker());
+    }
+    // Shared workstation: ask who is working every time the app starts.
+    // Resolves once a profile is picked.
+    async initUserProfiles() {
+      try {
+        const users = await this.getAllUsers();
+        const rememberedId = this.getRememberedUserId();
+        this.renderCurrentUser();
+        if (!document.getElementById("userPickerModal")) return;
+        const picked = new Promise((resolve) => {
+          this.onUserPicked = resolve;
+        });
+        await this.showUserPicker(users, rememberedId);
+        await picked;
+      } catch (error) {
+        ErrorHandler.log(error, "Load user profiles");
+        this.setStatus(`Error loading user profiles: ${error.message}`, "error");
+      }
+    }
+    async showUserPicker(users = null, highlightId = null) {
+      const modal = document.getElementById("userPickerModal");
+      if (!modal) return;
+      try {
+        const profiles = users || await this.getAllUsers();
+        this.renderUserPickerList(profiles, highlightId ?? this.currentUser?._id);
+      } catch (error) {
+        ErrorHandler.log(error, "Show user picker");
+      }
+      const closeBtn = document.getElementById("closeUserPicker");
+      if (closeBtn) closeBtn.classList.toggle("hidden", !this.currentUser);
+      modal.classList.remove("hidden");
+    }
+    hideUserPicker() {
+      if (!this.currentUser) return;
+      const modal = document.getElementById("userPickerModal");
+      if (modal) modal.classList.add("hidden");
+    }
+    renderUserPickerList(users, highlightId) {
+      const list = document.getElementById("userPickerList");
+      if (!list) return;
+      DOMHelper.clearElement(list);
+      if (users.length === 0) {
+        const empty = document.createElement("p");
+        empty.className = "user-picker-empty";
+        DOMHelper.setTextContent(empty, "No profiles yet. Create one below to start.");
+        list.appendChild(empty);
+        return;
+      }
+      users.forEach((user) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "user-picker-item";
+        if (user._id === highlightId) button.classList.add("active");
+        const initials = document.createElement("span");
+        initials.className = "user-initials";
+        DOMHelper.setTextContent(initials, user.initials);
+        const name = document.createElement("span");
+        name.className = "user-picker-name";
+        DOMHelper.setTextContent(name, user.name);
+        const role = document.createElement("span");
+        role.className = "user-picker-role";
+        DOMHelper.setTextContent(role, user.role);
+        button.appendChild(initials);
+        button.appendChild(name);
+        button.appendChild(role);
+        button.addEventListener("click", () => this.selectUserProfile(user));
+        list.appendChild(button);
+      });
+    }
+    async selectUserProfile(user) {
+      try {
+        await this.setCurrentUser(user);
+        this.hideUserPicker();
+        this.setStatus(`Working as ${user.name}`, "success");
+        this.onUserPicked?.();
+        this.onUserPicked = null;
+      } catch (error) {
+        ErrorHandler.log(error, "Select user profile");
+        this.setStatus(`Error selecting profile: ${error.message}`, "error");
+      }
+    }
+    async handleCreateUserProfile() {
+      const value = (id) => document.getElementById(id)?.value.trim() || "";
+      try {
+        const user = await this.saveUser({
+          name: value("newUserName"),
+          initials: value("newUserInitials"),
+          role: value("newUserRole")
+        });
+        document.getElementById("newUserForm")?.reset();
+        await this.selectUserProfile(user);
+      } catch (error) {
+        ErrorHandler.log(error, "Create user profile", error.type || APP_CONSTANTS.ERROR_TYPES.DATABASE);
+        alert(error.message);
+      }
+    }
+    renderCurrentUser() {
+      const initials = document.getElementById("currentUserInitials");
+      const label = document.getElementById("currentUserName");
+      const button = document.getElementById("currentUserBtn");
+      const user = this.currentUser;
+      if (initials) DOMHelper.setTextContent(initials, user ? user.initials : "?");
+      if (label) DOMHelper.setTextContent(label, user ? `${user.name} (${user.role})` : "Choose profile");
+      if (button) button.title = user ? `Signed in as ${user.name}. Click to switch profile.` : "Choose a profile";
+    }
+    // Undo / Redo Toolbar
+    setupUndoButtons() {
+      const undoBtn = document.getElementById("undoBtn");
+      const redoBtn = document.getElementById("redoBtn");
+      if (undoBtn) undoBtn.addEventListener("click", () => this.runUndoStep("undo"));
+      if (redoBtn) redoBtn.addEventListener("click", () => this.runUndoStep("redo"));
+      this.updateUndoButtons();
+    }
+    updateUndoButtons() {
+      const buttons = [
+        ["undoBtn", this.undoStack, "Undo", "Ctrl+Z"],
+        ["redoBtn", this.redoStack, "Redo", "Ctrl+Shift+Z"]
+      ];
+      buttons.forEach(([id, stack, verb, shortcut]) => {
+        const button = document.getElementById(id);
+        if (!button) return;
+        const entry = stack[stack.length - 1];
+        button.disabled = !entry;
+        button.title = entry ? `${verb}: ${entry.label} (${shortcut})` : `Nothing to ${verb.toLowerCase()}`;
+      });
+    }
+    handleUndoShortcut(e) {
+      if (e.target.matches('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      this.runUndoStep(e.shiftKey ? "redo" : "undo");
+    }
+    async runUndoStep(direction) {
+      if (this.undoInProgress) return;
+      this.undoInProgress = true;
+      try {
+        const entry = direction === "undo" ? await this.undo() : await this.redo();
+        if (!entry) {
+          this.setStatus(`Nothing to ${direction}`, "info");
+          return;
+        }
+        this.setStatus(`${direction === "undo" ? "Undid" : "Redid"}: ${entry.label}`, "success");
+      } catch (error) {
+        if (this.promptOpenConflictingRecord(error)) return;
+        this.setStatus(`Could not ${direction}: ${error.message}`, "error");
+      } finally {
+        this.undoInProgress = false;
+      }
+    }
+    // Re-open the selected record with its current stored values, or close it if it is gone
+    refreshCurrentSeriesItem() {
+      if (!this.currentSeriesItem || this.currentSeriesItem._id == null) return;
+      const current = this.seriesCache.get(this.currentSeriesItem._id);
+      if (current) {
+        this.selectSeriesItem(current);
+      } else {
+        this.currentSeriesItem = null;
+        this.selectedItemId = null;
+        this.hideDetails();
+      }
+    }
+    // Trash View
+    setupTrash() {
+      const purgeDaysInput = document.getElementById("trashPurgeDays");
+      if (purgeDaysInput) {
+        purgeDaysInput.addEventListener("change", () => {
+          const days = parseInt(purgeDaysInput.value, 10);
+          if (Number.isNaN(days) || days < 0) {
+            purgeDaysInput.value = this.getTrashPurgeDays();
+            return;
+          }
+          this.setTrashPurgeDays(days);
+          this.setStatus(days === 0 ? "Trashed records will be kept until purged manually" : `Trashed records will be purged after ${days} days`, "success");
+        });
+      }
+      const bindings = {
+        trashEmptyBtn: () => this.confirmEmptyTrash(),
+        closeTrash: () => this.hideTrash(),
+        trashCloseBtn: () => this.hideTrash()
+      };
+      Object.entries(bindings).forEach(([id, handler]) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener("click", handler);
+      });
+    }
+    async showTrash() {
+      const modal = document.getElementById("trashModal");
+      if (modal) modal.classList.remove("hidden");
+      const purgeDaysInput = document.getElementById("trashPurgeDays");
+      if (purgeDaysInput) purgeDaysInput.value = this.getTrashPurgeDays();
+      await this.renderTrash();
+    }
+    hideTrash() {
+      const modal = document.getElementById("trashModal");
+      if (modal) modal.classList.add("hidden");
+    }
+    async renderTrash() {
+      const body = document.getElementById("trashBody");
+      const summary = document.getElementById("trashSummary");
+      if (!body) return;
+      try {
+        const items = await this.getTrashedSeries();
+        this.trashItems = items;
+        DOMHelper.clearElement(body);
+        if (summary) {
+          DOMHelper.setTextContent(summary, items.length === 0 ? "The trash is empty." : `${items.length} record${items.length !== 1 ? "s" : ""} in the trash`);
+        }
+        const emptyBtn = document.getElementById("trashEmptyBtn");
+        if (emptyBtn) emptyBtn.disabled = items.length === 0;
+        items.forEach((item) => {
+          const row = document.createElement("tr");
+          [
+            item.schedule_number || "",
+            item.item_number || "",
+            item.record_series_title || "",
+            item.deleted_at ? new Date(item.deleted_at).toLocaleString() : "",
+            item.deleted_by || ""
+          ].forEach((text) => {
+            const cell = document.createElement("td");
+            DOMHelper.setTextContent(cell, text);
+            row.appendChild(cell);
+          });
+          const actions = document.createElement("td");
+          actions.className = "trash-actions";
+          const restoreBtn = document.createElement("button");
+          restoreBtn.type = "button";
+          restoreBtn.className = "btn btn--outline btn--sm";
+          DOMHelper.setTextContent(restoreBtn, "Restore");
+          restoreBtn.addEventListener("click", () => this.handleRestoreFromTrash(item));
+          const purgeBtn = document.createElement("button");
+          purgeBtn.type = "button";
+          purgeBtn.className = "btn btn--outline btn--sm delete-btn";
+          DOMHelper.setTextContent(purgeBtn, "Purge");
+          purgeBtn.addEventListener("click", () => this.confirmPurgeTrashedItem(item));
+          actions.appendChild(restoreBtn);
+          actions.appendChild(purgeBtn);
+          row.appendChild(actions);
+          body.appendChild(row);
+        });
+      } catch (error) {
+        ErrorHandler.log(error, "Render trash");
+        this.setStatus(`Error loading trash: ${error.message}`, "error");
+      }
+    }
+    async handleRestoreFromTrash(item) {
+      try {
+        const restored = await this.restoreFromTrash(item._id);
+        await this.renderTrash();
+        this.setStatus(`"${restored.record_series_title}" restored from the trash`, "success");
+      } catch (error) {
+        if (error instanceof DuplicateSeriesError) {
+          this.hideTrash();
+          if (this.promptOpenConflictingRecord(error)) return;
+        }
+        this.setStatus(`Error restoring record: ${error.message}`, "error");
+      }
+    }
+    async confirmPurgeTrashedItem(item) {
+      const confirmed = confirm(`Permanently purge "${item.record_series_title}"? This cannot be undone.`);
+      if (!confirmed) return;
+      try {
+        await this.purgeTrashedSeries([item._id]);
+        await this.renderTrash();
+        this.setStatus(`"${item.record_series_title}" purged`, "success");
+      } catch (error) {
+        this.setStatus(`Error purging record: ${error.message}`, "error");
+      }
+    }
+    async confirmEmptyTrash() {
+      const items = this.trashItems || [];
+      if (items.length === 0) return;
+      const confirmed = confirm(`Permanently purge all ${items.length} record${items.length !== 1 ? "s" : ""} in the trash? This cannot be undone.`);
+      if (!confirmed) return;
+      try {
+        const purged = await this.purgeTrashedSeries(items.map((item) => item._id));
+        await this.renderTrash();
+        this.setStatus(`Purged ${purged} record${purged !== 1 ? "s" : ""} from the trash`, "success");
+      } catch (error) {
+        this.setStatus(`Error emptying trash: ${error.message}`, "error");
+      }
+    }
+    handleGlobalClick(e) {
+      if (!e.target.closest(".admin-menu") && !e.target.closest(".dropdown")) {
+        document.querySelectorAll(".dropdown").forEach((dropdown) => {
+          dropdown.classList.add("hidden");
+        });
+        document.querySelectorAll('[aria-expanded="true"]').forEach((btn) => {
+          btn.setAttribute("aria-expanded", "false");
+        });
+      }
+    }
+    handleEscapeKey() {
+      document.querySelectorAll(".dropdown").forEach((dropdown) => {
+        dropdown.classList.add("hidden");
+      });
+      document.querySelectorAll('[aria-expanded="true"]').forEach((btn) => {
+        btn.setAttribute("aria-expanded", "false");
+      });
+      const modals = document.querySelectorAll(".modal:not(.hidden)");
+      modals.forEach((modal) => {
+        if (modal.id === "userPickerModal" && !this.currentUser) return;
+        modal.classList.add("hidden");
+      });
+    }
+    handleSaveShortcut() {
+      const activeForm = document.querySelector("form:not(.hidden)");
+      if (activeForm) {
+        const submitBtn = activeForm.querySelector('button[type="submit"]');
+        if (submitBtn && !submitBtn.disabled) {
+          submitBtn.click();
+        }
+      }
+    }
+    handleKeydown(e) {
+      if (e.target.matches("input, textarea, select")) {
+        return;
+      }
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        const count = this.filteredItems.length;
+        if (count > 0) {
+          let nextIndex = 0;
+          const currentIndex = this.filteredItems.findIndex((item) => item._id === this.selectedItemId);
+          if (currentIndex !== -1) {
+            if (e.key === "ArrowDown") {
+              nextIndex = (currentIndex + 1) % count;
+            } else {
+              nextIndex = currentIndex > 0 ? currentIndex - 1 : count - 1;
+            }
+          }
+          this.scrollResultIntoView(nextIndex);
+          this.selectSeriesItem(this.filteredItems[nextIndex]);
+          e.preventDefault();
+        }
+      }
+    }
+    toggleSearchPane() {
+      const searchPane = document.getElementById("searchPane");
+      const mainContent = document.querySelector(".main-content");
+      const toggleBtn = document.getElementById("searchToggleBtn");
+      if (!searchPane || !mainContent || !toggleBtn) return;
+      const isCollapsed = searchPane.classList.contains("collapsed");
+      if (isCollapsed) {
+        searchPane.classList.remove("collapsed");
+        mainContent.classList.remove("search-collapsed");
+        toggleBtn.setAttribute("aria-expanded", "true");
+      } else {
+        searchPane.classList.add("collapsed");
+        mainContent.classList.add("search-collapsed");
+        toggleBtn.setAttribute("aria-expanded", "false");
+      }
+      try {
+        localStorage.setItem("iletsb_search_pane_collapsed", (!isCollapsed).toString());
+      } catch (e) {
+      }
+    }
+    handleScheduleSubmit(e) {
+      e.preventDefault();
+      try {
+        const form = e.target;
+        const formData = this.getFormData(form);
+        const schedule = {
+          schedule_number: formData.schedule_number,
+          approval_status: formData.approval_status || "draft",
+          approval_date: formData.approval_date || null,
+          tags: formData.tags || [],
+          ...formData
+        };
+        if (!schedule.schedule_number) {
+          this.setStatus("Schedule Number is required", "error");
+          return;
+        }
+        if (!/^\d{2}-\d{3}$/.test(schedule.schedule_number)) {
+          this.setStatus("Schedule Number must be in format XX-XXX (e.g., 25-012)", "error");
+          return;
+        }
+        this.saveSchedule(schedule, false);
+      } catch (error) {
+        ErrorHandler.log(error, "Schedule form submission");
+        this.setStatus(`Error saving schedule: ${error.message}`, "error");
+      }
+    }
+    // Alias method to match event listener expectation
+    handleSeriesSubmit(e) {
+      return this.handleSeriesFormSubmit(e);
+    }
+    updateChipSelection(chipContainer, selectedValue) {
+      if (!chipContainer) return;
+      const chips = chipContainer.querySelectorAll(".chip");
+      chips.forEach((chip) => {
+        chip.classList.remove("active");
+      });
+      const selectedChip = chipContainer.querySelector(`[data-value="${selectedValue}"]`);
+      if (selectedChip) {
+        selectedChip.classList.add("active");
+      }
+      const formGroup = chipContainer.closest(".form-group");
+      if (formGroup) {
+        const select = formGroup.querySelector("select");
+        if (select) {
+          select.value = selectedValue;
+          select.dispatchEvent(new Event("change", { bubbles: true }));
+        }
+      }
+    }
+    createNewSchedule() {
+      this.currentSeriesItem = null;
+      this.selectedItemId = null;
+      document.querySelectorAll(".result-item").forEach((row) => row.classList.remove("selected"));
+      const scheduleTab = document.getElementById("scheduleTab");
+      const seriesTab = document.getElementById("seriesTab");
+      const scheduleTabPanel = document.getElementById("scheduleTabPanel");
+      const seriesTabPanel = document.getElementById("seriesTabPanel");
+      const noSelectionMessage = document.getElementById("noSelectionMessage");
+      const tabNavigation = document.getElementById("tabNavigation");
+      if (noSelectionMessage) noSelectionMessage.classList.add("hidden");
+      if (tabNavigation) tabNavigation.classList.remove("hidden");
+      if (scheduleTab) scheduleTab.classList.add("active");
+      if (seriesTab) seriesTab.classList.remove("active");
+      if (scheduleTabPanel) scheduleTabPanel.classList.remove("hidden");
+      if (seriesTabPanel) seriesTabPanel.classList.add("hidden");
+      const scheduleForm = document.getElementById("scheduleForm");
+      if (scheduleForm) {
+        scheduleForm.reset();
+        const scheduleNumberField = document.getElementById("scheduleNumber");
+        if (scheduleNumberField) {
+          scheduleNumberField.focus();
+        }
+      }
+      this.setStatus("Creating new schedule", "info");
+    }
+    showImportModal() {
+      const importFile = document.getElementById("importFile");
+      if (importFile) {
+        importFile.click();
+      }
+    }
+    confirmClearDatabase() {
+      const confirmed = confirm("Are you sure you want to clear all data from the database? This action cannot be undone.");
+      if (confirmed) {
+        this.clearDatabase();
+      }
+    }
+    async clearDatabase() {
+      try {
+        await this.seriesRepo.clearAll();
+        this.clearUndoHistory();
+        this.loadSavedSearches();
+        this.setStatus("Database cleared successfully", "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Clear database");
+        this.setStatus(`Error clearing database: ${error.message}`, "error");
+      }
+    }
+    validateField(field) {
+      if (!field) return true;
+      const fieldName = field.dataset.field || field.name || field.id;
+      const value = field.value.trim();
+      let isValid = true;
+      let errorMessage = "";
+      this.clearFieldError(field);
+      if (field.hasAttribute("required") && !value) {
+        isValid = false;
+        errorMessage = "This field is required";
+      } else if (fieldName === "schedule_number" && value) {
+        if (!/^\d{2}-\d{3}$/.test(value)) {
+          isValid = false;
+          errorMessage = "Schedule number must be in format XX-XXX (e.g., 25-012)";
+        }
+      } else if (fieldName === "item_number" && value) {
+        if (!/^\d+([A-Za-z]|\.\d+)?$/.test(value)) {
+          isValid = false;
+          errorMessage = "Item number must be numeric with optional letter or decimal suffix";
+        }
+      } else if (field.type === "email" && value) {
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(value)) {
+          isValid = false;
+          errorMessage = "Please enter a valid email address";
+        }
+      } else if (field.type === "number" && value) {
+        const numValue = parseFloat(value);
+        if (isNaN(numValue) || numValue < 0) {
+          isValid = false;
+          errorMessage = "Please enter a valid positive number";
+        }
+      }
+      if (!isValid) {
+        this.showFieldError(field, errorMessage);
+      }
+      return isValid;
+    }
+    clearFieldError(field) {
+      if (!field) return;
+      field.classList.remove("error");
+      const formGroup = field.closest(".form-group");
+      if (formGroup) {
+        const existingError = formGroup.querySelector(".field-error");
+        if (existingError) {
+          existingError.remove();
+        }
+      }
+    }
+    showFieldError(field, message) {
+      if (!field || !message) return;
+      field.classList.add("error");
+      const formGroup = field.closest(".form-group");
+      if (formGroup) {
+        const existingError = formGroup.querySelector(".field-error");
+        if (existingError) {
+          existingError.remove();
+        }
+        const errorElement = document.createElement("div");
+        errorElement.className = "field-error";
+        errorElement.textContent = message;
+        formGroup.appendChild(errorElement);
+      }
+    }
+    async exportData() {
+      try {
+        await this.auditRepo.sealed();
+        const { blob, count } = await this.runWithProgress("Exporting all records", "exportJson", {});
+        this.downloadBlob(blob, `iletsb-records-export-${(/* @__PURE__ */ new Date()).toISOString().split("T")[0]}.json`);
+        this.setStatus(`Exported ${count} series records successfully`, "success");
+      } catch (error) {
+        if (error instanceof TaskCancelledError) {
+          this.setStatus("Export cancelled", "info");
+          return;
+        }
+        ErrorHandler.log(error, "Export data");
+        this.setStatus(`Error exporting data: ${error.message}`, "error");
+      }
+    }
+    async exportFilteredData() {
+      try {
+        const filteredSeries = this.filteredItems || [];
+        if (filteredSeries.length === 0) {
+          this.setStatus("No records to export with current filters", "error");
+          return;
+        }
+        await this.auditRepo.sealed();
+        const { blob, count } = await this.runWithProgress("Exporting filtered records", "exportJson", {
+          ids: filteredSeries.map((item) => item._id)
+        });
+        this.downloadBlob(blob, `iletsb-records-filtered-export-${(/* @__PURE__ */ new Date()).toISOString().split("T")[0]}.json`);
+        this.setStatus(`Exported ${count} filtered series records successfully`, "success");
+      } catch (error) {
+        if (error instanceof TaskCancelledError) {
+          this.setStatus("Export cancelled", "info");
+          return;
+        }
+        ErrorHandler.log(error, "Export filtered data");
+        this.setStatus(`Error exporting filtered data: ${error.message}`, "error");
+      }
+    }
+    async confirmDeleteSeriesItem() {
+      if (!this.currentSeriesItem) {
+        this.setStatus("No series item selected for deletion", "error");
+        return;
+      }
+      const title = this.currentSeriesItem.record_series_title;
+      const confirmed = confirm(`Move the series item "${title}" to the trash? It can be restored from Admin -> Trash.`);
+      if (!confirmed) return;
+      try {
+        await this.deleteSeries(this.currentSeriesItem._id);
+        this.setStatus(`"${title}" moved to the trash`, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Delete series item");
+        this.setStatus(`Error deleting series item: ${error.message}`, "error");
+      }
+    }
+    confirmDeleteSchedule() {
+      const confirmed = confirm("Are you sure you want to remove schedule assignment from all matching series? This action cannot be undone.");
+      if (confirmed) {
+        this.setStatus("Schedule deletion not implemented", "info");
+      }
+    }
+    async importData(event) {
+      await this.importFile(event, "json");
+    }
+    async exportToExcel() {
+      try {
+        await this.auditRepo.sealed();
+        const { blob, count } = await this.runWithProgress("Exporting to Excel", "exportExcel", {});
+        this.downloadBlob(blob, `iletsb-records-export-${(/* @__PURE__ */ new Date()).toISOString().split("T")[0]}.xlsx`);
+        this.setStatus(`Exported ${count} series records to Excel successfully`, "success");
+      } catch (error) {
+        if (error instanceof TaskCancelledError) {
+          this.setStatus("Export cancelled", "info");
+          return;
+        }
+        ErrorHandler.log(error, "Export to Excel");
+        this.setStatus(`Error exporting to Excel: ${error.message}`, "error");
+      }
+    }
+    async importFromExcel(event) {
+      await this.importFile(event, "excel");
+    }
+    // Parse the file and classify every row in the background; nothing is written before the preview is committed
+    async importFile(event, format) {
+      const file = event.target.files[0];
+      if (!file) return;
+      const label = format === "excel" ? "Excel" : "JSON";
+      try {
+        const preview = await this.runWithProgress(`Importing ${file.name}`, "parseImport", { file, format });
+        this.showImportPreview(preview);
+      } catch (error) {
+        if (error instanceof TaskCancelledError) {
+          this.setStatus("Import cancelled; no records were changed", "info");
+        } else if (error instanceof ImportFileError) {
+          this.setStatus(error.message, "error");
+        } else {
+          ErrorHandler.log(error, `Import from ${label}`, APP_CONSTANTS.ERROR_TYPES.IMPORT);
+          this.setStatus(`Error importing from ${label}: ${error.message}`, "error");
+        }
+      } finally {
+        event.target.value = "";
+      }
+    }
+    diffSeriesFields(before, after) {
+      return this.seriesRepo.diffFields(before, after);
+    }
+    formatDiffValue(value) {
+      if (value == null || value === "") return "(blank)";
+      if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "(blank)";
+      if (typeof value === "object") return JSON.stringify(value);
+      return String(value);
+    }
+    async buildImportPreview(rawRows, options = {}) {
+      return this.seriesRepo.buildImportPreview(rawRows, options);
+    }
+    async commitImport(preview) {
+      return this.seriesRepo.commitImport(preview);
+    }
+    showImportPreview(preview) {
+      this.pendingImport = preview;
+      const modal = document.getElementById("importStatusModal");
+      const statusCode = document.getElementById("importStatusCode");
+      const schedulesCount = document.getElementById("importSchedulesCount");
+      const seriesCount = document.getElementById("importSeriesCount");
+      const log = document.getElementById("importStatusLog");
+      const commitBtn = document.getElementById("importCommitBtn");
+      const cancelBtn = document.getElementById("importCancelBtn");
+      const { summary } = preview;
+      const writable = summary.new + summary.update;
+      const scheduleNumbers = new Set(preview.rows.filter((row) => row.status !== "invalid" && row.item.schedule_number).map((row) => row.item.schedule_number));
+      if (statusCode) statusCode.textContent = `Preview (${preview.source}) - nothing written yet`;
+      if (schedulesCount) schedulesCount.textContent = scheduleNumbers.size;
+      if (seriesCount) seriesCount.textContent = preview.rows.length;
+      this.renderImportPreviewTable(preview);
+      if (log) {
+        const lines = [
+          `File: ${preview.fileName}`,
+          `${summary.new} new, ${summary.update} update, ${summary.duplicate} duplicate, ${summary.invalid} invalid`,
+          `${preview.auditEvents.length} audit events will be re-linked to the imported records`,
+          ...preview.savedSearches.length > 0 ? [`${preview.savedSearches.length} saved searches will be added unless already present`] : [],
+          ...preview.auditVerification ? [preview.auditVerification.message] : [],
+          ""
+        ];
+        preview.rows.forEach((row) => {
+          const label = `Row ${row.rowNumber} [${row.status}] ${row.item.schedule_number || "-"} / ${row.item.item_number || "-"}: ${row.item.record_series_title || "Untitled"}`;
+          lines.push(row.reason ? `${label} - ${row.reason}` : label);
+          row.changes.forEach((change) => {
+            lines.push(`    ${change.field}: ${this.formatDiffValue(change.before)} -> ${this.formatDiffValue(change.after)}`);
+          });
+          row.warnings.forEach((warning) => lines.push(`    warning: ${warning}`));
+        });
+        log.value = lines.join("\n");
+      }
+      if (commitBtn) {
+        commitBtn.classList.remove("hidden");
+        commitBtn.disabled = writable === 0;
+        commitBtn.textContent = `Commit ${writable} record${writable !== 1 ? "s" : ""}`;
+      }
+      if (cancelBtn) cancelBtn.classList.remove("hidden");
+      if (modal) modal.classList.remove("hidden");
+      this.setStatus(`Import preview: ${writable} of ${preview.rows.length} rows ready to commit`, "info");
+    }
+    renderImportPreviewTable(preview) {
+      const container = document.getElementById("importPreview");
+      if (!container) return;
+      const maxRows = 500;
+      DOMHelper.clearElement(container);
+      container.classList.remove("hidden");
+      const summaryLine = document.createElement("div");
+      summaryLine.className = "import-preview-summary";
+      ["new", "update", "duplicate", "invalid"].forEach((status) => {
+        const badge = document.createElement("span");
+        badge.className = `import-status-badge ${status}`;
+        DOMHelper.setTextContent(badge, `${preview.summary[status]} ${status}`);
+        summaryLine.appendChild(badge);
+      });
+      container.appendChild(summaryLine);
+      const table = document.createElement("table");
+      table.className = "import-preview-table";
+      const headerRow = document.createElement("tr");
+      ["Row", "Result", "Schedule / Item", "Title", "Details"].forEach((text) => {
+        const th = document.createElement("th");
+        DOMHelper.setTextContent(th, text);
+        headerRow.appendChild(th);
+      });
+      table.appendChild(headerRow);
+      preview.rows.slice(0, maxRows).forEach((row) => {
+        const tr = document.createElement("tr");
+        tr.className = `import-row ${row.status}`;
+        const details = row.changes.length > 0 ? row.changes.map((change) => `${change.field}: ${this.formatDiffValue(change.before)} \u2192 ${this.formatDiffValue(change.after)}`).join("\n") : [row.reason, ...row.warnings].filter(Boolean).join("\n");
+        [
+          String(row.rowNumber),
+          row.status,
+          `${row.item.schedule_number || "\u2014"} / ${row.item.item_number || "\u2014"}`,
+          row.item.record_series_title || "Untitled",
+          details
+        ].forEach((text) => {
+          const td = document.createElement("td");
+          DOMHelper.setTextContent(td, text);
+          tr.appendChild(td);
+        });
+        table.appendChild(tr);
+      });
+      container.appendChild(table);
+      if (preview.rows.length > maxRows) {
+        const note = document.createElement("p");
+        note.className = "import-preview-note";
+        DOMHelper.setTextContent(note, `Showing the first ${maxRows} of ${preview.rows.length} rows. See the detailed log for the rest.`);
+        container.appendChild(note);
+      }
+    }
+    async commitPendingImport() {
+      const preview = this.pendingImport;
+      if (!preview) return;
+      const statusCode = document.getElementById("importStatusCode");
+      const log = document.getElementById("importStatusLog");
+      const commitBtn = document.getElementById("importCommitBtn");
+      const cancelBtn = document.getElementById("importCancelBtn");
+      if (commitBtn) commitBtn.disabled = true;
+      if (statusCode) statusCode.textContent = "Committing...";
+      try {
+        const result = await this.commitImport(preview);
+        this.pendingImport = null;
+        await this.loadSavedSearches();
+        const { audit } = result;
+        let message = `${preview.source} import complete: ${this.formatImportSummary(result.counts)}`;
+        if (preview.auditEvents.length > 0) {
+          message += `; audit events: ${audit.imported} imported, ${audit.alreadyPresent} already present, ${audit.unresolved.length} unresolved`;
+        }
+        if (preview.savedSearches.length > 0) {
+          message += `; saved searches: ${result.savedSearches.imported} added, ${result.savedSearches.alreadyPresent} already present`;
+        }
+        if (statusCode) statusCode.textContent = "Committed";
+        if (log) {
+          log.value += `
+
+${message}`;
+          audit.unresolved.forEach((description) => {
+            log.value += `
+Unresolved audit event: ${description}`;
+          });
+        }
+        if (commitBtn) commitBtn.classList.add("hidden");
+        if (cancelBtn) cancelBtn.classList.add("hidden");
+        this.setStatus(message, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Commit import", APP_CONSTANTS.ERROR_TYPES.IMPORT);
+        const message = `Import rolled back, no records were changed: ${error.message}`;
+        if (statusCode) statusCode.textContent = "Rolled back";
+        if (log) log.value += `
+
+${message}`;
+        if (commitBtn) commitBtn.disabled = false;
+        this.setStatus(message, "error");
+      }
+    }
+    cancelPendingImport() {
+      const hadPending = !!this.pendingImport;
+      this.pendingImport = null;
+      this.hideImportStatusModal();
+      if (hadPending) {
+        this.setStatus("Import cancelled; no records were changed", "info");
+      }
+    }
+    hideImportStatusModal() {
+      const modal = document.getElementById("importStatusModal");
+      const preview = document.getElementById("importPreview");
+      if (modal) modal.classList.add("hidden");
+      if (preview) {
+        DOMHelper.clearElement(preview);
+        preview.classList.add("hidden");
+      }
+      ["importCommitBtn", "importCancelBtn"].forEach((id) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.classList.add("hidden");
+      });
+    }
+    debounceSearch(searchText) {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => {
+        this.applyFilters();
+      }, 300);
+    }
+    // Performance optimized data loading
+    async loadDataOptimized() {
+      this.schedules = [];
+      this.seriesItems = [];
+      await this.loadSchedulesWithCursor();
+      this.seriesItems = await this.getAllSeries();
+      this.totalSeriesCount = await this.getSeriesItemsCount();
+      this.populateFilterDropdowns();
+      await this.renderResults();
+      this.updateResultsSummary();
+      this.updateRecordCount();
+    }
+    async loadSchedulesWithCursor(limit = null, offset = 0) {
+      try {
+        this.schedules = await this.getAllSchedules();
+        return Promise.resolve();
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    async getSeriesItemsCount() {
+      return this.seriesRepo.count();
+    }
+    async applyFilters() {
+      try {
+        let searchCriteria;
+        try {
+          searchCriteria = this.buildSearchCriteria();
+          this.showSearchQueryError(null);
+          this.showDateFilterError(null);
+        } catch (error) {
+          if (error instanceof SearchQueryError) {
+            this.showSearchQueryError(error);
+            return;
+          }
+          if (error instanceof DateRangeError) {
+            this.showSearchQueryError(null);
+            this.showDateFilterError(error);
+            return;
+          }
+          throw error;
+        }
+        let results;
+        try {
+          results = await this.searchAndFilterSeries(searchCriteria);
+        } catch (error) {
+          if (error instanceof TaskCancelledError) return;
+          throw error;
+        }
+        this.filteredItems = results.items;
+        this.facetCounts = results.facets;
+        this.resultHighlight = searchCriteria.query ? { words: SearchQuery.soughtWords(searchCriteria.query), fuzzy: Boolean(searchCriteria.fuzzy) } : null;
+        this.updateLocationHash(searchCriteria);
+        const resultsKey = this.criteriaToHash(searchCriteria);
+        if (resultsKey !== this.resultsKey && this.resultsWindow) {
+          this.resultsWindow.list.scrollTop = 0;
+        }
+        this.resultsKey = resultsKey;
+        this.updateColumnSortIndicators();
+        await this.renderResults();
+        this.pruneCheckedResults();
+        this.updateResultsSummary();
+        this.updateFilterSummary(searchCriteria);
+        this.renderFacetCounts();
+      } catch (error) {
+        ErrorHandler.log(error, "Apply filters");
+        this.setStatus("Error applying filters: " + error.message, "error");
+      }
+    }
+    buildSearchCriteria() {
+      const criteria = {};
+      const searchInput = document.getElementById("searchInput");
+      if (searchInput?.value.trim()) {
+        criteria.searchText = searchInput.value.trim();
+        criteria.query = SearchQuery.parse(criteria.searchText);
+        if (document.getElementById("relevanceMode")?.checked) {
+          criteria.fuzzy = true;
+        }
+      }
+      const scheduleFilter = document.getElementById("scheduleFilter");
+      if (scheduleFilter?.value) {
+        criteria.scheduleNumber = scheduleFilter.value;
+      }
+      const statusFilter = document.getElementById("statusFilter");
+      if (statusFilter?.value) {
+        criteria.approvalStatus = statusFilter.value;
+      }
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        const values = this.getFilterChips(filter);
+        if (values.length === 0) return;
+        criteria[filter.criteria] = values;
+        const mode = document.getElementById(`${filter.id}FilterMode`)?.value;
+        if (mode && mode !== MATCH_MODES.ANY) {
+          criteria[filter.mode] = mode;
+        }
+      });
+      APP_CONSTANTS.DATE_RANGE_FILTERS.forEach((filter) => {
+        const from = document.getElementById(filter.fromInput)?.value.trim();
+        const to = document.getElementById(filter.toInput)?.value.trim();
+        if (!from && !to) return;
+        try {
+          DateRange.bounds(from, to, filter.label);
+        } catch (error) {
+          error.inputId = error.bound === "from" ? filter.fromInput : filter.toInput;
+          throw error;
+        }
+        if (from) criteria[filter.from] = from;
+        if (to) criteria[filter.to] = to;
+      });
+      const sortBy = document.getElementById("sortBy");
+      if (sortBy?.value) {
+        criteria.sortBy = sortBy.value;
+      }
+      const sortOrder = document.getElementById("sortOrder");
+      if (sortOrder?.value) {
+        criteria.sortOrder = sortOrder.value;
+      }
+      const thenBy = (this.sortThenBy || []).filter((key) => key.replace(/^-/, "") !== criteria.sortBy);
+      if (thenBy.length > 0 && criteria.sortBy !== "relevance") {
+        criteria.thenBy = thenBy;
+      }
+      return criteria;
+    }
+    // Explain an unreadable date range under the date filters; pass null to clear it
+    showDateFilterError(error) {
+      const message = document.getElementById("dateFilterError");
+      APP_CONSTANTS.DATE_RANGE_FILTERS.forEach((filter) => {
+        [filter.fromInput, filter.toInput].forEach((id) => {
+          const input = document.getElementById(id);
+          if (!input) return;
+          const invalid = Boolean(error) && error.inputId === id;
+          input.classList.toggle("error", invalid);
+          if (invalid) {
+            input.setAttribute("aria-invalid", "true");
+          } else {
+            input.removeAttribute("aria-invalid");
+          }
+        });
+      });
+      if (!message) return;
+      message.textContent = error ? error.message : "";
+      message.classList.toggle("hidden", !error);
+    }
+    // Explain a query syntax error under the search box; pass null to clear it
+    showSearchQueryError(error) {
+      const searchInput = document.getElementById("searchInput");
+      const message = document.getElementById("searchQueryError");
+      if (!searchInput || !message) return;
+      DOMHelper.clearElement(message);
+      if (!error) {
+        message.classList.add("hidden");
+        searchInput.classList.remove("error");
+        searchInput.removeAttribute("aria-invalid");
+        return;
+      }
+      const text = searchInput.value.trim();
+      message.appendChild(document.createTextNode(`${error.message}: `));
+      const context = document.createElement("code");
+      context.appendChild(document.createTextNode(text.slice(0, error.position)));
+      const marker = document.createElement("mark");
+      marker.appendChild(document.createTextNode(text.slice(error.position, error.position + 1) || " "));
+      context.appendChild(marker);
+      context.appendChild(document.createTextNode(text.slice(error.position + 1)));
+      message.appendChild(context);
+      message.classList.remove("hidden");
+      searchInput.classList.add("error");
+      searchInput.setAttribute("aria-invalid", "true");
+    }
+    updateFilterSummary(criteria = this.buildSearchCriteria()) {
+      const summary = document.getElementById("filterSummary");
+      if (!summary) return;
+      const activeFilters = this.describeFilters(criteria);
+      summary.textContent = activeFilters.length > 0 ? `Active filters: ${activeFilters.join(", ")}` : "No active filters";
+    }
+    describeFilters(criteria) {
+      const activeFilters = [];
+      if (criteria.searchText) activeFilters.push(`Text: "${criteria.searchText}"`);
+      if (criteria.scheduleNumber) activeFilters.push(`Schedule: ${criteria.scheduleNumber}`);
+      if (criteria.division) activeFilters.push(`Division: ${criteria.division}`);
+      if (criteria.approvalStatus) activeFilters.push(`Status: ${criteria.approvalStatus}`);
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        const values = criteria[filter.criteria] || [];
+        if (values.length === 0) return;
+        const mode = APP_CONSTANTS.CHIP_FILTER_MODE_LABELS[criteria[filter.mode]] || APP_CONSTANTS.CHIP_FILTER_MODE_LABELS.any;
+        activeFilters.push(`${filter.label} (${mode}): ${values.join("; ")}`);
+      });
+      APP_CONSTANTS.DATE_RANGE_FILTERS.forEach((filter) => {
+        const from = criteria[filter.from];
+        const to = criteria[filter.to];
+        if (from && to) activeFilters.push(`${filter.label}: ${from} to ${to}`);
+        else if (from) activeFilters.push(`${filter.label}: from ${from}`);
+        else if (to) activeFilters.push(`${filter.label}: until ${to}`);
+      });
+      return activeFilters;
+    }
+    // Put criteria, as buildSearchCriteria() returns them, back into the search pane and sort controls
+    setFilterForm(criteria = {}) {
+      const values = {
+        searchInput: criteria.searchText,
+        scheduleFilter: criteria.scheduleNumber,
+        statusFilter: criteria.approvalStatus,
+        sortOrder: criteria.sortOrder === "desc" ? "desc" : ""
+      };
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        values[`${filter.id}FilterMode`] = criteria[filter.mode] || MATCH_MODES.ANY;
+      });
+      APP_CONSTANTS.DATE_RANGE_FILTERS.forEach((filter) => {
+        values[filter.fromInput] = criteria[filter.from];
+        values[filter.toInput] = criteria[filter.to];
+      });
+      Object.entries(values).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value || "";
+      });
+      this.filterChips = {};
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        const picked = criteria[filter.criteria] || (filter.id === "division" && criteria.division ? [criteria.division] : []);
+        this.filterChips[filter.id] = [...picked];
+        this.renderFilterChips(filter);
+      });
+      this.setRelevanceMode(Boolean(criteria.fuzzy) || criteria.sortBy === "relevance");
+      const sortBy = document.getElementById("sortBy");
+      if (sortBy) {
+        if (criteria.sortBy) this.ensureSortOption(criteria.sortBy);
+        sortBy.value = criteria.sortBy || APP_CONSTANTS.DEFAULT_SORT;
+      }
+      this.sortThenBy = [...criteria.thenBy || []];
+    }
+    // Deep links: "#q=rosters&division=Training&record=12"
+    criteriaToHash(criteria = {}, recordId = null) {
+      const params = new URLSearchParams();
+      Object.entries(APP_CONSTANTS.LOCATION_HASH_PARAMS).forEach(([field, param]) => {
+        const value = criteria[field];
+        if (Array.isArray(value) ? value.length === 0 : !value) return;
+        if (field === "sortBy" && value === APP_CONSTANTS.DEFAULT_SORT) return;
+        if (Array.isArray(value)) {
+          value.forEach((item) => params.append(param, item));
+        } else {
+          params.set(param, value === true ? "1" : String(value));
+        }
+      });
+      if (recordId != null) params.set("record", String(recordId));
+      return params.toString();
+    }
+    parseLocationHash(hash) {
+      const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+      const criteria = {};
+      const listFields = [...APP_CONSTANTS.CHIP_FILTERS.map((filter) => filter.criteria), "thenBy"];
+      Object.entries(APP_CONSTANTS.LOCATION_HASH_PARAMS).forEach(([field, param]) => {
+        if (listFields.includes(field)) {
+          const values = params.getAll(param).filter(Boolean);
+          if (values.length > 0) criteria[field] = values;
+          return;
+        }
+        const value = params.get(param);
+        if (!value) return;
+        if (field === "fuzzy") {
+          criteria.fuzzy = value === "1";
+        } else {
+          criteria[field] = value;
+        }
+      });
+      const recordId = parseInt(params.get("record"), 10);
+      return { criteria, recordId: Number.isNaN(recordId) ? null : recordId };
+    }
+    // Mirror the filters and selected record into the URL without adding history entries
+    updateLocationHash(criteria = null) {
+      if (this.locationHash === null || typeof window === "undefined") return;
+      if (!criteria) {
+        try {
+          criteria = this.buildSearchCriteria();
+        } catch (error) {
+          if (!(error instanceof SearchQueryError || error instanceof DateRangeError)) throw error;
+          return;
+        }
+      }
+      const hash = this.criteriaToHash(criteria, this.selectedItemId);
+      if (hash === this.locationHash) return;
+      this.locationHash = hash;
+      window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ""}`);
+    }
+    // Open the view described by the URL hash, on load and when the hash is changed by hand
+    async applyLocationHash() {
+      const hash = window.location.hash.replace(/^#/, "");
+      if (hash === this.locationHash) return;
+      const firstRun = this.locationHash === null;
+      this.locationHash = hash;
+      if (!hash && firstRun) return;
+      const { criteria, recordId } = this.parseLocationHash(hash);
+      this.setFilterForm(criteria);
+      await this.applyFilters();
+      if (recordId != null) {
+        const item = this.seriesCache.get(recordId);
+        if (item) {
+          this.selectSeriesItem(item);
+        } else {
+          this.setStatus(`Record #${recordId} from the link no longer exists`, "error");
+        }
+      }
+    }
+    // Saved Searches
+    async loadSavedSearches() {
+      try {
+        this.savedSearches = await this.savedSearchRepo.getAll();
+        this.renderSavedSearches();
+      } catch (error) {
+        ErrorHandler.log(error, "Load saved searches");
+        this.setStatus(`Error loading saved searches: ${error.message}`, "error");
+      }
+    }
+    renderSavedSearches() {
+      const list = document.getElementById("savedSearchList");
+      const empty = document.getElementById("savedSearchEmpty");
+      if (!list) return;
+      DOMHelper.clearElement(list);
+      if (empty) empty.classList.toggle("hidden", this.savedSearches.length > 0);
+      this.savedSearches.forEach((search, index) => {
+        const item = document.createElement("li");
+        item.className = "saved-search-item";
+        const apply = document.createElement("button");
+        apply.type = "button";
+        apply.className = "saved-search-apply";
+        apply.textContent = search.name;
+        apply.title = this.describeFilters(search.criteria).join(", ") || "All records";
+        apply.addEventListener("click", () => this.applySavedSearch(search));
+        item.appendChild(apply);
+        const actions = [
+          { symbol: "\u2191", label: `Move "${search.name}" up`, disabled: index === 0, run: () => this.moveSavedSearch(search, -1) },
+          { symbol: "\u2193", label: `Move "${search.name}" down`, disabled: index === this.savedSearches.length - 1, run: () => this.moveSavedSearch(search, 1) },
+          { symbol: "\u270E", label: `Rename "${search.name}"`, disabled: false, run: () => this.renameSavedSearch(search) },
+          { symbol: "\u2715", label: `Delete "${search.name}"`, disabled: false, run: () => this.deleteSavedSearch(search) }
+        ];
+        actions.forEach((action) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "saved-search-action";
+          button.textContent = action.symbol;
+          button.title = action.label;
+          button.setAttribute("aria-label", action.label);
+          button.disabled = action.disabled;
+          button.addEventListener("click", action.run);
+          item.appendChild(button);
+        });
+        list.appendChild(item);
+      });
+    }
+    async saveCurrentSearch() {
+      let criteria;
+      try {
+        criteria = this.buildSearchCriteria();
+      } catch (error) {
+        if (!(error instanceof SearchQueryError || error instanceof DateRangeError)) throw error;
+        this.setStatus(`Fix the search before saving it: ${error.message}`, "error");
+        return;
+      }
+      const name = prompt("Name for this search:", this.describeFilters(criteria).join(", "));
+      if (name === null) return;
+      try {
+        const saved = await this.savedSearchRepo.create(name, criteria);
+        await this.loadSavedSearches();
+        this.setStatus(`Saved search "${saved.name}"`, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Save search");
+        this.setStatus(`Error saving search: ${error.message}`, "error");
+      }
+    }
+    async applySavedSearch(search) {
+      this.setFilterForm(search.criteria);
+      await this.applyFilters();
+      this.setStatus(`Showing saved search "${search.name}"`, "info");
+    }
+    async renameSavedSearch(search) {
+      const name = prompt("Rename saved search:", search.name);
+      if (name === null || name.trim() === search.name) return;
+      try {
+        await this.savedSearchRepo.rename(search._id, name);
+        await this.loadSavedSearches();
+      } catch (error) {
+        ErrorHandler.log(error, "Rename saved search");
+        this.setStatus(`Error renaming saved search: ${error.message}`, "error");
+      }
+    }
+    async moveSavedSearch(search, offset) {
+      try {
+        await this.savedSearchRepo.move(search._id, offset);
+        await this.loadSavedSearches();
+      } catch (error) {
+        ErrorHandler.log(error, "Reorder saved searches");
+        this.setStatus(`Error reordering saved searches: ${error.message}`, "error");
+      }
+    }
+    async deleteSavedSearch(search) {
+      if (!confirm(`Delete the saved search "${search.name}"?`)) return;
+      try {
+        await this.savedSearchRepo.delete(search._id);
+        await this.loadSavedSearches();
+        this.setStatus(`Deleted saved search "${search.name}"`, "success");
+      } catch (error) {
+        ErrorHandler.log(error, "Delete saved search");
+        this.setStatus(`Error deleting saved search: ${error.message}`, "error");
+      }
+    }
+    getFilterChips(filter) {
+      return this.filterChips?.[filter.id] || [];
+    }
+    addFilterChip(filter, value) {
+      const picked = this.getFilterChips(filter);
+      if (picked.includes(value)) return;
+      this.filterChips[filter.id] = [...picked, value];
+      this.renderFilterChips(filter);
+      this.applyFilters();
+    }
+    removeFilterChip(filter, value) {
+      this.filterChips[filter.id] = this.getFilterChips(filter).filter((item) => item !== value);
+      this.renderFilterChips(filter);
+      this.applyFilters();
+      document.getElementById(`${filter.id}ChipAdd`)?.focus();
+    }
+    // Draw the picked values as removable chips and offer the rest in the add dropdown
+    renderFilterChips(filter) {
+      const picked = this.getFilterChips(filter);
+      const list = document.getElementById(`${filter.id}ChipList`);
+      if (list) {
+        DOMHelper.clearElement(list);
+        picked.forEach((value) => {
+          const chip = document.createElement("span");
+          chip.className = "filter-chip";
+          chip.setAttribute("role", "listitem");
+          chip.dataset.value = value;
+          const text = document.createElement("span");
+          text.textContent = value;
+          chip.appendChild(text);
+          const remove = document.createElement("button");
+          remove.type = "button";
+          remove.className = "filter-chip-remove";
+          remove.textContent = "\xD7";
+          remove.setAttribute("aria-label", `Remove ${filter.label.toLowerCase()} filter "${value}"`);
+          remove.addEventListener("click", () => this.removeFilterChip(filter, value));
+          chip.appendChild(remove);
+          list.appendChild(chip);
+        });
+      }
+      const add = document.getElementById(`${filter.id}ChipAdd`);
+      if (add) {
+        DOMHelper.clearElement(add);
+        add.appendChild(DOMHelper.createOption("", filter.placeholder));
+        (this.filterChoices?.[filter.id] || []).filter((value) => !picked.includes(value)).forEach((value) => {
+          add.appendChild(DOMHelper.createOption(value, value));
+        });
+        this.labelFacetOptions(add, filter.id);
+      }
+    }
+    // Facet counts
+    async updateFacetCounts(criteria) {
+      try {
+        this.facetCounts = await this.tasks.run("facetCounts", { criteria }).promise;
+      } catch (error) {
+        ErrorHandler.log(error, "Facet counts");
+        this.facetCounts = null;
+      }
+      this.renderFacetCounts();
+    }
+    // Records the search would return with `value` picked, or null before anything is counted
+    facetCount(key, value) {
+      const facet = this.facetCounts?.facets[key];
+      if (!facet) return null;
+      return facet.ifPicked.get(value) ?? facet.otherwise;
+    }
+    // Add the count to each option of a filter dropdown and dim the ones that would find nothing
+    labelFacetOptions(select, key) {
+      Array.from(select.options).forEach((option) => {
+        if (!option.value) return;
+        if (option.dataset.label === void 0) option.dataset.label = option.textContent;
+        const count = this.facetCount(key, option.value);
+        option.textContent = count === null ? option.dataset.label : `${option.dataset.label} (${count})`;
+        option.classList.toggle("facet-empty", count === 0);
+      });
+    }
+    renderFacetCounts() {
+      [["scheduleFilter", "schedule"], ["statusFilter", "status"]].forEach(([id, key]) => {
+        const select = document.getElementById(id);
+        if (select) this.labelFacetOptions(select, key);
+      });
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        const add = document.getElementById(`${filter.id}ChipAdd`);
+        if (add) this.labelFacetOptions(add, filter.id);
+      });
+      this.renderFacetPanel();
+    }
+    // Result breakdown: the most common values in the current results, each narrowing the search when clicked
+    renderFacetPanel() {
+      const panel = document.getElementById("facetPanel");
+      if (!panel) return;
+      DOMHelper.clearElement(panel);
+      APP_CONSTANTS.FACET_PANEL_GROUPS.forEach((group) => {
+        const counts = this.facetCounts?.facets[group.key]?.inResults;
+        if (!counts || counts.size === 0) return;
+        const section = document.createElement("div");
+        section.className = "facet-group";
+        const heading = document.createElement("h4");
+        heading.className = "facet-group-title";
+        heading.textContent = group.label;
+        section.appendChild(heading);
+        const values = [...counts].sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+        const expanded = this.expandedFacets.has(group.key);
+        const list = document.createElement("ul");
+        list.className = "facet-list";
+        values.slice(0, expanded ? values.length : APP_CONSTANTS.FACET_PANEL_LIMIT).forEach(([value, count]) => {
+          const item = document.createElement("li");
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "facet-value";
+          button.title = `Show only records with ${group.label.toLowerCase()} "${value}"`;
+          const name = document.createElement("span");
+          name.className = "facet-value-name";
+          name.textContent = value;
+          const number = document.createElement("span");
+          number.className = "facet-value-count";
+          number.textContent = count;
+          button.append(name, number);
+          button.addEventListener("click", () => this.narrowByFacet(group, value));
+          item.appendChild(button);
+          list.appendChild(item);
+        });
+        section.appendChild(list);
+        if (values.length > APP_CONSTANTS.FACET_PANEL_LIMIT) {
+          const more = document.createElement("button");
+          more.type = "button";
+          more.className = "facet-more";
+          more.textContent = expanded ? "Show fewer" : `Show all ${values.length}`;
+          more.addEventListener("click", () => {
+            if (expanded) this.expandedFacets.delete(group.key);
+            else this.expandedFacets.add(group.key);
+            this.renderFacetPanel();
+          });
+          section.appendChild(more);
+        }
+        panel.appendChild(section);
+      });
+      if (!panel.firstChild) {
+        const empty = document.createElement("p");
+        empty.className = "facet-empty-note";
+        empty.textContent = "No results to break down.";
+        panel.appendChild(empty);
+      }
+    }
+    // Keep only the current results having `value`
+    narrowByFacet(group, value) {
+      if (group.key === "status") {
+        document.getElementById("statusFilter").value = value;
+        this.applyFilters();
+        return;
+      }
+      const filter = APP_CONSTANTS.CHIP_FILTERS.find((chipFilter) => chipFilter.id === group.key);
+      const mode = document.getElementById(`${filter.id}FilterMode`);
+      const picked = this.getFilterChips(filter);
+      if (picked.length === 0 || mode?.value === MATCH_MODES.ALL) {
+        this.addFilterChip(filter, value);
+      } else if (group.key === "division" || picked.includes(value)) {
+        this.filterChips[filter.id] = [value];
+        if (mode) mode.value = MATCH_MODES.ANY;
+        this.renderFilterChips(filter);
+        this.applyFilters();
+      } else {
+        const searchInput = document.getElementById("searchInput");
+        const term = value.includes('"') ? value : `"${value}"`;
+        searchInput.value = `${searchInput.value.trim()} ${group.qualifier}:${term}`.trim();
+        this.applyFilters();
+      }
+    }
+    setFacetPanelCollapsed(collapsed) {
+      const toggle = document.getElementById("facetToggleBtn");
+      const panel = document.getElementById("facetPanel");
+      if (toggle) toggle.setAttribute("aria-expanded", collapsed ? "false" : "true");
+      if (panel) panel.classList.toggle("hidden", collapsed);
+      try {
+        localStorage.setItem("iletsb_facets_collapsed", collapsed ? "true" : "false");
+      } catch (e) {
+      }
+    }
+    initFacetPanel() {
+      let collapsed = false;
+      try {
+        collapsed = localStorage.getItem("iletsb_facets_collapsed") === "true";
+      } catch (err) {
+        collapsed = false;
+      }
+      this.setFacetPanelCollapsed(collapsed);
+    }
+    clearFilters() {
+      const elements = [
+        "searchInput",
+        "scheduleFilter",
+        "statusFilter",
+        ...APP_CONSTANTS.DATE_RANGE_FILTERS.flatMap((filter) => [filter.fromInput, filter.toInput])
+      ];
+      elements.forEach((id) => {
+        const element = document.getElementById(id);
+        if (element) {
+          if (element.type === "checkbox") {
+            element.checked = false;
+          } else {
+            element.value = "";
+          }
+        }
+      });
+      this.filterChips = {};
+      APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+        const mode = document.getElementById(`${filter.id}FilterMode`);
+        if (mode) mode.value = MATCH_MODES.ANY;
+        this.renderFilterChips(filter);
+      });
+      this.applyFilters();
+    }
+    // First draw of the page; after this the views follow the cache (subscribeToSeriesCache)
+    async updateUI() {
+      try {
+        await this.seriesCache.load();
+        this.syncSeriesFromCache();
+        this.filteredItems = [...this.seriesItems];
+        this.resultHighlight = null;
+        this.populateFilterDropdowns();
+        await this.updateFacetCounts({});
+        if (typeof this.populateSeriesScheduleDropdown === "function") {
+          this.populateSeriesScheduleDropdown();
+        }
+        await this.renderResults();
+        this.updateResultsSummary();
+        this.updateRecordCount();
+      } catch (error) {
+        ErrorHandler.log(error, "Update UI");
+        this.setStatus("Error updating interface: " + error.message, "error");
+      }
+    }
+    // Series data, live views
+    // The cache tells each view what changed; none of them read the database themselves
+    subscribeToSeriesCache() {
+      this.seriesCache.subscribe(() => this.syncSeriesFromCache());
+      this.seriesCache.subscribe(() => this.populateFilterDropdowns());
+      this.seriesCache.subscribe(() => this.refreshCountsUI());
+      this.seriesCache.subscribe(() => this.applyFilters());
+      this.seriesCache.subscribe((event) => this.refreshDetailsAfterChange(event));
+    }
+    syncSeriesFromCache() {
+      this.seriesItems = this.seriesCache.getAll();
+      this.schedules = this.seriesCache.getSchedules();
+    }
+    // Only a change to the open record redraws the detail pane, so edits elsewhere are not lost.
+    // The record stays on the tab it was showing; one that is gone closes.
+    refreshDetailsAfterChange({ type, ids }) {
+      const openId = this.currentSeriesItem?._id;
+      if (openId == null || type !== "clear" && !ids.includes(openId)) return;
+      const current = this.seriesCache.get(openId);
+      if (!current) {
+        this.refreshCurrentSeriesItem();
+        return;
+      }
+      this.populateSeriesForm(current);
+      const schedule = this.scheduleFor(current);
+      if (schedule) this.populateScheduleForm(schedule);
+      if (this.currentTab === "history") this.renderHistory(openId);
+    }
+    populateFilterDropdowns() {
+      try {
+        const allSeries = this.seriesCache.getAll();
+        const scheduleNumbers = [...new Set(allSeries.map((s) => s.schedule_number).filter((n) => n))].sort();
+        const scheduleSelect = document.getElementById("scheduleFilter");
+        if (scheduleSelect) {
+          const picked = scheduleSelect.value;
+          DOMHelper.clearElement(scheduleSelect);
+          scheduleSelect.appendChild(DOMHelper.createOption("", "All Schedules"));
+          scheduleNumbers.forEach((num) => {
+            scheduleSelect.appendChild(DOMHelper.createOption(num, num));
+          });
+          if (scheduleNumbers.includes(picked)) scheduleSelect.value = picked;
+          this.labelFacetOptions(scheduleSelect, "schedule");
+        }
+        APP_CONSTANTS.CHIP_FILTERS.forEach((filter) => {
+          const values = allSeries.flatMap((s) => Array.isArray(s[filter.field]) ? s[filter.field] : [s[filter.field]]);
+          this.filterChoices[filter.id] = [...new Set(values.filter(Boolean))].sort();
+          this.renderFilterChips(filter);
+        });
+        const statusSelect = document.getElementById("statusFilter");
+        if (statusSelect) {
+          const picked = statusSelect.value;
+          DOMHelper.clearElement(statusSelect);
+          statusSelect.appendChild(DOMHelper.createOption("", "All Statuses"));
+          Object.values(APP_CONSTANTS.APPROVAL_STATUS).forEach((status) => {
+            const displayName = status.charAt(0).toUpperCase() + status.slice(1);
+            statusSelect.appendChild(DOMHelper.createOption(status, displayName));
+          });
+          statusSelect.value = picked;
+          this.labelFacetOptions(statusSelect, "status");
+        }
+      } catch (error) {
+        ErrorHandler.log(error, "Populate filter dropdowns");
+      }
+    }
+    // Legacy function - schedule dropdown removed from Series tab
+    populateSeriesScheduleDropdown() {
+      return;
+    }
+    // Helper: get a Set of all schedule numbers for quick membership checks
+    getScheduleNumberSet() {
+      const set = /* @__PURE__ */ new Set();
+      (this.schedules || []).forEach((s) => {
+        if (s.schedule_number) set.add(s.schedule_number);
+      });
+      return set;
+    }
+    // Normalize existing records so both legacy and canonical fields are in sync
+    async normalizeExistingData() {
+      for (const sched of this.schedules) {
+        const desired = sched.schedule_number || sched.application_number || "";
+        if (!desired) continue;
+        const needsUpdate = sched.schedule_number !== desired || "application_number" in sched;
+        if (needsUpdate) {
+          sched.schedule_number = desired;
+          if ("application_number" in sched) delete sched.application_number;
+          try {
+            await this.saveSchedule(sched, true);
+          } catch (e) {
+            ErrorHandler.log(e, "Normalize schedule");
+          }
+        }
+      }
+      for (const si of this.seriesItems) {
+        const seriesNum = si.item_number || si.series_number || "";
+        const needsUpdate = "application_number" in si || "schedule_number" in si || si.item_number !== seriesNum || "series_number" in si;
+        if (needsUpdate) {
+          if (seriesNum) {
+            si.item_number = seriesNum;
+          }
+          if ("application_number" in si) delete si.application_number;
+          if ("schedule_number" in si) delete si.schedule_number;
+          if ("series_number" in si) delete si.series_number;
+          try {
+            await this.saveSeries(si, true);
+          } catch (e) {
+            ErrorHandler.log(e, "Normalize series");
+          }
+        }
+      }
+    }
+    // Results list: only the rows in view, plus VIRTUAL_SCROLL_BUFFER either side, are in the DOM.
+    // Spacers above and below stand in for the rest so the scrollbar spans the whole list.
+    async renderResults() {
+      const resultsList = document.getElementById("resultsList");
+      const emptyState = document.getElementById("emptyState");
+      if (!resultsList) {
+        console.error("Results list element not found");
+        return;
+      }
+      if (!this.resultsWindow || this.resultsWindow.list !== resultsList) {
+        this.resultsWindow = this.createResultsWindow(resultsList);
+      }
+      if (emptyState) {
+        emptyState.style.display = this.filteredItems.length === 0 ? "block" : "none";
+      }
+      this.renderResultsWindow(true);
+    }
+    createResultsWindow(list) {
+      const top = document.createElement("div");
+      top.className = "virtual-spacer";
+      const bottom = document.createElement("div");
+      bottom.className = "virtual-spacer";
+      list.appendChild(top);
+      list.appendChild(bottom);
+      let pending = false;
+      const update = () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+          pending = false;
+          this.renderResultsWindow();
+        });
+      };
+      list.addEventListener("scroll", update, { passive: true });
+      window.addEventListener("resize", update);
+      return { list, top, bottom, rows: [], first: 0, last: 0, rowHeight: APP_CONSTANTS.VIRTUAL_SCROLL_ITEM_HEIGHT };
+    }
+    // Rows [first, last) of filteredItems that cover the visible part of the list
+    getResultsWindowRange(scrollTop, viewHeight, rowHeight, count) {
+      const buffer = APP_CONSTANTS.VIRTUAL_SCROLL_BUFFER;
+      const first = Math.max(0, Math.min(count, Math.floor(scrollTop / rowHeight)) - buffer);
+      const last = Math.min(count, Math.ceil((scrollTop + viewHeight) / rowHeight) + buffer);
+      return { first, last };
+    }
+    renderResultsWindow(force = false) {
+      const view = this.resultsWindow;
+      if (!view) return;
+      const count = this.filteredItems.length;
+      const { first, last } = this.getResultsWindowRange(view.list.scrollTop, view.list.clientHeight, view.rowHeight, count);
+      if (!force && first === view.first && last === view.last) return;
+      view.rows.forEach((row) => row.remove());
+      const fragment = document.createDocumentFragment();
+      view.rows = this.filteredItems.slice(first, last).map((item, offset) => {
+        const row = this.createResultRow(item, first + offset);
+        if (item._id === this.selectedItemId) row.classList.add("selected");
+        fragment.appendChild(row);
+        return row;
+      });
+      view.list.insertBefore(fragment, view.bottom);
+      view.first = first;
+      view.last = last;
+      view.top.style.height = `${first * view.rowHeight}px`;
+      view.bottom.style.height = `${(count - last) * view.rowHeight}px`;
+      const [sample] = view.rows;
+      if (sample && sample.offsetHeight > 0) {
+        const rowHeight = sample.offsetHeight + (parseFloat(getComputedStyle(sample).marginBottom) || 0);
+        if (Math.abs(rowHeight - view.rowHeight) > 1) {
+          view.rowHeight = rowHeight;
+          this.renderResultsWindow(true);
+        }
+      }
+    }
+    // Scroll just far enough to bring a result row into view, drawing it if needed
+    scrollResultIntoView(index) {
+      const view = this.resultsWindow;
+      if (!view) return;
+      const { list, rowHeight } = view;
+      const top = index * rowHeight;
+      if (top < list.scrollTop) {
+        list.scrollTop = top;
+      } else if (top + rowHeight > list.scrollTop + list.clientHeight) {
+        list.scrollTop = top + rowHeight - list.clientHeight;
+      }
+      this.renderResultsWindow();
+    }
+    createResultRow(item, index) {
+      const row = document.createElement("div");
+      row.className = "result-item";
+      row.dataset.itemId = item._id;
+      row.tabIndex = 0;
+      const selectCell = document.createElement("div");
+      selectCell.className = "col-select";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "result-check";
+      checkbox.checked = this.isResultChecked(item._id);
+      checkbox.setAttribute("aria-label", `Select "${item.record_series_title || "Untitled"}"`);
+      checkbox.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleResultChecked(index, e.shiftKey);
+      });
+      selectCell.appendChild(checkbox);
+      row.appendChild(selectCell);
+      if (checkbox.checked) row.classList.add("checked");
+      this.resultColumns.forEach(({ key }) => {
+        const column = this.getResultColumn(key);
+        const cell = document.createElement("div");
+        cell.className = column.className || "col-field";
+        cell.dataset.column = key;
+        DOMHelper.setTextContent(cell, this.formatColumnValue(item, column));
+        row.appendChild(cell);
+      });
+      if (this.resultHighlight?.words.length) {
+        this.highlightResultRow(row, item);
+      }
+      row.addEventListener("mousedown", (e) => {
+        if (e.shiftKey) e.preventDefault();
+      });
+      row.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+          this.toggleResultChecked(index, e.shiftKey);
+          return;
+        }
+        this.selectSeriesItem(item);
+      });
+      row.addEventListener("keydown", (e) => {
+        if (e.target !== row) return;
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          this.selectSeriesItem(item);
+        }
+      });
+      return row;
+    }
+    // Mark the search words in the row's columns and add a snippet from the best other field that matched
+    highlightResultRow(row, item) {
+      const { fields } = SearchRanker.explain(item, this.resultHighlight.words, this.resultHighlight);
+      const cells = new Map([...row.children].filter((cell) => cell.dataset.column).map((cell) => [cell.dataset.column.replace(/^ui_extras\./, ""), cell]));
+      fields.filter((field) => cells.has(field.key)).forEach((field) => {
+        DOMHelper.setHighlightedText(cells.get(field.key), field.text, field.ranges);
+      });
+      const hidden = fields.find((field) => !cells.has(field.key));
+      if (!hidden) return;
+      const excerpt = SearchRanker.snippet(hidden.text, hidden.ranges);
+      const snippet = document.createElement("div");
+      snippet.className = "result-snippet";
+      const label = document.createElement("span");
+      label.className = "result-snippet-label";
+      label.textContent = `${hidden.label}: `;
+      const text = document.createElement("span");
+      DOMHelper.setHighlightedText(text, excerpt.text, excerpt.ranges);
+      snippet.appendChild(label);
+      snippet.appendChild(text);
+      row.appendChild(snippet);
+    }
+    // Results Columns
+    // Any series field can be a column. Order and widths are saved per user; sorting is part of the search criteria.
+    // The catalog, plus ui_extras fields the records carry that it does not list
+    getResultColumnChoices() {
+      const known = new Set(APP_CONSTANTS.RESULT_COLUMNS.map((column) => column.key));
+      const extras = /* @__PURE__ */ new Set();
+      this.seriesItems.forEach((item) => {
+        Object.keys(item.ui_extras || {}).forEach((key) => {
+          if (!known.has(`ui_extras.${key}`)) extras.add(`ui_extras.${key}`);
+        });
+      });
+      return [...APP_CONSTANTS.RESULT_COLUMNS, ...[...extras].sort().map((key) => this.getResultColumn(key))];
+    }
+    getResultColumn(key) {
+      const known = APP_CONSTANTS.RESULT_COLUMNS.find((column) => column.key === key);
+      if (known) return known;
+      const label = key.replace(/^ui_extras\./, "").replace(/[_-]+/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^\w/, (letter) => letter.toUpperCase());
+      return { key, label, width: APP_CONSTANTS.RESULT_COLUMN_WIDTH };
+    }
+    formatColumnValue(item, column) {
+      const value = this.getNestedValue(item, column.key);
+      if (value == null || value === "" || Array.isArray(value) && value.length === 0) {
+        return column.empty || "\u2014";
+      }
+      if (Array.isArray(value)) return value.join("; ");
+      if (column.format === "timestamp") {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+      }
+      return String(value);
+    }
+    defaultResultColumns() {
+      return APP_CONSTANTS.DEFAULT_RESULT_COLUMNS.map((key) => ({ key, width: this.getResultColumn(key).width }));
+    }
+    resultLayoutStorageKey() {
+      return `iletsb_result_layout_${this.currentUser?._id ?? "default"}`;
+    }
+    // The current user's columns, or the default four
+    loadResultLayout() {
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(this.resultLayoutStorageKey()) || "null");
+      } catch (e) {
+        saved = null;
+      }
+      const columns = (Array.isArray(saved?.columns) ? saved.columns : []).filter((column) => typeof column?.key === "string" && column.key).map(({ key, width }) => ({ key, width: Number.isFinite(width) ? width : null }));
+      this.resultColumns = columns.length > 0 ? columns : this.defaultResultColumns();
+      this.renderResultsHeader();
+    }
+    saveResultLayout() {
+      try {
+        localStorage.setItem(this.resultLayoutStorageKey(), JSON.stringify({ columns: this.resultColumns }));
+      } catch (e) {
+      }
+    }
+    // Save a new column list and redraw the header, the rows and an open chooser
+    setResultColumns(columns, focusKey = null) {
+      this.resultColumns = columns;
+      this.saveResultLayout();
+      this.renderResultsHeader();
+      this.renderResultsWindow(true);
+      const chooser = document.getElementById("columnChooser");
+      if (chooser && !chooser.classList.contains("hidden")) {
+        this.renderColumnChooser(focusKey);
+      }
+    }
+    toggleResultColumn(key, shown) {
+      if (shown) {
+        this.setResultColumns([...this.resultColumns, { key, width: this.getResultColumn(key).width }], key);
+      } else if (this.resultColumns.length > 1) {
+        this.setResultColumns(this.resultColumns.filter((column) => column.key !== key), key);
+      } else {
+        this.renderColumnChooser(key);
+      }
+    }
+    moveResultColumn(key, toIndex) {
+      const from = this.resultColumns.findIndex((column) => column.key === key);
+      if (from === -1 || from === toIndex || toIndex < 0 || toIndex >= this.resultColumns.length) return;
+      const columns = [...this.resultColumns];
+      const [moved] = columns.splice(from, 1);
+      columns.splice(toIndex, 0, moved);
+      this.setResultColumns(columns, key);
+    }
+    // Live while a resize handle is dragged; pass save once the drag ends
+    resizeResultColumn(index, width, save = false) {
+      const column = this.resultColumns[index];
+      if (!column) return;
+      column.width = width == null ? null : Math.max(APP_CONSTANTS.RESULT_COLUMN_MIN_WIDTH, Math.round(width));
+      this.applyResultColumnWidths();
+      if (save) this.saveResultLayout();
+    }
+    // grid-template-columns shared by the header and the rows, and the width below which they scroll sideways.
+    // The tick box column comes first.
+    getResultGridTemplate(columns = this.resultColumns) {
+      const flexMin = APP_CONSTANTS.RESULT_COLUMN_FLEX_MIN_WIDTH;
+      const selectWidth = APP_CONSTANTS.RESULT_SELECT_COLUMN_WIDTH;
+      const template = [`${selectWidth}px`, ...columns.map(({ width }) => width ? `${width}px` : `minmax(${flexMin}px, 1fr)`)].join(" ");
+      const minWidth = selectWidth + columns.reduce((sum, { width }) => sum + (width || flexMin), 0) + 12 * columns.length + 50;
+      return { template, minWidth };
+    }
+    applyResultColumnWidths() {
+      const container = document.getElementById("resultsContainer");
+      if (!container) return;
+      const { template, minWidth } = this.getResultGridTemplate();
+      container.style.setProperty("--result-columns", template);
+      container.style.setProperty("--results-min-width", `${minWidth}px`);
+    }
+    renderResultsHeader() {
+      const header = document.getElementById("resultsTableHeader");
+      if (!header) return;
+      DOMHelper.clearElement(header);
+      const selectCell = document.createElement("div");
+      selectCell.className = "results-column col-select";
+      const selectAll = document.createElement("input");
+      selectAll.type = "checkbox";
+      selectAll.id = "selectAllResults";
+      selectAll.setAttribute("aria-label", "Select all results");
+      selectAll.addEventListener("change", () => {
+        this.setResultsChecked(this.filteredItems.map((item) => item._id), selectAll.checked);
+      });
+      selectCell.appendChild(selectAll);
+      header.appendChild(selectCell);
+      this.resultColumns.forEach((layout, index) => {
+        const column = this.getResultColumn(layout.key);
+        const cell = document.createElement("div");
+        cell.className = `results-column ${column.className || "col-field"}`;
+        cell.setAttribute("role", "columnheader");
+        cell.dataset.column = column.key;
+        cell.draggable = true;
+        const sortBtn = document.createElement("button");
+        sortBtn.type = "button";
+        sortBtn.className = "column-sort-btn";
+        sortBtn.title = `Sort by ${column.label}; shift-click to add it as a further sort key`;
+        const label = document.createElement("span");
+        label.textContent = column.label;
+        const indicator = document.createElement("span");
+        indicator.className = "column-sort-indicator";
+        indicator.setAttribute("aria-hidden", "true");
+        sortBtn.appendChild(label);
+        sortBtn.appendChild(indicator);
+        sortBtn.addEventListener("click", (e) => this.sortByColumn(column.key, e.shiftKey));
+        const handle = document.createElement("span");
+        handle.className = "column-resize-handle";
+        handle.title = "Drag to resize; double-click for the default width";
+        handle.addEventListener("pointerdown", (e) => this.startColumnResize(e, index, cell));
+        handle.addEventListener("dblclick", () => this.resizeResultColumn(index, column.width, true));
+        cell.addEventListener("dragstart", (e) => {
+          if (this.resizingColumn) {
+            e.preventDefault();
+            return;
+          }
+          this.draggedColumn = column.key;
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("text/plain", column.label);
+          cell.classList.add("dragging");
+        });
+        cell.addEventListener("dragend", () => {
+          this.draggedColumn = null;
+          header.querySelectorAll(".dragging, .drop-target").forEach((el) => el.classList.remove("dragging", "drop-target"));
+        });
+        cell.addEventListener("dragover", (e) => {
+          if (!this.draggedColumn) return;
+          e.preventDefault();
+          cell.classList.add("drop-target");
+        });
+        cell.addEventListener("dragleave", () => cell.classList.remove("drop-target"));
+        cell.addEventListener("drop", (e) => {
+          if (!this.draggedColumn) return;
+          e.preventDefault();
+          this.moveResultColumn(this.draggedColumn, index);
+        });
+        cell.appendChild(sortBtn);
+        cell.appendChild(handle);
+        header.appendChild(cell);
+      });
+      this.applyResultColumnWidths();
+      this.updateColumnSortIndicators();
+      this.updateSelectionState();
+    }
+    startColumnResize(event, index, cell) {
+      event.preventDefault();
+      event.stopPropagation();
+      const handle = event.currentTarget;
+      const startX = event.clientX;
+      const startWidth = cell.getBoundingClientRect().width;
+      this.resizingColumn = true;
+      handle.setPointerCapture(event.pointerId);
+      const move = (e) => this.resizeResultColumn(index, startWidth + e.clientX - startX);
+      const end = () => {
+        handle.removeEventListener("pointermove", move);
+        handle.removeEventListener("pointerup", end);
+        handle.removeEventListener("pointercancel", end);
+        this.resizingColumn = false;
+        this.saveResultLayout();
+      };
+      handle.addEventListener("pointermove", move);
+      handle.addEventListener("pointerup", end);
+      handle.addEventListener("pointercancel", end);
+    }
+    // [{ key, order }], the "Sort by" key first
+    getResultSortKeys() {
+      const sortBy = document.getElementById("sortBy")?.value || APP_CONSTANTS.DEFAULT_SORT;
+      const order = document.getElementById("sortOrder")?.value === "desc" ? "desc" : "asc";
+      if (sortBy === "relevance") return [{ key: sortBy, order }];
+      const thenBy = this.sortThenBy.map((key) => key.startsWith("-") ? { key: key.slice(1), order: "desc" } : { key, order: "asc" }).filter(({ key }) => key !== sortBy);
+      return [{ key: sortBy, order }, ...thenBy];
+    }
+    setResultSortKeys([first, ...rest]) {
+      this.ensureSortOption(first.key);
+      const sortBy = document.getElementById("sortBy");
+      const sortOrder = document.getElementById("sortOrder");
+      if (sortBy) sortBy.value = first.key;
+      if (sortOrder) sortOrder.value = first.order === "desc" ? "desc" : "";
+      this.sortThenBy = rest.map(({ key, order }) => order === "desc" ? `-${key}` : key);
+    }
+    // Columns the "Sort by" list does not offer are added to it when sorted on
+    ensureSortOption(key) {
+      const sortBy = document.getElementById("sortBy");
+      if (!sortBy || [...sortBy.options].some((option) => option.value === key)) return;
+      sortBy.appendChild(DOMHelper.createOption(key, this.getResultColumn(key).label));
+    }
+    // Click sorts by the column alone, or reverses it. Shift-click adds it as the next key,
+    // reverses it, then drops it again.
+    sortByColumn(key, addKey = false) {
+      const keys = this.getResultSortKeys();
+      const index = keys.findIndex((sortKey) => sortKey.key === key);
+      const reversed = (sortKey) => ({ key: sortKey.key, order: sortKey.order === "asc" ? "desc" : "asc" });
+      let next;
+      if (!addKey || keys[0].key === "relevance") {
+        next = [index === 0 ? reversed(keys[0]) : { key, order: "asc" }];
+      } else if (index === -1) {
+        next = [...keys, { key, order: "asc" }];
+      } else if (keys[index].order === "asc" || index === 0) {
+        next = keys.map((sortKey, i) => i === index ? reversed(sortKey) : sortKey);
+      } else {
+        next = keys.filter((sortKey, i) => i !== index);
+      }
+      this.setResultSortKeys(next);
+      this.updateColumnSortIndicators();
+      this.applyFilters();
+    }
+    updateColumnSortIndicators() {
+      const header = document.getElementById("resultsTableHeader");
+      if (!header) return;
+      const keys = this.getResultSortKeys();
+      header.querySelectorAll('[role="columnheader"]').forEach((cell) => {
+        const index = keys.findIndex((sortKey2) => sortKey2.key === cell.dataset.column);
+        const sortKey = keys[index];
+        const ariaSort = index === 0 ? sortKey.order === "desc" ? "descending" : "ascending" : "none";
+        cell.setAttribute("aria-sort", ariaSort);
+        cell.classList.toggle("sorted", index !== -1);
+        const indicator = cell.querySelector(".column-sort-indicator");
+        if (indicator) {
+          indicator.textContent = index === -1 ? "" : `${sortKey.order === "desc" ? "\u25BC" : "\u25B2"}${keys.length > 1 ? index + 1 : ""}`;
+        }
+      });
+    }
+    toggleColumnChooser(open = null) {
+      const button = document.getElementById("columnChooserBtn");
+      const chooser = document.getElementById("columnChooser");
+      if (!button || !chooser) return;
+      const show = open ?? chooser.classList.contains("hidden");
+      if (show) this.renderColumnChooser();
+      chooser.classList.toggle("hidden", !show);
+      button.setAttribute("aria-expanded", show ? "true" : "false");
+    }
+    // Shown columns first, in order and with move buttons, then the rest of the choices
+    renderColumnChooser(focusKey = null) {
+      const chooser = document.getElementById("columnChooser");
+      if (!chooser) return;
+      DOMHelper.clearElement(chooser);
+      const shown = this.resultColumns.map((column) => column.key);
+      const choices = [
+        ...shown.map((key) => this.getResultColumn(key)),
+        ...this.getResultColumnChoices().filter((column) => !shown.includes(column.key))
+      ];
+      const list = document.createElement("ul");
+      list.className = "column-chooser-list";
+      choices.forEach((column) => {
+        const index = shown.indexOf(column.key);
+        const item = document.createElement("li");
+        item.className = "column-chooser-item";
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = index !== -1;
+        checkbox.dataset.column = column.key;
+        checkbox.addEventListener("change", () => this.toggleResultColumn(column.key, checkbox.checked));
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${column.label}`));
+        item.appendChild(label);
+        if (index !== -1) {
+          [["\u2191", "left", index - 1], ["\u2193", "right", index + 1]].forEach(([arrow, direction, toIndex]) => {
+            const moveBtn = document.createElement("button");
+            moveBtn.type = "button";
+            moveBtn.className = "btn btn--secondary btn--sm column-move-btn";
+            moveBtn.textContent = arrow;
+            moveBtn.disabled = toIndex < 0 || toIndex >= shown.length;
+            moveBtn.setAttribute("aria-label", `Move ${column.label} ${direction}`);
+            moveBtn.addEventListener("click", () => this.moveResultColumn(column.key, toIndex));
+            item.appendChild(moveBtn);
+          });
+        }
+        list.appendChild(item);
+      });
+      const resetBtn = document.createElement("button");
+      resetBtn.type = "button";
+      resetBtn.className = "btn btn--secondary btn--sm";
+      resetBtn.textContent = "Reset to default columns";
+      resetBtn.addEventListener("click", () => this.setResultColumns(this.defaultResultColumns()));
+      chooser.appendChild(list);
+      chooser.appendChild(resetBtn);
+      if (focusKey) {
+        [...list.querySelectorAll('input[type="checkbox"]')].find((input) => input.dataset.column === focusKey)?.focus();
+      }
+    }
+    // Results Selection
+    // Ticked results are kept by id, so they survive scrolling and searches that still list them.
+    // A tick box or a ctrl-click ticks one result; a shift-click ticks every result back to the last one ticked.
+    isResultChecked(id) {
+      return Boolean(this.checkedIds?.has(id));
+    }
+    setResultsChecked(ids, checked) {
+      ids.forEach((id) => checked ? this.checkedIds.add(id) : this.checkedIds.delete(id));
+      this.updateSelectionState();
+    }
+    toggleResultChecked(index, range = false) {
+      const item = this.filteredItems[index];
+      if (!item) return;
+      const anchor = range ? this.filteredItems.findIndex((other) => other._id === this.checkAnchorId) : -1;
+      if (anchor === -1) {
+        this.setResultsChecked([item._id], !this.isResultChecked(item._id));
+        this.checkAnchorId = item._id;
+        return;
+      }
+      const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+      this.setResultsChecked(this.filteredItems.slice(from, to + 1).map((other) => other._id), true);
+    }
+    clearResultSelection() {
+      this.checkedIds.clear();
+      this.checkAnchorId = null;
+      this.updateSelectionState();
+    }
+    // Results a new search no longer lists leave the selection
+    pruneCheckedResults() {
+      if (this.checkedIds.size === 0) return;
+      const listed = new Set(this.filteredItems.map((item) => item._id));
+      this.checkedIds.forEach((id) => {
+        if (!listed.has(id)) this.checkedIds.delete(id);
+      });
+      this.updateSelectionState();
+    }
+    // Ticked results in list order
+    getCheckedResults() {
+      return this.filteredItems.filter((item) => this.checkedIds.has(item._id));
+    }
+    // Tick boxes on the drawn rows, the select-all box and the selection bar
+    updateSelectionState() {
+      const view = this.resultsWindow;
+      view?.rows.forEach((row, offset) => {
+        const item = this.filteredItems[view.first + offset];
+        const checked = Boolean(item) && this.isResultChecked(item._id);
+        row.classList.toggle("checked", checked);
+        const checkbox = row.querySelector(".result-check");
+        if (checkbox) checkbox.checked = checked;
+      });
+      const count = this.checkedIds?.size || 0;
+      const selectAll = document.getElementById("selectAllResults");
+      if (selectAll) {
+        selectAll.checked = count > 0 && count === this.filteredItems.length;
+        selectAll.indeterminate = count > 0 && count < this.filteredItems.length;
+      }
+      document.getElementById("selectionBar")?.classList.toggle("hidden", count === 0);
+      const label = document.getElementById("selectionCount");
+      if (label) label.textContent = `${count} record${count !== 1 ? "s" : ""} selected`;
+    }
+    // Bulk Edit
+    // One BULK_EDIT_ACTIONS change to every ticked result: previewed as it is typed, then applied
+    // by SeriesRepository.bulkEdit() in one transaction and undone as one step.
+    setupBulkEdit() {
+      const actionSelect = document.getElementById("bulkAction");
+      if (actionSelect) {
+        Object.entries(BULK_EDIT_ACTIONS).forEach(([value, action]) => {
+          const option = document.createElement("option");
+          option.value = value;
+          option.textContent = action.label;
+          actionSelect.appendChild(option);
+        });
+        actionSelect.addEventListener("change", () => this.updateBulkEditForm());
+      }
+      document.getElementById("bulkValue")?.addEventListener("input", () => this.renderBulkEditPreview());
+      document.getElementById("bulkEditForm")?.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.commitBulkEdit();
+      });
+      const bindings = {
+        bulkEditBtn: () => this.showBulkEdit(),
+        clearSelectionBtn: () => this.clearResultSelection(),
+        bulkApplyBtn: () => this.commitBulkEdit(),
+        closeBulkEdit: () => this.hideBulkEdit(),
+        bulkEditCloseBtn: () => this.hideBulkEdit()
+      };
+      Object.entries(bindings).forEach(([id, handler]) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener("click", handler);
+      });
+    }
+    showBulkEdit() {
+      if (this.checkedIds.size === 0) return;
+      const modal = document.getElementById("bulkEditModal");
+      if (modal) modal.classList.remove("hidden");
+      this.updateBulkEditForm();
+      document.getElementById("bulkAction")?.focus();
+    }
+    hideBulkEdit() {
+      const modal = document.getElementById("bulkEditModal");
+      if (modal) modal.classList.add("hidden");
+      this.bulkEditPlan = null;
+    }
+    getBulkEdit() {
+      return {
+        action: document.getElementById("bulkAction")?.value,
+        value: document.getElementById("bulkValue")?.value || ""
+      };
+    }
+    // The value box shows only for actions that take one, suggesting values the records already use
+    updateBulkEditForm() {
+      const action = BULK_EDIT_ACTIONS[this.getBulkEdit().action];
+      if (!action) return;
+      const takesValue = action.op === "set" || action.op === "add" || action.op === "remove";
+      document.getElementById("bulkValueGroup")?.classList.toggle("hidden", !takesValue);
+      const input = document.getElementById("bulkValue");
+      if (input) {
+        input.value = "";
+        input.placeholder = action.op === "set" ? "" : "Separate values with commas";
+      }
+      const options = document.getElementById("bulkValueOptions");
+      if (options) {
+        DOMHelper.clearElement(options);
+        this.getBulkEditSuggestions(action).forEach((value) => {
+          const option = document.createElement("option");
+          option.value = value;
+          options.appendChild(option);
+        });
+      }
+      this.renderBulkEditPreview();
+    }
+    // Values to remove come from the ticked records; anything else from every record
+    getBulkEditSuggestions(action) {
+      if (!action.field) return [];
+      if (action.field === "approval_status") return Object.values(APP_CONSTANTS.APPROVAL_STATUS);
+      const records = action.op === "remove" ? this.getCheckedResults() : this.seriesItems;
+      const values = /* @__PURE__ */ new Set();
+      records.forEach((item) => {
+        const value = this.getNestedValue(item, action.field);
+        (Array.isArray(value) ? value : [value]).forEach((v) => {
+          if (v != null && v !== "") values.add(String(v));
+        });
+      });
+      return [...values].sort((a, b) => a.localeCompare(b));
+    }
+    // What the edit would do to each ticked record, and whether it can go ahead.
+    // Status edits also list the rest of each ticked record's schedule, which they change too.
+    renderBulkEditPreview() {
+      const body = document.getElementById("bulkEditBody");
+      const summary = document.getElementById("bulkEditSummary");
+      const applyBtn = document.getElementById("bulkApplyBtn");
+      if (!body) return;
+      const edit = this.getBulkEdit();
+      const action = BULK_EDIT_ACTIONS[edit.action];
+      const records = this.getCheckedResults();
+      DOMHelper.clearElement(body);
+      this.bulkEditPlan = null;
+      if (!action) return;
+      if (action.op !== "clear" && action.op !== "delete" && edit.value.trim() === "") {
+        if (summary) DOMHelper.setTextContent(summary, `Enter a value to preview the change to ${records.length} selected record${records.length !== 1 ? "s" : ""}.`);
+        if (applyBtn) applyBtn.disabled = true;
+        return;
+      }
+      const plan = this.seriesRepo.planBulkEdit(records, edit, this.seriesItems).filter((entry) => !entry.after || entry.changes.length > 0);
+      const invalid = plan.filter((entry) => entry.errors.length > 0);
+      this.bulkEditPlan = plan;
+      plan.slice(0, APP_CONSTANTS.BULK_EDIT_PREVIEW_LIMIT).forEach((entry) => {
+        const row = document.createElement("tr");
+        if (entry.errors.length > 0) row.className = "bulk-edit-error";
+        else if (entry.sameSchedule) row.className = "bulk-edit-same-schedule";
+        [
+          entry.before.schedule_number || "",
+          entry.before.item_number || "",
+          entry.before.record_series_title || "",
+          this.describeBulkEditChange(entry)
+        ].forEach((text) => {
+          const cell = document.createElement("td");
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        body.appendChild(row);
+      });
+      if (summary) {
+        const selected = plan.filter((entry) => !entry.sameSchedule).length;
+        const parts = [`${selected} of ${records.length} selected record${records.length !== 1 ? "s" : ""} will ${action.op === "delete" ? "move to the trash" : "change"}`];
+        if (selected < plan.length) {
+          const more = plan.length - selected;
+          parts.push(`${more} more record${more !== 1 ? "s" : ""} on the same schedule will change with ${more !== 1 ? "them" : "it"}, as status applies to a whole schedule`);
+        }
+        if (plan.length > APP_CONSTANTS.BULK_EDIT_PREVIEW_LIMIT) parts.push(`the first ${APP_CONSTANTS.BULK_EDIT_PREVIEW_LIMIT} are listed`);
+        if (invalid.length > 0) parts.push(`${invalid.length} cannot be changed; untick ${invalid.length !== 1 ? "them" : "it"} or pick another value`);
+        DOMHelper.setTextContent(summary, `${parts.join("; ")}.`);
+      }
+      if (applyBtn) applyBtn.disabled = plan.length === 0 || invalid.length > 0;
+    }
+    describeBulkEditChange(entry) {
+      if (entry.errors.length > 0) return entry.errors.join("; ");
+      if (!entry.after) return "Moved to the trash";
+      const changes = entry.changes.map(({ field }) => {
+        const column = this.getResultColumn(field);
+        return `${column.label}: ${this.formatColumnValue(entry.before, column)} \u2192 ${this.formatColumnValue(entry.after, column)}`;
+      }).join("; ");
+      return entry.sameSchedule ? `${changes} (same schedule, not ticked)` : changes;
+    }
+    async commitBulkEdit() {
+      const plan = this.bulkEditPlan;
+      const edit = this.getBulkEdit();
+      const action = BULK_EDIT_ACTIONS[edit.action];
+      if (!plan || plan.length === 0 || !action || plan.some((entry) => entry.errors.length > 0)) return;
+      const noun = `${plan.length} record${plan.length !== 1 ? "s" : ""}`;
+      if (action.op === "delete" && !confirm(`Move ${noun} to the trash? They can be restored from Admin -> Trash.`)) return;
+      const applyBtn = document.getElementById("bulkApplyBtn");
+      if (applyBtn) applyBtn.disabled = true;
+      try {
+        const { batchId, count } = await this.seriesRepo.bulkEdit(plan.map((entry) => entry.id), edit);
+        this.hideBulkEdit();
+        this.clearResultSelection();
+        const done = action.op === "delete" ? "Moved to the trash" : action.label;
+        this.setStatus(`${done}: ${count} record${count !== 1 ? "s" : ""} (batch ${batchId})`, "success");
+      } catch (error) {
+        if (error instanceof DuplicateSeriesError) {
+          this.hideBulkEdit();
+          if (this.promptOpenConflictingRecord(error)) return;
+        }
+        ErrorHandler.log(error, "Bulk edit");
+        this.setStatus(`Bulk edit failed: ${error.message}`, "error");
+        this.renderBulkEditPreview();
+      }
+    }
+    updateResultsSummary() {
+      const summary = document.getElementById("resultsSummary");
+      if (!summary) return;
+      const countElement = summary.querySelector(".count");
+      if (countElement) {
+        const count = this.filteredItems.length;
+        countElement.textContent = `${count} record${count !== 1 ? "s" : ""} found`;
+      }
+    }
+    updateRecordCount() {
+      this.refreshCountsUI();
+    }
+    // Unified Detail Pane Management
+    displayDetails(schedule, seriesItem) {
+      if (this.displayDetailsTimeout) {
+        clearTimeout(this.displayDetailsTimeout);
+      }
+      this.displayDetailsTimeout = setTimeout(() => {
+        this._displayDetailsInternal(schedule, seriesItem);
+      }, 10);
+    }
+    _displayDetailsInternal(schedule, seriesItem) {
+      const noSelectionMessage = document.getElementById("noSelectionMessage");
+      const tabNavigation = document.getElementById("tabNavigation");
+      const seriesTabPanel = document.getElementById("seriesTabPanel");
+      const scheduleTabPanel = document.getElementById("scheduleTabPanel");
+      if (noSelectionMessage) {
+        noSelectionMessage.classList.add("hidden");
+      }
+      if (tabNavigation) {
+        tabNavigation.classList.remove("hidden");
+      }
+      const historyTab = document.getElementById("historyTab");
+      if (historyTab) {
+        historyTab.classList.toggle("hidden", !seriesItem?._id);
+      }
+      let showSeriesTab = false;
+      let showScheduleTab = false;
+      showSeriesTab = true;
+      if (seriesItem && Object.keys(seriesItem).length > 0) {
+        this.populateSeriesForm(seriesItem);
+      } else {
+        const seriesForm = document.getElementById("seriesForm");
+        if (seriesForm) seriesForm.reset();
+      }
+      if (schedule !== null) {
+        showScheduleTab = true;
+        if (schedule && Object.keys(schedule).length > 0) {
+          this.populateScheduleForm(schedule);
+        } else {
+          const scheduleForm = document.getElementById("scheduleForm");
+          if (scheduleForm) scheduleForm.reset();
+        }
+      }
+      if (showSeriesTab) {
+        this.switchToTab("series");
+      } else if (showScheduleTab) {
+        this.switchToTab("schedule");
+      }
+    }
+    // Tab Navigation Methods
+    setupTabNavigation() {
+      ["series", "schedule", "history"].forEach((tabName) => {
+        const tab = document.getElementById(`${tabName}Tab`);
+        if (!tab) return;
+        tab.addEventListener("click", () => this.switchToTab(tabName));
+        tab.addEventListener("keydown", (e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            this.switchToTab(tabName);
+          }
+        });
+      });
+    }
+    switchToTab(tabName) {
+      ["series", "schedule", "history"].forEach((name) => {
+        const tab = document.getElementById(`${name}Tab`);
+        const panel = document.getElementById(`${name}TabPanel`);
+        const isActive = name === tabName;
+        if (tab) {
+          tab.classList.toggle("active", isActive);
+          tab.setAttribute("aria-selected", isActive);
+          tab.setAttribute("tabindex", isActive ? "0" : "-1");
+        }
+        if (panel) {
+          panel.classList.toggle("hidden", !isActive);
+        }
+      });
+      if (tabName === "history") {
+        this.renderHistory(this.currentSeriesItem?._id);
+      }
+      this.currentTab = tabName;
+    }
+    // History Tab
+    async renderHistory(id) {
+      const list = document.getElementById("historyList");
+      if (!list) return;
+      DOMHelper.clearElement(list);
+      if (id == null) return;
+      try {
+        const events = await this.getAuditEventsForSeries(id);
+        if (events.length === 0) {
+          const empty = document.createElement("p");
+          empty.className = "history-empty";
+          DOMHelper.setTextContent(empty, "No history recorded for this record.");
+          list.appendChild(empty);
+          return;
+        }
+        events.reverse().forEach((event, index) => {
+          list.appendChild(this.createHistoryEntry(id, event, index === 0));
+        });
+      } catch (error) {
+        ErrorHandler.log(error, "Render history");
+        this.setStatus(`Error loading history: ${error.message}`, "error");
+      }
+    }
+    createHistoryEntry(id, event, isLatest) {
+      const entry = document.createElement("div");
+      entry.className = `history-entry history-entry--${event.action}`;
+      const header = document.createElement("div");
+      header.className = "history-entry-header";
+      const action = document.createElement("span");
+      action.className = "history-action";
+      DOMHelper.setTextContent(action, event.action.replace(/_/g, " "));
+      const meta = document.createElement("span");
+      meta.className = "history-meta";
+      const when = event.at ? new Date(event.at).toLocaleString() : "Unknown time";
+      DOMHelper.setTextContent(meta, `${when} \xB7 ${event.actor || "unknown"}`);
+      header.appendChild(action);
+      header.appendChild(meta);
+      entry.appendChild(header);
+      const { before, after } = event.payload;
+      const changes = this.diffSeriesFields(before || {}, after || {});
+      if (before || after) {
+        const changeList = document.createElement("ul");
+        changeList.className = "history-changes";
+        changes.forEach((change) => {
+          const li = document.createElement("li");
+          const field = document.createElement("span");
+          field.className = "history-change-field";
+          DOMHelper.setTextContent(field, change.field);
+          const oldValue = document.createElement("span");
+          oldValue.className = "history-before";
+          DOMHelper.setTextContent(oldValue, this.formatDiffValue(change.before));
+          const newValue = document.createElement("span");
+          newValue.className = "history-after";
+          DOMHelper.setTextContent(newValue, this.formatDiffValue(change.after));
+          li.appendChild(field);
+          li.appendChild(oldValue);
+          li.appendChild(document.createTextNode(" \u2192 "));
+          li.appendChild(newValue);
+          changeList.appendChild(li);
+        });
+        if (changes.length === 0) {
+          const li = document.createElement("li");
+          DOMHelper.setTextContent(li, "No field changes");
+          changeList.appendChild(li);
+        }
+        entry.appendChild(changeList);
+      } else {
+        const note = document.createElement("p");
+        note.className = "history-note";
+        DOMHelper.setTextContent(note, "No field-level detail was recorded for this event.");
+        entry.appendChild(note);
+      }
+      if (after && !isLatest) {
+        const restoreBtn = document.createElement("button");
+        restoreBtn.type = "button";
+        restoreBtn.className = "btn btn--outline btn--sm history-restore-btn";
+        restoreBtn.textContent = "Restore this version";
+        restoreBtn.addEventListener("click", () => this.confirmRestoreVersion(id, event));
+        entry.appendChild(restoreBtn);
+      }
+      return entry;
+    }
+    async confirmRestoreVersion(id, event) {
+      const when = event.at ? new Date(event.at).toLocaleString() : "an earlier point";
+      const confirmed = confirm(`Restore this record to the version saved ${when}? The current values will be replaced, and the restore is recorded in the history.`);
+      if (!confirmed) return;
+      try {
+        await this.restoreSeriesVersion(id, event);
+        this.setStatus("Record restored to the selected version", "success");
+      } catch (error) {
+        if (this.promptOpenConflictingRecord(error)) return;
+        ErrorHandler.log(error, "Restore series version");
+        this.setStatus(`Error restoring version: ${error.message}`, "error");
+      }
+    }
+    hideDetails() {
+      const noSelectionMessage = document.getElementById("noSelectionMessage");
+      const tabNavigation = document.getElementById("tabNavigation");
+      const seriesTabPanel = document.getElementById("seriesTabPanel");
+      const scheduleTabPanel = document.getElementById("scheduleTabPanel");
+      if (noSelectionMessage) {
+        noSelectionMessage.classList.remove("hidden");
+      }
+      if (tabNavigation) tabNavigation.classList.add("hidden");
+      if (seriesTabPanel) seriesTabPanel.classList.add("hidden");
+      if (scheduleTabPanel) scheduleTabPanel.classList.add("hidden");
+      const historyTabPanel = document.getElementById("historyTabPanel");
+      if (historyTabPanel) historyTabPanel.classList.add("hidden");
+      const scheduleForm = document.getElementById("scheduleForm");
+      const seriesForm = document.getElementById("seriesForm");
+      if (scheduleForm) scheduleForm.reset();
+      if (seriesForm) seriesForm.reset();
+    }
+    // Record Selection and Editing
+    selectSeriesItem(item) {
+      document.querySelectorAll(".result-item").forEach((row) => row.classList.remove("selected"));
+      if (item) {
+        const row = document.querySelector(`[data-item-id="${item._id}"]`);
+        if (row) row.classList.add("selected");
+        this.selectedItemId = item._id;
+        this.currentSeriesItem = item;
+        this.displayDetails(this.scheduleFor(item), item);
+        const deleteSeriesBtn = document.getElementById("deleteSeriesBtn");
+        if (deleteSeriesBtn) deleteSeriesBtn.classList.remove("hidden");
+      } else {
+        this.selectedItemId = null;
+        this.currentSeriesItem = null;
+        this.displayDetails(null, null);
+        const deleteSeriesBtn = document.getElementById("deleteSeriesBtn");
+        if (deleteSeriesBtn) deleteSeriesBtn.classList.add("hidden");
+      }
+      this.updateLocationHash();
+    }
+    // In merged schema, schedule info is stored directly on series record
+    scheduleFor(item) {
+      if (!item.schedule_number) return null;
+      return {
+        _id: `sched_${item.schedule_number}`,
+        schedule_number: item.schedule_number,
+        approval_status: item.approval_status,
+        approval_date: item.approval_date,
+        division: item.division,
+        notes: item.notes,
+        tags: item.tags || []
+      };
+    }
+    populateSeriesForm(item) {
+      if (!item) return;
+      this.currentSeriesItem = item;
+      this.populateForm(document.getElementById("seriesForm"), item);
+      if (item.dates_covered_end === "present") {
+        document.getElementById("datesEnd").value = "present";
+      }
+      const deleteBtn = document.getElementById("deleteSeriesBtn");
+      if (deleteBtn) {
+        deleteBtn.classList.toggle("hidden", !item._id);
+      }
+      const cloneBtn = document.getElementById("cloneRecordBtn");
+      if (cloneBtn) {
+        cloneBtn.classList.toggle("hidden", !item._id);
+      }
+    }
+    populateScheduleForm(schedule) {
+      if (!schedule) return;
+      this.currentSchedule = schedule;
+      this.populateForm(document.getElementById("scheduleForm"), schedule);
+      const scheduleNumEl = document.getElementById("scheduleNum");
+      if (scheduleNumEl) {
+        scheduleNumEl.textContent = schedule.schedule_number || "Not assigned";
+      }
+      const deleteBtn = document.getElementById("deleteScheduleBtn");
+      if (deleteBtn) {
+        deleteBtn.classList.toggle("hidden", !schedule._id);
+      }
+    }
+    async handleSeriesFormSubmit(event) {
+      event.preventDefault();
+      try {
+        const form = event.target;
+        const isUpdate = !!this.currentSeriesItem?._id;
+        const formData = this.getFormData(form);
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        const seriesItem = {
+          ...this.currentSeriesItem || {},
+          ...formData,
+          updated_at: now
+        };
+        if (!isUpdate) {
+          seriesItem.created_at = now;
+          seriesItem.version = 1;
+        } else {
+          seriesItem.version = (this.currentSeriesItem.version || 0) + 1;
+        }
+        await this.saveSeries(seriesItem, isUpdate);
+        this.setStatus(`Series item ${isUpdate ? "updated" : "created"} successfully`);
+      } catch (error) {
+        if (this.promptOpenConflictingRecord(error)) return;
+        ErrorHandler.log(error, "Series form submission");
+        this.setStatus(`Error saving series item: ${error.message}`, "error");
+      }
+    }
+    async handleScheduleFormSubmit(event) {
+      event.preventDefault();
+      try {
+        const form = document.getElementById("scheduleForm");
+        const scheduleNumber = document.getElementById("scheduleNum").textContent;
+        if (scheduleNumber === "Not assigned") {
+          throw new Error("Cannot save schedule without a schedule number");
+        }
+        const formData = this.getFormData(form);
+        const schedule = {
+          ...formData,
+          schedule_number: scheduleNumber
+        };
+        const affectedCount = this.seriesItems.filter((s) => s.schedule_number === scheduleNumber).length;
+        await this.saveSchedule(schedule, true);
+        const message = affectedCount > 1 ? `Schedule saved successfully. Updated ${affectedCount} series records.` : "Schedule saved successfully";
+        this.setStatus(message, "success");
+      } catch (error) {
+        if (this.promptOpenConflictingRecord(error)) return;
+        ErrorHandler.log(error, "Schedule form submission");
+        this.setStatus(`Error saving schedule: ${error.message}`, "error");
+      }
+    }
+    // Form Handling Utilities
+    getFormData(formElement) {
+      const data = {};
+      const fields = formElement.querySelectorAll("[data-field]");
+      fields.forEach((field) => {
+        const key = field.dataset.field;
+        let value;
+        if (field.type === "checkbox") {
+          value = field.checked;
+        } else if (field.hasAttribute("data-array-input")) {
+          value = this.parseArrayInput(field.value);
+        } else {
+          value = field.value || null;
+        }
+        if (key.includes(".")) {
+          this.setNestedValue(data, key, value);
+        } else {
+          data[key] = value;
+        }
+      });
+      return data;
+    }
+    populateForm(formElement, data) {
+      const fields = formElement.querySelectorAll("[data-field]");
+      fields.forEach((field) => {
+        const key = field.dataset.field;
+        let value;
+        if (key.includes(".")) {
+          value = this.getNestedValue(data, key);
+        } else {
+          value = data[key];
+        }
+        if (field.type === "checkbox") {
+          field.checked = Boolean(value);
+        } else if (field.hasAttribute("data-array-input") && Array.isArray(value)) {
+          field.value = value.join(", ");
+        } else {
+          field.value = value || "";
+        }
+      });
+    }
+    parseArrayInput(inputValue) {
+      if (!inputValue) return [];
+      if (Array.isArray(inputValue)) return inputValue;
+      return inputValue.split(/[,;\n]/).map((item) => item.trim()).filter(Boolean);
+    }
+    // Helper function to set nested object values (e.g., "ui_extras.seriesDescription")
+    setNestedValue(obj, path, value) {
+      const keys = path.split(".");
+      let current = obj;
+      for (let i = 0; i < keys.length - 1; i++) {
+        const key = keys[i];
+        if (!(key in current) || typeof current[key] !== "object" || current[key] === null) {
+          current[key] = {};
+        }
+        current = current[key];
+      }
+      current[keys[keys.length - 1]] = value;
+    }
+    // Helper function to get nested object values (e.g., "ui_extras.seriesDescription")
+    getNestedValue(obj, path) {
+      const keys = path.split(".");
+      let current = obj;
+      for (const key of keys) {
+        if (current && typeof current === "object" && key in current) {
+          current = current[key];
+        } else {
+          return null;
+        }
+      }
+      return current;
+    }
+    // Clone Record functionality
+    cloneCurrentRecord() {
+      if (!this.currentSeriesItem) {
+        this.setStatus("No record selected to clone", "error");
+        return;
+      }
+      const clonedData = { ...this.currentSeriesItem };
+      delete clonedData._id;
+      delete clonedData.created_at;
+      delete clonedData.updated_at;
+      delete clonedData.version;
+      this.currentSeriesItem = null;
+      this.selectedItemId = null;
+      document.querySelectorAll(".result-item").forEach((row) => row.classList.remove("selected"));
+      this.populateForm(document.getElementById("seriesForm"), clonedData);
+      const deleteBtn = document.getElementById("deleteSeriesBtn");
+      if (deleteBtn) {
+        deleteBtn.classList.add("hidden");
+      }
+      const cloneBtn = document.getElementById("cloneRecordBtn");
+      if (cloneBtn) {
+        cloneBtn.classList.remove("hidden");
+      }
+      this.setStatus("Record cloned. Modify as needed and save as new record.", "success");
+    }
+    // Enhanced form event handlers setup
+    setupFormEventHandlers() {
+      const scheduleForm = document.getElementById("scheduleForm");
+      if (scheduleForm) {
+        scheduleForm.addEventListener("submit", (e) => this.handleScheduleFormSubmit(e));
+      }
+      const cancelSeriesBtn = document.getElementById("cancelSeriesBtn");
+      if (cancelSeriesBtn) {
+        cancelSeriesBtn.addEventListener("click", () => this.cancelSeriesEdit());
+      }
+      const cancelScheduleBtn = document.getElementById("cancelScheduleBtn");
+      if (cancelScheduleBtn) {
+        cancelScheduleBtn.addEventListener("click", () => this.cancelScheduleEdit());
+      }
+    }
+    async handleSaveAsNew(event) {
+      event.preventDefault();
+      try {
+        const form = document.getElementById("seriesForm");
+        const formData = this.getFormData(form);
+        if (!formData.record_series_title) {
+          this.setStatus("Record Series Title is required", "error");
+          return;
+        }
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        const seriesItem = {
+          ...formData,
+          created_at: now,
+          updated_at: now,
+          version: 1
+        };
+        await this.saveSeries(seriesItem, false);
+        this.setStatus("New series record created successfully", "success");
+        this.cancelSeriesEdit();
+      } catch (error) {
+        if (this.promptOpenConflictingRecord(error)) return;
+        ErrorHandler.log(error, "Save series as new");
+        this.setStatus(`Error creating new series: ${error.message}`, "error");
+      }
+    }
+    cancelSeriesEdit() {
+      this.currentSeriesItem = null;
+      this.selectedItemId = null;
+      document.querySelectorAll(".result-item").forEach((row) => row.classList.remove("selected"));
+      this.hideDetails();
+    }
+    cancelScheduleEdit() {
+      this.currentSchedule = null;
+      this.hideDetails();
+    }
+    // Status management
+    setStatus(message, type = "info") {
+      const statusEl = document.getElementById("statusMessage");
+      if (!statusEl) return;
+      statusEl.textContent = message;
+      statusEl.className = type === "error" ? "status--error" : type === "success" ? "status--success" : "";
+      if (type === "success" || type === "error") {
+        setTimeout(() => {
+          statusEl.textContent = "Ready";
+          statusEl.className = "";
+        }, 3e3);
+      }
+    }
+    // UI helper methods that may be missing
+    hideDetails() {
+      const noSelectionMessage = document.getElementById("noSelectionMessage");
+      const tabNavigation = document.getElementById("tabNavigation");
+      const seriesTabPanel = document.getElementById("seriesTabPanel");
+      const scheduleTabPanel = document.getElementById("scheduleTabPanel");
+      if (noSelectionMessage) {
+        noSelectionMessage.classList.remove("hidden");
+      }
+      if (tabNavigation) tabNavigation.classList.add("hidden");
+      if (seriesTabPanel) seriesTabPanel.classList.add("hidden");
+      if (scheduleTabPanel) scheduleTabPanel.classList.add("hidden");
+      const historyTabPanel = document.getElementById("historyTabPanel");
+      if (historyTabPanel) historyTabPanel.classList.add("hidden");
+      const scheduleForm = document.getElementById("scheduleForm");
+      const seriesForm = document.getElementById("seriesForm");
+      if (scheduleForm) scheduleForm.reset();
+      if (seriesForm) seriesForm.reset();
+    }
+    // Removed saveAsNewBtn conditional event listener
+    // UI helper methods that may be missing
+    hideDetails() {
+      const noSelectionMessage = document.getElementById("noSelectionMessage");
+      const tabNavigation = document.getElementById("tabNavigation");
+      const seriesTabPanel = document.getElementById("seriesTabPanel");
+      const scheduleTabPanel = document.getElementById("scheduleTabPanel");
+      if (noSelectionMessage) {
+        noSelectionMessage.classList.remove("hidden");
+      }
+      if (tabNavigation) tabNavigation.classList.add("hidden");
+      if (seriesTabPanel) seriesTabPanel.classList.add("hidden");
+      if (scheduleTabPanel) scheduleTabPanel.classList.add("hidden");
+      const historyTabPanel = document.getElementById("historyTabPanel");
+      if (historyTabPanel) historyTabPanel.classList.add("hidden");
+      const scheduleForm = document.getElementById("scheduleForm");
+      const seriesForm = document.getElementById("seriesForm");
+      if (scheduleForm) scheduleForm.reset();
+      if (seriesForm) seriesForm.reset();
+      this.updateLocationHash();
+    }
+    refreshCountsUI() {
+      try {
+        const totalSeries = this.seriesItems.length;
+        const nonBlank = this.seriesItems.filter((s) => s.schedule_number && s.schedule_number.trim() !== "");
+        const scheduleNumbers = nonBlank.map((s) => s.schedule_number).filter((n) => n && n.trim() !== "").map((n) => n.trim());
+        const totalSchedules = new Set(scheduleNumbers).size;
+        const recordCountElement = document.getElementById("recordCount");
+        if (recordCountElement) {
+          recordCountElement.textContent = `${totalSchedules} schedules, ${totalSeries} series`;
+        }
+        const importSchedulesCount = document.getElementById("importSchedulesCount");
+        const importSeriesCount = document.getElementById("importSeriesCount");
+        if (importSchedulesCount) importSchedulesCount.textContent = totalSchedules;
+        if (importSeriesCount) importSeriesCount.textContent = totalSeries;
+      } catch (error) {
+        ErrorHandler.log(error, "Refresh counts UI");
+      }
+    }
+    restoreSearchPaneState() {
+      let isCollapsed = false;
+      try {
+        isCollapsed = localStorage.getItem("iletsb_search_pane_collapsed") === "true";
+      } catch (e) {
+        isCollapsed = false;
+      }
+      const searchPane = document.getElementById("searchPane");
+      const mainContent = document.querySelector(".main-content");
+      const toggleBtn = document.getElementById("searchToggleBtn");
+      if (!searchPane || !mainContent || !toggleBtn) return;
+      if (isCollapsed) {
+        searchPane.classList.add("collapsed");
+        mainContent.classList.add("search-collapsed");
+        toggleBtn.setAttribute("aria-expanded", "false");
+      } else {
+        searchPane.classList.remove("collapsed");
+        mainContent.classList.remove("search-collapsed");
+        toggleBtn.setAttribute("aria-expanded", "true");
+      }
+      try {
+        localStorage.setItem("iletsb_search_pane_collapsed", (!isCollapsed).toString());
+      } catch (e) {
+      }
+    }
+    // Theme Management
+    initTheme() {
+      let savedTheme;
+      try {
+        savedTheme = localStorage.getItem("iletsb_theme");
+      } catch (e) {
+        savedTheme = null;
+      }
+      if (savedTheme) {
+        this.setTheme(savedTheme);
+      } else {
+        const prefersDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+        this.setTheme(prefersDark ? "dark" : "light");
+      }
+      window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", (e) => {
+        try {
+          const savedTheme2 = localStorage.getItem("iletsb_theme");
+          if (!savedTheme2) {
+            this.setTheme(e.matches ? "dark" : "light");
+          }
+        } catch (err) {
+          this.setTheme(e.matches ? "dark" : "light");
+        }
+      });
+    }
+    setTheme(theme) {
+      const html = document.documentElement;
+      const lightIcon = document.querySelector(".theme-icon--light");
+      const darkIcon = document.querySelector(".theme-icon--dark");
+      if (theme === "dark") {
+        html.setAttribute("data-color-scheme", "dark");
+        if (lightIcon) lightIcon.classList.add("hidden");
+        if (darkIcon) darkIcon.classList.remove("hidden");
+      } else {
+        html.setAttribute("data-color-scheme", "light");
+        if (lightIcon) lightIcon.classList.remove("hidden");
+        if (darkIcon) darkIcon.classList.add("hidden");
+      }
+      try {
+        localStorage.setItem("iletsb_theme", theme);
+      } catch (e) {
+      }
+    }
+    toggleTheme() {
+      const html = document.documentElement;
+      const currentTheme = html.getAttribute("data-color-scheme");
+      const newTheme = currentTheme === "dark" ? "light" : "dark";
+      if (newTheme === "dark") {
+        this.setDiscoMode(false);
+      }
+      this.setTheme(newTheme);
+    }
+    toggleDiscoMode() {
+      const html = document.documentElement;
+      const isDisco = html.getAttribute("data-disco-mode") === "true";
+      const newDiscoState = !isDisco;
+      if (newDiscoState) {
+        this.setTheme("light");
+      }
+      this.setDiscoMode(newDiscoState);
+    }
+    setDiscoMode(enabled) {
+      const html = document.documentElement;
+      const discoToggle = document.getElementById("discoToggle");
+      if (enabled) {
+        html.setAttribute("data-disco-mode", "true");
+        if (discoToggle) discoToggle.classList.add("active");
+      } else {
+        html.removeAttribute("data-disco-mode");
+        if (discoToggle) discoToggle.classList.remove("active");
+      }
+      try {
+        localStorage.setItem("iletsb_disco_mode", enabled ? "true" : "false");
+      } catch (e) {
+      }
+    }
+    // Relevance mode: typo-tolerant search with a "Relevance" sort option, chosen when the mode is turned on
+    setRelevanceMode(enabled) {
+      const toggle = document.getElementById("relevanceMode");
+      const sortBy = document.getElementById("sortBy");
+      if (toggle) toggle.checked = enabled;
+      if (sortBy) {
+        let option = sortBy.querySelector('option[value="relevance"]');
+        if (enabled && !option) {
+          option = DOMHelper.createOption("relevance", "Relevance");
+          sortBy.insertBefore(option, sortBy.firstChild);
+          sortBy.value = "relevance";
+        } else if (!enabled && option) {
+          const wasSelected = sortBy.value === "relevance";
+          option.remove();
+          if (wasSelected) sortBy.selectedIndex = 0;
+        }
+      }
+      try {
+        localStorage.setItem("iletsb_relevance_mode", enabled ? "true" : "false");
+      } catch (e) {
+      }
+    }
+    initRelevanceMode() {
+      let enabled = false;
+      try {
+        enabled = localStorage.getItem("iletsb_relevance_mode") === "true";
+      } catch (err) {
+        enabled = false;
+      }
+      this.setRelevanceMode(enabled);
+    }
+    initDiscoMode() {
+      let savedDiscoMode = false;
+      try {
+        const discoSetting = localStorage.getItem("iletsb_disco_mode");
+        savedDiscoMode = discoSetting === "true";
+      } catch (err) {
+        savedDiscoMode = false;
+      }
+      this.setDiscoMode(savedDiscoMode);
+      const discoToggle = document.getElementById("discoToggle");
+      if (discoToggle) {
+        discoToggle.addEventListener("click", () => this.toggleDiscoMode());
+      }
+    }
+  };
+  if (typeof document !== "undefined") {
+    document.addEventListener("DOMContentLoaded", () => {
+      const app = new RecordsRetentionApp();
+      app.setupFormEventHandlers();
+    });
+  }
+})();
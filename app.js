@@ -1,12 +1,34 @@
 // Records Retention Inventory Dashboard Application
 // IndexedDB-based offline records management system
 
+import {
+    ERROR_TYPES,
+    APPROVAL_STATUS,
+    BULK_EDIT_ACTIONS,
+    DateRange,
+    DateRangeError,
+    DuplicateSeriesError,
+    MATCH_MODES,
+    MigrationRunner,
+    SearchQuery,
+    SearchQueryError,
+    SearchRanker,
+    SeriesCache,
+    openRepositories
+} from './repository.js';
+import {
+    ImportFileError,
+    TaskCancelledError,
+    loadXLSX,
+    runTask,
+    taskError
+} from './tasks.js';
+
 /**
  * Application constants
  */
 const APP_CONSTANTS = {
     DB_NAME: 'RecordsRetentionRecords',
-    DB_VERSION: 2,
     VIRTUAL_SCROLL_ITEM_HEIGHT: 80,
     VIRTUAL_SCROLL_BUFFER: 5,
     SEARCH_DEBOUNCE_MS: 300,
@@ -15,19 +37,100 @@ const APP_CONSTANTS = {
         GOOD: 75,
         FAIR: 60
     },
-    ERROR_TYPES: {
-        DATABASE: 'DATABASE_ERROR',
-        VALIDATION: 'VALIDATION_ERROR',
-        IMPORT: 'IMPORT_ERROR',
-        EXPORT: 'EXPORT_ERROR',
-        NETWORK: 'NETWORK_ERROR'
+    ERROR_TYPES,
+    APPROVAL_STATUS,
+    AUDIT_ACTIONS: ['create', 'update', 'delete', 'restore', 'trash_restore', 'purge', 'undo', 'redo', 'bulk_edit', 'schedule_bulk_update', 'schedule_unassigned', 'migrate'],
+    AUDIT_LOG_PAGE_SIZE: 50,
+    USER_ROLES: ['Records Manager', 'Records Clerk', 'Reviewer'],
+    TRASH_PURGE_DAYS_DEFAULT: 30,
+    UNDO_STACK_LIMIT: 50,
+    DEFAULT_SORT: 'item_number',
+    // URL hash parameter for each search criteria field; the selected record is `record`
+    LOCATION_HASH_PARAMS: {
+        searchText: 'q',
+        scheduleNumber: 'schedule',
+        division: 'division',
+        divisions: 'divisions',
+        divisionMode: 'division_mode',
+        approvalStatus: 'status',
+        tags: 'tags',
+        tagMode: 'tag_mode',
+        mediaTypes: 'media',
+        mediaMode: 'media_mode',
+        sortBy: 'sort',
+        sortOrder: 'order',
+        thenBy: 'then',
+        fuzzy: 'relevance',
+        coveredFrom: 'covered_from',
+        coveredTo: 'covered_to',
+        approvedFrom: 'approved_from',
+        approvedTo: 'approved_to'
     },
-    APPROVAL_STATUS: {
-        DRAFT: 'draft',
-        PENDING: 'pending',
-        APPROVED: 'approved',
-        SUPERCEDED: 'superseded'
-    }
+    // Search pane date range inputs and the criteria they fill
+    DATE_RANGE_FILTERS: [
+        { label: 'Dates covered', from: 'coveredFrom', to: 'coveredTo', fromInput: 'coveredFromFilter', toInput: 'coveredToFilter' },
+        { label: 'Approval date', from: 'approvedFrom', to: 'approvedTo', fromInput: 'approvedFromFilter', toInput: 'approvedToFilter' }
+    ],
+    // Search pane chip pickers: element ids start with `id`, values fill `criteria`, the any/all/none toggle fills `mode`
+    CHIP_FILTERS: [
+        { id: 'division', label: 'Division', criteria: 'divisions', mode: 'divisionMode', field: 'division', placeholder: 'Add division…' },
+        { id: 'tag', label: 'Tags', criteria: 'tags', mode: 'tagMode', field: 'tags', placeholder: 'Add tag…' },
+        { id: 'media', label: 'Media types', criteria: 'mediaTypes', mode: 'mediaMode', field: 'media_types', placeholder: 'Add media type…' }
+    ],
+    CHIP_FILTER_MODE_LABELS: { any: 'any of', all: 'all of', none: 'none of' },
+    // Result breakdown groups, by SEARCH_FACETS key; `qualifier` is the search field used to narrow by a value
+    FACET_PANEL_GROUPS: [
+        { key: 'division', label: 'Division' },
+        { key: 'status', label: 'Status' },
+        { key: 'media', label: 'Media type', qualifier: 'media' },
+        { key: 'tag', label: 'Tags', qualifier: 'tag' }
+    ],
+    FACET_PANEL_LIMIT: 8,
+    // Results grid columns, one per series field; ui_extras fields are "ui_extras.<key>".
+    // `width` is in pixels, null shares out the spare room; `empty` shows for a blank value.
+    RESULT_COLUMNS: [
+        { key: 'schedule_number', label: 'Schedule #', className: 'col-app-num', width: 80, empty: 'N/A' },
+        { key: 'item_number', label: 'Item #', className: 'col-item-num', width: 80, empty: 'N/A' },
+        { key: 'record_series_title', label: 'Series Title', className: 'col-title', width: null, empty: 'Untitled' },
+        { key: 'division', label: 'Division', className: 'col-division', width: 120 },
+        { key: 'approval_status', label: 'Status', width: 100 },
+        { key: 'approval_date', label: 'Approval Date', width: 110 },
+        { key: 'dates_covered_start', label: 'Dates From', width: 100 },
+        { key: 'dates_covered_end', label: 'Dates To', width: 100 },
+        { key: 'retention_text', label: 'Retention', width: 180 },
+        { key: 'tags', label: 'Tags', width: 140 },
+        { key: 'media_types', label: 'Media Types', width: 120 },
+        { key: 'omb_or_statute_refs', label: 'OMB / Statute Refs', width: 140 },
+        { key: 'related_series', label: 'Related Series', width: 140 },
+        { key: 'notes', label: 'Notes', width: 180 },
+        { key: 'ui_extras.seriesDescription', label: 'Description', width: 200 },
+        { key: 'ui_extras.seriesContact', label: 'Contact', width: 140 },
+        { key: 'ui_extras.seriesLocation', label: 'Location', width: 140 },
+        { key: 'ui_extras.retentionTerm', label: 'Retention Term', width: 100 },
+        { key: 'ui_extras.retentionTrigger', label: 'Retention Trigger', width: 140 },
+        { key: 'ui_extras.volumePaper', label: 'Paper Volume', width: 110 },
+        { key: 'ui_extras.volumeElectronic', label: 'Electronic Volume', width: 110 },
+        { key: 'ui_extras.annualPaper', label: 'Annual Paper', width: 110 },
+        { key: 'ui_extras.annualElectronic', label: 'Annual Electronic', width: 110 },
+        { key: 'ui_extras.arrangement', label: 'Arrangement', width: 140 },
+        { key: 'ui_extras.electronicStandard', label: 'Electronic Standard', width: 140 },
+        { key: 'ui_extras.numberSizeFiles', label: 'Number / Size of Files', width: 140 },
+        { key: 'ui_extras.indexFindingAids', label: 'Finding Aids', width: 140 },
+        { key: 'ui_extras.representativeName', label: 'Representative', width: 140 },
+        { key: 'ui_extras.representativeTitle', label: 'Representative Title', width: 140 },
+        { key: 'ui_extras.representativePhone', label: 'Representative Phone', width: 130 },
+        { key: 'ui_extras.recordsOfficerName', label: 'Records Officer', width: 140 },
+        { key: 'ui_extras.recordsOfficerPhone', label: 'Records Officer Phone', width: 130 },
+        { key: 'created_at', label: 'Created', width: 160, format: 'timestamp' },
+        { key: 'updated_at', label: 'Last Updated', width: 160, format: 'timestamp' },
+        { key: 'version', label: 'Version', width: 70 }
+    ],
+    DEFAULT_RESULT_COLUMNS: ['schedule_number', 'item_number', 'record_series_title', 'division'],
+    RESULT_COLUMN_WIDTH: 140, // For ui_extras fields found in the data but missing above
+    RESULT_COLUMN_MIN_WIDTH: 48,
+    RESULT_COLUMN_FLEX_MIN_WIDTH: 160,
+    RESULT_SELECT_COLUMN_WIDTH: 28, // Tick boxes in front of the chosen columns
+    BULK_EDIT_PREVIEW_LIMIT: 200 // Rows listed in the bulk edit preview; the summary counts them all
 };
 
 /**
@@ -129,20 +232,165 @@ class DOMHelper {
         if (!element) return;
         element.textContent = InputSanitizer.sanitizeText(text);
     }
+    
+    // Text with the given [start, end) character ranges wrapped in <mark>
+    static setHighlightedText(element, text, ranges = []) {
+        if (!element) return;
+        DOMHelper.clearElement(element);
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (start > position) element.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            element.appendChild(mark);
+            position = end;
+        });
+        if (position < text.length) element.appendChild(document.createTextNode(text.slice(position)));
+    }
+}
+
+/**
+ * Runs tasks.js work in worker.js, or in place when a worker cannot start
+ */
+class TaskRunner {
+    // getRepos() returns the page's repositories, for running in place and spotting index changes
+    constructor(dbName, getRepos) {
+        this.dbName = dbName;
+        this.getRepos = getRepos;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.indexGeneration = null;
+        this.worker = null;
+        
+        // Pages opened from file:// cannot start workers; tasks run in place there
+        if (typeof Worker === 'undefined' || window.location.protocol === 'file:') return;
+        try {
+            this.worker = new Worker('worker.js', { type: 'module' });
+            this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+            this.worker.addEventListener('error', (e) => this.handleWorkerFailure(e));
+        } catch (error) {
+            ErrorHandler.log(error, 'Start background worker');
+            this.worker = null;
+        }
+    }
+
+    // Start a task; onProgress({ message, done, total }) hears each step. Returns { promise, cancel() }.
+    run(type, payload, { onProgress } = {}) {
+        const id = this.nextId++;
+        const promise = new Promise((resolve, reject) => {
+            const task = { id, type, payload, onProgress, resolve, reject, controller: null };
+            this.pending.set(id, task);
+            if (this.worker) {
+                this.postTask(task);
+            } else {
+                this.runInPlace(task);
+            }
+        });
+        return { promise, cancel: () => this.cancel(id) };
+    }
+
+    postTask(task) {
+        // The worker caches the token vocabulary; drop it whenever the page has changed the index
+        const generation = this.getRepos().series.searchIndexGeneration;
+        if (generation !== this.indexGeneration) {
+            this.indexGeneration = generation;
+            this.worker.postMessage({ type: 'invalidate' });
+        }
+        this.worker.postMessage({ id: task.id, type: task.type, payload: task.payload, dbName: this.dbName });
+    }
+
+    runInPlace(task) {
+        task.controller = new AbortController();
+        // Start on a later tick, as a worker would, so callers have the task handle before any progress
+        Promise.resolve()
+            .then(() => runTask(task.type, task.payload, {
+                repos: this.getRepos(),
+                loadXLSX,
+                signal: task.controller.signal,
+                progress: (message, done, total) => task.onProgress?.({ message, done, total })
+            }))
+            .then(task.resolve, task.reject)
+            .finally(() => this.pending.delete(task.id));
+    }
+
+    // Settles the task at once; the worker stops at its next check
+    cancel(id) {
+        const task = this.pending.get(id);
+        if (!task) return;
+        
+        if (task.controller) {
+            task.controller.abort(new TaskCancelledError());
+            return;
+        }
+        this.pending.delete(id);
+        this.worker?.postMessage({ type: 'cancel', id });
+        task.reject(new TaskCancelledError());
+    }
+
+    handleMessage({ id, progress, result, error }) {
+        const task = this.pending.get(id);
+        if (!task) return;
+        
+        if (progress) {
+            task.onProgress?.(progress);
+            return;
+        }
+        this.pending.delete(id);
+        if (error) {
+            task.reject(taskError(error));
+        } else {
+            task.resolve(result);
+        }
+    }
+
+    // A worker that fails to load (e.g. no module worker support) hands its tasks back to the page
+    handleWorkerFailure(event) {
+        ErrorHandler.log(new Error(event.message || 'Background worker failed'), 'Background worker');
+        this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(task => this.runInPlace(task));
+    }
 }
 
 class RecordsRetentionApp {
     constructor() {
         this.db = null;
+        this.seriesRepo = null;
+        this.auditRepo = null;
+        this.savedSearchRepo = null;
+        this.seriesCache = null; // SeriesCache: every view reads series records from here
         this.dbName = APP_CONSTANTS.DB_NAME;
-        this.dbVersion = 4; // v4: rename application_number to schedule_number
+        this.dbVersion = MigrationRunner.latestVersion(); // Schema history lives in DB_MIGRATIONS
         this.currentSchedule = null;
         this.currentSeriesItem = null;
         this.searchTimeout = null;
-        this.schedules = [];
+        this.schedules = []; // Both kept in step with seriesCache, see subscribeToSeriesCache()
         this.seriesItems = [];
         this.filteredItems = [];
         this.selectedItemId = null;
+        this.currentUser = null;
+        this.onUserPicked = null; // Ends the startup wait in initUserProfiles()
+        this.undoStack = [];
+        this.redoStack = [];
+        this.resultHighlight = null; // { words, fuzzy } for the current text search
+        this.savedSearches = [];
+        this.locationHash = null; // Last hash written, null until the page's own hash has been applied
+        this.filterChips = {}; // Picked values per chip filter id
+        this.filterChoices = {}; // Values on offer per chip filter id
+        this.facetCounts = null; // SeriesRepository.facetCounts() for the current search
+        this.expandedFacets = new Set(); // Breakdown groups showing every value
+        this.resultsWindow = null; // Rows drawn in the results list, see renderResultsWindow()
+        this.resultsKey = null; // Criteria behind the listed results, to tell a new search from a refresh
+        this.resultColumns = []; // [{ key, width }] in display order, saved per user; see loadResultLayout()
+        this.sortThenBy = []; // Sort keys after the "Sort by" one, '-' in front for descending
+        this.resizingColumn = false; // A column resize handle is being dragged
+        this.draggedColumn = null; // Key of the header being dragged to a new place
+        this.checkedIds = new Set(); // Results ticked for a bulk edit, see setResultsChecked()
+        this.checkAnchorId = null; // Last result ticked on its own; shift-click ticks from there
+        this.bulkEditPlan = null; // Records the bulk edit panel would change, see renderBulkEditPreview()
+        this.tasks = null; // TaskRunner for parsing, search and export work
+        this.searchTask = null; // Running search, cancelled when a newer one starts
+        this.progressTask = null; // Task shown in the progress panel
         
         this.init();
     }
@@ -150,21 +398,42 @@ class RecordsRetentionApp {
     async init() {
         try {
             await this.initDatabase();
+            this.loadUndoHistory();
+            // Pick the profile first, so startup writes (test data, trash purge) are audited under it
+            this.setupUserPicker();
+            await this.initUserProfiles();
             
             // Initialize theme system
             this.initTheme();
             this.initDiscoMode();
+            this.initRelevanceMode();
+            this.initFacetPanel();
+            this.loadResultLayout();
             
             // Check if database is empty and load test data if needed
+            // A database whose records are all in the trash is not empty
             const existingData = await this.getAllSeries();
-            if (existingData.length === 0) {
+            const trashedData = await this.getTrashedSeries();
+            if (existingData.length === 0 && trashedData.length === 0) {
                 await this.loadTestDataIfEmpty();
             }
             
+            // Records past the configured trash age are removed for good
+            const purged = await this.autoPurgeTrash();
+            
             this.initEventListeners();
             this.restoreSearchPaneState();
-            this.updateUI();
-            this.setStatus('Ready');
+            // Subscribed after seeding so test data does not redraw the page once per record
+            this.subscribeToSeriesCache();
+            await this.updateUI();
+            await this.loadSavedSearches();
+            // A reload or shared link reopens the filters and record in the URL
+            await this.applyLocationHash();
+            if (purged > 0) {
+                this.setStatus(`Ready. Purged ${purged} record${purged !== 1 ? 's' : ''} older than ${this.getTrashPurgeDays()} days from the trash`, 'info');
+            } else {
+                this.setStatus('Ready');
+            }
         } catch (error) {
             ErrorHandler.log(error, 'App initialization');
             this.setStatus('Error initializing application: ' + error.message, 'error');
@@ -184,31 +453,12 @@ class RecordsRetentionApp {
             if (response.ok) {
                 const testData = await response.json();
                 if (testData.series && testData.series.length > 0) {
-                    // Import the test data
+                    // Upsert the test data on [schedule_number + item_number]
                     for (const item of testData.series) {
-                        // Handle legacy application_number field
-                        if (item.application_number && !item.schedule_number) {
-                            item.schedule_number = item.application_number;
-                            delete item.application_number;
-                        }
-                        
-                        // Normalize arrays
-                        ['tags', 'media_types', 'omb_or_statute_refs', 'related_series'].forEach(field => {
-                            if (item[field] && typeof item[field] === 'string') {
-                                item[field] = item[field].split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
-                            }
-                        });
-                        
-                        // Ensure ui_extras exists
-                        item.ui_extras = item.ui_extras || {};
-                        
-                        // Remove old fields that are no longer needed
-                        delete item.retention_is_permanent;
-                        delete item.schedule_id;
-                        
-                        // Save to database
-                        await this.saveSeries(item, false);
+                        await this.upsertSeries(this.normalizeImportedSeries(item));
                     }
+                    // Seeding is setup, not something to undo
+                    this.clearUndoHistory();
                     
                     this.setStatus('Test data loaded successfully', 'success');
                 }
@@ -220,623 +470,404 @@ class RecordsRetentionApp {
     }
 
     // Database Management
+    // Storage, search, import and export live in repository.js; the methods below delegate to it
     async initDatabase() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
+        const { db, series, audit, savedSearches } = await openRepositories({
+            name: this.dbName,
+            version: this.dbVersion,
+            getActor: () => this.getCurrentActor(),
+            onChange: (label, changes) => this.pushUndoEntry(label, changes),
+            onError: (error, context) => ErrorHandler.log(error, context)
+        });
+        this.db = db;
+        this.seriesRepo = series;
+        this.auditRepo = audit;
+        this.savedSearchRepo = savedSearches;
+        this.seriesCache = new SeriesCache(series);
+        this.tasks = new TaskRunner(this.dbName, () => ({ db, series, audit, savedSearches }));
+    }
 
+    async getMigrationBackups() {
+        if (!this.db.objectStoreNames.contains(MigrationRunner.BACKUP_STORE)) return [];
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([MigrationRunner.BACKUP_STORE], 'readonly');
+            const request = transaction.objectStore(MigrationRunner.BACKUP_STORE).getAll();
+            request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
-            request.onsuccess = () => {
-                this.db = request.result;
-                resolve();
-            };
+        });
+    }
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                const oldVersion = event.oldVersion;
-                const transaction = event.target.transaction;
+    async getAllSchedules() {
+        await this.seriesCache.load();
+        return this.seriesCache.getSchedules();
+    }
 
-                // Migration to merged series model (v3)
-                if (oldVersion < 3) {
-                    // Remove old schedules table if it exists
-                    if (db.objectStoreNames.contains('schedules')) {
-                        db.deleteObjectStore('schedules');
-                    }
-                    
-                    // Rename series_items to series and update schema
-                    if (db.objectStoreNames.contains('series_items')) {
-                        db.deleteObjectStore('series_items');
-                    }
-                }
+    async getAllSeries() {
+        return this.seriesCache.load();
+    }
 
-                // v4: Update series store with new field names and indexes
-                if (oldVersion < 4) {
-                    // If series store exists, we need to migrate data
-                    if (db.objectStoreNames.contains('series')) {
-                        // Store existing data for migration
-                        const oldStore = transaction.objectStore('series');
-                        const migrationData = [];
-                        
-                        // Collect existing data
-                        const getAllRequest = oldStore.getAll();
-                        getAllRequest.onsuccess = () => {
-                            const existingData = getAllRequest.result || [];
-                            
-                            // Delete old store
-                            db.deleteObjectStore('series');
-                            
-                            // Create new store with updated schema
-                            const seriesStore = db.createObjectStore('series', { keyPath: '_id', autoIncrement: true });
-                            seriesStore.createIndex('schedule_number_item_number', ['schedule_number', 'item_number'], { unique: false });
-                            seriesStore.createIndex('record_series_title', 'record_series_title', { unique: false });
-                            seriesStore.createIndex('division', 'division', { unique: false });
-                            seriesStore.createIndex('schedule_number', 'schedule_number', { unique: false });
-                            seriesStore.createIndex('dates_covered_start', 'dates_covered_start', { unique: false });
-                            seriesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-                            
-                            // Migrate existing data
-                            existingData.forEach(item => {
-                                // Rename application_number to schedule_number
-                                if (item.application_number && !item.schedule_number) {
-                                    item.schedule_number = item.application_number;
-                                }
-                                delete item.application_number;
-                                
-                                // Ensure arrays are arrays
-                                const toArr = v => Array.isArray(v) ? v :
-                                    (typeof v === 'string' ? v.split(/[,;\n]/).map(x=>x.trim()).filter(Boolean) : []);
-                                item.tags = toArr(item.tags);
-                                item.media_types = toArr(item.media_types);
-                                item.omb_or_statute_refs = toArr(item.omb_or_statute_refs);
-                                item.related_series = toArr(item.related_series);
-                                
-                                // Ensure ui_extras exists
-                                item.ui_extras = item.ui_extras || {};
-                                
-                                // Remove old fields that are no longer needed
-                                delete item.retention_is_permanent;
-                                delete item.schedule_id;
-                                
-                                seriesStore.add(item);
-                            });
-                        };
-                    } else {
-                        // Create new series store
-                        const seriesStore = db.createObjectStore('series', { keyPath: '_id', autoIncrement: true });
-                        seriesStore.createIndex('schedule_number_item_number', ['schedule_number', 'item_number'], { unique: false });
-                        seriesStore.createIndex('record_series_title', 'record_series_title', { unique: false });
-                        seriesStore.createIndex('division', 'division', { unique: false });
-                        seriesStore.createIndex('schedule_number', 'schedule_number', { unique: false });
-                        seriesStore.createIndex('dates_covered_start', 'dates_covered_start', { unique: false });
-                        seriesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-                    }
-                } else if (!db.objectStoreNames.contains('series')) {
-                    // Create new merged series object store for fresh installs
-                    const seriesStore = db.createObjectStore('series', { keyPath: '_id', autoIncrement: true });
-                    seriesStore.createIndex('schedule_number_item_number', ['schedule_number', 'item_number'], { unique: false });
-                    seriesStore.createIndex('record_series_title', 'record_series_title', { unique: false });
-                    seriesStore.createIndex('division', 'division', { unique: false });
-                    seriesStore.createIndex('schedule_number', 'schedule_number', { unique: false });
-                    seriesStore.createIndex('dates_covered_start', 'dates_covered_start', { unique: false });
-                    seriesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-                }
+    // Same as SeriesRepository.saveSchedule(), with the matching records taken from the cache
+    async saveSchedule(schedule, isUpdate = false) {
+        const matchingSeries = (await this.getAllSeries()).filter(s => s.schedule_number === schedule.schedule_number);
+        if (matchingSeries.length === 0) return schedule;
+        
+        return this.seriesRepo.bulkUpdateSchedule(schedule, matchingSeries, isUpdate);
+    }
 
-                // Legacy migration support for older versions
-                if (oldVersion > 0 && oldVersion < 3) {
-                    // Create schedules object store for migration
-                    if (!db.objectStoreNames.contains('schedules')) {
-                        const scheduleStore = db.createObjectStore('schedules', { autoIncrement: true });
-                        scheduleStore.createIndex('schedule_number', 'schedule_number', { unique: true });
-                        scheduleStore.createIndex('approval_status', 'approval_status', { unique: false });
-                        scheduleStore.createIndex('approval_date', 'approval_date', { unique: false });
-                    }
+    async saveSeries(item, isUpdate = false, options = {}) {
+        return this.seriesRepo.save(item, isUpdate, options);
+    }
 
-                    // Create series_items object store for migration
-                    if (!db.objectStoreNames.contains('series_items')) {
-                        const seriesStore = db.createObjectStore('series_items', { autoIncrement: true });
-                        seriesStore.createIndex('schedule_id', 'schedule_id', { unique: false });
-                        seriesStore.createIndex('schedule_item', ['schedule_id', 'item_number'], { unique: true });
-                        seriesStore.createIndex('division', 'division', { unique: false });
-                        seriesStore.createIndex('record_series_title', 'record_series_title', { unique: false });
-                    }
-                }
+    // Offer to open the record a duplicate save collided with
+    promptOpenConflictingRecord(error) {
+        if (!(error instanceof DuplicateSeriesError)) return false;
+        
+        this.setStatus(error.message, 'error');
+        if (confirm(`${error.message}\n\nOpen the existing record?`)) {
+            this.selectSeriesItem(error.conflict);
+        }
+        return true;
+    }
 
-                // Create audit_events object store
-                if (!db.objectStoreNames.contains('audit_events')) {
-                    const auditStore = db.createObjectStore('audit_events', { autoIncrement: true });
-                    auditStore.createIndex('entity_action_date', ['entity', 'entity_id', 'at'], { unique: false });
-                    auditStore.createIndex('entity', 'entity', { unique: false });
-                    auditStore.createIndex('action', 'action', { unique: false });
-                    auditStore.createIndex('at', 'at', { unique: false });
-                } else if (oldVersion < 2) {
-                    // Migration for existing audit_events store
-                    const transaction = event.target.transaction;
-                    const auditStore = transaction.objectStore('audit_events');
-                    
-                    // Add new compound index
-                    try { auditStore.createIndex('entity_action_date', ['entity', 'entity_id', 'at'], { unique: false }); } catch (e) {}
-                }
-            };
-        });
+    normalizeImportedSeries(item) {
+        return this.seriesRepo.normalize(item);
     }
 
+    async upsertSeries(item) {
+        return this.seriesRepo.upsert(item);
+    }
 
-    
+    formatImportSummary(counts, errorCount = 0) {
+        const parts = [
+            `${counts.created} created`,
+            `${counts.updated} updated`,
+            `${counts.skipped} skipped`
+        ];
+        if (errorCount > 0) {
+            parts.push(`${errorCount} error${errorCount !== 1 ? 's' : ''}`);
+        }
+        return parts.join(', ');
+    }
 
-    // Database Operations
-    async getAllSchedules() {
-        // Legacy method - now returns unique schedule info from series
-        const series = await this.getAllSeries();
-        const scheduleMap = new Map();
-        
-        series.forEach(item => {
-            if (item.schedule_number) {
-                const key = item.schedule_number;
-                if (!scheduleMap.has(key)) {
-                    scheduleMap.set(key, {
-                        _id: `sched_${key}`,
-                        schedule_number: item.schedule_number,
-                        approval_status: item.approval_status,
-                        approval_date: item.approval_date,
-                        division: item.division,
-                        notes: item.notes,
-                        tags: item.tags || []
-                    });
-                }
-            }
-        });
-        
-        return Array.from(scheduleMap.values());
+    async deleteSeries(id) {
+        return this.seriesRepo.delete(id);
     }
 
+    async getTrashedSeries() {
+        return this.seriesRepo.getTrashed();
+    }
 
-    async getAllSeries() {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                console.error('Database not initialized');
-                resolve([]);
-                return;
-            }
-            
-            const transaction = this.db.transaction(['series'], 'readonly');
-            const store = transaction.objectStore('series');
-            const request = store.getAll();
-            
-            request.onsuccess = () => {
-                const result = request.result || [];
-                resolve(result);
-            };
-            request.onerror = () => {
-                console.error('getAllSeries error:', request.error);
-                reject(request.error);
-            };
-        });
+    async restoreFromTrash(id) {
+        return this.seriesRepo.restoreFromTrash(id);
     }
 
-    async saveSchedule(schedule, isUpdate = false) {
-        // Atomic bulk update for all series with matching schedule_number
-        const series = await this.getAllSeries();
-        const matchingSeries = series.filter(s => s.schedule_number === schedule.schedule_number);
-        
-        if (matchingSeries.length === 0) {
-            return schedule; // No series to update
+    async purgeTrashedSeries(ids, options = {}) {
+        return this.seriesRepo.purge(ids, options);
+    }
+
+    // Days a record stays in the trash before it is purged automatically; 0 keeps it forever
+    getTrashPurgeDays() {
+        try {
+            const stored = localStorage.getItem('iletsb_trash_purge_days');
+            const days = stored === null ? APP_CONSTANTS.TRASH_PURGE_DAYS_DEFAULT : parseInt(stored, 10);
+            return Number.isNaN(days) || days < 0 ? APP_CONSTANTS.TRASH_PURGE_DAYS_DEFAULT : days;
+        } catch (e) {
+            return APP_CONSTANTS.TRASH_PURGE_DAYS_DEFAULT;
         }
-        
-        // Use atomic transaction for bulk update
-        return this.performAtomicScheduleBulkUpdate(schedule, matchingSeries, isUpdate);
     }
-    
-    async performAtomicScheduleBulkUpdate(schedule, matchingSeries, isUpdate) {
-        return new Promise((resolve, reject) => {
-            // Start atomic transaction
-            const transaction = this.db.transaction(['series', 'audit_events'], 'readwrite');
-            const seriesStore = transaction.objectStore('series');
-            const auditStore = transaction.objectStore('audit_events');
-            
-            const now = new Date().toISOString();
-            const updatedSeries = [];
-            const auditEvents = [];
-            
-            // Prepare all updates and audit events
-            matchingSeries.forEach(seriesItem => {
-                // Update schedule fields on the series item
-                const updatedItem = { ...seriesItem };
-                updatedItem.schedule_number = schedule.schedule_number;
-                updatedItem.approval_status = schedule.approval_status;
-                updatedItem.approval_date = schedule.approval_date;
-                updatedItem.division = schedule.division || seriesItem.division;
-                updatedItem.notes = schedule.notes;
-                updatedItem.tags = schedule.tags || seriesItem.tags;
-                updatedItem.updated_at = now;
-                
-                updatedSeries.push(updatedItem);
-                
-                // Prepare audit event for this series
-                auditEvents.push({
-                    entity: 'series',
-                    entity_id: seriesItem._id,
-                    action: 'schedule_bulk_update',
-                    actor: 'local-user',
-                    at: now,
-                    payload: JSON.stringify({
-                        schedule_number: schedule.schedule_number,
-                        item_number: seriesItem.item_number,
-                        record_series_title: seriesItem.record_series_title,
-                        bulk_update_fields: ['approval_status', 'approval_date', 'division', 'notes', 'tags']
-                    })
-                });
-            });
-            
-            // Transaction success handler
-            transaction.oncomplete = () => {
-                resolve(schedule);
-            };
-            
-            // Transaction error handler - automatic rollback
-            transaction.onerror = (event) => {
-                const error = new Error(`Bulk update transaction failed: ${event.target.error?.message || 'Unknown error'}`);
-                ErrorHandler.log(error, 'Schedule bulk update transaction');
-                reject(error);
-            };
-            
-            transaction.onabort = (event) => {
-                const error = new Error(`Bulk update transaction aborted: ${event.target.error?.message || 'Transaction aborted'}`);
-                ErrorHandler.log(error, 'Schedule bulk update transaction abort');
-                reject(error);
-            };
-            
+
+    setTrashPurgeDays(days) {
+        try {
+            localStorage.setItem('iletsb_trash_purge_days', String(days));
+        } catch (e) {
+            // If storage is unavailable, the default applies
+        }
+    }
+
+    async autoPurgeTrash() {
+        return this.seriesRepo.autoPurge(this.getTrashPurgeDays());
+    }
+
+    // Undo / Redo
+    // Each entry holds, per touched record, its full state in the series and trash
+    // stores before and after the operation. Undo writes the "before" states back,
+    // redo the "after" states, both in one transaction.
+    pushUndoEntry(label, changes) {
+        this.undoStack.push({ label, at: new Date().toISOString(), changes });
+        if (this.undoStack.length > APP_CONSTANTS.UNDO_STACK_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.saveUndoHistory();
+        this.updateUndoButtons();
+    }
+
+    clearUndoHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.saveUndoHistory();
+        this.updateUndoButtons();
+    }
+
+    // sessionStorage: the stacks survive a reload but not a new session
+    loadUndoHistory() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem('iletsb_undo_history') || 'null');
+            this.undoStack = stored?.undo || [];
+            this.redoStack = stored?.redo || [];
+        } catch (e) {
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+    }
+
+    saveUndoHistory() {
+        // Large imports can exceed the storage quota; store the newest entries that fit.
+        // Only the stored copy is trimmed, so undo keeps working on this page either way.
+        const undo = [...this.undoStack];
+        const redo = [...this.redoStack];
+        while (true) {
             try {
-                // Perform all series updates within the transaction
-                updatedSeries.forEach(item => {
-                    const request = seriesStore.put(item);
-                    request.onerror = () => {
-                        transaction.abort();
-                    };
-                });
-                
-                // Add all audit events within the same transaction
-                auditEvents.forEach(event => {
-                    const request = auditStore.add(event);
-                    request.onerror = () => {
-                        transaction.abort();
-                    };
-                });
-                
-            } catch (error) {
-                ErrorHandler.log(error, 'Schedule bulk update execution');
-                transaction.abort();
+                sessionStorage.setItem('iletsb_undo_history', JSON.stringify({ undo, redo }));
+                return;
+            } catch (e) {
+                // Storage that is unavailable for any other reason keeps nothing
+                if (e?.name !== 'QuotaExceededError') return;
+                if (undo.length > 0) {
+                    undo.shift();
+                } else if (redo.length > 0) {
+                    redo.shift();
+                } else {
+                    return;
+                }
             }
-        });
+        }
     }
 
+    async undo() {
+        return this.stepUndoHistory(this.undoStack, this.redoStack, 'undo');
+    }
 
-    async saveSeries(item, isUpdate = false) {
-        return new Promise((resolve, reject) => {
-            // Create a transaction that includes BOTH stores
-            const transaction = this.db.transaction(['series', 'audit_events'], 'readwrite');
-            const seriesStore = transaction.objectStore('series');
-            
-            const now = new Date().toISOString();
-            if (!isUpdate) {
-                item.created_at = now;
-            }
-            item.updated_at = now;
-            
-            const request = isUpdate ? seriesStore.put(item) : seriesStore.add(item);
-            
-            request.onsuccess = () => {
-                const id = request.result;
-                item._id = id;
-                
-                // Log the audit event USING THE SAME TRANSACTION
-                this.logAuditEvent('series', id, isUpdate ? 'update' : 'create', {
-                    schedule_number: item.schedule_number,
-                    item_number: item.item_number,
-                    record_series_title: item.record_series_title
-                }, transaction).catch(err => {
-                    ErrorHandler.log(err, 'Audit event logging');
-                    transaction.abort(); // IMPORTANT: Abort if logging fails
-                });
-            };
-            
-            request.onerror = () => reject(request.error);
-            
-            transaction.oncomplete = () => resolve(item);
-            transaction.onerror = () => reject(transaction.error);
-        });
+    async redo() {
+        return this.stepUndoHistory(this.redoStack, this.undoStack, 'redo');
     }
 
-    async deleteSchedule(id) {
-        // Legacy method - now removes schedule assignment from all matching series
-        const series = await this.getAllSeries();
-        const scheduleNumber = id.replace('sched_', '');
-        const matchingSeries = series.filter(s => s.schedule_number === scheduleNumber);
+    async stepUndoHistory(fromStack, toStack, direction) {
+        const entry = fromStack[fromStack.length - 1];
+        if (!entry) return null;
         
-        const promises = matchingSeries.map(seriesItem => {
-            // Remove schedule assignment fields
-            delete seriesItem.schedule_number;
-            delete seriesItem.approval_status;
-            delete seriesItem.approval_date;
-            
-            return this.saveSeries(seriesItem, true);
-        });
+        await this.applyUndoEntry(entry, direction);
         
-        await Promise.all(promises);
-        this.logAuditEvent('series', id, 'schedule_unassigned', { schedule_number: scheduleNumber });
+        fromStack.pop();
+        toStack.push(entry);
+        this.saveUndoHistory();
+        this.updateUndoButtons();
+        return entry;
     }
 
+    applyUndoEntry(entry, direction) {
+        return this.seriesRepo.applyChanges(entry, direction);
+    }
 
-    async deleteSeries(id) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                ErrorHandler.log(new Error('Database not initialized'), 'Delete series');
-                return reject(new Error('Database connection not available'));
-            }
-            
-            const transaction = this.db.transaction(['series'], 'readwrite');
-            const store = transaction.objectStore('series');
-            const request = store.delete(id);
+    async verifyAuditIntegrity() {
+        return this.auditRepo.verify();
+    }
 
-            request.onsuccess = () => {
-                this.logAuditEvent('series', id, 'delete', {});
-                resolve();
-            };
+    async runAuditIntegrityCheck() {
+        try {
+            this.setStatus('Verifying audit integrity...', 'info');
+            const result = await this.verifyAuditIntegrity();
             
-            request.onerror = (event) => {
-                const error = request.error || new Error('Failed to delete series record');
-                ErrorHandler.log(error, 'Delete series', {
-                    id: id,
-                    errorName: error.name,
-                    errorMessage: error.message
-                });
-                reject(error);
-            };
+            let message;
+            if (result.ok) {
+                message = `Audit trail intact: ${result.verified} event${result.verified !== 1 ? 's' : ''} verified.`;
+            } else if (result.event) {
+                message = `Audit chain broken at event ${result.index + 1} (${result.event.action} on ${result.event.entity} ${result.event.entity_id}, ${result.event.at}): ${result.reason}.`;
+            } else {
+                message = `Audit chain broken: ${result.reason}.`;
+            }
             
-            transaction.onabort = (event) => {
-                const error = transaction.error || new Error('Transaction aborted during delete');
-                ErrorHandler.log(error, 'Delete series transaction', {
-                    id: id,
-                    errorName: error.name,
-                    errorMessage: error.message
-                });
-                reject(error);
-            };
-        });
+            this.setStatus(message, result.ok ? 'success' : 'error');
+            alert(message);
+            return result;
+        } catch (error) {
+            ErrorHandler.log(error, 'Verify audit integrity');
+            this.setStatus(`Error verifying audit integrity: ${error.message}`, 'error');
+        }
     }
 
-    async logAuditEvent(entity, entityId, action, payload, transaction = null) {
-        return new Promise((resolve, reject) => {
-            // If no transaction is passed, create a new one
-            const trans = transaction || this.db.transaction(['audit_events'], 'readwrite');
-            const store = trans.objectStore('audit_events');
-            
-            const event = {
-                entity,
-                entity_id: entityId,
-                action,
-                actor: 'local-user',
-                at: new Date().toISOString(),
-                payload: JSON.stringify(payload)
-            };
-            
-            const request = store.add(event);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-            
-            // Don't commit if the transaction was passed in from outside
-            // The calling function will handle committing
-        });
+    // User Profiles
+    // Local profiles only attribute audit events on a shared workstation; they are not authentication.
+    getCurrentActor() {
+        return this.currentUser ? this.currentUser.name : 'local-user';
     }
 
-    async getAllAuditEvents() {
+    async getAllUsers() {
         return new Promise((resolve, reject) => {
-            if (!this.db) {
-                console.error('Database not initialized');
-                resolve([]);
-                return;
-            }
-            
-            const transaction = this.db.transaction(['audit_events'], 'readonly');
-            const store = transaction.objectStore('audit_events');
-            const request = store.getAll();
-            
+            const transaction = this.db.transaction(['users'], 'readonly');
+            const request = transaction.objectStore('users').getAll();
             request.onsuccess = () => {
-                const result = request.result || [];
-                resolve(result);
-            };
-            request.onerror = () => {
-                console.error('getAllAuditEvents error:', request.error);
-                reject(request.error);
+                const users = request.result || [];
+                // Most recently used first, so the usual operator is at the top of the picker
+                users.sort((a, b) => String(b.last_used_at || '').localeCompare(String(a.last_used_at || '')));
+                resolve(users);
             };
+            request.onerror = () => reject(request.error);
         });
     }
 
-    // Modern Search and Filtering System
-    async searchAndFilterSeries(searchCriteria = {}) {
+    async saveUser(user) {
+        const name = String(user.name || '').trim();
+        if (!name) {
+            throw new Error('Profile name is required');
+        }
+        
+        const record = {
+            ...user,
+            name,
+            initials: String(user.initials || '').trim().toUpperCase() || this.deriveInitials(name),
+            role: user.role || APP_CONSTANTS.USER_ROLES[0],
+            created_at: user.created_at || new Date().toISOString()
+        };
+        
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['series'], 'readonly');
-            const store = transaction.objectStore('series');
-            
-            // Use appropriate index if available
-            let request;
-            if (searchCriteria.scheduleNumber) {
-                const index = store.index('schedule_number');
-                request = index.getAll(searchCriteria.scheduleNumber);
-            } else if (searchCriteria.division) {
-                const index = store.index('division');
-                request = index.getAll(searchCriteria.division);
-            } else {
-                request = store.getAll();
-            }
+            const transaction = this.db.transaction(['users'], 'readwrite');
+            const store = transaction.objectStore('users');
+            const request = record._id ? store.put(record) : store.add(record);
             
             request.onsuccess = () => {
-                let items = request.result || [];
-                
-                // Apply text search across multiple fields
-                if (searchCriteria.searchText) {
-                    const searchTerms = searchCriteria.searchText.toLowerCase().split(/\s+/).filter(term => term.length > 0);
-                    items = items.filter(item => {
-                        const searchableText = this.buildSearchableText(item).toLowerCase();
-                        return searchTerms.every(term => searchableText.includes(term));
-                    });
-                }
-                
-                // Apply specific filters
-                items = items.filter(item => this.matchesFilterCriteria(item, searchCriteria));
-                
-                // Apply sorting
-                if (searchCriteria.sortBy) {
-                    items = this.sortSeriesItems(items, searchCriteria.sortBy, searchCriteria.sortOrder);
+                record._id = request.result;
+            };
+            request.onerror = (event) => {
+                // The unique name index keeps two operators from sharing one audit identity
+                if (request.error && request.error.name === 'ConstraintError') {
+                    event.preventDefault();
+                    const error = new Error(`A profile named "${name}" already exists`);
+                    error.type = APP_CONSTANTS.ERROR_TYPES.VALIDATION;
+                    reject(error);
+                    return;
                 }
-                
-                resolve(items);
+                reject(request.error);
             };
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve(record);
         });
     }
 
-    buildSearchableText(item) {
-        const fields = [
-            item.record_series_title,
-            item.schedule_number,
-            item.item_number,
-            item.division,
-            item.retention_text,
-            item.notes,
-            Array.isArray(item.tags) ? item.tags.join(' ') : '',
-            Array.isArray(item.media_types) ? item.media_types.join(' ') : '',
-            Array.isArray(item.omb_or_statute_refs) ? item.omb_or_statute_refs.join(' ') : '',
-            item.ui_extras?.seriesDescription || '',
-            item.ui_extras?.seriesContact || '',
-            item.ui_extras?.arrangement || ''
-        ];
-        return fields.filter(Boolean).join(' ');
+    deriveInitials(name) {
+        return name.split(/\s+/).filter(Boolean).map(part => part[0]).join('').slice(0, 3).toUpperCase();
     }
 
-    matchesFilterCriteria(item, criteria) {
-        // Schedule number filter
-        if (criteria.scheduleNumber && item.schedule_number !== criteria.scheduleNumber) {
-            return false;
-        }
-        
-        // Division filter
-        if (criteria.division && item.division !== criteria.division) {
-            return false;
-        }
-        
-        // Approval status filter
-        if (criteria.approvalStatus && item.approval_status !== criteria.approvalStatus) {
-            return false;
-        }
+    async setCurrentUser(user) {
+        const updated = await this.saveUser({ ...user, last_used_at: new Date().toISOString() });
+        this.currentUser = updated;
         
-        
-        // Tag filter
-        if (criteria.tags && criteria.tags.length > 0) {
-            const itemTags = Array.isArray(item.tags) ? item.tags : [];
-            if (!criteria.tags.some(tag => itemTags.includes(tag))) {
-                return false;
-            }
+        try {
+            localStorage.setItem('iletsb_current_user', String(updated._id));
+        } catch (e) {
+            // If storage is unavailable, the picker simply has no default
         }
         
-        // Media type filter
-        if (criteria.mediaTypes && criteria.mediaTypes.length > 0) {
-            const itemMediaTypes = Array.isArray(item.media_types) ? item.media_types : [];
-            if (!criteria.mediaTypes.some(type => itemMediaTypes.includes(type))) {
-                return false;
-            }
+        this.renderCurrentUser();
+        // Each user keeps their own results columns
+        this.loadResultLayout();
+        this.renderResultsWindow(true);
+        return updated;
+    }
+
+    getRememberedUserId() {
+        try {
+            const id = parseInt(localStorage.getItem('iletsb_current_user'), 10);
+            return Number.isNaN(id) ? null : id;
+        } catch (e) {
+            return null;
         }
-        
-        return true;
     }
 
-    sortSeriesItems(items, sortBy, sortOrder = 'asc') {
-        return items.sort((a, b) => {
-            let aVal = this.getSortValue(a, sortBy);
-            let bVal = this.getSortValue(b, sortBy);
-            
-            // Handle null/undefined values
-            if (aVal == null && bVal == null) return 0;
-            if (aVal == null) return sortOrder === 'asc' ? 1 : -1;
-            if (bVal == null) return sortOrder === 'asc' ? -1 : 1;
-            
-            // Convert to strings for comparison
-            aVal = String(aVal).toLowerCase();
-            bVal = String(bVal).toLowerCase();
-            
-            const comparison = aVal.localeCompare(bVal, undefined, { numeric: true });
-            return sortOrder === 'asc' ? comparison : -comparison;
-        });
+    async getAllAuditEvents() {
+        return this.auditRepo.getAll();
     }
 
-    getSortValue(item, sortBy) {
-        switch (sortBy) {
-            case 'schedule_item':
-                // Handle 2-digit year interpretation for schedule numbers
-                const scheduleNum = item.schedule_number || 'zzz';
-                const itemNum = item.item_number || 'zzz';
-                
-                // Parse schedule number format "XX-XXX" and handle year interpretation
-                const parts = scheduleNum.split('-');
-                if (parts.length === 2) {
-                    const yearPart = parts[0];
-                    const seqPart = parts[1];
-                    
-                    // Convert 2-digit year to 4-digit (95 -> 1995, 25 -> 2025)
-                    let fullYear;
-                    if (yearPart.length === 2) {
-                        const yearNum = parseInt(yearPart, 10);
-                        // Assume 2-digit years 00-25 are 2000-2025, 26-99 are 1926-1999
-                        fullYear = yearNum <= 25 ? 2000 + yearNum : 1900 + yearNum;
-                    } else {
-                        fullYear = parseInt(yearPart, 10) || 9999;
-                    }
-                    
-                    // Pad to 4 digits for proper string sorting
-                    const paddedYear = String(fullYear).padStart(4, '0');
-                    return `${paddedYear}-${seqPart}-${itemNum}`;
-                }
-                
-                return `${scheduleNum}-${itemNum}`;
-            case 'dates_covered_start':
-                return this.normalizeDateForSorting(item.dates_covered_start);
-            case 'approval_date':
-                return this.normalizeDateForSorting(item.approval_date);
-            case 'updated_at':
-                return item.updated_at || '';
-            default:
-                return item[sortBy] || '';
-        }
+    async getAuditEventsForSeries(id) {
+        return this.auditRepo.getForSeries(id);
     }
 
-    normalizeDateForSorting(dateStr) {
-        if (!dateStr) return '0000';
-        if (dateStr.toLowerCase() === 'present') return '9999';
-        
-        // Extract year for sorting
-        const yearMatch = dateStr.match(/(\d{4})/);
-        return yearMatch ? yearMatch[1] : '0000';
+    async restoreSeriesVersion(id, sourceEvent) {
+        return this.seriesRepo.restoreVersion(id, sourceEvent);
     }
 
+    async queryAuditEvents(criteria = {}) {
+        return this.auditRepo.query(criteria);
+    }
 
-    // Bulk Update UI Feedback Methods
-    hideBulkUpdateProgress() {
-        // Re-enable form controls
-        const submitBtn = document.querySelector('#scheduleForm button[type="submit"]');
-        const cancelBtn = document.getElementById('cancelScheduleBtn');
+    // Search in the background; a newer search cancels an older one still running.
+    // Resolves to { items, facets }, or rejects with TaskCancelledError when superseded.
+    async searchAndFilterSeries(searchCriteria = {}) {
+        this.searchTask?.cancel();
+        const task = this.tasks.run('search', { criteria: searchCriteria });
+        this.searchTask = task;
         
-        if (submitBtn) {
-            submitBtn.disabled = false;
-            submitBtn.innerHTML = 'Save Schedule';
+        try {
+            const { ids, facets } = await task.promise;
+            
+            // The worker sends ids; the records are already in the cache
+            await this.seriesCache.load();
+            return { items: ids.map(id => this.seriesCache.get(id)).filter(Boolean), facets };
+        } finally {
+            if (this.searchTask === task) this.searchTask = null;
         }
+    }
+
+    // Progress panel for long background tasks
+
+    // Run a task with the progress panel up and its Cancel button wired to it
+    async runWithProgress(title, type, payload) {
+        const task = this.tasks.run(type, payload, {
+            onProgress: (progress) => this.showTaskProgress(task, title, progress)
+        });
+        this.showTaskProgress(task, title, { message: 'Starting...' });
         
-        if (cancelBtn) {
-            cancelBtn.disabled = false;
+        try {
+            return await task.promise;
+        } finally {
+            this.hideTaskProgress(task);
         }
+    }
+
+    showTaskProgress(task, title, { message, done, total }) {
+        const panel = document.getElementById('taskProgress');
+        if (!panel) return;
+        this.progressTask = task;
         
-        // Remove loading class from form
-        const form = document.getElementById('scheduleForm');
-        if (form) {
-            form.classList.remove('bulk-updating');
+        document.getElementById('taskProgressTitle').textContent = title;
+        document.getElementById('taskProgressMessage').textContent = total
+            ? `${message}: ${done.toLocaleString()} of ${total.toLocaleString()}`
+            : message;
+        
+        // Without counts the bar shows activity only
+        const bar = document.getElementById('taskProgressBar');
+        if (total) {
+            bar.value = done / total;
+        } else {
+            bar.removeAttribute('value');
         }
+        
+        const cancelBtn = document.getElementById('taskProgressCancelBtn');
+        cancelBtn.disabled = false;
+        panel.classList.remove('hidden');
+    }
+
+    hideTaskProgress(task) {
+        if (this.progressTask !== task) return;
+        this.progressTask = null;
+        document.getElementById('taskProgress')?.classList.add('hidden');
+    }
+
+    cancelProgressTask() {
+        if (!this.progressTask) return;
+        document.getElementById('taskProgressCancelBtn').disabled = true;
+        document.getElementById('taskProgressMessage').textContent = 'Cancelling...';
+        this.progressTask.cancel();
     }
 
     // UI Event Handlers
@@ -858,10 +889,39 @@ class RecordsRetentionApp {
         // Search and filters
         document.getElementById('searchInput').addEventListener('input', (e) => this.debounceSearch(e.target.value));
         document.getElementById('scheduleFilter').addEventListener('change', () => this.applyFilters());
-        document.getElementById('divisionFilter').addEventListener('change', () => this.applyFilters());
         document.getElementById('statusFilter').addEventListener('change', () => this.applyFilters());
         document.getElementById('clearFiltersBtn').addEventListener('click', () => this.clearFilters());
         document.getElementById('sortBy').addEventListener('change', () => this.applyFilters());
+        document.getElementById('sortOrder').addEventListener('change', () => this.applyFilters());
+        document.getElementById('columnChooserBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleColumnChooser();
+        });
+        document.getElementById('relevanceMode').addEventListener('change', (e) => {
+            this.setRelevanceMode(e.target.checked);
+            this.applyFilters();
+        });
+        APP_CONSTANTS.DATE_RANGE_FILTERS.forEach(filter => {
+            [filter.fromInput, filter.toInput].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => this.applyFilters());
+            });
+        });
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            document.getElementById(`${filter.id}ChipAdd`).addEventListener('change', (e) => {
+                const value = e.target.value;
+                e.target.value = '';
+                if (value) this.addFilterChip(filter, value);
+            });
+            document.getElementById(`${filter.id}FilterMode`).addEventListener('change', () => {
+                if (this.getFilterChips(filter).length > 0) this.applyFilters();
+            });
+        });
+        document.getElementById('saveSearchBtn').addEventListener('click', () => this.saveCurrentSearch());
+        document.getElementById('taskProgressCancelBtn').addEventListener('click', () => this.cancelProgressTask());
+        document.getElementById('facetToggleBtn').addEventListener('click', (e) => {
+            this.setFacetPanelCollapsed(e.currentTarget.getAttribute('aria-expanded') === 'true');
+        });
+        window.addEventListener('hashchange', () => this.applyLocationHash());
 
         // Search pane toggle
         document.getElementById('searchToggleBtn').addEventListener('click', () => this.toggleSearchPane());
@@ -883,6 +943,7 @@ class RecordsRetentionApp {
         document.getElementById('cancelSeriesBtn').addEventListener('click', () => this.cancelSeriesEdit());
         document.getElementById('deleteScheduleBtn').addEventListener('click', () => this.confirmDeleteSchedule());
         document.getElementById('deleteSeriesBtn').addEventListener('click', () => this.confirmDeleteSeriesItem());
+        document.getElementById('cloneRecordBtn').addEventListener('click', () => this.cloneCurrentRecord());
 
         // Modal
         document.getElementById('confirmBtn').addEventListener('click', () => this.handleConfirm());
@@ -925,6 +986,8 @@ class RecordsRetentionApp {
                 this.handleEscapeKey();
             } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
                 this.handleSaveShortcut();
+            } else if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) {
+                this.handleUndoShortcut(e);
             } else {
                 // Handle general keyboard navigation
                 this.handleKeydown(e);
@@ -937,6 +1000,18 @@ class RecordsRetentionApp {
         // Import status modal wiring
         this.setupImportStatusModal();
 
+        // Audit log browser wiring
+        this.setupAuditLog();
+
+        // Trash view wiring
+        this.setupTrash();
+
+        // Results selection and bulk edit wiring
+        this.setupBulkEdit();
+
+        // Undo / redo toolbar wiring
+        this.setupUndoButtons();
+
         // Global click handler for closing dropdowns
         document.addEventListener('click', (e) => this.handleGlobalClick(e));
     }
@@ -951,6 +1026,11 @@ class RecordsRetentionApp {
         const importExcelBtn = document.getElementById('importExcelBtn');
         const exportFilteredBtn = document.getElementById('exportFilteredBtn');
         const clearDbBtn = document.getElementById('clearDbBtn');
+        const auditLogBtn = document.getElementById('auditLogBtn');
+        const verifyAuditBtn = document.getElementById('verifyAuditBtn');
+        const trashBtn = document.getElementById('trashBtn');
+        const migrationBackupsBtn = document.getElementById('migrationBackupsBtn');
+        const rebuildIndexBtn = document.getElementById('rebuildIndexBtn');
 
         if (!adminMenuBtn || !adminDropdown) return;
 
@@ -1025,6 +1105,46 @@ class RecordsRetentionApp {
             });
         }
 
+        if (auditLogBtn) {
+            auditLogBtn.addEventListener('click', () => {
+                this.showAuditLog();
+                adminDropdown.classList.add('hidden');
+                adminMenuBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        if (verifyAuditBtn) {
+            verifyAuditBtn.addEventListener('click', () => {
+                this.runAuditIntegrityCheck();
+                adminDropdown.classList.add('hidden');
+                adminMenuBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        if (trashBtn) {
+            trashBtn.addEventListener('click', () => {
+                this.showTrash();
+                adminDropdown.classList.add('hidden');
+                adminMenuBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        if (migrationBackupsBtn) {
+            migrationBackupsBtn.addEventListener('click', () => {
+                this.exportMigrationBackups();
+                adminDropdown.classList.add('hidden');
+                adminMenuBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        if (rebuildIndexBtn) {
+            rebuildIndexBtn.addEventListener('click', () => {
+                this.rebuildSearchIndex();
+                adminDropdown.classList.add('hidden');
+                adminMenuBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
         if (clearDbBtn) {
             clearDbBtn.addEventListener('click', () => {
                 this.confirmClearDatabase();
@@ -1034,168 +1154,800 @@ class RecordsRetentionApp {
         }
     }
 
-    setupImportStatusModal() {
-        // This method sets up any import status modal functionality
-        // Currently a placeholder as no import status modal elements were found in HTML
-        // If import status modal elements exist, they would be wired here
+    // Audit Log Browser
+    setupAuditLog() {
+        const actionSelect = document.getElementById('auditAction');
+        if (actionSelect) {
+            APP_CONSTANTS.AUDIT_ACTIONS.forEach(action => {
+                actionSelect.appendChild(DOMHelper.createOption(action, action.replace(/_/g, ' ')));
+            });
+        }
+        
+        const filters = document.getElementById('auditLogFilters');
+        if (filters) {
+            filters.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyAuditLogFilters();
+            });
+        }
+        
+        const bindings = {
+            auditResetBtn: () => this.resetAuditLogFilters(),
+            auditPrevBtn: () => this.changeAuditLogPage(-1),
+            auditNextBtn: () => this.changeAuditLogPage(1),
+            auditExportCsvBtn: () => this.exportAuditLog('csv'),
+            auditExportJsonBtn: () => this.exportAuditLog('json'),
+            closeAuditLog: () => this.hideAuditLog(),
+            auditLogCloseBtn: () => this.hideAuditLog()
+        };
+        Object.entries(bindings).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('click', handler);
+        });
     }
 
-    handleGlobalClick(e) {
-        // Close all dropdowns when clicking outside
-        if (!e.target.closest('.admin-menu') && !e.target.closest('.dropdown')) {
-            document.querySelectorAll('.dropdown').forEach(dropdown => {
-                dropdown.classList.add('hidden');
+    async showAuditLog() {
+        const modal = document.getElementById('auditLogModal');
+        if (modal) modal.classList.remove('hidden');
+        await this.populateAuditActorOptions();
+        await this.applyAuditLogFilters();
+    }
+
+    // Profiles plus any actor already in the log (e.g. 'local-user' or names from imported history)
+    async populateAuditActorOptions() {
+        const select = document.getElementById('auditActor');
+        if (!select) return;
+        
+        try {
+            const [users, events] = await Promise.all([this.getAllUsers(), this.getAllAuditEvents()]);
+            const actors = new Set(users.map(user => user.name));
+            events.forEach(event => {
+                if (event.actor) actors.add(event.actor);
             });
             
-            // Reset aria-expanded attributes
-            document.querySelectorAll('[aria-expanded="true"]').forEach(btn => {
-                btn.setAttribute('aria-expanded', 'false');
+            const selected = select.value;
+            DOMHelper.clearElement(select);
+            select.appendChild(DOMHelper.createOption('', 'All Users'));
+            [...actors].sort((a, b) => a.localeCompare(b)).forEach(actor => {
+                // Built by hand: createOption entity-escapes the value, which would break exact matching
+                const option = document.createElement('option');
+                option.value = actor;
+                option.textContent = actor;
+                select.appendChild(option);
             });
+            select.value = actors.has(selected) ? selected : '';
+        } catch (error) {
+            ErrorHandler.log(error, 'Load audit actors');
         }
     }
 
-    handleEscapeKey() {
-        // Close any open modals or dropdowns
-        document.querySelectorAll('.dropdown').forEach(dropdown => {
-            dropdown.classList.add('hidden');
-        });
+    hideAuditLog() {
+        const modal = document.getElementById('auditLogModal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    buildAuditLogCriteria() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        const criteria = {};
         
-        // Reset aria-expanded attributes
-        document.querySelectorAll('[aria-expanded="true"]').forEach(btn => {
-            btn.setAttribute('aria-expanded', 'false');
-        });
+        // Date inputs are local calendar days; audit timestamps are UTC ISO strings
+        if (value('auditFrom')) criteria.from = new Date(`${value('auditFrom')}T00:00:00`).toISOString();
+        if (value('auditTo')) criteria.to = new Date(`${value('auditTo')}T23:59:59.999`).toISOString();
+        if (value('auditAction')) criteria.action = value('auditAction');
+        if (value('auditActor')) criteria.actor = value('auditActor');
+        if (value('auditSchedule')) criteria.scheduleNumber = value('auditSchedule');
+        if (value('auditDivision')) criteria.division = value('auditDivision');
+        if (value('auditText')) criteria.text = value('auditText');
         
-        // Close any open modals
-        const modals = document.querySelectorAll('.modal:not(.hidden)');
-        modals.forEach(modal => {
-            modal.classList.add('hidden');
-        });
+        return criteria;
     }
 
-    handleSaveShortcut() {
-        // Handle Ctrl+Enter or Cmd+Enter to save current form
-        const activeForm = document.querySelector('form:not(.hidden)');
-        if (activeForm) {
-            const submitBtn = activeForm.querySelector('button[type="submit"]');
-            if (submitBtn && !submitBtn.disabled) {
-                submitBtn.click();
-            }
+    async applyAuditLogFilters() {
+        try {
+            this.auditLogCriteria = this.buildAuditLogCriteria();
+            this.auditLogResults = await this.queryAuditEvents(this.auditLogCriteria);
+            this.auditLogPage = 0;
+            this.renderAuditLogPage();
+        } catch (error) {
+            ErrorHandler.log(error, 'Query audit log');
+            this.setStatus(`Error loading audit log: ${error.message}`, 'error');
         }
     }
 
-    handleKeydown(e) {
-        // Handle general keyboard navigation
-        if (e.target.matches('input, textarea, select')) {
-            // Don't interfere with form input
+    resetAuditLogFilters() {
+        const filters = document.getElementById('auditLogFilters');
+        if (filters) filters.reset();
+        this.applyAuditLogFilters();
+    }
+
+    changeAuditLogPage(delta) {
+        const pageCount = Math.max(1, Math.ceil((this.auditLogResults || []).length / APP_CONSTANTS.AUDIT_LOG_PAGE_SIZE));
+        const nextPage = Math.min(Math.max((this.auditLogPage || 0) + delta, 0), pageCount - 1);
+        if (nextPage === this.auditLogPage) return;
+        this.auditLogPage = nextPage;
+        this.renderAuditLogPage();
+    }
+
+    renderAuditLogPage() {
+        const body = document.getElementById('auditLogBody');
+        const summary = document.getElementById('auditLogSummary');
+        const pageLabel = document.getElementById('auditPageLabel');
+        const prevBtn = document.getElementById('auditPrevBtn');
+        const nextBtn = document.getElementById('auditNextBtn');
+        if (!body) return;
+        
+        const results = this.auditLogResults || [];
+        const pageSize = APP_CONSTANTS.AUDIT_LOG_PAGE_SIZE;
+        const pageCount = Math.max(1, Math.ceil(results.length / pageSize));
+        const start = this.auditLogPage * pageSize;
+        
+        DOMHelper.clearElement(body);
+        results.slice(start, start + pageSize).forEach(event => {
+            const row = this.describeAuditEvent(event);
+            const tr = document.createElement('tr');
+            [
+                row.at ? new Date(row.at).toLocaleString() : '',
+                row.action.replace(/_/g, ' '),
+                row.actor,
+                `${row.schedule_number || '—'} / ${row.item_number || '—'}`,
+                row.record_series_title || '',
+                row.changed_fields
+            ].forEach(text => {
+                const td = document.createElement('td');
+                DOMHelper.setTextContent(td, text);
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        
+        if (summary) {
+            summary.textContent = results.length > 0
+                ? `${results.length} event${results.length !== 1 ? 's' : ''} match; showing ${start + 1}-${Math.min(start + pageSize, results.length)}`
+                : 'No audit events match these filters';
+        }
+        if (pageLabel) pageLabel.textContent = `Page ${this.auditLogPage + 1} of ${pageCount}`;
+        if (prevBtn) prevBtn.disabled = this.auditLogPage === 0;
+        if (nextBtn) nextBtn.disabled = this.auditLogPage >= pageCount - 1;
+    }
+
+    // Flatten an audit event into the columns shown on screen and exported to CSV
+    describeAuditEvent(event) {
+        const payload = event.payload || {};
+        const current = payload.after || payload.before || {};
+        const changedFields = payload.before && payload.after
+            ? this.diffSeriesFields(payload.before, payload.after).map(change => change.field)
+            : (payload.bulk_update_fields || []);
+        
+        return {
+            at: event.at || '',
+            action: event.action || '',
+            actor: event.actor || '',
+            entity: event.entity || '',
+            entity_id: event.entity_id ?? '',
+            schedule_number: payload.schedule_number || current.schedule_number || '',
+            item_number: payload.item_number || current.item_number || '',
+            record_series_title: payload.record_series_title || current.record_series_title || '',
+            division: current.division || '',
+            changed_fields: changedFields.join('; ')
+        };
+    }
+
+    exportAuditLog(format) {
+        const results = this.auditLogResults || [];
+        if (results.length === 0) {
+            this.setStatus('No audit events to export with current filters', 'error');
             return;
         }
         
-        // Handle arrow key navigation in results list
-        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
-            const resultItems = document.querySelectorAll('.result-item');
-            const currentSelected = document.querySelector('.result-item.selected');
+        try {
+            const date = new Date().toISOString().split('T')[0];
             
-            if (resultItems.length > 0) {
-                let nextIndex = 0;
-                
-                if (currentSelected) {
-                    const currentIndex = Array.from(resultItems).indexOf(currentSelected);
-                    if (e.key === 'ArrowDown') {
-                        nextIndex = (currentIndex + 1) % resultItems.length;
-                    } else {
-                        nextIndex = currentIndex > 0 ? currentIndex - 1 : resultItems.length - 1;
-                    }
-                }
-                
-                resultItems[nextIndex].click();
-                resultItems[nextIndex].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-                e.preventDefault();
+            if (format === 'csv') {
+                const columns = ['at', 'action', 'actor', 'entity', 'entity_id', 'schedule_number', 'item_number',
+                    'record_series_title', 'division', 'changed_fields', 'payload'];
+                const toCsvValue = value => {
+                    const text = value == null ? '' : String(value);
+                    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+                };
+                const lines = [columns.join(',')];
+                results.forEach(event => {
+                    const row = { ...this.describeAuditEvent(event), payload: JSON.stringify(event.payload || {}) };
+                    lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+                });
+                this.downloadFile(lines.join('\r\n'), `iletsb-audit-log-${date}.csv`, 'text/csv');
+            } else {
+                const exportData = {
+                    metadata: {
+                        exported_at: new Date().toISOString(),
+                        filters: this.auditLogCriteria || {},
+                        total_events: results.length
+                    },
+                    audit_events: results
+                };
+                this.downloadFile(JSON.stringify(exportData, null, 2), `iletsb-audit-log-${date}.json`, 'application/json');
             }
+            
+            this.setStatus(`Exported ${results.length} audit events`, 'success');
+        } catch (error) {
+            ErrorHandler.log(error, 'Export audit log', APP_CONSTANTS.ERROR_TYPES.EXPORT);
+            this.setStatus(`Error exporting audit log: ${error.message}`, 'error');
         }
     }
 
-    toggleSearchPane() {
-        const searchPane = document.getElementById('searchPane');
-        const mainContent = document.querySelector('.main-content');
-        const toggleBtn = document.getElementById('searchToggleBtn');
+    // Snapshots taken automatically before destructive schema migrations
+    async exportMigrationBackups() {
+        try {
+            const backups = await this.getMigrationBackups();
+            if (backups.length === 0) {
+                this.setStatus('No pre-migration backups on this workstation', 'info');
+                return;
+            }
+            
+            const date = new Date().toISOString().split('T')[0];
+            this.downloadFile(JSON.stringify(backups, null, 2), `iletsb-migration-backups-${date}.json`, 'application/json');
+            this.setStatus(`Exported ${backups.length} pre-migration backup${backups.length !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            ErrorHandler.log(error, 'Export migration backups', APP_CONSTANTS.ERROR_TYPES.EXPORT);
+            this.setStatus(`Error exporting migration backups: ${error.message}`, 'error');
+        }
+    }
+
+    // The index is kept up to date on every write; this recovers it if it ever drifts
+    async rebuildSearchIndex() {
+        try {
+            this.setStatus('Rebuilding search index...', 'info');
+            const indexed = await this.seriesRepo.rebuildSearchIndex();
+            await this.applyFilters();
+            this.setStatus(`Search index rebuilt for ${indexed} series record${indexed !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            ErrorHandler.log(error, 'Rebuild search index');
+            this.setStatus(`Error rebuilding search index: ${error.message}`, 'error');
+        }
+    }
+
+    downloadFile(content, filename, type) {
+        this.downloadBlob(new Blob([content], { type }), filename);
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    setupImportStatusModal() {
+        const commitBtn = document.getElementById('importCommitBtn');
+        const cancelBtn = document.getElementById('importCancelBtn');
+        const closeBtn = document.getElementById('closeImportStatus');
+        const footerCloseBtn = document.getElementById('importStatusCloseBtn');
         
-        if (!searchPane || !mainContent || !toggleBtn) return;
+        if (commitBtn) commitBtn.addEventListener('click', () => this.commitPendingImport());
         
-        const isCollapsed = searchPane.classList.contains('collapsed');
+        // Closing the modal while a preview is pending discards it
+        [cancelBtn, closeBtn, footerCloseBtn].forEach(btn => {
+            if (btn) btn.addEventListener('click', () => this.cancelPendingImport());
+        });
+    }
+
+    // User Profile Picker
+    setupUserPicker() {
+        const roleSelect = document.getElementById('newUserRole');
+        if (roleSelect) {
+            APP_CONSTANTS.USER_ROLES.forEach(role => {
+                roleSelect.appendChild(DOMHelper.createOption(role, role));
+            });
+        }
         
-        if (isCollapsed) {
-            // Expand the search pane
-            searchPane.classList.remove('collapsed');
-            mainContent.classList.remove('search-collapsed');
-            toggleBtn.setAttribute('aria-expanded', 'true');
-        } else {
-            // Collapse the search pane
-            searchPane.classList.add('collapsed');
-            mainContent.classList.add('search-collapsed');
-            toggleBtn.setAttribute('aria-expanded', 'false');
+        const form = document.getElementById('newUserForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCreateUserProfile();
+            });
         }
         
-        // Save state to localStorage
+        const currentUserBtn = document.getElementById('currentUserBtn');
+        if (currentUserBtn) currentUserBtn.addEventListener('click', () => this.showUserPicker());
+        
+        const closeBtn = document.getElementById('closeUserPicker');
+        if (closeBtn) closeBtn.addEventListener('click', () => this.hideUserPicker());
+    }
+
+    // Shared workstation: ask who is working every time the app starts.
+    // Resolves once a profile is picked.
+    async initUserProfiles() {
         try {
-            localStorage.setItem('iletsb_search_pane_collapsed', (!isCollapsed).toString());
-        } catch (e) {
-            // If storage is unavailable, continue without saving state
+            const users = await this.getAllUsers();
+            const rememberedId = this.getRememberedUserId();
+            this.renderCurrentUser();
+            // Without the picker there is nobody to wait for
+            if (!document.getElementById('userPickerModal')) return;
+            const picked = new Promise(resolve => {
+                this.onUserPicked = resolve;
+            });
+            await this.showUserPicker(users, rememberedId);
+            await picked;
+        } catch (error) {
+            ErrorHandler.log(error, 'Load user profiles');
+            this.setStatus(`Error loading user profiles: ${error.message}`, 'error');
         }
     }
 
-    handleScheduleSubmit(e) {
-        e.preventDefault();
+    async showUserPicker(users = null, highlightId = null) {
+        const modal = document.getElementById('userPickerModal');
+        if (!modal) return;
         
         try {
-            const form = e.target;
-            
-            // Get form data using new reusable method
-            const formData = this.getFormData(form);
-            
-            // Create schedule object with schedule number
-            const schedule = {
-                schedule_number: formData.schedule_number,
-                approval_status: formData.approval_status || 'draft',
-                approval_date: formData.approval_date || null,
-                tags: formData.tags || [],
-                ...formData
-            };
+            const profiles = users || await this.getAllUsers();
+            this.renderUserPickerList(profiles, highlightId ?? this.currentUser?._id);
+        } catch (error) {
+            ErrorHandler.log(error, 'Show user picker');
+        }
+        
+        // Nobody to return to yet, so the picker cannot be dismissed
+        const closeBtn = document.getElementById('closeUserPicker');
+        if (closeBtn) closeBtn.classList.toggle('hidden', !this.currentUser);
+        
+        modal.classList.remove('hidden');
+    }
+
+    hideUserPicker() {
+        if (!this.currentUser) return;
+        const modal = document.getElementById('userPickerModal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    renderUserPickerList(users, highlightId) {
+        const list = document.getElementById('userPickerList');
+        if (!list) return;
+        DOMHelper.clearElement(list);
+        
+        if (users.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'user-picker-empty';
+            DOMHelper.setTextContent(empty, 'No profiles yet. Create one below to start.');
+            list.appendChild(empty);
+            return;
+        }
+        
+        users.forEach(user => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'user-picker-item';
+            if (user._id === highlightId) button.classList.add('active');
             
-            // Validate required fields
-            if (!schedule.schedule_number) {
-                this.setStatus('Schedule Number is required', 'error');
-                return;
-            }
+            const initials = document.createElement('span');
+            initials.className = 'user-initials';
+            DOMHelper.setTextContent(initials, user.initials);
             
-            // Validate schedule number format
-            if (!/^\d{2}-\d{3}$/.test(schedule.schedule_number)) {
-                this.setStatus('Schedule Number must be in format XX-XXX (e.g., 25-012)', 'error');
-                return;
-            }
+            const name = document.createElement('span');
+            name.className = 'user-picker-name';
+            DOMHelper.setTextContent(name, user.name);
             
-            // Save schedule (bulk update all matching series)
-            this.saveSchedule(schedule, false);
+            const role = document.createElement('span');
+            role.className = 'user-picker-role';
+            DOMHelper.setTextContent(role, user.role);
             
+            button.appendChild(initials);
+            button.appendChild(name);
+            button.appendChild(role);
+            button.addEventListener('click', () => this.selectUserProfile(user));
+            list.appendChild(button);
+        });
+    }
+
+    async selectUserProfile(user) {
+        try {
+            await this.setCurrentUser(user);
+            this.hideUserPicker();
+            this.setStatus(`Working as ${user.name}`, 'success');
+            this.onUserPicked?.();
+            this.onUserPicked = null;
         } catch (error) {
-            ErrorHandler.log(error, 'Schedule form submission');
-            this.setStatus(`Error saving schedule: ${error.message}`, 'error');
+            ErrorHandler.log(error, 'Select user profile');
+            this.setStatus(`Error selecting profile: ${error.message}`, 'error');
         }
     }
 
-    // Alias method to match event listener expectation
-    handleSeriesSubmit(e) {
-        return this.handleSeriesFormSubmit(e);
+    async handleCreateUserProfile() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        
+        try {
+            const user = await this.saveUser({
+                name: value('newUserName'),
+                initials: value('newUserInitials'),
+                role: value('newUserRole')
+            });
+            document.getElementById('newUserForm')?.reset();
+            await this.selectUserProfile(user);
+        } catch (error) {
+            ErrorHandler.log(error, 'Create user profile', error.type || APP_CONSTANTS.ERROR_TYPES.DATABASE);
+            alert(error.message);
+        }
     }
 
-    updateChipSelection(chipContainer, selectedValue) {
-        if (!chipContainer) return;
+    renderCurrentUser() {
+        const initials = document.getElementById('currentUserInitials');
+        const label = document.getElementById('currentUserName');
+        const button = document.getElementById('currentUserBtn');
+        const user = this.currentUser;
         
-        // Remove active class from all chips in this container
-        const chips = chipContainer.querySelectorAll('.chip');
-        chips.forEach(chip => {
-            chip.classList.remove('active');
+        if (initials) DOMHelper.setTextContent(initials, user ? user.initials : '?');
+        if (label) DOMHelper.setTextContent(label, user ? `${user.name} (${user.role})` : 'Choose profile');
+        if (button) button.title = user ? `Signed in as ${user.name}. Click to switch profile.` : 'Choose a profile';
+    }
+
+    // Undo / Redo Toolbar
+    setupUndoButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.addEventListener('click', () => this.runUndoStep('undo'));
+        if (redoBtn) redoBtn.addEventListener('click', () => this.runUndoStep('redo'));
+        this.updateUndoButtons();
+    }
+
+    updateUndoButtons() {
+        const buttons = [
+            ['undoBtn', this.undoStack, 'Undo', 'Ctrl+Z'],
+            ['redoBtn', this.redoStack, 'Redo', 'Ctrl+Shift+Z']
+        ];
+        buttons.forEach(([id, stack, verb, shortcut]) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            const entry = stack[stack.length - 1];
+            button.disabled = !entry;
+            button.title = entry ? `${verb}: ${entry.label} (${shortcut})` : `Nothing to ${verb.toLowerCase()}`;
         });
-        
+    }
+
+    handleUndoShortcut(e) {
+        // Text fields keep the browser's own typing undo
+        if (e.target.matches('input, textarea, select, [contenteditable="true"]')) return;
+        e.preventDefault();
+        this.runUndoStep(e.shiftKey ? 'redo' : 'undo');
+    }
+
+    async runUndoStep(direction) {
+        if (this.undoInProgress) return;
+        this.undoInProgress = true;
+        
+        try {
+            const entry = direction === 'undo' ? await this.undo() : await this.redo();
+            if (!entry) {
+                this.setStatus(`Nothing to ${direction}`, 'info');
+                return;
+            }
+            
+            this.setStatus(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${entry.label}`, 'success');
+        } catch (error) {
+            if (this.promptOpenConflictingRecord(error)) return;
+            this.setStatus(`Could not ${direction}: ${error.message}`, 'error');
+        } finally {
+            this.undoInProgress = false;
+        }
+    }
+
+    // Re-open the selected record with its current stored values, or close it if it is gone
+    refreshCurrentSeriesItem() {
+        if (!this.currentSeriesItem || this.currentSeriesItem._id == null) return;
+        
+        const current = this.seriesCache.get(this.currentSeriesItem._id);
+        if (current) {
+            this.selectSeriesItem(current);
+        } else {
+            this.currentSeriesItem = null;
+            this.selectedItemId = null;
+            this.hideDetails();
+        }
+    }
+
+    // Trash View
+    setupTrash() {
+        const purgeDaysInput = document.getElementById('trashPurgeDays');
+        if (purgeDaysInput) {
+            purgeDaysInput.addEventListener('change', () => {
+                const days = parseInt(purgeDaysInput.value, 10);
+                if (Number.isNaN(days) || days < 0) {
+                    purgeDaysInput.value = this.getTrashPurgeDays();
+                    return;
+                }
+                this.setTrashPurgeDays(days);
+                this.setStatus(days === 0
+                    ? 'Trashed records will be kept until purged manually'
+                    : `Trashed records will be purged after ${days} days`, 'success');
+            });
+        }
+        
+        const bindings = {
+            trashEmptyBtn: () => this.confirmEmptyTrash(),
+            closeTrash: () => this.hideTrash(),
+            trashCloseBtn: () => this.hideTrash()
+        };
+        Object.entries(bindings).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('click', handler);
+        });
+    }
+
+    async showTrash() {
+        const modal = document.getElementById('trashModal');
+        if (modal) modal.classList.remove('hidden');
+        
+        const purgeDaysInput = document.getElementById('trashPurgeDays');
+        if (purgeDaysInput) purgeDaysInput.value = this.getTrashPurgeDays();
+        
+        await this.renderTrash();
+    }
+
+    hideTrash() {
+        const modal = document.getElementById('trashModal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    async renderTrash() {
+        const body = document.getElementById('trashBody');
+        const summary = document.getElementById('trashSummary');
+        if (!body) return;
+        
+        try {
+            const items = await this.getTrashedSeries();
+            this.trashItems = items;
+            DOMHelper.clearElement(body);
+            
+            if (summary) {
+                DOMHelper.setTextContent(summary, items.length === 0
+                    ? 'The trash is empty.'
+                    : `${items.length} record${items.length !== 1 ? 's' : ''} in the trash`);
+            }
+            
+            const emptyBtn = document.getElementById('trashEmptyBtn');
+            if (emptyBtn) emptyBtn.disabled = items.length === 0;
+            
+            items.forEach(item => {
+                const row = document.createElement('tr');
+                [
+                    item.schedule_number || '',
+                    item.item_number || '',
+                    item.record_series_title || '',
+                    item.deleted_at ? new Date(item.deleted_at).toLocaleString() : '',
+                    item.deleted_by || ''
+                ].forEach(text => {
+                    const cell = document.createElement('td');
+                    DOMHelper.setTextContent(cell, text);
+                    row.appendChild(cell);
+                });
+                
+                const actions = document.createElement('td');
+                actions.className = 'trash-actions';
+                
+                const restoreBtn = document.createElement('button');
+                restoreBtn.type = 'button';
+                restoreBtn.className = 'btn btn--outline btn--sm';
+                DOMHelper.setTextContent(restoreBtn, 'Restore');
+                restoreBtn.addEventListener('click', () => this.handleRestoreFromTrash(item));
+                
+                const purgeBtn = document.createElement('button');
+                purgeBtn.type = 'button';
+                purgeBtn.className = 'btn btn--outline btn--sm delete-btn';
+                DOMHelper.setTextContent(purgeBtn, 'Purge');
+                purgeBtn.addEventListener('click', () => this.confirmPurgeTrashedItem(item));
+                
+                actions.appendChild(restoreBtn);
+                actions.appendChild(purgeBtn);
+                row.appendChild(actions);
+                body.appendChild(row);
+            });
+        } catch (error) {
+            ErrorHandler.log(error, 'Render trash');
+            this.setStatus(`Error loading trash: ${error.message}`, 'error');
+        }
+    }
+
+    async handleRestoreFromTrash(item) {
+        try {
+            const restored = await this.restoreFromTrash(item._id);
+            await this.renderTrash();
+            this.setStatus(`"${restored.record_series_title}" restored from the trash`, 'success');
+        } catch (error) {
+            if (error instanceof DuplicateSeriesError) {
+                this.hideTrash();
+                if (this.promptOpenConflictingRecord(error)) return;
+            }
+            this.setStatus(`Error restoring record: ${error.message}`, 'error');
+        }
+    }
+
+    async confirmPurgeTrashedItem(item) {
+        const confirmed = confirm(`Permanently purge "${item.record_series_title}"? This cannot be undone.`);
+        if (!confirmed) return;
+        
+        try {
+            await this.purgeTrashedSeries([item._id]);
+            await this.renderTrash();
+            this.setStatus(`"${item.record_series_title}" purged`, 'success');
+        } catch (error) {
+            this.setStatus(`Error purging record: ${error.message}`, 'error');
+        }
+    }
+
+    async confirmEmptyTrash() {
+        const items = this.trashItems || [];
+        if (items.length === 0) return;
+        
+        const confirmed = confirm(`Permanently purge all ${items.length} record${items.length !== 1 ? 's' : ''} in the trash? This cannot be undone.`);
+        if (!confirmed) return;
+        
+        try {
+            const purged = await this.purgeTrashedSeries(items.map(item => item._id));
+            await this.renderTrash();
+            this.setStatus(`Purged ${purged} record${purged !== 1 ? 's' : ''} from the trash`, 'success');
+        } catch (error) {
+            this.setStatus(`Error emptying trash: ${error.message}`, 'error');
+        }
+    }
+
+    handleGlobalClick(e) {
+        // Close all dropdowns when clicking outside
+        if (!e.target.closest('.admin-menu') && !e.target.closest('.dropdown')) {
+            document.querySelectorAll('.dropdown').forEach(dropdown => {
+                dropdown.classList.add('hidden');
+            });
+            
+            // Reset aria-expanded attributes
+            document.querySelectorAll('[aria-expanded="true"]').forEach(btn => {
+                btn.setAttribute('aria-expanded', 'false');
+            });
+        }
+    }
+
+    handleEscapeKey() {
+        // Close any open modals or dropdowns
+        document.querySelectorAll('.dropdown').forEach(dropdown => {
+            dropdown.classList.add('hidden');
+        });
+        
+        // Reset aria-expanded attributes
+        document.querySelectorAll('[aria-expanded="true"]').forEach(btn => {
+            btn.setAttribute('aria-expanded', 'false');
+        });
+        
+        // Close any open modals
+        const modals = document.querySelectorAll('.modal:not(.hidden)');
+        modals.forEach(modal => {
+            // The startup profile picker stays open until someone is signed in
+            if (modal.id === 'userPickerModal' && !this.currentUser) return;
+            modal.classList.add('hidden');
+        });
+    }
+
+    handleSaveShortcut() {
+        // Handle Ctrl+Enter or Cmd+Enter to save current form
+        const activeForm = document.querySelector('form:not(.hidden)');
+        if (activeForm) {
+            const submitBtn = activeForm.querySelector('button[type="submit"]');
+            if (submitBtn && !submitBtn.disabled) {
+                submitBtn.click();
+            }
+        }
+    }
+
+    handleKeydown(e) {
+        // Handle general keyboard navigation
+        if (e.target.matches('input, textarea, select')) {
+            // Don't interfere with form input
+            return;
+        }
+        
+        // Handle arrow key navigation in results list; rows out of view are not in the DOM, so go by position in the results
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const count = this.filteredItems.length;
+            
+            if (count > 0) {
+                let nextIndex = 0;
+                
+                const currentIndex = this.filteredItems.findIndex(item => item._id === this.selectedItemId);
+                if (currentIndex !== -1) {
+                    if (e.key === 'ArrowDown') {
+                        nextIndex = (currentIndex + 1) % count;
+                    } else {
+                        nextIndex = currentIndex > 0 ? currentIndex - 1 : count - 1;
+                    }
+                }
+                
+                this.scrollResultIntoView(nextIndex);
+                this.selectSeriesItem(this.filteredItems[nextIndex]);
+                e.preventDefault();
+            }
+        }
+    }
+
+    toggleSearchPane() {
+        const searchPane = document.getElementById('searchPane');
+        const mainContent = document.querySelector('.main-content');
+        const toggleBtn = document.getElementById('searchToggleBtn');
+        
+        if (!searchPane || !mainContent || !toggleBtn) return;
+        
+        const isCollapsed = searchPane.classList.contains('collapsed');
+        
+        if (isCollapsed) {
+            // Expand the search pane
+            searchPane.classList.remove('collapsed');
+            mainContent.classList.remove('search-collapsed');
+            toggleBtn.setAttribute('aria-expanded', 'true');
+        } else {
+            // Collapse the search pane
+            searchPane.classList.add('collapsed');
+            mainContent.classList.add('search-collapsed');
+            toggleBtn.setAttribute('aria-expanded', 'false');
+        }
+        
+        // Save state to localStorage
+        try {
+            localStorage.setItem('iletsb_search_pane_collapsed', (!isCollapsed).toString());
+        } catch (e) {
+            // If storage is unavailable, continue without saving state
+        }
+    }
+
+    handleScheduleSubmit(e) {
+        e.preventDefault();
+        
+        try {
+            const form = e.target;
+            
+            // Get form data using new reusable method
+            const formData = this.getFormData(form);
+            
+            // Create schedule object with schedule number
+            const schedule = {
+                schedule_number: formData.schedule_number,
+                approval_status: formData.approval_status || 'draft',
+                approval_date: formData.approval_date || null,
+                tags: formData.tags || [],
+                ...formData
+            };
+            
+            // Validate required fields
+            if (!schedule.schedule_number) {
+                this.setStatus('Schedule Number is required', 'error');
+                return;
+            }
+            
+            // Validate schedule number format
+            if (!/^\d{2}-\d{3}$/.test(schedule.schedule_number)) {
+                this.setStatus('Schedule Number must be in format XX-XXX (e.g., 25-012)', 'error');
+                return;
+            }
+            
+            // Save schedule (bulk update all matching series)
+            this.saveSchedule(schedule, false);
+            
+        } catch (error) {
+            ErrorHandler.log(error, 'Schedule form submission');
+            this.setStatus(`Error saving schedule: ${error.message}`, 'error');
+        }
+    }
+
+    // Alias method to match event listener expectation
+    handleSeriesSubmit(e) {
+        return this.handleSeriesFormSubmit(e);
+    }
+
+    updateChipSelection(chipContainer, selectedValue) {
+        if (!chipContainer) return;
+        
+        // Remove active class from all chips in this container
+        const chips = chipContainer.querySelectorAll('.chip');
+        chips.forEach(chip => {
+            chip.classList.remove('active');
+        });
+        
         // Add active class to the selected chip
         const selectedChip = chipContainer.querySelector(`[data-value="${selectedValue}"]`);
         if (selectedChip) {
@@ -1273,23 +2025,12 @@ class RecordsRetentionApp {
 
     async clearDatabase() {
         try {
-            // Clear all data from IndexedDB
-            const transaction = this.db.transaction(['series', 'audit_events'], 'readwrite');
-            
-            await Promise.all([
-                transaction.objectStore('series').clear(),
-                transaction.objectStore('audit_events').clear()
-            ]);
+            // Clear all data from IndexedDB; the audit chain starts fresh
+            await this.seriesRepo.clearAll();
             
-            // Reset application state
-            this.schedules = [];
-            this.seriesItems = [];
-            this.filteredItems = [];
-            this.currentSeriesItem = null;
-            this.selectedItemId = null;
-            
-            // Update UI
-            this.updateUI();
+            // Nothing left to undo into; the views empty themselves from the cache
+            this.clearUndoHistory();
+            this.loadSavedSearches();
             this.setStatus('Database cleared successfully', 'success');
             
         } catch (error) {
@@ -1386,36 +2127,18 @@ class RecordsRetentionApp {
 
     async exportData() {
         try {
-            // Get all data from database
-            const series = await this.getAllSeries();
-            const auditEvents = await this.getAllAuditEvents();
-            
-            // Create export object with metadata
-            const exportData = {
-                metadata: {
-                    exported_at: new Date().toISOString(),
-                    version: '3.7',
-                    total_series: series.length,
-                    total_schedules: new Set(series.map(s => s.schedule_number).filter(Boolean)).size
-                },
-                series: series,
-                audit_events: auditEvents
-            };
-            
-            // Create and download file
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `iletsb-records-export-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            // Let sealing in progress finish: the page keeps the audit chain head
+            await this.auditRepo.sealed();
+            const { blob, count } = await this.runWithProgress('Exporting all records', 'exportJson', {});
+            this.downloadBlob(blob, `iletsb-records-export-${new Date().toISOString().split('T')[0]}.json`);
             
-            this.setStatus(`Exported ${series.length} series records successfully`, 'success');
+            this.setStatus(`Exported ${count} series records successfully`, 'success');
             
         } catch (error) {
+            if (error instanceof TaskCancelledError) {
+                this.setStatus('Export cancelled', 'info');
+                return;
+            }
             ErrorHandler.log(error, 'Export data');
             this.setStatus(`Error exporting data: ${error.message}`, 'error');
         }
@@ -1431,66 +2154,41 @@ class RecordsRetentionApp {
                 return;
             }
             
-            // Get audit events for filtered series
-            const seriesIds = filteredSeries.map(s => s._id);
-            const allAuditEvents = await this.getAllAuditEvents();
-            const filteredAuditEvents = allAuditEvents.filter(event => 
-                event.entity === 'series' && seriesIds.includes(event.entity_id)
-            );
-            
-            // Create export object
-            const exportData = {
-                metadata: {
-                    exported_at: new Date().toISOString(),
-                    version: '3.7',
-                    filtered_export: true,
-                    total_series: filteredSeries.length,
-                    total_schedules: new Set(filteredSeries.map(s => s.schedule_number).filter(Boolean)).size
-                },
-                series: filteredSeries,
-                audit_events: filteredAuditEvents
-            };
-            
-            // Create and download file
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `iletsb-records-filtered-export-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            // Export limited to the filtered series and their audit events
+            await this.auditRepo.sealed();
+            const { blob, count } = await this.runWithProgress('Exporting filtered records', 'exportJson', {
+                ids: filteredSeries.map(item => item._id)
+            });
+            this.downloadBlob(blob, `iletsb-records-filtered-export-${new Date().toISOString().split('T')[0]}.json`);
             
-            this.setStatus(`Exported ${filteredSeries.length} filtered series records successfully`, 'success');
+            this.setStatus(`Exported ${count} filtered series records successfully`, 'success');
             
         } catch (error) {
+            if (error instanceof TaskCancelledError) {
+                this.setStatus('Export cancelled', 'info');
+                return;
+            }
             ErrorHandler.log(error, 'Export filtered data');
             this.setStatus(`Error exporting filtered data: ${error.message}`, 'error');
         }
     }
 
-    async getAllAuditEvents() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['audit_events'], 'readonly');
-            const store = transaction.objectStore('audit_events');
-            const request = store.getAll();
-            
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
-        });
-    }
-
-    confirmDeleteSeriesItem() {
+    async confirmDeleteSeriesItem() {
         if (!this.currentSeriesItem) {
             this.setStatus('No series item selected for deletion', 'error');
             return;
         }
         
-        const confirmed = confirm(`Are you sure you want to delete the series item "${this.currentSeriesItem.record_series_title}"? This action cannot be undone.`);
+        const title = this.currentSeriesItem.record_series_title;
+        const confirmed = confirm(`Move the series item "${title}" to the trash? It can be restored from Admin -> Trash.`);
+        if (!confirmed) return;
         
-        if (confirmed) {
-            this.deleteSeries(this.currentSeriesItem._id);
+        try {
+            await this.deleteSeries(this.currentSeriesItem._id);
+            this.setStatus(`"${title}" moved to the trash`, 'success');
+        } catch (error) {
+            ErrorHandler.log(error, 'Delete series item');
+            this.setStatus(`Error deleting series item: ${error.message}`, 'error');
         }
     }
 
@@ -1506,285 +2204,255 @@ class RecordsRetentionApp {
     }
 
     async importData(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        await this.importFile(event, 'json');
+    }
 
+    async exportToExcel() {
         try {
-            const text = await file.text();
-            const importData = JSON.parse(text);
+            await this.auditRepo.sealed();
+            const { blob, count } = await this.runWithProgress('Exporting to Excel', 'exportExcel', {});
+            this.downloadBlob(blob, `iletsb-records-export-${new Date().toISOString().split('T')[0]}.xlsx`);
             
-            if (!importData.series || !Array.isArray(importData.series)) {
-                this.setStatus('Invalid import file: missing series array', 'error');
+            this.setStatus(`Exported ${count} series records to Excel successfully`, 'success');
+            
+        } catch (error) {
+            if (error instanceof TaskCancelledError) {
+                this.setStatus('Export cancelled', 'info');
                 return;
             }
+            ErrorHandler.log(error, 'Export to Excel');
+            this.setStatus(`Error exporting to Excel: ${error.message}`, 'error');
+        }
+    }
 
-            let importedCount = 0;
-            const errors = [];
+    async importFromExcel(event) {
+        await this.importFile(event, 'excel');
+    }
 
-            // Process each series item
-            for (const item of importData.series) {
-                try {
-                    // Handle legacy application_number field
-                    if (item.application_number && !item.schedule_number) {
-                        item.schedule_number = item.application_number;
-                        delete item.application_number;
-                    }
-                    
-                    // Normalize arrays
-                    ['tags', 'media_types', 'omb_or_statute_refs', 'related_series'].forEach(field => {
-                        if (item[field] && typeof item[field] === 'string') {
-                            item[field] = item[field].split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
-                        }
-                    });
-                    
-                    // Remove _id to prevent conflicts - let database assign new IDs
-                    delete item._id;
-                    
-                    // Set timestamps
-                    const now = new Date().toISOString();
-                    item.created_at = item.created_at || now;
-                    item.updated_at = now;
-                    item.version = (item.version || 0) + 1;
-                    
-                    // Save to database
-                    await this.saveSeries(item, false);
-                    importedCount++;
-                    
-                } catch (error) {
-                    errors.push(`Error importing item "${item.record_series_title || 'Unknown'}": ${error.message}`);
-                }
-            }
-            
-            // Import audit events if present
-            if (importData.audit_events && Array.isArray(importData.audit_events)) {
-                for (const auditEvent of importData.audit_events) {
-                    try {
-                        // Remove _id to prevent conflicts
-                        delete auditEvent._id;
-                        await this.logAuditEvent(
-                            auditEvent.entity,
-                            auditEvent.entity_id,
-                            auditEvent.action,
-                            auditEvent.payload,
-                            auditEvent.actor,
-                            auditEvent.at
-                        );
-                    } catch (error) {
-                        // Silently handle audit event import errors
-                    }
-                }
-            }
-            
-            // Update UI and show results
-            this.updateUI();
+    // Parse the file and classify every row in the background; nothing is written before the preview is committed
+    async importFile(event, format) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const label = format === 'excel' ? 'Excel' : 'JSON';
+        try {
+            const preview = await this.runWithProgress(`Importing ${file.name}`, 'parseImport', { file, format });
+            this.showImportPreview(preview);
             
-            if (errors.length > 0) {
-                console.warn('Import errors:', errors);
-                this.setStatus(`Imported ${importedCount} records with ${errors.length} errors`, 'success');
+        } catch (error) {
+            if (error instanceof TaskCancelledError) {
+                this.setStatus('Import cancelled; no records were changed', 'info');
+            } else if (error instanceof ImportFileError) {
+                this.setStatus(error.message, 'error');
             } else {
-                this.setStatus(`Successfully imported ${importedCount} series records`, 'success');
+                ErrorHandler.log(error, `Import from ${label}`, APP_CONSTANTS.ERROR_TYPES.IMPORT);
+                this.setStatus(`Error importing from ${label}: ${error.message}`, 'error');
             }
-            
-        } catch (error) {
-            ErrorHandler.log(error, 'Import data');
-            this.setStatus(`Error importing data: ${error.message}`, 'error');
         } finally {
             // Clear the file input
             event.target.value = '';
         }
     }
 
-    async exportToExcel() {
-        try {
-            // Get all data from database
-            const series = await this.getAllSeries();
-            const auditEvents = await this.getAllAuditEvents();
-            
-            // Prepare series data for Excel with placeholders for blank required fields
-            const seriesForExcel = series.map(item => {
-                const excelItem = { ...item };
-                
-                // Add placeholders for blank required fields to ensure round-trip compatibility
-                if (!excelItem.record_series_title || excelItem.record_series_title.trim() === '') {
-                    excelItem.record_series_title = 'PLACEHOLDER_TITLE';
-                }
-                
-                // Convert arrays to semicolon-separated strings for Excel compatibility
-                ['tags', 'media_types', 'omb_or_statute_refs', 'related_series'].forEach(field => {
-                    if (Array.isArray(excelItem[field])) {
-                        excelItem[field] = excelItem[field].join('; ');
-                    }
+    diffSeriesFields(before, after) {
+        return this.seriesRepo.diffFields(before, after);
+    }
+
+    formatDiffValue(value) {
+        if (value == null || value === '') return '(blank)';
+        if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(blank)';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    async buildImportPreview(rawRows, options = {}) {
+        return this.seriesRepo.buildImportPreview(rawRows, options);
+    }
+
+    async commitImport(preview) {
+        return this.seriesRepo.commitImport(preview);
+    }
+
+    showImportPreview(preview) {
+        this.pendingImport = preview;
+        
+        const modal = document.getElementById('importStatusModal');
+        const statusCode = document.getElementById('importStatusCode');
+        const schedulesCount = document.getElementById('importSchedulesCount');
+        const seriesCount = document.getElementById('importSeriesCount');
+        const log = document.getElementById('importStatusLog');
+        const commitBtn = document.getElementById('importCommitBtn');
+        const cancelBtn = document.getElementById('importCancelBtn');
+        
+        const { summary } = preview;
+        const writable = summary.new + summary.update;
+        const scheduleNumbers = new Set(preview.rows
+            .filter(row => row.status !== 'invalid' && row.item.schedule_number)
+            .map(row => row.item.schedule_number));
+        
+        if (statusCode) statusCode.textContent = `Preview (${preview.source}) - nothing written yet`;
+        if (schedulesCount) schedulesCount.textContent = scheduleNumbers.size;
+        if (seriesCount) seriesCount.textContent = preview.rows.length;
+        
+        this.renderImportPreviewTable(preview);
+        
+        if (log) {
+            const lines = [
+                `File: ${preview.fileName}`,
+                `${summary.new} new, ${summary.update} update, ${summary.duplicate} duplicate, ${summary.invalid} invalid`,
+                `${preview.auditEvents.length} audit events will be re-linked to the imported records`,
+                ...(preview.savedSearches.length > 0 ? [`${preview.savedSearches.length} saved searches will be added unless already present`] : []),
+                ...(preview.auditVerification ? [preview.auditVerification.message] : []),
+                ''
+            ];
+            preview.rows.forEach(row => {
+                const label = `Row ${row.rowNumber} [${row.status}] ${row.item.schedule_number || '-'} / ${row.item.item_number || '-'}: ${row.item.record_series_title || 'Untitled'}`;
+                lines.push(row.reason ? `${label} - ${row.reason}` : label);
+                row.changes.forEach(change => {
+                    lines.push(`    ${change.field}: ${this.formatDiffValue(change.before)} -> ${this.formatDiffValue(change.after)}`);
                 });
-                
-                // Flatten ui_extras object for Excel columns
-                if (excelItem.ui_extras && typeof excelItem.ui_extras === 'object') {
-                    Object.keys(excelItem.ui_extras).forEach(key => {
-                        excelItem[`ui_extras_${key}`] = excelItem.ui_extras[key];
-                    });
-                    delete excelItem.ui_extras;
-                }
-                
-                return excelItem;
+                row.warnings.forEach(warning => lines.push(`    warning: ${warning}`));
             });
+            log.value = lines.join('\n');
+        }
+        
+        if (commitBtn) {
+            commitBtn.classList.remove('hidden');
+            commitBtn.disabled = writable === 0;
+            commitBtn.textContent = `Commit ${writable} record${writable !== 1 ? 's' : ''}`;
+        }
+        if (cancelBtn) cancelBtn.classList.remove('hidden');
+        if (modal) modal.classList.remove('hidden');
+        
+        this.setStatus(`Import preview: ${writable} of ${preview.rows.length} rows ready to commit`, 'info');
+    }
+
+    renderImportPreviewTable(preview) {
+        const container = document.getElementById('importPreview');
+        if (!container) return;
+        
+        const maxRows = 500;
+        DOMHelper.clearElement(container);
+        container.classList.remove('hidden');
+        
+        const summaryLine = document.createElement('div');
+        summaryLine.className = 'import-preview-summary';
+        ['new', 'update', 'duplicate', 'invalid'].forEach(status => {
+            const badge = document.createElement('span');
+            badge.className = `import-status-badge ${status}`;
+            DOMHelper.setTextContent(badge, `${preview.summary[status]} ${status}`);
+            summaryLine.appendChild(badge);
+        });
+        container.appendChild(summaryLine);
+        
+        const table = document.createElement('table');
+        table.className = 'import-preview-table';
+        const headerRow = document.createElement('tr');
+        ['Row', 'Result', 'Schedule / Item', 'Title', 'Details'].forEach(text => {
+            const th = document.createElement('th');
+            DOMHelper.setTextContent(th, text);
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+        
+        preview.rows.slice(0, maxRows).forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `import-row ${row.status}`;
             
-            // Create workbook
-            const wb = XLSX.utils.book_new();
-            
-            // Sheet 1: Series Data
-            const seriesWs = XLSX.utils.json_to_sheet(seriesForExcel);
-            XLSX.utils.book_append_sheet(wb, seriesWs, 'Series Data');
-            
-            // Sheet 2: Audit Events
-            const auditWs = XLSX.utils.json_to_sheet(auditEvents);
-            XLSX.utils.book_append_sheet(wb, auditWs, 'Audit Events');
-            
-            // Sheet 3: Metadata
-            const metadata = {
-                exported_at: new Date().toISOString(),
-                version: '3.7',
-                total_series: series.length,
-                total_schedules: new Set(series.map(s => s.schedule_number).filter(Boolean)).size,
-                export_type: 'excel_full_database'
-            };
-            const metadataWs = XLSX.utils.json_to_sheet([metadata]);
-            XLSX.utils.book_append_sheet(wb, metadataWs, 'Metadata');
-            
-            // Generate filename
-            const filename = `iletsb-records-export-${new Date().toISOString().split('T')[0]}.xlsx`;
-            
-            // Write and download file
-            XLSX.writeFile(wb, filename);
-            
-            this.setStatus(`Exported ${series.length} series records to Excel successfully`, 'success');
+            const details = row.changes.length > 0
+                ? row.changes.map(change => `${change.field}: ${this.formatDiffValue(change.before)} → ${this.formatDiffValue(change.after)}`).join('\n')
+                : [row.reason, ...row.warnings].filter(Boolean).join('\n');
             
-        } catch (error) {
-            ErrorHandler.log(error, 'Export to Excel');
-            this.setStatus(`Error exporting to Excel: ${error.message}`, 'error');
+            [
+                String(row.rowNumber),
+                row.status,
+                `${row.item.schedule_number || '—'} / ${row.item.item_number || '—'}`,
+                row.item.record_series_title || 'Untitled',
+                details
+            ].forEach(text => {
+                const td = document.createElement('td');
+                DOMHelper.setTextContent(td, text);
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        container.appendChild(table);
+        
+        if (preview.rows.length > maxRows) {
+            const note = document.createElement('p');
+            note.className = 'import-preview-note';
+            DOMHelper.setTextContent(note, `Showing the first ${maxRows} of ${preview.rows.length} rows. See the detailed log for the rest.`);
+            container.appendChild(note);
         }
     }
 
-    async importFromExcel(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
+    async commitPendingImport() {
+        const preview = this.pendingImport;
+        if (!preview) return;
+        
+        const statusCode = document.getElementById('importStatusCode');
+        const log = document.getElementById('importStatusLog');
+        const commitBtn = document.getElementById('importCommitBtn');
+        const cancelBtn = document.getElementById('importCancelBtn');
+        
+        if (commitBtn) commitBtn.disabled = true;
+        if (statusCode) statusCode.textContent = 'Committing...';
+        
         try {
-            // Read the Excel file
-            const arrayBuffer = await file.arrayBuffer();
-            const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-            
-            // Check if this is a valid export file
-            if (!workbook.SheetNames.includes('Series Data')) {
-                this.setStatus('Invalid Excel file: missing "Series Data" sheet', 'error');
-                return;
-            }
-            
-            // Read series data from Sheet 1
-            const seriesSheet = workbook.Sheets['Series Data'];
-            const seriesData = XLSX.utils.sheet_to_json(seriesSheet);
-            
-            if (!seriesData || seriesData.length === 0) {
-                this.setStatus('No series data found in Excel file', 'error');
-                return;
-            }
+            const result = await this.commitImport(preview);
+            this.pendingImport = null;
+            await this.loadSavedSearches();
             
-            let importedCount = 0;
-            const errors = [];
-            
-            // Process each series item
-            for (const item of seriesData) {
-                try {
-                    // Remove placeholder values
-                    if (item.record_series_title === 'PLACEHOLDER_TITLE') {
-                        item.record_series_title = '';
-                    }
-                    
-                    // Handle legacy application_number field
-                    if (item.application_number && !item.schedule_number) {
-                        item.schedule_number = item.application_number;
-                        delete item.application_number;
-                    }
-                    
-                    // Convert semicolon-separated strings back to arrays
-                    ['tags', 'media_types', 'omb_or_statute_refs', 'related_series'].forEach(field => {
-                        if (item[field] && typeof item[field] === 'string') {
-                            item[field] = item[field].split(/[;,\n]/).map(s => s.trim()).filter(Boolean);
-                        }
-                    });
-                    
-                    // Reconstruct ui_extras object from flattened columns
-                    item.ui_extras = {};
-                    Object.keys(item).forEach(key => {
-                        if (key.startsWith('ui_extras_')) {
-                            const extraKey = key.replace('ui_extras_', '');
-                            item.ui_extras[extraKey] = item[key];
-                            delete item[key];
-                        }
-                    });
-                    
-                    // Remove _id to prevent conflicts - let database assign new IDs
-                    delete item._id;
-                    
-                    // Set timestamps
-                    const now = new Date().toISOString();
-                    item.created_at = item.created_at || now;
-                    item.updated_at = now;
-                    item.version = (item.version || 0) + 1;
-                    
-                    // Validate required fields
-                    if (!item.record_series_title || item.record_series_title.trim() === '') {
-                        errors.push(`Skipping item with missing title`);
-                        continue;
-                    }
-                    
-                    // Save to database
-                    await this.saveSeries(item, false);
-                    importedCount++;
-                    
-                } catch (error) {
-                    errors.push(`Error importing item "${item.record_series_title || 'Unknown'}": ${error.message}`);
-                }
+            const { audit } = result;
+            let message = `${preview.source} import complete: ${this.formatImportSummary(result.counts)}`;
+            if (preview.auditEvents.length > 0) {
+                message += `; audit events: ${audit.imported} imported, ${audit.alreadyPresent} already present, ${audit.unresolved.length} unresolved`;
             }
-            
-            // Import audit events if present
-            if (workbook.SheetNames.includes('Audit Events')) {
-                const auditSheet = workbook.Sheets['Audit Events'];
-                const auditData = XLSX.utils.sheet_to_json(auditSheet);
-                
-                for (const auditEvent of auditData) {
-                    try {
-                        // Remove _id to prevent conflicts
-                        delete auditEvent._id;
-                        await this.logAuditEvent(
-                            auditEvent.entity,
-                            auditEvent.entity_id,
-                            auditEvent.action,
-                            auditEvent.payload,
-                            auditEvent.actor,
-                            auditEvent.at
-                        );
-                    } catch (error) {
-                        // Silently handle audit event import errors
-                    }
-                }
+            if (preview.savedSearches.length > 0) {
+                message += `; saved searches: ${result.savedSearches.imported} added, ${result.savedSearches.alreadyPresent} already present`;
             }
-            
-            // Update UI and show results
-            this.updateUI();
-            
-            if (errors.length > 0) {
-                console.warn('Import errors:', errors);
-                this.setStatus(`Imported ${importedCount} records with ${errors.length} errors`, 'success');
-            } else {
-                this.setStatus(`Successfully imported ${importedCount} series records from Excel`, 'success');
+            if (statusCode) statusCode.textContent = 'Committed';
+            if (log) {
+                log.value += `\n\n${message}`;
+                audit.unresolved.forEach(description => {
+                    log.value += `\nUnresolved audit event: ${description}`;
+                });
             }
+            if (commitBtn) commitBtn.classList.add('hidden');
+            if (cancelBtn) cancelBtn.classList.add('hidden');
+            this.setStatus(message, 'success');
             
         } catch (error) {
-            ErrorHandler.log(error, 'Import from Excel');
-            this.setStatus(`Error importing from Excel: ${error.message}`, 'error');
-        } finally {
-            // Clear the file input
-            event.target.value = '';
+            ErrorHandler.log(error, 'Commit import', APP_CONSTANTS.ERROR_TYPES.IMPORT);
+            const message = `Import rolled back, no records were changed: ${error.message}`;
+            if (statusCode) statusCode.textContent = 'Rolled back';
+            if (log) log.value += `\n\n${message}`;
+            if (commitBtn) commitBtn.disabled = false;
+            this.setStatus(message, 'error');
+        }
+    }
+
+    cancelPendingImport() {
+        const hadPending = !!this.pendingImport;
+        this.pendingImport = null;
+        this.hideImportStatusModal();
+        if (hadPending) {
+            this.setStatus('Import cancelled; no records were changed', 'info');
+        }
+    }
+
+    hideImportStatusModal() {
+        const modal = document.getElementById('importStatusModal');
+        const preview = document.getElementById('importPreview');
+        if (modal) modal.classList.add('hidden');
+        if (preview) {
+            DOMHelper.clearElement(preview);
+            preview.classList.add('hidden');
         }
+        ['importCommitBtn', 'importCancelBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.classList.add('hidden');
+        });
     }
 
     debounceSearch(searchText) {
@@ -1824,27 +2492,58 @@ class RecordsRetentionApp {
     }
 
     async getSeriesItemsCount() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['series'], 'readonly');
-            const store = transaction.objectStore('series');
-            const request = store.count();
-            
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return this.seriesRepo.count();
     }
 
     async applyFilters() {
         try {
-            const searchCriteria = this.buildSearchCriteria();
-            this.filteredItems = await this.searchAndFilterSeries(searchCriteria);
+            let searchCriteria;
+            try {
+                searchCriteria = this.buildSearchCriteria();
+                this.showSearchQueryError(null);
+                this.showDateFilterError(null);
+            } catch (error) {
+                // Keep the last results while the query or dates are being fixed
+                if (error instanceof SearchQueryError) {
+                    this.showSearchQueryError(error);
+                    return;
+                }
+                if (error instanceof DateRangeError) {
+                    this.showSearchQueryError(null);
+                    this.showDateFilterError(error);
+                    return;
+                }
+                throw error;
+            }
+            let results;
+            try {
+                results = await this.searchAndFilterSeries(searchCriteria);
+            } catch (error) {
+                // A newer search is already on its way
+                if (error instanceof TaskCancelledError) return;
+                throw error;
+            }
+            this.filteredItems = results.items;
+            this.facetCounts = results.facets;
+            this.resultHighlight = searchCriteria.query
+                ? { words: SearchQuery.soughtWords(searchCriteria.query), fuzzy: Boolean(searchCriteria.fuzzy) }
+                : null;
+            this.updateLocationHash(searchCriteria);
             
-            console.log('Filtered items:', this.filteredItems.length, this.filteredItems);
+            // New criteria start at the top of the list; a refresh of the same search stays put
+            const resultsKey = this.criteriaToHash(searchCriteria);
+            if (resultsKey !== this.resultsKey && this.resultsWindow) {
+                this.resultsWindow.list.scrollTop = 0;
+            }
+            this.resultsKey = resultsKey;
             
             // Update UI
+            this.updateColumnSortIndicators();
             await this.renderResults();
+            this.pruneCheckedResults();
             this.updateResultsSummary();
-            this.updateFilterSummary();
+            this.updateFilterSummary(searchCriteria);
+            this.renderFacetCounts();
             
         } catch (error) {
             ErrorHandler.log(error, 'Apply filters');
@@ -1859,6 +2558,13 @@ class RecordsRetentionApp {
         const searchInput = document.getElementById('searchInput');
         if (searchInput?.value.trim()) {
             criteria.searchText = searchInput.value.trim();
+            // Throws SearchQueryError for malformed queries
+            criteria.query = SearchQuery.parse(criteria.searchText);
+            
+            // Relevance mode forgives typos
+            if (document.getElementById('relevanceMode')?.checked) {
+                criteria.fuzzy = true;
+            }
         }
         
         // Schedule number filter
@@ -1867,26 +2573,40 @@ class RecordsRetentionApp {
             criteria.scheduleNumber = scheduleFilter.value;
         }
         
-        // Division filter
-        const divisionFilter = document.getElementById('divisionFilter');
-        if (divisionFilter?.value) {
-            criteria.division = divisionFilter.value;
-        }
-        
         // Approval status filter
         const statusFilter = document.getElementById('statusFilter');
         if (statusFilter?.value) {
             criteria.approvalStatus = statusFilter.value;
         }
         
+        // Division, tag and media type chips; 'any' is the repository default so it is left out
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            const values = this.getFilterChips(filter);
+            if (values.length === 0) return;
+            criteria[filter.criteria] = values;
+            
+            const mode = document.getElementById(`${filter.id}FilterMode`)?.value;
+            if (mode && mode !== MATCH_MODES.ANY) {
+                criteria[filter.mode] = mode;
+            }
+        });
         
-        // Tag filter (if implemented in UI)
-        const tagFilter = document.getElementById('tagFilter');
-        if (tagFilter?.value) {
-            criteria.tags = tagFilter.value.split(',').map(tag => tag.trim()).filter(Boolean);
-        }
+        // Date ranges (YYYY, YYYY-MM or YYYY-MM-DD); throws DateRangeError naming the input at fault
+        APP_CONSTANTS.DATE_RANGE_FILTERS.forEach(filter => {
+            const from = document.getElementById(filter.fromInput)?.value.trim();
+            const to = document.getElementById(filter.toInput)?.value.trim();
+            if (!from && !to) return;
+            try {
+                DateRange.bounds(from, to, filter.label);
+            } catch (error) {
+                error.inputId = error.bound === 'from' ? filter.fromInput : filter.toInput;
+                throw error;
+            }
+            if (from) criteria[filter.from] = from;
+            if (to) criteria[filter.to] = to;
+        });
         
-        // Sorting
+        // Sorting; relevance ranking has no tie-break keys
         const sortBy = document.getElementById('sortBy');
         if (sortBy?.value) {
             criteria.sortBy = sortBy.value;
@@ -1897,13 +2617,79 @@ class RecordsRetentionApp {
             criteria.sortOrder = sortOrder.value;
         }
         
+        const thenBy = (this.sortThenBy || []).filter(key => key.replace(/^-/, '') !== criteria.sortBy);
+        if (thenBy.length > 0 && criteria.sortBy !== 'relevance') {
+            criteria.thenBy = thenBy;
+        }
+        
         return criteria;
     }
 
-    updateFilterSummary() {
+    // Explain an unreadable date range under the date filters; pass null to clear it
+    showDateFilterError(error) {
+        const message = document.getElementById('dateFilterError');
+        
+        APP_CONSTANTS.DATE_RANGE_FILTERS.forEach(filter => {
+            [filter.fromInput, filter.toInput].forEach(id => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                const invalid = Boolean(error) && error.inputId === id;
+                input.classList.toggle('error', invalid);
+                if (invalid) {
+                    input.setAttribute('aria-invalid', 'true');
+                } else {
+                    input.removeAttribute('aria-invalid');
+                }
+            });
+        });
+        
+        if (!message) return;
+        message.textContent = error ? error.message : '';
+        message.classList.toggle('hidden', !error);
+    }
+
+    // Explain a query syntax error under the search box; pass null to clear it
+    showSearchQueryError(error) {
+        const searchInput = document.getElementById('searchInput');
+        const message = document.getElementById('searchQueryError');
+        if (!searchInput || !message) return;
+        
+        DOMHelper.clearElement(message);
+        if (!error) {
+            message.classList.add('hidden');
+            searchInput.classList.remove('error');
+            searchInput.removeAttribute('aria-invalid');
+            return;
+        }
+        
+        // Error offsets are into the trimmed query
+        const text = searchInput.value.trim();
+        message.appendChild(document.createTextNode(`${error.message}: `));
+        const context = document.createElement('code');
+        // Point at the offending spot within the query
+        context.appendChild(document.createTextNode(text.slice(0, error.position)));
+        const marker = document.createElement('mark');
+        marker.appendChild(document.createTextNode(text.slice(error.position, error.position + 1) || ' '));
+        context.appendChild(marker);
+        context.appendChild(document.createTextNode(text.slice(error.position + 1)));
+        message.appendChild(context);
+        message.classList.remove('hidden');
+        searchInput.classList.add('error');
+        searchInput.setAttribute('aria-invalid', 'true');
+    }
+
+    updateFilterSummary(criteria = this.buildSearchCriteria()) {
         const summary = document.getElementById('filterSummary');
         if (!summary) return;
         
+        const activeFilters = this.describeFilters(criteria);
+        
+        summary.textContent = activeFilters.length > 0 
+            ? `Active filters: ${activeFilters.join(', ')}`
+            : 'No active filters';
+    }
+
+    describeFilters(criteria) {
         const activeFilters = [];
         
         if (criteria.searchText) activeFilters.push(`Text: "${criteria.searchText}"`);
@@ -1911,251 +2697,1496 @@ class RecordsRetentionApp {
         if (criteria.division) activeFilters.push(`Division: ${criteria.division}`);
         if (criteria.approvalStatus) activeFilters.push(`Status: ${criteria.approvalStatus}`);
         
-        summary.textContent = activeFilters.length > 0 
-            ? `Active filters: ${activeFilters.join(', ')}`
-            : 'No active filters';
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            const values = criteria[filter.criteria] || [];
+            if (values.length === 0) return;
+            const mode = APP_CONSTANTS.CHIP_FILTER_MODE_LABELS[criteria[filter.mode]] || APP_CONSTANTS.CHIP_FILTER_MODE_LABELS.any;
+            activeFilters.push(`${filter.label} (${mode}): ${values.join('; ')}`);
+        });
+        
+        APP_CONSTANTS.DATE_RANGE_FILTERS.forEach(filter => {
+            const from = criteria[filter.from];
+            const to = criteria[filter.to];
+            if (from && to) activeFilters.push(`${filter.label}: ${from} to ${to}`);
+            else if (from) activeFilters.push(`${filter.label}: from ${from}`);
+            else if (to) activeFilters.push(`${filter.label}: until ${to}`);
+        });
+        
+        return activeFilters;
     }
 
-    clearFilters() {
-        const elements = [
-            'searchInput', 'scheduleFilter', 'divisionFilter', 'statusFilter'
-        ];
-        
-        elements.forEach(id => {
+    // Put criteria, as buildSearchCriteria() returns them, back into the search pane and sort controls
+    setFilterForm(criteria = {}) {
+        const values = {
+            searchInput: criteria.searchText,
+            scheduleFilter: criteria.scheduleNumber,
+            statusFilter: criteria.approvalStatus,
+            sortOrder: criteria.sortOrder === 'desc' ? 'desc' : ''
+        };
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            values[`${filter.id}FilterMode`] = criteria[filter.mode] || MATCH_MODES.ANY;
+        });
+        APP_CONSTANTS.DATE_RANGE_FILTERS.forEach(filter => {
+            values[filter.fromInput] = criteria[filter.from];
+            values[filter.toInput] = criteria[filter.to];
+        });
+        Object.entries(values).forEach(([id, value]) => {
             const element = document.getElementById(id);
-            if (element) {
-                if (element.type === 'checkbox') {
-                    element.checked = false;
-                } else {
-                    element.value = '';
-                }
+            if (element) element.value = value || '';
+        });
+        
+        // Searches saved before the division picker took several values carry a single `division`
+        this.filterChips = {};
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            const picked = criteria[filter.criteria] || (filter.id === 'division' && criteria.division ? [criteria.division] : []);
+            this.filterChips[filter.id] = [...picked];
+            this.renderFilterChips(filter);
+        });
+        
+        // Relevance sorting only exists in relevance mode
+        this.setRelevanceMode(Boolean(criteria.fuzzy) || criteria.sortBy === 'relevance');
+        const sortBy = document.getElementById('sortBy');
+        if (sortBy) {
+            if (criteria.sortBy) this.ensureSortOption(criteria.sortBy);
+            sortBy.value = criteria.sortBy || APP_CONSTANTS.DEFAULT_SORT;
+        }
+        this.sortThenBy = [...(criteria.thenBy || [])];
+    }
+
+    // Deep links: "#q=rosters&division=Training&record=12"
+    criteriaToHash(criteria = {}, recordId = null) {
+        const params = new URLSearchParams();
+        Object.entries(APP_CONSTANTS.LOCATION_HASH_PARAMS).forEach(([field, param]) => {
+            const value = criteria[field];
+            if (Array.isArray(value) ? value.length === 0 : !value) return;
+            if (field === 'sortBy' && value === APP_CONSTANTS.DEFAULT_SORT) return;
+            
+            if (Array.isArray(value)) {
+                // One parameter per value so values may contain commas
+                value.forEach(item => params.append(param, item));
+            } else {
+                params.set(param, value === true ? '1' : String(value));
+            }
+        });
+        if (recordId != null) params.set('record', String(recordId));
+        return params.toString();
+    }
+
+    parseLocationHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const criteria = {};
+        const listFields = [...APP_CONSTANTS.CHIP_FILTERS.map(filter => filter.criteria), 'thenBy'];
+        Object.entries(APP_CONSTANTS.LOCATION_HASH_PARAMS).forEach(([field, param]) => {
+            if (listFields.includes(field)) {
+                const values = params.getAll(param).filter(Boolean);
+                if (values.length > 0) criteria[field] = values;
+                return;
+            }
+            
+            const value = params.get(param);
+            if (!value) return;
+            
+            if (field === 'fuzzy') {
+                criteria.fuzzy = value === '1';
+            } else {
+                criteria[field] = value;
+            }
+        });
+        
+        const recordId = parseInt(params.get('record'), 10);
+        return { criteria, recordId: Number.isNaN(recordId) ? null : recordId };
+    }
+
+    // Mirror the filters and selected record into the URL without adding history entries
+    updateLocationHash(criteria = null) {
+        // Leave the page's own hash alone until it has been applied
+        if (this.locationHash === null || typeof window === 'undefined') return;
+        
+        if (!criteria) {
+            try {
+                criteria = this.buildSearchCriteria();
+            } catch (error) {
+                if (!(error instanceof SearchQueryError || error instanceof DateRangeError)) throw error;
+                return;
+            }
+        }
+        
+        const hash = this.criteriaToHash(criteria, this.selectedItemId);
+        if (hash === this.locationHash) return;
+        this.locationHash = hash;
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+    }
+
+    // Open the view described by the URL hash, on load and when the hash is changed by hand
+    async applyLocationHash() {
+        const hash = window.location.hash.replace(/^#/, '');
+        if (hash === this.locationHash) return;
+        
+        const firstRun = this.locationHash === null;
+        this.locationHash = hash;
+        if (!hash && firstRun) return;
+        
+        const { criteria, recordId } = this.parseLocationHash(hash);
+        this.setFilterForm(criteria);
+        await this.applyFilters();
+        
+        if (recordId != null) {
+            const item = this.seriesCache.get(recordId);
+            if (item) {
+                this.selectSeriesItem(item);
+            } else {
+                this.setStatus(`Record #${recordId} from the link no longer exists`, 'error');
             }
+        }
+    }
+
+    // Saved Searches
+    async loadSavedSearches() {
+        try {
+            this.savedSearches = await this.savedSearchRepo.getAll();
+            this.renderSavedSearches();
+        } catch (error) {
+            ErrorHandler.log(error, 'Load saved searches');
+            this.setStatus(`Error loading saved searches: ${error.message}`, 'error');
+        }
+    }
+
+    renderSavedSearches() {
+        const list = document.getElementById('savedSearchList');
+        const empty = document.getElementById('savedSearchEmpty');
+        if (!list) return;
+        
+        DOMHelper.clearElement(list);
+        if (empty) empty.classList.toggle('hidden', this.savedSearches.length > 0);
+        
+        this.savedSearches.forEach((search, index) => {
+            const item = document.createElement('li');
+            item.className = 'saved-search-item';
+            
+            const apply = document.createElement('button');
+            apply.type = 'button';
+            apply.className = 'saved-search-apply';
+            apply.textContent = search.name;
+            apply.title = this.describeFilters(search.criteria).join(', ') || 'All records';
+            apply.addEventListener('click', () => this.applySavedSearch(search));
+            item.appendChild(apply);
+            
+            const actions = [
+                { symbol: '\u2191', label: `Move "${search.name}" up`, disabled: index === 0, run: () => this.moveSavedSearch(search, -1) },
+                { symbol: '\u2193', label: `Move "${search.name}" down`, disabled: index === this.savedSearches.length - 1, run: () => this.moveSavedSearch(search, 1) },
+                { symbol: '\u270E', label: `Rename "${search.name}"`, disabled: false, run: () => this.renameSavedSearch(search) },
+                { symbol: '\u2715', label: `Delete "${search.name}"`, disabled: false, run: () => this.deleteSavedSearch(search) }
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'saved-search-action';
+                button.textContent = action.symbol;
+                button.title = action.label;
+                button.setAttribute('aria-label', action.label);
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.run);
+                item.appendChild(button);
+            });
+            
+            list.appendChild(item);
         });
+    }
+
+    async saveCurrentSearch() {
+        let criteria;
+        try {
+            criteria = this.buildSearchCriteria();
+        } catch (error) {
+            if (!(error instanceof SearchQueryError || error instanceof DateRangeError)) throw error;
+            this.setStatus(`Fix the search before saving it: ${error.message}`, 'error');
+            return;
+        }
+        
+        const name = prompt('Name for this search:', this.describeFilters(criteria).join(', '));
+        if (name === null) return;
+        
+        try {
+            const saved = await this.savedSearchRepo.create(name, criteria);
+            await this.loadSavedSearches();
+            this.setStatus(`Saved search "${saved.name}"`, 'success');
+        } catch (error) {
+            ErrorHandler.log(error, 'Save search');
+            this.setStatus(`Error saving search: ${error.message}`, 'error');
+        }
+    }
+
+    async applySavedSearch(search) {
+        this.setFilterForm(search.criteria);
+        await this.applyFilters();
+        this.setStatus(`Showing saved search "${search.name}"`, 'info');
+    }
+
+    async renameSavedSearch(search) {
+        const name = prompt('Rename saved search:', search.name);
+        if (name === null || name.trim() === search.name) return;
+        
+        try {
+            await this.savedSearchRepo.rename(search._id, name);
+            await this.loadSavedSearches();
+        } catch (error) {
+            ErrorHandler.log(error, 'Rename saved search');
+            this.setStatus(`Error renaming saved search: ${error.message}`, 'error');
+        }
+    }
+
+    async moveSavedSearch(search, offset) {
+        try {
+            await this.savedSearchRepo.move(search._id, offset);
+            await this.loadSavedSearches();
+        } catch (error) {
+            ErrorHandler.log(error, 'Reorder saved searches');
+            this.setStatus(`Error reordering saved searches: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteSavedSearch(search) {
+        if (!confirm(`Delete the saved search "${search.name}"?`)) return;
+        
+        try {
+            await this.savedSearchRepo.delete(search._id);
+            await this.loadSavedSearches();
+            this.setStatus(`Deleted saved search "${search.name}"`, 'success');
+        } catch (error) {
+            ErrorHandler.log(error, 'Delete saved search');
+            this.setStatus(`Error deleting saved search: ${error.message}`, 'error');
+        }
+    }
+
+    getFilterChips(filter) {
+        return this.filterChips?.[filter.id] || [];
+    }
+
+    addFilterChip(filter, value) {
+        const picked = this.getFilterChips(filter);
+        if (picked.includes(value)) return;
+        this.filterChips[filter.id] = [...picked, value];
+        this.renderFilterChips(filter);
+        this.applyFilters();
+    }
+
+    removeFilterChip(filter, value) {
+        this.filterChips[filter.id] = this.getFilterChips(filter).filter(item => item !== value);
+        this.renderFilterChips(filter);
+        this.applyFilters();
+        document.getElementById(`${filter.id}ChipAdd`)?.focus();
+    }
+
+    // Draw the picked values as removable chips and offer the rest in the add dropdown
+    renderFilterChips(filter) {
+        const picked = this.getFilterChips(filter);
+        
+        const list = document.getElementById(`${filter.id}ChipList`);
+        if (list) {
+            DOMHelper.clearElement(list);
+            picked.forEach(value => {
+                const chip = document.createElement('span');
+                chip.className = 'filter-chip';
+                chip.setAttribute('role', 'listitem');
+                chip.dataset.value = value;
+                
+                const text = document.createElement('span');
+                text.textContent = value;
+                chip.appendChild(text);
+                
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'filter-chip-remove';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `Remove ${filter.label.toLowerCase()} filter "${value}"`);
+                remove.addEventListener('click', () => this.removeFilterChip(filter, value));
+                chip.appendChild(remove);
+                
+                list.appendChild(chip);
+            });
+        }
+        
+        const add = document.getElementById(`${filter.id}ChipAdd`);
+        if (add) {
+            DOMHelper.clearElement(add);
+            add.appendChild(DOMHelper.createOption('', filter.placeholder));
+            (this.filterChoices?.[filter.id] || []).filter(value => !picked.includes(value)).forEach(value => {
+                add.appendChild(DOMHelper.createOption(value, value));
+            });
+            this.labelFacetOptions(add, filter.id);
+        }
+    }
+
+    // Facet counts
+
+    async updateFacetCounts(criteria) {
+        try {
+            this.facetCounts = await this.tasks.run('facetCounts', { criteria }).promise;
+        } catch (error) {
+            ErrorHandler.log(error, 'Facet counts');
+            this.facetCounts = null;
+        }
+        this.renderFacetCounts();
+    }
+
+    // Records the search would return with `value` picked, or null before anything is counted
+    facetCount(key, value) {
+        const facet = this.facetCounts?.facets[key];
+        if (!facet) return null;
+        return facet.ifPicked.get(value) ?? facet.otherwise;
+    }
+
+    // Add the count to each option of a filter dropdown and dim the ones that would find nothing
+    labelFacetOptions(select, key) {
+        Array.from(select.options).forEach(option => {
+            if (!option.value) return;
+            if (option.dataset.label === undefined) option.dataset.label = option.textContent;
+            
+            const count = this.facetCount(key, option.value);
+            option.textContent = count === null ? option.dataset.label : `${option.dataset.label} (${count})`;
+            option.classList.toggle('facet-empty', count === 0);
+        });
+    }
+
+    renderFacetCounts() {
+        [['scheduleFilter', 'schedule'], ['statusFilter', 'status']].forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            if (select) this.labelFacetOptions(select, key);
+        });
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            const add = document.getElementById(`${filter.id}ChipAdd`);
+            if (add) this.labelFacetOptions(add, filter.id);
+        });
+        this.renderFacetPanel();
+    }
+
+    // Result breakdown: the most common values in the current results, each narrowing the search when clicked
+    renderFacetPanel() {
+        const panel = document.getElementById('facetPanel');
+        if (!panel) return;
+        DOMHelper.clearElement(panel);
+        
+        APP_CONSTANTS.FACET_PANEL_GROUPS.forEach(group => {
+            const counts = this.facetCounts?.facets[group.key]?.inResults;
+            if (!counts || counts.size === 0) return;
+            
+            const section = document.createElement('div');
+            section.className = 'facet-group';
+            const heading = document.createElement('h4');
+            heading.className = 'facet-group-title';
+            heading.textContent = group.label;
+            section.appendChild(heading);
+            
+            const values = [...counts].sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+            const expanded = this.expandedFacets.has(group.key);
+            const list = document.createElement('ul');
+            list.className = 'facet-list';
+            values.slice(0, expanded ? values.length : APP_CONSTANTS.FACET_PANEL_LIMIT).forEach(([value, count]) => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'facet-value';
+                button.title = `Show only records with ${group.label.toLowerCase()} "${value}"`;
+                
+                const name = document.createElement('span');
+                name.className = 'facet-value-name';
+                name.textContent = value;
+                const number = document.createElement('span');
+                number.className = 'facet-value-count';
+                number.textContent = count;
+                button.append(name, number);
+                
+                button.addEventListener('click', () => this.narrowByFacet(group, value));
+                item.appendChild(button);
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+            
+            if (values.length > APP_CONSTANTS.FACET_PANEL_LIMIT) {
+                const more = document.createElement('button');
+                more.type = 'button';
+                more.className = 'facet-more';
+                more.textContent = expanded ? 'Show fewer' : `Show all ${values.length}`;
+                more.addEventListener('click', () => {
+                    if (expanded) this.expandedFacets.delete(group.key);
+                    else this.expandedFacets.add(group.key);
+                    this.renderFacetPanel();
+                });
+                section.appendChild(more);
+            }
+            
+            panel.appendChild(section);
+        });
+        
+        if (!panel.firstChild) {
+            const empty = document.createElement('p');
+            empty.className = 'facet-empty-note';
+            empty.textContent = 'No results to break down.';
+            panel.appendChild(empty);
+        }
+    }
+
+    // Keep only the current results having `value`
+    narrowByFacet(group, value) {
+        if (group.key === 'status') {
+            document.getElementById('statusFilter').value = value;
+            this.applyFilters();
+            return;
+        }
+        
+        const filter = APP_CONSTANTS.CHIP_FILTERS.find(chipFilter => chipFilter.id === group.key);
+        const mode = document.getElementById(`${filter.id}FilterMode`);
+        const picked = this.getFilterChips(filter);
+        
+        if (picked.length === 0 || mode?.value === MATCH_MODES.ALL) {
+            this.addFilterChip(filter, value);
+        } else if (group.key === 'division' || picked.includes(value)) {
+            // A record has one division, and a picked "any of" value already matched, so the value alone describes the narrower results
+            this.filterChips[filter.id] = [value];
+            if (mode) mode.value = MATCH_MODES.ANY;
+            this.renderFilterChips(filter);
+            this.applyFilters();
+        } else {
+            // Another "any of" or "none of" chip would not narrow, so require the value in the search text
+            const searchInput = document.getElementById('searchInput');
+            const term = value.includes('"') ? value : `"${value}"`;
+            searchInput.value = `${searchInput.value.trim()} ${group.qualifier}:${term}`.trim();
+            this.applyFilters();
+        }
+    }
+
+    setFacetPanelCollapsed(collapsed) {
+        const toggle = document.getElementById('facetToggleBtn');
+        const panel = document.getElementById('facetPanel');
+        if (toggle) toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+        if (panel) panel.classList.toggle('hidden', collapsed);
+        
+        try {
+            localStorage.setItem('iletsb_facets_collapsed', collapsed ? 'true' : 'false');
+        } catch (e) {
+            // If storage is unavailable, continue without saving
+        }
+    }
+
+    initFacetPanel() {
+        let collapsed = false;
+        try {
+            collapsed = localStorage.getItem('iletsb_facets_collapsed') === 'true';
+        } catch (err) {
+            collapsed = false;
+        }
+        this.setFacetPanelCollapsed(collapsed);
+    }
+
+    clearFilters() {
+        const elements = [
+            'searchInput', 'scheduleFilter', 'statusFilter',
+            ...APP_CONSTANTS.DATE_RANGE_FILTERS.flatMap(filter => [filter.fromInput, filter.toInput])
+        ];
+        
+        elements.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                if (element.type === 'checkbox') {
+                    element.checked = false;
+                } else {
+                    element.value = '';
+                }
+            }
+        });
+        
+        this.filterChips = {};
+        APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+            const mode = document.getElementById(`${filter.id}FilterMode`);
+            if (mode) mode.value = MATCH_MODES.ANY;
+            this.renderFilterChips(filter);
+        });
+        
+        this.applyFilters();
+    }
+
+    // First draw of the page; after this the views follow the cache (subscribeToSeriesCache)
+    async updateUI() {
+        try {
+            await this.seriesCache.load();
+            this.syncSeriesFromCache();
+            
+            this.filteredItems = [...this.seriesItems];
+            this.resultHighlight = null;
+            
+            this.populateFilterDropdowns();
+            await this.updateFacetCounts({});
+            
+            // Keep the Series form schedule dropdown in sync with schedules
+            if (typeof this.populateSeriesScheduleDropdown === 'function') {
+                this.populateSeriesScheduleDropdown();
+            }
+            
+            // Render results after all data is loaded
+            await this.renderResults();
+            this.updateResultsSummary();
+            this.updateRecordCount();
+        } catch (error) {
+            ErrorHandler.log(error, 'Update UI');
+            this.setStatus('Error updating interface: ' + error.message, 'error');
+        }
+    }
+
+    // Series data, live views
+    // The cache tells each view what changed; none of them read the database themselves
+    subscribeToSeriesCache() {
+        this.seriesCache.subscribe(() => this.syncSeriesFromCache());
+        this.seriesCache.subscribe(() => this.populateFilterDropdowns());
+        this.seriesCache.subscribe(() => this.refreshCountsUI());
+        this.seriesCache.subscribe(() => this.applyFilters());
+        this.seriesCache.subscribe(event => this.refreshDetailsAfterChange(event));
+    }
+
+    syncSeriesFromCache() {
+        this.seriesItems = this.seriesCache.getAll();
+        this.schedules = this.seriesCache.getSchedules();
+    }
+
+    // Only a change to the open record redraws the detail pane, so edits elsewhere are not lost.
+    // The record stays on the tab it was showing; one that is gone closes.
+    refreshDetailsAfterChange({ type, ids }) {
+        const openId = this.currentSeriesItem?._id;
+        if (openId == null || (type !== 'clear' && !ids.includes(openId))) return;
+        
+        const current = this.seriesCache.get(openId);
+        if (!current) {
+            this.refreshCurrentSeriesItem();
+            return;
+        }
+        this.populateSeriesForm(current);
+        const schedule = this.scheduleFor(current);
+        if (schedule) this.populateScheduleForm(schedule);
+        if (this.currentTab === 'history') this.renderHistory(openId);
+    }
+
+    populateFilterDropdowns() {
+        try {
+            const allSeries = this.seriesCache.getAll();
+            
+            // Schedule numbers; the picked one stays picked if it still exists
+            const scheduleNumbers = [...new Set(allSeries.map(s => s.schedule_number).filter(n => n))].sort();
+            const scheduleSelect = document.getElementById('scheduleFilter');
+            if (scheduleSelect) {
+                const picked = scheduleSelect.value;
+                DOMHelper.clearElement(scheduleSelect);
+                scheduleSelect.appendChild(DOMHelper.createOption('', 'All Schedules'));
+                scheduleNumbers.forEach(num => {
+                    scheduleSelect.appendChild(DOMHelper.createOption(num, num));
+                });
+                if (scheduleNumbers.includes(picked)) scheduleSelect.value = picked;
+                this.labelFacetOptions(scheduleSelect, 'schedule');
+            }
+
+            // Division, tag and media type chip pickers
+            APP_CONSTANTS.CHIP_FILTERS.forEach(filter => {
+                const values = allSeries.flatMap(s => Array.isArray(s[filter.field]) ? s[filter.field] : [s[filter.field]]);
+                this.filterChoices[filter.id] = [...new Set(values.filter(Boolean))].sort();
+                this.renderFilterChips(filter);
+            });
+            
+            // Approval status
+            const statusSelect = document.getElementById('statusFilter');
+            if (statusSelect) {
+                const picked = statusSelect.value;
+                DOMHelper.clearElement(statusSelect);
+                statusSelect.appendChild(DOMHelper.createOption('', 'All Statuses'));
+                Object.values(APP_CONSTANTS.APPROVAL_STATUS).forEach(status => {
+                    const displayName = status.charAt(0).toUpperCase() + status.slice(1);
+                    statusSelect.appendChild(DOMHelper.createOption(status, displayName));
+                });
+                statusSelect.value = picked;
+                this.labelFacetOptions(statusSelect, 'status');
+            }
+            
+        } catch (error) {
+            ErrorHandler.log(error, 'Populate filter dropdowns');
+        }
+    }
+
+    // Legacy function - schedule dropdown removed from Series tab
+    populateSeriesScheduleDropdown() {
+        // Schedule dropdown has been removed from Series Details tab
+        // Schedule information is now managed in the Schedule Details tab
+        return;
+    }
+
+    // Helper: get a Set of all schedule numbers for quick membership checks
+    getScheduleNumberSet() {
+        const set = new Set();
+        (this.schedules || []).forEach(s => {
+            if (s.schedule_number) set.add(s.schedule_number);
+        });
+        return set;
+    }
+
+    // Normalize existing records so both legacy and canonical fields are in sync
+    async normalizeExistingData() {
+        // Normalize schedules
+        for (const sched of this.schedules) {
+            const desired = sched.schedule_number || sched.application_number || '';
+            if (!desired) continue;
+            const needsUpdate = (sched.schedule_number !== desired) || ('application_number' in sched);
+            if (needsUpdate) {
+                sched.schedule_number = desired;
+                if ('application_number' in sched) delete sched.application_number;
+                try { await this.saveSchedule(sched, true); } catch (e) { ErrorHandler.log(e, 'Normalize schedule'); }
+            }
+        }
+
+        // Normalize series items
+        for (const si of this.seriesItems) {
+            const seriesNum = si.item_number || si.series_number || '';
+            const needsUpdate = ('application_number' in si) || ('schedule_number' in si) || (si.item_number !== seriesNum) || ('series_number' in si);
+            if (needsUpdate) {
+                if (seriesNum) { si.item_number = seriesNum; }
+                // Remove application_number field from series items
+                if ('application_number' in si) delete si.application_number;
+                if ('schedule_number' in si) delete si.schedule_number;
+                if ('series_number' in si) delete si.series_number;
+                try { await this.saveSeries(si, true); } catch (e) { ErrorHandler.log(e, 'Normalize series'); }
+            }
+        }
+    }
+
+    // Results list: only the rows in view, plus VIRTUAL_SCROLL_BUFFER either side, are in the DOM.
+    // Spacers above and below stand in for the rest so the scrollbar spans the whole list.
+    async renderResults() {
+        const resultsList = document.getElementById('resultsList');
+        const emptyState = document.getElementById('emptyState');
+        
+        if (!resultsList) {
+            console.error('Results list element not found');
+            return;
+        }
+        
+        if (!this.resultsWindow || this.resultsWindow.list !== resultsList) {
+            this.resultsWindow = this.createResultsWindow(resultsList);
+        }
+        
+        // Show the empty state when there is nothing to list
+        if (emptyState) {
+            emptyState.style.display = this.filteredItems.length === 0 ? 'block' : 'none';
+        }
+        
+        // The scroll position is kept; rows are redrawn for the same place in the new results
+        this.renderResultsWindow(true);
+    }
+
+    createResultsWindow(list) {
+        const top = document.createElement('div');
+        top.className = 'virtual-spacer';
+        const bottom = document.createElement('div');
+        bottom.className = 'virtual-spacer';
+        list.appendChild(top);
+        list.appendChild(bottom);
+        
+        // Redraw at most once a frame while scrolling or resizing
+        let pending = false;
+        const update = () => {
+            if (pending) return;
+            pending = true;
+            requestAnimationFrame(() => {
+                pending = false;
+                this.renderResultsWindow();
+            });
+        };
+        list.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+        
+        return { list, top, bottom, rows: [], first: 0, last: 0, rowHeight: APP_CONSTANTS.VIRTUAL_SCROLL_ITEM_HEIGHT };
+    }
+
+    // Rows [first, last) of filteredItems that cover the visible part of the list
+    getResultsWindowRange(scrollTop, viewHeight, rowHeight, count) {
+        const buffer = APP_CONSTANTS.VIRTUAL_SCROLL_BUFFER;
+        const first = Math.max(0, Math.min(count, Math.floor(scrollTop / rowHeight)) - buffer);
+        const last = Math.min(count, Math.ceil((scrollTop + viewHeight) / rowHeight) + buffer);
+        return { first, last };
+    }
+
+    renderResultsWindow(force = false) {
+        const view = this.resultsWindow;
+        if (!view) return;
+        
+        const count = this.filteredItems.length;
+        const { first, last } = this.getResultsWindowRange(view.list.scrollTop, view.list.clientHeight, view.rowHeight, count);
+        if (!force && first === view.first && last === view.last) return;
+        
+        view.rows.forEach(row => row.remove());
+        const fragment = document.createDocumentFragment();
+        view.rows = this.filteredItems.slice(first, last).map((item, offset) => {
+            const row = this.createResultRow(item, first + offset);
+            if (item._id === this.selectedItemId) row.classList.add('selected');
+            fragment.appendChild(row);
+            return row;
+        });
+        view.list.insertBefore(fragment, view.bottom);
+        view.first = first;
+        view.last = last;
+        view.top.style.height = `${first * view.rowHeight}px`;
+        view.bottom.style.height = `${(count - last) * view.rowHeight}px`;
+        
+        // Rows have a fixed height in the stylesheet; follow it if a layout changes it
+        const [sample] = view.rows;
+        if (sample && sample.offsetHeight > 0) {
+            const rowHeight = sample.offsetHeight + (parseFloat(getComputedStyle(sample).marginBottom) || 0);
+            if (Math.abs(rowHeight - view.rowHeight) > 1) {
+                view.rowHeight = rowHeight;
+                this.renderResultsWindow(true);
+            }
+        }
+    }
+
+    // Scroll just far enough to bring a result row into view, drawing it if needed
+    scrollResultIntoView(index) {
+        const view = this.resultsWindow;
+        if (!view) return;
+        
+        const { list, rowHeight } = view;
+        const top = index * rowHeight;
+        if (top < list.scrollTop) {
+            list.scrollTop = top;
+        } else if (top + rowHeight > list.scrollTop + list.clientHeight) {
+            list.scrollTop = top + rowHeight - list.clientHeight;
+        }
+        this.renderResultsWindow();
+    }
+
+    createResultRow(item, index) {
+        const row = document.createElement('div');
+        row.className = 'result-item';
+        row.dataset.itemId = item._id;
+        row.tabIndex = 0;
+
+        // Tick box for bulk edits
+        const selectCell = document.createElement('div');
+        selectCell.className = 'col-select';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'result-check';
+        checkbox.checked = this.isResultChecked(item._id);
+        checkbox.setAttribute('aria-label', `Select "${item.record_series_title || 'Untitled'}"`);
+        checkbox.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleResultChecked(index, e.shiftKey);
+        });
+        selectCell.appendChild(checkbox);
+        row.appendChild(selectCell);
+        if (checkbox.checked) row.classList.add('checked');
+
+        // One cell per chosen column, in the user's order
+        this.resultColumns.forEach(({ key }) => {
+            const column = this.getResultColumn(key);
+            const cell = document.createElement('div');
+            cell.className = column.className || 'col-field';
+            cell.dataset.column = key;
+            DOMHelper.setTextContent(cell, this.formatColumnValue(item, column));
+            row.appendChild(cell);
+        });
+
+        if (this.resultHighlight?.words.length) {
+            this.highlightResultRow(row, item);
+        }
+
+        // Selection handlers; shift- and ctrl-clicks tick results instead of opening them
+        row.addEventListener('mousedown', (e) => {
+            if (e.shiftKey) e.preventDefault(); // No text selection
+        });
+        row.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                this.toggleResultChecked(index, e.shiftKey);
+                return;
+            }
+            this.selectSeriesItem(item);
+        });
+        row.addEventListener('keydown', (e) => {
+            // Space on the tick box is the box's own
+            if (e.target !== row) return;
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.selectSeriesItem(item);
+            }
+        });
+
+        return row;
+    }
+
+    // Mark the search words in the row's columns and add a snippet from the best other field that matched
+    highlightResultRow(row, item) {
+        const { fields } = SearchRanker.explain(item, this.resultHighlight.words, this.resultHighlight);
+        // SearchRanker names ui_extras fields by their bare key
+        const cells = new Map([...row.children]
+            .filter(cell => cell.dataset.column)
+            .map(cell => [cell.dataset.column.replace(/^ui_extras\./, ''), cell]));
+        
+        fields.filter(field => cells.has(field.key)).forEach(field => {
+            DOMHelper.setHighlightedText(cells.get(field.key), field.text, field.ranges);
+        });
+        
+        const hidden = fields.find(field => !cells.has(field.key));
+        if (!hidden) return;
+        
+        const excerpt = SearchRanker.snippet(hidden.text, hidden.ranges);
+        const snippet = document.createElement('div');
+        snippet.className = 'result-snippet';
+        const label = document.createElement('span');
+        label.className = 'result-snippet-label';
+        label.textContent = `${hidden.label}: `;
+        const text = document.createElement('span');
+        DOMHelper.setHighlightedText(text, excerpt.text, excerpt.ranges);
+        snippet.appendChild(label);
+        snippet.appendChild(text);
+        row.appendChild(snippet);
+    }
+
+    // Results Columns
+    // Any series field can be a column. Order and widths are saved per user; sorting is part of the search criteria.
+
+    // The catalog, plus ui_extras fields the records carry that it does not list
+    getResultColumnChoices() {
+        const known = new Set(APP_CONSTANTS.RESULT_COLUMNS.map(column => column.key));
+        const extras = new Set();
+        this.seriesItems.forEach(item => {
+            Object.keys(item.ui_extras || {}).forEach(key => {
+                if (!known.has(`ui_extras.${key}`)) extras.add(`ui_extras.${key}`);
+            });
+        });
+        return [...APP_CONSTANTS.RESULT_COLUMNS, ...[...extras].sort().map(key => this.getResultColumn(key))];
+    }
+
+    getResultColumn(key) {
+        const known = APP_CONSTANTS.RESULT_COLUMNS.find(column => column.key === key);
+        if (known) return known;
+        
+        // "ui_extras.storageNotes" -> "Storage Notes"
+        const label = key.replace(/^ui_extras\./, '')
+            .replace(/[_-]+/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/^\w/, letter => letter.toUpperCase());
+        return { key, label, width: APP_CONSTANTS.RESULT_COLUMN_WIDTH };
+    }
+
+    formatColumnValue(item, column) {
+        const value = this.getNestedValue(item, column.key);
+        if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return column.empty || '—';
+        }
+        if (Array.isArray(value)) return value.join('; ');
+        if (column.format === 'timestamp') {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+        }
+        return String(value);
+    }
+
+    defaultResultColumns() {
+        return APP_CONSTANTS.DEFAULT_RESULT_COLUMNS.map(key => ({ key, width: this.getResultColumn(key).width }));
+    }
+
+    resultLayoutStorageKey() {
+        return `iletsb_result_layout_${this.currentUser?._id ?? 'default'}`;
+    }
+
+    // The current user's columns, or the default four
+    loadResultLayout() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.resultLayoutStorageKey()) || 'null');
+        } catch (e) {
+            saved = null;
+        }
+        
+        const columns = (Array.isArray(saved?.columns) ? saved.columns : [])
+            .filter(column => typeof column?.key === 'string' && column.key)
+            .map(({ key, width }) => ({ key, width: Number.isFinite(width) ? width : null }));
+        this.resultColumns = columns.length > 0 ? columns : this.defaultResultColumns();
+        this.renderResultsHeader();
+    }
+
+    saveResultLayout() {
+        try {
+            localStorage.setItem(this.resultLayoutStorageKey(), JSON.stringify({ columns: this.resultColumns }));
+        } catch (e) {
+            // If storage is unavailable, the layout lasts until the page is reloaded
+        }
+    }
+
+    // Save a new column list and redraw the header, the rows and an open chooser
+    setResultColumns(columns, focusKey = null) {
+        this.resultColumns = columns;
+        this.saveResultLayout();
+        this.renderResultsHeader();
+        this.renderResultsWindow(true);
+        
+        const chooser = document.getElementById('columnChooser');
+        if (chooser && !chooser.classList.contains('hidden')) {
+            this.renderColumnChooser(focusKey);
+        }
+    }
+
+    toggleResultColumn(key, shown) {
+        if (shown) {
+            this.setResultColumns([...this.resultColumns, { key, width: this.getResultColumn(key).width }], key);
+        } else if (this.resultColumns.length > 1) {
+            this.setResultColumns(this.resultColumns.filter(column => column.key !== key), key);
+        } else {
+            // The last column stays
+            this.renderColumnChooser(key);
+        }
+    }
+
+    moveResultColumn(key, toIndex) {
+        const from = this.resultColumns.findIndex(column => column.key === key);
+        if (from === -1 || from === toIndex || toIndex < 0 || toIndex >= this.resultColumns.length) return;
+        
+        const columns = [...this.resultColumns];
+        const [moved] = columns.splice(from, 1);
+        columns.splice(toIndex, 0, moved);
+        this.setResultColumns(columns, key);
+    }
+
+    // Live while a resize handle is dragged; pass save once the drag ends
+    resizeResultColumn(index, width, save = false) {
+        const column = this.resultColumns[index];
+        if (!column) return;
+        
+        column.width = width == null ? null : Math.max(APP_CONSTANTS.RESULT_COLUMN_MIN_WIDTH, Math.round(width));
+        this.applyResultColumnWidths();
+        if (save) this.saveResultLayout();
+    }
+
+    // grid-template-columns shared by the header and the rows, and the width below which they scroll sideways.
+    // The tick box column comes first.
+    getResultGridTemplate(columns = this.resultColumns) {
+        const flexMin = APP_CONSTANTS.RESULT_COLUMN_FLEX_MIN_WIDTH;
+        const selectWidth = APP_CONSTANTS.RESULT_SELECT_COLUMN_WIDTH;
+        const template = [`${selectWidth}px`, ...columns.map(({ width }) => (width ? `${width}px` : `minmax(${flexMin}px, 1fr)`))].join(' ');
+        // Column gaps (--space-12) plus row padding, border and list padding
+        const minWidth = selectWidth + columns.reduce((sum, { width }) => sum + (width || flexMin), 0) + 12 * columns.length + 50;
+        return { template, minWidth };
+    }
+
+    applyResultColumnWidths() {
+        const container = document.getElementById('resultsContainer');
+        if (!container) return;
+        
+        const { template, minWidth } = this.getResultGridTemplate();
+        container.style.setProperty('--result-columns', template);
+        container.style.setProperty('--results-min-width', `${minWidth}px`);
+    }
+
+    renderResultsHeader() {
+        const header = document.getElementById('resultsTableHeader');
+        if (!header) return;
+        
+        DOMHelper.clearElement(header);
+        const selectCell = document.createElement('div');
+        selectCell.className = 'results-column col-select';
+        const selectAll = document.createElement('input');
+        selectAll.type = 'checkbox';
+        selectAll.id = 'selectAllResults';
+        selectAll.setAttribute('aria-label', 'Select all results');
+        selectAll.addEventListener('change', () => {
+            this.setResultsChecked(this.filteredItems.map(item => item._id), selectAll.checked);
+        });
+        selectCell.appendChild(selectAll);
+        header.appendChild(selectCell);
+        
+        this.resultColumns.forEach((layout, index) => {
+            const column = this.getResultColumn(layout.key);
+            const cell = document.createElement('div');
+            cell.className = `results-column ${column.className || 'col-field'}`;
+            cell.setAttribute('role', 'columnheader');
+            cell.dataset.column = column.key;
+            cell.draggable = true;
+            
+            const sortBtn = document.createElement('button');
+            sortBtn.type = 'button';
+            sortBtn.className = 'column-sort-btn';
+            sortBtn.title = `Sort by ${column.label}; shift-click to add it as a further sort key`;
+            const label = document.createElement('span');
+            label.textContent = column.label;
+            const indicator = document.createElement('span');
+            indicator.className = 'column-sort-indicator';
+            indicator.setAttribute('aria-hidden', 'true');
+            sortBtn.appendChild(label);
+            sortBtn.appendChild(indicator);
+            sortBtn.addEventListener('click', (e) => this.sortByColumn(column.key, e.shiftKey));
+            
+            const handle = document.createElement('span');
+            handle.className = 'column-resize-handle';
+            handle.title = 'Drag to resize; double-click for the default width';
+            handle.addEventListener('pointerdown', (e) => this.startColumnResize(e, index, cell));
+            handle.addEventListener('dblclick', () => this.resizeResultColumn(index, column.width, true));
+            
+            // Drag a header onto another to move the column there
+            cell.addEventListener('dragstart', (e) => {
+                if (this.resizingColumn) {
+                    e.preventDefault();
+                    return;
+                }
+                this.draggedColumn = column.key;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', column.label);
+                cell.classList.add('dragging');
+            });
+            cell.addEventListener('dragend', () => {
+                this.draggedColumn = null;
+                header.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+            });
+            cell.addEventListener('dragover', (e) => {
+                if (!this.draggedColumn) return;
+                e.preventDefault();
+                cell.classList.add('drop-target');
+            });
+            cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+            cell.addEventListener('drop', (e) => {
+                if (!this.draggedColumn) return;
+                e.preventDefault();
+                this.moveResultColumn(this.draggedColumn, index);
+            });
+            
+            cell.appendChild(sortBtn);
+            cell.appendChild(handle);
+            header.appendChild(cell);
+        });
+        
+        this.applyResultColumnWidths();
+        this.updateColumnSortIndicators();
+        this.updateSelectionState();
+    }
+
+    startColumnResize(event, index, cell) {
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const handle = event.currentTarget;
+        const startX = event.clientX;
+        const startWidth = cell.getBoundingClientRect().width;
+        this.resizingColumn = true;
+        handle.setPointerCapture(event.pointerId);
+        
+        const move = (e) => this.resizeResultColumn(index, startWidth + e.clientX - startX);
+        const end = () => {
+            handle.removeEventListener('pointermove', move);
+            handle.removeEventListener('pointerup', end);
+            handle.removeEventListener('pointercancel', end);
+            this.resizingColumn = false;
+            this.saveResultLayout();
+        };
+        handle.addEventListener('pointermove', move);
+        handle.addEventListener('pointerup', end);
+        handle.addEventListener('pointercancel', end);
+    }
+
+    // [{ key, order }], the "Sort by" key first
+    getResultSortKeys() {
+        const sortBy = document.getElementById('sortBy')?.value || APP_CONSTANTS.DEFAULT_SORT;
+        const order = document.getElementById('sortOrder')?.value === 'desc' ? 'desc' : 'asc';
+        if (sortBy === 'relevance') return [{ key: sortBy, order }];
+        
+        const thenBy = this.sortThenBy
+            .map(key => (key.startsWith('-') ? { key: key.slice(1), order: 'desc' } : { key, order: 'asc' }))
+            .filter(({ key }) => key !== sortBy);
+        return [{ key: sortBy, order }, ...thenBy];
+    }
+
+    setResultSortKeys([first, ...rest]) {
+        this.ensureSortOption(first.key);
+        const sortBy = document.getElementById('sortBy');
+        const sortOrder = document.getElementById('sortOrder');
+        if (sortBy) sortBy.value = first.key;
+        if (sortOrder) sortOrder.value = first.order === 'desc' ? 'desc' : '';
+        this.sortThenBy = rest.map(({ key, order }) => (order === 'desc' ? `-${key}` : key));
+    }
+
+    // Columns the "Sort by" list does not offer are added to it when sorted on
+    ensureSortOption(key) {
+        const sortBy = document.getElementById('sortBy');
+        if (!sortBy || [...sortBy.options].some(option => option.value === key)) return;
+        sortBy.appendChild(DOMHelper.createOption(key, this.getResultColumn(key).label));
+    }
+
+    // Click sorts by the column alone, or reverses it. Shift-click adds it as the next key,
+    // reverses it, then drops it again.
+    sortByColumn(key, addKey = false) {
+        const keys = this.getResultSortKeys();
+        const index = keys.findIndex(sortKey => sortKey.key === key);
+        const reversed = sortKey => ({ key: sortKey.key, order: sortKey.order === 'asc' ? 'desc' : 'asc' });
+        
+        let next;
+        if (!addKey || keys[0].key === 'relevance') {
+            next = [index === 0 ? reversed(keys[0]) : { key, order: 'asc' }];
+        } else if (index === -1) {
+            next = [...keys, { key, order: 'asc' }];
+        } else if (keys[index].order === 'asc' || index === 0) {
+            next = keys.map((sortKey, i) => (i === index ? reversed(sortKey) : sortKey));
+        } else {
+            next = keys.filter((sortKey, i) => i !== index);
+        }
         
+        this.setResultSortKeys(next);
+        this.updateColumnSortIndicators();
         this.applyFilters();
     }
 
-    async updateUI() {
-        try {
-            // Load data sequentially to avoid race conditions
-            this.schedules = await this.getAllSchedules();
-            
-            this.seriesItems = await this.getAllSeries(); // Use getAllSeries for merged model
-            
-            this.filteredItems = [...this.seriesItems];
-            
-            // Wait for data to be fully loaded before updating UI
-            await this.populateFilterDropdowns();
+    updateColumnSortIndicators() {
+        const header = document.getElementById('resultsTableHeader');
+        if (!header) return;
+        
+        const keys = this.getResultSortKeys();
+        header.querySelectorAll('[role="columnheader"]').forEach(cell => {
+            const index = keys.findIndex(sortKey => sortKey.key === cell.dataset.column);
+            const sortKey = keys[index];
+            const ariaSort = index === 0 ? (sortKey.order === 'desc' ? 'descending' : 'ascending') : 'none';
+            cell.setAttribute('aria-sort', ariaSort);
+            cell.classList.toggle('sorted', index !== -1);
             
-            // Keep the Series form schedule dropdown in sync with schedules
-            if (typeof this.populateSeriesScheduleDropdown === 'function') {
-                this.populateSeriesScheduleDropdown();
+            const indicator = cell.querySelector('.column-sort-indicator');
+            if (indicator) {
+                indicator.textContent = index === -1 ? '' : `${sortKey.order === 'desc' ? '▼' : '▲'}${keys.length > 1 ? index + 1 : ''}`;
             }
-            
-            // Render results after all data is loaded
-            await this.renderResults();
-            this.updateResultsSummary();
-            this.updateRecordCount();
-        } catch (error) {
-            ErrorHandler.log(error, 'Update UI');
-            this.setStatus('Error updating interface: ' + error.message, 'error');
-        }
+        });
     }
 
-    async populateFilterDropdowns() {
-        try {
-            // Get all series data for populating dropdowns
-            const allSeries = await this.getAllSeries();
-            
-            // Schedule numbers
-            const scheduleNumbers = [...new Set(allSeries.map(s => s.schedule_number).filter(n => n))].sort();
-            const scheduleSelect = document.getElementById('scheduleFilter');
-            if (scheduleSelect) {
-                DOMHelper.clearElement(scheduleSelect);
-                scheduleSelect.appendChild(DOMHelper.createOption('', 'All Schedules'));
-                scheduleNumbers.forEach(num => {
-                    scheduleSelect.appendChild(DOMHelper.createOption(num, num));
-                });
-            }
+    toggleColumnChooser(open = null) {
+        const button = document.getElementById('columnChooserBtn');
+        const chooser = document.getElementById('columnChooser');
+        if (!button || !chooser) return;
+        
+        const show = open ?? chooser.classList.contains('hidden');
+        if (show) this.renderColumnChooser();
+        chooser.classList.toggle('hidden', !show);
+        button.setAttribute('aria-expanded', show ? 'true' : 'false');
+    }
 
-            // Divisions
-            const divisions = [...new Set(allSeries.map(s => s.division).filter(d => d))].sort();
-            const divSelect = document.getElementById('divisionFilter');
-            if (divSelect) {
-                DOMHelper.clearElement(divSelect);
-                divSelect.appendChild(DOMHelper.createOption('', 'All Divisions'));
-                divisions.forEach(div => {
-                    divSelect.appendChild(DOMHelper.createOption(div, div));
-                });
-            }
+    // Shown columns first, in order and with move buttons, then the rest of the choices
+    renderColumnChooser(focusKey = null) {
+        const chooser = document.getElementById('columnChooser');
+        if (!chooser) return;
+        
+        DOMHelper.clearElement(chooser);
+        const shown = this.resultColumns.map(column => column.key);
+        const choices = [
+            ...shown.map(key => this.getResultColumn(key)),
+            ...this.getResultColumnChoices().filter(column => !shown.includes(column.key))
+        ];
+        
+        const list = document.createElement('ul');
+        list.className = 'column-chooser-list';
+        choices.forEach(column => {
+            const index = shown.indexOf(column.key);
+            const item = document.createElement('li');
+            item.className = 'column-chooser-item';
             
-            // Approval status
-            const statusSelect = document.getElementById('statusFilter');
-            if (statusSelect) {
-                DOMHelper.clearElement(statusSelect);
-                statusSelect.appendChild(DOMHelper.createOption('', 'All Statuses'));
-                Object.values(APP_CONSTANTS.APPROVAL_STATUS).forEach(status => {
-                    const displayName = status.charAt(0).toUpperCase() + status.slice(1);
-                    statusSelect.appendChild(DOMHelper.createOption(status, displayName));
-                });
-            }
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = index !== -1;
+            checkbox.dataset.column = column.key;
+            checkbox.addEventListener('change', () => this.toggleResultColumn(column.key, checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${column.label}`));
+            item.appendChild(label);
             
-            // Tags (if tag filter exists)
-            const tagSelect = document.getElementById('tagFilter');
-            if (tagSelect) {
-                const allTags = [...new Set(allSeries.flatMap(s => Array.isArray(s.tags) ? s.tags : []))].sort();
-                DOMHelper.clearElement(tagSelect);
-                tagSelect.appendChild(DOMHelper.createOption('', 'All Tags'));
-                allTags.forEach(tag => {
-                    tagSelect.appendChild(DOMHelper.createOption(tag, tag));
+            if (index !== -1) {
+                [['↑', 'left', index - 1], ['↓', 'right', index + 1]].forEach(([arrow, direction, toIndex]) => {
+                    const moveBtn = document.createElement('button');
+                    moveBtn.type = 'button';
+                    moveBtn.className = 'btn btn--secondary btn--sm column-move-btn';
+                    moveBtn.textContent = arrow;
+                    moveBtn.disabled = toIndex < 0 || toIndex >= shown.length;
+                    moveBtn.setAttribute('aria-label', `Move ${column.label} ${direction}`);
+                    moveBtn.addEventListener('click', () => this.moveResultColumn(column.key, toIndex));
+                    item.appendChild(moveBtn);
                 });
             }
-            
-        } catch (error) {
-            ErrorHandler.log(error, 'Populate filter dropdowns');
+            list.appendChild(item);
+        });
+        
+        const resetBtn = document.createElement('button');
+        resetBtn.type = 'button';
+        resetBtn.className = 'btn btn--secondary btn--sm';
+        resetBtn.textContent = 'Reset to default columns';
+        resetBtn.addEventListener('click', () => this.setResultColumns(this.defaultResultColumns()));
+        
+        chooser.appendChild(list);
+        chooser.appendChild(resetBtn);
+        
+        // Redrawn after every change; keep focus on the column that changed
+        if (focusKey) {
+            [...list.querySelectorAll('input[type="checkbox"]')].find(input => input.dataset.column === focusKey)?.focus();
         }
     }
 
-    // Legacy function - schedule dropdown removed from Series tab
-    populateSeriesScheduleDropdown() {
-        // Schedule dropdown has been removed from Series Details tab
-        // Schedule information is now managed in the Schedule Details tab
-        return;
+    // Results Selection
+    // Ticked results are kept by id, so they survive scrolling and searches that still list them.
+    // A tick box or a ctrl-click ticks one result; a shift-click ticks every result back to the last one ticked.
+
+    isResultChecked(id) {
+        return Boolean(this.checkedIds?.has(id));
     }
 
-    // Helper: get a Set of all schedule numbers for quick membership checks
-    getScheduleNumberSet() {
-        const set = new Set();
-        (this.schedules || []).forEach(s => {
-            if (s.schedule_number) set.add(s.schedule_number);
-        });
-        return set;
+    setResultsChecked(ids, checked) {
+        ids.forEach(id => (checked ? this.checkedIds.add(id) : this.checkedIds.delete(id)));
+        this.updateSelectionState();
     }
 
-    // Normalize existing records so both legacy and canonical fields are in sync
-    async normalizeExistingData() {
-        // Normalize schedules
-        for (const sched of this.schedules) {
-            const desired = sched.schedule_number || sched.application_number || '';
-            if (!desired) continue;
-            const needsUpdate = (sched.schedule_number !== desired) || ('application_number' in sched);
-            if (needsUpdate) {
-                sched.schedule_number = desired;
-                if ('application_number' in sched) delete sched.application_number;
-                try { await this.saveSchedule(sched, true); } catch (e) { ErrorHandler.log(e, 'Normalize schedule'); }
-            }
+    toggleResultChecked(index, range = false) {
+        const item = this.filteredItems[index];
+        if (!item) return;
+        
+        const anchor = range ? this.filteredItems.findIndex(other => other._id === this.checkAnchorId) : -1;
+        if (anchor === -1) {
+            this.setResultsChecked([item._id], !this.isResultChecked(item._id));
+            this.checkAnchorId = item._id;
+            return;
         }
+        const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+        this.setResultsChecked(this.filteredItems.slice(from, to + 1).map(other => other._id), true);
+    }
 
-        // Normalize series items
-        for (const si of this.seriesItems) {
-            const seriesNum = si.item_number || si.series_number || '';
-            const needsUpdate = ('application_number' in si) || ('schedule_number' in si) || (si.item_number !== seriesNum) || ('series_number' in si);
-            if (needsUpdate) {
-                if (seriesNum) { si.item_number = seriesNum; }
-                // Remove application_number field from series items
-                if ('application_number' in si) delete si.application_number;
-                if ('schedule_number' in si) delete si.schedule_number;
-                if ('series_number' in si) delete si.series_number;
-                try { await this.saveSeries(si, true); } catch (e) { ErrorHandler.log(e, 'Normalize series'); }
-            }
-        }
+    clearResultSelection() {
+        this.checkedIds.clear();
+        this.checkAnchorId = null;
+        this.updateSelectionState();
     }
 
-    async renderResults() {
-        const resultsList = document.getElementById('resultsList');
-        const emptyState = document.getElementById('emptyState');
+    // Results a new search no longer lists leave the selection
+    pruneCheckedResults() {
+        if (this.checkedIds.size === 0) return;
         
-        console.log('Rendering results:', this.filteredItems.length, 'items');
+        const listed = new Set(this.filteredItems.map(item => item._id));
+        this.checkedIds.forEach(id => {
+            if (!listed.has(id)) this.checkedIds.delete(id);
+        });
+        this.updateSelectionState();
+    }
+
+    // Ticked results in list order
+    getCheckedResults() {
+        return this.filteredItems.filter(item => this.checkedIds.has(item._id));
+    }
+
+    // Tick boxes on the drawn rows, the select-all box and the selection bar
+    updateSelectionState() {
+        const view = this.resultsWindow;
+        view?.rows.forEach((row, offset) => {
+            const item = this.filteredItems[view.first + offset];
+            const checked = Boolean(item) && this.isResultChecked(item._id);
+            row.classList.toggle('checked', checked);
+            const checkbox = row.querySelector('.result-check');
+            if (checkbox) checkbox.checked = checked;
+        });
         
-        if (!resultsList) {
-            console.error('Results list element not found');
-            return;
+        const count = this.checkedIds?.size || 0;
+        const selectAll = document.getElementById('selectAllResults');
+        if (selectAll) {
+            selectAll.checked = count > 0 && count === this.filteredItems.length;
+            selectAll.indeterminate = count > 0 && count < this.filteredItems.length;
+        }
+        document.getElementById('selectionBar')?.classList.toggle('hidden', count === 0);
+        const label = document.getElementById('selectionCount');
+        if (label) label.textContent = `${count} record${count !== 1 ? 's' : ''} selected`;
+    }
+
+    // Bulk Edit
+    // One BULK_EDIT_ACTIONS change to every ticked result: previewed as it is typed, then applied
+    // by SeriesRepository.bulkEdit() in one transaction and undone as one step.
+    setupBulkEdit() {
+        const actionSelect = document.getElementById('bulkAction');
+        if (actionSelect) {
+            Object.entries(BULK_EDIT_ACTIONS).forEach(([value, action]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = action.label;
+                actionSelect.appendChild(option);
+            });
+            actionSelect.addEventListener('change', () => this.updateBulkEditForm());
         }
+        document.getElementById('bulkValue')?.addEventListener('input', () => this.renderBulkEditPreview());
+        document.getElementById('bulkEditForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.commitBulkEdit();
+        });
         
-        // Clear previous results but preserve emptyState in its original position
-        const children = Array.from(resultsList.children);
-        children.forEach(child => {
-            if (child.id !== 'emptyState') {
-                resultsList.removeChild(child);
-            }
+        const bindings = {
+            bulkEditBtn: () => this.showBulkEdit(),
+            clearSelectionBtn: () => this.clearResultSelection(),
+            bulkApplyBtn: () => this.commitBulkEdit(),
+            closeBulkEdit: () => this.hideBulkEdit(),
+            bulkEditCloseBtn: () => this.hideBulkEdit()
+        };
+        Object.entries(bindings).forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('click', handler);
         });
+    }
+
+    showBulkEdit() {
+        if (this.checkedIds.size === 0) return;
         
-        if (this.filteredItems.length === 0) {
-            // Show empty state
-            if (emptyState) {
-                emptyState.style.display = 'block';
-            }
-            console.log('No filtered items to display');
-            return;
-        }
+        const modal = document.getElementById('bulkEditModal');
+        if (modal) modal.classList.remove('hidden');
+        this.updateBulkEditForm();
+        document.getElementById('bulkAction')?.focus();
+    }
 
-        // Hide empty state when we have results
-        if (emptyState) {
-            emptyState.style.display = 'none';
+    hideBulkEdit() {
+        const modal = document.getElementById('bulkEditModal');
+        if (modal) modal.classList.add('hidden');
+        this.bulkEditPlan = null;
+    }
+
+    getBulkEdit() {
+        return {
+            action: document.getElementById('bulkAction')?.value,
+            value: document.getElementById('bulkValue')?.value || ''
+        };
+    }
+
+    // The value box shows only for actions that take one, suggesting values the records already use
+    updateBulkEditForm() {
+        const action = BULK_EDIT_ACTIONS[this.getBulkEdit().action];
+        if (!action) return;
+        
+        const takesValue = action.op === 'set' || action.op === 'add' || action.op === 'remove';
+        document.getElementById('bulkValueGroup')?.classList.toggle('hidden', !takesValue);
+        const input = document.getElementById('bulkValue');
+        if (input) {
+            input.value = '';
+            input.placeholder = action.op === 'set' ? '' : 'Separate values with commas';
         }
         
-        // Render all filtered items (simplified approach)
-        this.filteredItems.forEach((item, index) => {
-            const row = this.createResultRow(item, index);
-            resultsList.appendChild(row);
+        const options = document.getElementById('bulkValueOptions');
+        if (options) {
+            DOMHelper.clearElement(options);
+            this.getBulkEditSuggestions(action).forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                options.appendChild(option);
+            });
+        }
+        this.renderBulkEditPreview();
+    }
+
+    // Values to remove come from the ticked records; anything else from every record
+    getBulkEditSuggestions(action) {
+        if (!action.field) return [];
+        if (action.field === 'approval_status') return Object.values(APP_CONSTANTS.APPROVAL_STATUS);
+        
+        const records = action.op === 'remove' ? this.getCheckedResults() : this.seriesItems;
+        const values = new Set();
+        records.forEach(item => {
+            const value = this.getNestedValue(item, action.field);
+            (Array.isArray(value) ? value : [value]).forEach(v => {
+                if (v != null && v !== '') values.add(String(v));
+            });
         });
+        return [...values].sort((a, b) => a.localeCompare(b));
+    }
+
+    // What the edit would do to each ticked record, and whether it can go ahead.
+    // Status edits also list the rest of each ticked record's schedule, which they change too.
+    renderBulkEditPreview() {
+        const body = document.getElementById('bulkEditBody');
+        const summary = document.getElementById('bulkEditSummary');
+        const applyBtn = document.getElementById('bulkApplyBtn');
+        if (!body) return;
+        
+        const edit = this.getBulkEdit();
+        const action = BULK_EDIT_ACTIONS[edit.action];
+        const records = this.getCheckedResults();
+        DOMHelper.clearElement(body);
+        this.bulkEditPlan = null;
+        if (!action) return;
+        
+        // Setting a field to nothing is what the Clear actions are for
+        if (action.op !== 'clear' && action.op !== 'delete' && edit.value.trim() === '') {
+            if (summary) DOMHelper.setTextContent(summary, `Enter a value to preview the change to ${records.length} selected record${records.length !== 1 ? 's' : ''}.`);
+            if (applyBtn) applyBtn.disabled = true;
+            return;
+        }
         
-        console.log('Rendered', this.filteredItems.length, 'result rows');
+        const plan = this.seriesRepo.planBulkEdit(records, edit, this.seriesItems)
+            .filter(entry => !entry.after || entry.changes.length > 0);
+        const invalid = plan.filter(entry => entry.errors.length > 0);
+        this.bulkEditPlan = plan;
+        
+        plan.slice(0, APP_CONSTANTS.BULK_EDIT_PREVIEW_LIMIT).forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.errors.length > 0) row.className = 'bulk-edit-error';
+            else if (entry.sameSchedule) row.className = 'bulk-edit-same-schedule';
+            [
+                entry.before.schedule_number || '',
+                entry.before.item_number || '',
+                entry.before.record_series_title || '',
+                this.describeBulkEditChange(entry)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
         
-        // Highlight selected item if any
-        if (this.selectedItemId) {
-            const selectedRow = resultsList.querySelector(`[data-item-id="${this.selectedItemId}"]`);
-            if (selectedRow) {
-                selectedRow.classList.add('selected');
+        if (summary) {
+            const selected = plan.filter(entry => !entry.sameSchedule).length;
+            const parts = [`${selected} of ${records.length} selected record${records.length !== 1 ? 's' : ''} will ${action.op === 'delete' ? 'move to the trash' : 'change'}`];
+            if (selected < plan.length) {
+                const more = plan.length - selected;
+                parts.push(`${more} more record${more !== 1 ? 's' : ''} on the same schedule will change with ${more !== 1 ? 'them' : 'it'}, as status applies to a whole schedule`);
             }
+            if (plan.length > APP_CONSTANTS.BULK_EDIT_PREVIEW_LIMIT) parts.push(`the first ${APP_CONSTANTS.BULK_EDIT_PREVIEW_LIMIT} are listed`);
+            if (invalid.length > 0) parts.push(`${invalid.length} cannot be changed; untick ${invalid.length !== 1 ? 'them' : 'it'} or pick another value`);
+            DOMHelper.setTextContent(summary, `${parts.join('; ')}.`);
         }
+        if (applyBtn) applyBtn.disabled = plan.length === 0 || invalid.length > 0;
     }
 
-    createResultRow(item, index) {
-        const row = document.createElement('div');
-        row.className = 'result-item';
-        row.dataset.itemId = item._id;
-        row.tabIndex = 0;
+    describeBulkEditChange(entry) {
+        if (entry.errors.length > 0) return entry.errors.join('; ');
+        if (!entry.after) return 'Moved to the trash';
+        
+        const changes = entry.changes.map(({ field }) => {
+            const column = this.getResultColumn(field);
+            return `${column.label}: ${this.formatColumnValue(entry.before, column)} → ${this.formatColumnValue(entry.after, column)}`;
+        }).join('; ');
+        return entry.sameSchedule ? `${changes} (same schedule, not ticked)` : changes;
+    }
 
-        // Column 1: Schedule #
-        const colApp = document.createElement('div');
-        colApp.className = 'col-app-num';
-        // Display schedule_number directly from merged model
-        DOMHelper.setTextContent(colApp, item.schedule_number || 'N/A');
-
-        // Column 2: Item #
-        const colItem = document.createElement('div');
-        colItem.className = 'col-item-num';
-        DOMHelper.setTextContent(colItem, item.item_number || 'N/A');
-
-        // Column 3: Title
-        const colTitle = document.createElement('div');
-        colTitle.className = 'col-title';
-        DOMHelper.setTextContent(colTitle, item.record_series_title || 'Untitled');
-
-        // Column 4: Division
-        const colDivision = document.createElement('div');
-        colDivision.className = 'col-division';
-        DOMHelper.setTextContent(colDivision, item.division || '—');
-
-        row.appendChild(colApp);
-        row.appendChild(colItem);
-        row.appendChild(colTitle);
-        row.appendChild(colDivision);
-
-        // Selection handlers
-        row.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.selectSeriesItem(item);
-        });
-        row.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.selectSeriesItem(item);
+    async commitBulkEdit() {
+        const plan = this.bulkEditPlan;
+        const edit = this.getBulkEdit();
+        const action = BULK_EDIT_ACTIONS[edit.action];
+        if (!plan || plan.length === 0 || !action || plan.some(entry => entry.errors.length > 0)) return;
+        
+        const noun = `${plan.length} record${plan.length !== 1 ? 's' : ''}`;
+        if (action.op === 'delete' && !confirm(`Move ${noun} to the trash? They can be restored from Admin -> Trash.`)) return;
+        
+        const applyBtn = document.getElementById('bulkApplyBtn');
+        if (applyBtn) applyBtn.disabled = true;
+        try {
+            const { batchId, count } = await this.seriesRepo.bulkEdit(plan.map(entry => entry.id), edit);
+            this.hideBulkEdit();
+            this.clearResultSelection();
+            const done = action.op === 'delete' ? 'Moved to the trash' : action.label;
+            this.setStatus(`${done}: ${count} record${count !== 1 ? 's' : ''} (batch ${batchId})`, 'success');
+        } catch (error) {
+            if (error instanceof DuplicateSeriesError) {
+                this.hideBulkEdit();
+                if (this.promptOpenConflictingRecord(error)) return;
             }
-        });
-
-        return row;
+            ErrorHandler.log(error, 'Bulk edit');
+            this.setStatus(`Bulk edit failed: ${error.message}`, 'error');
+            this.renderBulkEditPreview();
+        }
     }
 
     updateResultsSummary() {
@@ -2201,6 +4232,12 @@ class RecordsRetentionApp {
             tabNavigation.classList.remove('hidden');
         }
         
+        // History only exists for saved records
+        const historyTab = document.getElementById('historyTab');
+        if (historyTab) {
+            historyTab.classList.toggle('hidden', !seriesItem?._id);
+        }
+        
         // Determine which tab to show based on what data we have
         let showSeriesTab = false;
         let showScheduleTab = false;
@@ -2236,56 +4273,163 @@ class RecordsRetentionApp {
     
     // Tab Navigation Methods
     setupTabNavigation() {
-        const seriesTab = document.getElementById('seriesTab');
-        const scheduleTab = document.getElementById('scheduleTab');
-        
-        if (seriesTab) {
-            seriesTab.addEventListener('click', () => this.switchToTab('series'));
-            seriesTab.addEventListener('keydown', (e) => {
+        ['series', 'schedule', 'history'].forEach(tabName => {
+            const tab = document.getElementById(`${tabName}Tab`);
+            if (!tab) return;
+            
+            tab.addEventListener('click', () => this.switchToTab(tabName));
+            tab.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
-                    this.switchToTab('series');
+                    this.switchToTab(tabName);
                 }
             });
+        });
+    }
+    
+    switchToTab(tabName) {
+        ['series', 'schedule', 'history'].forEach(name => {
+            const tab = document.getElementById(`${name}Tab`);
+            const panel = document.getElementById(`${name}TabPanel`);
+            const isActive = name === tabName;
+            
+            // Update tab buttons and ARIA attributes
+            if (tab) {
+                tab.classList.toggle('active', isActive);
+                tab.setAttribute('aria-selected', isActive);
+                tab.setAttribute('tabindex', isActive ? '0' : '-1');
+            }
+            
+            // Update tab panels
+            if (panel) {
+                panel.classList.toggle('hidden', !isActive);
+            }
+        });
+        
+        // History is loaded on demand for the selected record
+        if (tabName === 'history') {
+            this.renderHistory(this.currentSeriesItem?._id);
         }
         
-        if (scheduleTab) {
-            scheduleTab.addEventListener('click', () => this.switchToTab('schedule'));
-            scheduleTab.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.switchToTab('schedule');
-                }
+        // Store current tab for persistence
+        this.currentTab = tabName;
+    }
+
+    // History Tab
+    async renderHistory(id) {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+        
+        DOMHelper.clearElement(list);
+        if (id == null) return;
+        
+        try {
+            const events = await this.getAuditEventsForSeries(id);
+            
+            if (events.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'history-empty';
+                DOMHelper.setTextContent(empty, 'No history recorded for this record.');
+                list.appendChild(empty);
+                return;
+            }
+            
+            // Newest first; the newest snapshot is the current state, so it gets no restore button
+            events.reverse().forEach((event, index) => {
+                list.appendChild(this.createHistoryEntry(id, event, index === 0));
             });
+        } catch (error) {
+            ErrorHandler.log(error, 'Render history');
+            this.setStatus(`Error loading history: ${error.message}`, 'error');
         }
     }
     
-    switchToTab(tabName) {
-        const seriesTab = document.getElementById('seriesTab');
-        const scheduleTab = document.getElementById('scheduleTab');
-        const seriesTabPanel = document.getElementById('seriesTabPanel');
-        const scheduleTabPanel = document.getElementById('scheduleTabPanel');
-        
-        // Update tab buttons
-        if (seriesTab && scheduleTab) {
-            seriesTab.classList.toggle('active', tabName === 'series');
-            scheduleTab.classList.toggle('active', tabName === 'schedule');
-            
-            // Update ARIA attributes
-            seriesTab.setAttribute('aria-selected', tabName === 'series');
-            scheduleTab.setAttribute('aria-selected', tabName === 'schedule');
-            seriesTab.setAttribute('tabindex', tabName === 'series' ? '0' : '-1');
-            scheduleTab.setAttribute('tabindex', tabName === 'schedule' ? '0' : '-1');
+    createHistoryEntry(id, event, isLatest) {
+        const entry = document.createElement('div');
+        entry.className = `history-entry history-entry--${event.action}`;
+        
+        const header = document.createElement('div');
+        header.className = 'history-entry-header';
+        
+        const action = document.createElement('span');
+        action.className = 'history-action';
+        DOMHelper.setTextContent(action, event.action.replace(/_/g, ' '));
+        
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        const when = event.at ? new Date(event.at).toLocaleString() : 'Unknown time';
+        DOMHelper.setTextContent(meta, `${when} · ${event.actor || 'unknown'}`);
+        
+        header.appendChild(action);
+        header.appendChild(meta);
+        entry.appendChild(header);
+        
+        const { before, after } = event.payload;
+        const changes = this.diffSeriesFields(before || {}, after || {});
+        
+        if (before || after) {
+            const changeList = document.createElement('ul');
+            changeList.className = 'history-changes';
+            changes.forEach(change => {
+                const li = document.createElement('li');
+                
+                const field = document.createElement('span');
+                field.className = 'history-change-field';
+                DOMHelper.setTextContent(field, change.field);
+                
+                const oldValue = document.createElement('span');
+                oldValue.className = 'history-before';
+                DOMHelper.setTextContent(oldValue, this.formatDiffValue(change.before));
+                
+                const newValue = document.createElement('span');
+                newValue.className = 'history-after';
+                DOMHelper.setTextContent(newValue, this.formatDiffValue(change.after));
+                
+                li.appendChild(field);
+                li.appendChild(oldValue);
+                li.appendChild(document.createTextNode(' → '));
+                li.appendChild(newValue);
+                changeList.appendChild(li);
+            });
+            if (changes.length === 0) {
+                const li = document.createElement('li');
+                DOMHelper.setTextContent(li, 'No field changes');
+                changeList.appendChild(li);
+            }
+            entry.appendChild(changeList);
+        } else {
+            const note = document.createElement('p');
+            note.className = 'history-note';
+            DOMHelper.setTextContent(note, 'No field-level detail was recorded for this event.');
+            entry.appendChild(note);
         }
         
-        // Update tab panels
-        if (seriesTabPanel && scheduleTabPanel) {
-            seriesTabPanel.classList.toggle('hidden', tabName !== 'series');
-            scheduleTabPanel.classList.toggle('hidden', tabName !== 'schedule');
+        if (after && !isLatest) {
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn btn--outline btn--sm history-restore-btn';
+            restoreBtn.textContent = 'Restore this version';
+            restoreBtn.addEventListener('click', () => this.confirmRestoreVersion(id, event));
+            entry.appendChild(restoreBtn);
         }
         
-        // Store current tab for persistence
-        this.currentTab = tabName;
+        return entry;
+    }
+    
+    async confirmRestoreVersion(id, event) {
+        const when = event.at ? new Date(event.at).toLocaleString() : 'an earlier point';
+        const confirmed = confirm(`Restore this record to the version saved ${when}? The current values will be replaced, and the restore is recorded in the history.`);
+        if (!confirmed) return;
+        
+        try {
+            // The form and history redraw from the cache once the restore is saved
+            await this.restoreSeriesVersion(id, event);
+            this.setStatus('Record restored to the selected version', 'success');
+        } catch (error) {
+            if (this.promptOpenConflictingRecord(error)) return;
+            ErrorHandler.log(error, 'Restore series version');
+            this.setStatus(`Error restoring version: ${error.message}`, 'error');
+        }
     }
 
     hideDetails() {
@@ -2303,6 +4447,8 @@ class RecordsRetentionApp {
         if (tabNavigation) tabNavigation.classList.add('hidden');
         if (seriesTabPanel) seriesTabPanel.classList.add('hidden');
         if (scheduleTabPanel) scheduleTabPanel.classList.add('hidden');
+        const historyTabPanel = document.getElementById('historyTabPanel');
+        if (historyTabPanel) historyTabPanel.classList.add('hidden');
         
         // Reset forms
         const scheduleForm = document.getElementById('scheduleForm');
@@ -2324,23 +4470,8 @@ class RecordsRetentionApp {
             this.selectedItemId = item._id;
             this.currentSeriesItem = item;
             
-            // In merged schema, schedule info is stored directly on series record
-            let scheduleInfo = null;
-            if (item.schedule_number) {
-                // Create schedule object from series data for display
-                scheduleInfo = {
-                    _id: `sched_${item.schedule_number}`,
-                    schedule_number: item.schedule_number,
-                    approval_status: item.approval_status,
-                    approval_date: item.approval_date,
-                    division: item.division,
-                    notes: item.notes,
-                    tags: item.tags || []
-                };
-            }
-            
             // Display both schedule and series details
-            this.displayDetails(scheduleInfo, item);
+            this.displayDetails(this.scheduleFor(item), item);
             
             const deleteSeriesBtn = document.getElementById('deleteSeriesBtn');
             if (deleteSeriesBtn) deleteSeriesBtn.classList.remove('hidden');
@@ -2355,6 +4486,24 @@ class RecordsRetentionApp {
             const deleteSeriesBtn = document.getElementById('deleteSeriesBtn');
             if (deleteSeriesBtn) deleteSeriesBtn.classList.add('hidden');
         }
+        
+        this.updateLocationHash();
+    }
+
+    // In merged schema, schedule info is stored directly on series record
+    scheduleFor(item) {
+        if (!item.schedule_number) return null;
+        
+        // Create schedule object from series data for display
+        return {
+            _id: `sched_${item.schedule_number}`,
+            schedule_number: item.schedule_number,
+            approval_status: item.approval_status,
+            approval_date: item.approval_date,
+            division: item.division,
+            notes: item.notes,
+            tags: item.tags || []
+        };
     }
 
     populateSeriesForm(item) {
@@ -2431,11 +4580,11 @@ class RecordsRetentionApp {
                 seriesItem.version = (this.currentSeriesItem.version || 0) + 1;
             }
             
+            // saveSeries() writes the audit event in its own transaction
             await this.saveSeries(seriesItem, isUpdate);
-            await this.logAuditEvent('series', seriesItem._id, isUpdate ? 'update' : 'create', seriesItem);
-            this.updateUI();
             this.setStatus(`Series item ${isUpdate ? 'updated' : 'created'} successfully`);
         } catch (error) {
+            if (this.promptOpenConflictingRecord(error)) return;
             ErrorHandler.log(error, 'Series form submission');
             this.setStatus(`Error saving series item: ${error.message}`, 'error');
         }
@@ -2461,8 +4610,7 @@ class RecordsRetentionApp {
             };
             
             // Count affected series for bulk update feedback
-            const allSeries = await this.getAllSeries();
-            const affectedCount = allSeries.filter(s => s.schedule_number === scheduleNumber).length;
+            const affectedCount = this.seriesItems.filter(s => s.schedule_number === scheduleNumber).length;
             
             await this.saveSchedule(schedule, true);
             
@@ -2470,9 +4618,9 @@ class RecordsRetentionApp {
                 ? `Schedule saved successfully. Updated ${affectedCount} series records.`
                 : 'Schedule saved successfully';
             
-            this.updateUI();
             this.setStatus(message, 'success');
         } catch (error) {
+            if (this.promptOpenConflictingRecord(error)) return;
             ErrorHandler.log(error, 'Schedule form submission');
             this.setStatus(`Error saving schedule: ${error.message}`, 'error');
         }
@@ -2615,11 +4763,8 @@ class RecordsRetentionApp {
     
     // Enhanced form event handlers setup
     setupFormEventHandlers() {
-        // Series form submission
-        const seriesForm = document.getElementById('seriesForm');
-        if (seriesForm) {
-            seriesForm.addEventListener('submit', (e) => this.handleSeriesFormSubmit(e));
-        }
+        // Series form submission is wired in initEventListeners(); registering it
+        // here as well saved every new record twice
         
         // Schedule form submission
         const scheduleForm = document.getElementById('scheduleForm');
@@ -2661,15 +4806,13 @@ class RecordsRetentionApp {
                 version: 1
             };
             
-            const savedItem = await this.saveSeries(seriesItem, false);
-            await this.logAuditEvent('series', savedItem._id, 'create', seriesItem);
-            
-            this.updateUI();
+            await this.saveSeries(seriesItem, false);
             this.setStatus('New series record created successfully', 'success');
             
             // Clear form and hide details
             this.cancelSeriesEdit();
         } catch (error) {
+            if (this.promptOpenConflictingRecord(error)) return;
             ErrorHandler.log(error, 'Save series as new');
             this.setStatus(`Error creating new series: ${error.message}`, 'error');
         }
@@ -2720,6 +4863,8 @@ class RecordsRetentionApp {
         if (tabNavigation) tabNavigation.classList.add('hidden');
         if (seriesTabPanel) seriesTabPanel.classList.add('hidden');
         if (scheduleTabPanel) scheduleTabPanel.classList.add('hidden');
+        const historyTabPanel = document.getElementById('historyTabPanel');
+        if (historyTabPanel) historyTabPanel.classList.add('hidden');
         
         // Reset forms
         const scheduleForm = document.getElementById('scheduleForm');
@@ -2746,12 +4891,16 @@ class RecordsRetentionApp {
         if (tabNavigation) tabNavigation.classList.add('hidden');
         if (seriesTabPanel) seriesTabPanel.classList.add('hidden');
         if (scheduleTabPanel) scheduleTabPanel.classList.add('hidden');
+        const historyTabPanel = document.getElementById('historyTabPanel');
+        if (historyTabPanel) historyTabPanel.classList.add('hidden');
         
         // Reset forms
         const scheduleForm = document.getElementById('scheduleForm');
         const seriesForm = document.getElementById('seriesForm');
         if (scheduleForm) scheduleForm.reset();
         if (seriesForm) seriesForm.reset();
+        
+        this.updateLocationHash();
     }
 
     refreshCountsUI() {
@@ -2919,6 +5068,42 @@ class RecordsRetentionApp {
         }
     }
 
+    // Relevance mode: typo-tolerant search with a "Relevance" sort option, chosen when the mode is turned on
+    setRelevanceMode(enabled) {
+        const toggle = document.getElementById('relevanceMode');
+        const sortBy = document.getElementById('sortBy');
+        if (toggle) toggle.checked = enabled;
+        
+        if (sortBy) {
+            let option = sortBy.querySelector('option[value="relevance"]');
+            if (enabled && !option) {
+                option = DOMHelper.createOption('relevance', 'Relevance');
+                sortBy.insertBefore(option, sortBy.firstChild);
+                sortBy.value = 'relevance';
+            } else if (!enabled && option) {
+                const wasSelected = sortBy.value === 'relevance';
+                option.remove();
+                if (wasSelected) sortBy.selectedIndex = 0;
+            }
+        }
+        
+        try {
+            localStorage.setItem('iletsb_relevance_mode', enabled ? 'true' : 'false');
+        } catch (e) {
+            // If storage is unavailable, continue without saving
+        }
+    }
+
+    initRelevanceMode() {
+        let enabled = false;
+        try {
+            enabled = localStorage.getItem('iletsb_relevance_mode') === 'true';
+        } catch (err) {
+            enabled = false;
+        }
+        this.setRelevanceMode(enabled);
+    }
+
     initDiscoMode() {
         // Load saved disco mode preference
         let savedDiscoMode = false;
@@ -2941,10 +5126,14 @@ class RecordsRetentionApp {
     }
 }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new RecordsRetentionApp();
-    
-    // Setup form event handlers after app initialization
-    app.setupFormEventHandlers();
-});
\ No newline at end of file
+// Initialize the application when DOM is loaded (skipped when the module is imported outside a browser)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const app = new RecordsRetentionApp();
+        
+        // Setup form event handlers after app initialization
+        app.setupFormEventHandlers();
+    });
+}
+
+export { RecordsRetentionApp };
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Bundles app.js and the modules it imports into app.bundle.js, a classic script,
+// so index.html also works when opened straight from the file system.
+// Run `npm run build` after changing app.js, repository.js or tasks.js.
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import * as esbuild from 'esbuild';
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+
+export const BUNDLE_OPTIONS = {
+    absWorkingDir: root,
+    entryPoints: ['app.js'],
+    outfile: 'app.bundle.js',
+    bundle: true,
+    format: 'iife',
+    banner: { js: '// Generated from app.js by `npm run build`; do not edit.' }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await esbuild.build(BUNDLE_OPTIONS);
+}
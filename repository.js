@@ -0,0 +1,3393 @@
+// Records Retention data layer
+// UI-independent persistence, search, import and export over IndexedDB.
+// Runs in the browser and under Node (with an in-memory IndexedDB such as fake-indexeddb).
+
+export const ERROR_TYPES = {
+    DATABASE: 'DATABASE_ERROR',
+    VALIDATION: 'VALIDATION_ERROR',
+    IMPORT: 'IMPORT_ERROR',
+    EXPORT: 'EXPORT_ERROR',
+    NETWORK: 'NETWORK_ERROR'
+};
+
+export const APPROVAL_STATUS = {
+    DRAFT: 'draft',
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    SUPERCEDED: 'superseded'
+};
+
+// How a multi-value filter (tags, media types, divisions) compares its picked values with a record
+export const MATCH_MODES = {
+    ANY: 'any',
+    ALL: 'all',
+    NONE: 'none'
+};
+
+// Does a record holding `values` pass a filter on `selected` in the given mode?
+export function matchesValueSet(values, selected, mode = MATCH_MODES.ANY) {
+    if (!selected || selected.length === 0) return true;
+    switch (mode) {
+        case MATCH_MODES.ALL:
+            return selected.every(value => values.includes(value));
+        case MATCH_MODES.NONE:
+            return !selected.some(value => values.includes(value));
+        default:
+            return selected.some(value => values.includes(value));
+    }
+}
+
+// Filter pane facets: the record field each one counts, the criteria it owns and, for the
+// multi-value pickers, the criteria holding the picked values and their match mode
+export const SEARCH_FACETS = [
+    { key: 'schedule', field: 'schedule_number', criteria: ['scheduleNumber'] },
+    { key: 'status', field: 'approval_status', criteria: ['approvalStatus'] },
+    { key: 'division', field: 'division', criteria: ['division', 'divisions', 'divisionMode'], picked: 'divisions', mode: 'divisionMode' },
+    { key: 'tag', field: 'tags', criteria: ['tags', 'tagMode'], picked: 'tags', mode: 'tagMode' },
+    { key: 'media', field: 'media_types', criteria: ['mediaTypes', 'mediaMode'], picked: 'mediaTypes', mode: 'mediaMode' }
+];
+
+const facetValues = (item, facet) => {
+    const value = item[facet.field];
+    return [...new Set((Array.isArray(value) ? value : [value]).filter(Boolean))];
+};
+
+const increment = (counts, key, by = 1) => counts.set(key, (counts.get(key) || 0) + by);
+
+// Results selection bulk edits: the field each action writes and how.
+// 'set' takes one value, 'add' and 'remove' a list, 'clear' and 'delete' none.
+// `schedule` actions change a schedule-level field, so they also apply to every other record
+// with the schedule_number of a selected one, as an edit in the schedule view does.
+export const BULK_EDIT_ACTIONS = {
+    set_division: { label: 'Set division', field: 'division', op: 'set' },
+    clear_division: { label: 'Clear division', field: 'division', op: 'clear' },
+    set_status: { label: 'Set status', field: 'approval_status', op: 'set', schedule: true },
+    clear_status: { label: 'Clear status', field: 'approval_status', op: 'clear', schedule: true },
+    set_retention_trigger: { label: 'Set retention trigger', field: 'ui_extras.retentionTrigger', op: 'set' },
+    clear_retention_trigger: { label: 'Clear retention trigger', field: 'ui_extras.retentionTrigger', op: 'clear' },
+    add_tags: { label: 'Add tags', field: 'tags', op: 'add' },
+    remove_tags: { label: 'Remove tags', field: 'tags', op: 'remove' },
+    add_media_types: { label: 'Add media types', field: 'media_types', op: 'add' },
+    remove_media_types: { label: 'Remove media types', field: 'media_types', op: 'remove' },
+    assign_schedule: { label: 'Assign schedule number', field: 'schedule_number', op: 'set' },
+    delete: { label: 'Delete', op: 'delete' }
+};
+
+export const EXPORT_FORMAT_VERSION = '3.8';
+
+const EXCEL_TITLE_PLACEHOLDER = 'PLACEHOLDER_TITLE';
+
+// Import rows classified between progress reports (and chances to cancel)
+const IMPORT_PREVIEW_CHUNK = 500;
+
+// Inverted index for text search: one entry per series holding its distinct tokens
+export const SEARCH_INDEX_STORE = 'search_index';
+
+// Named search pane filter combinations
+export const SAVED_SEARCH_STORE = 'saved_searches';
+
+// All text a series can be found by
+export function buildSearchableText(item) {
+    const fields = [
+        item.record_series_title,
+        item.schedule_number,
+        item.item_number,
+        item.division,
+        item.approval_status,
+        item.retention_text,
+        item.notes,
+        Array.isArray(item.tags) ? item.tags.join(' ') : '',
+        Array.isArray(item.media_types) ? item.media_types.join(' ') : '',
+        Array.isArray(item.omb_or_statute_refs) ? item.omb_or_statute_refs.join(' ') : '',
+        item.ui_extras?.seriesDescription || '',
+        item.ui_extras?.seriesContact || '',
+        item.ui_extras?.arrangement || ''
+    ];
+    return fields.filter(Boolean).join(' ');
+}
+
+// Lower-case words; any punctuation separates them ("25-012" -> "25", "012")
+export function tokenizeSearchText(text) {
+    return [...new Set(String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+const searchIndexEntry = (item) => ({
+    series_id: item._id,
+    tokens: tokenizeSearchText(buildSearchableText(item))
+});
+
+// Replace the whole index with fresh entries for every series record
+const rebuildSearchIndexStore = (transaction, callback) => {
+    const indexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    indexStore.clear();
+    const request = transaction.objectStore('series').getAll();
+    request.onsuccess = () => {
+        const items = request.result || [];
+        items.forEach(item => indexStore.put(searchIndexEntry(item)));
+        callback(null, items.length);
+    };
+    request.onerror = () => callback(request.error);
+};
+
+/**
+ * Raised when the search box holds a query that cannot be parsed.
+ * `position` is the 0-based character offset the problem was found at.
+ */
+export class SearchQueryError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'SearchQueryError';
+        this.type = ERROR_TYPES.VALIDATION;
+        this.position = position;
+    }
+}
+
+/**
+ * Search box query language.
+ *
+ *   rosters training          every word must match (prefix of a word in any field)
+ *   "case files"              phrase: the words in this order
+ *   division:Patrol           field qualifier (value in quotes if it has spaces)
+ *   -draft  -tag:legacy       exclude matches
+ *   patrol OR training        either side; group with ( )
+ *   pers*nel  schedule:25-*   * matches any run of characters
+ *
+ * parse() turns the text into a tree that matches() evaluates against a series record.
+ * With { fuzzy: true }, free-text words also match words within a typo or two of them.
+ */
+export class SearchQuery {
+    // Qualifier -> record field. Listed fields compare whole values; text fields match words.
+    static FIELDS = {
+        division: { field: 'division', kind: 'value' },
+        schedule: { field: 'schedule_number', kind: 'value' },
+        status: { field: 'approval_status', kind: 'value' },
+        tag: { field: 'tags', kind: 'value' },
+        media: { field: 'media_types', kind: 'value' },
+        statute: { field: 'omb_or_statute_refs', kind: 'text' }
+    };
+
+    static parse(text) {
+        const tokens = SearchQuery.lex(String(text || ''));
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+
+        const parseOr = () => {
+            const start = peek();
+            if (start && start.type === 'or') {
+                throw new SearchQueryError('OR needs a search term before it', start.position);
+            }
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'or') {
+                const operator = next();
+                if (!peek() || peek().type === 'or' || peek().type === 'close') {
+                    throw new SearchQueryError('OR needs a search term after it', operator.position);
+                }
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+                children.push(parseUnary());
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+
+        const parseUnary = () => {
+            if (peek().type === 'not') {
+                const operator = next();
+                if (!peek() || peek().type === 'or' || peek().type === 'close') {
+                    throw new SearchQueryError('Nothing to exclude after "-"', operator.position);
+                }
+                return { type: 'not', child: parseUnary() };
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (token.type === 'open') {
+                if (peek() && peek().type === 'close') {
+                    throw new SearchQueryError('Empty group "()"', token.position);
+                }
+                const group = parseOr();
+                if (!peek() || peek().type !== 'close') {
+                    throw new SearchQueryError(`Missing ")" for the group opened at character ${token.position + 1}`, token.position);
+                }
+                next();
+                return group;
+            }
+            return { type: 'term', field: token.field, value: token.value, phrase: token.phrase };
+        };
+
+        if (tokens.length === 0) return null;
+        const tree = parseOr();
+        if (index < tokens.length) {
+            // Only a stray ")" can stop the top-level parse early
+            throw new SearchQueryError(`Unexpected ")" at character ${peek().position + 1}`, peek().position);
+        }
+        return tree;
+    }
+
+    static lex(text) {
+        const tokens = [];
+        let position = 0;
+
+        const readQuoted = (start) => {
+            const end = text.indexOf('"', start + 1);
+            if (end === -1) {
+                throw new SearchQueryError(`Missing closing quote for the phrase starting at character ${start + 1}`, start);
+            }
+            position = end + 1;
+            return text.slice(start + 1, end);
+        };
+
+        while (position < text.length) {
+            const char = text[position];
+            if (/\s/.test(char)) {
+                position++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'open' : 'close', position });
+                position++;
+            } else if (char === '-' && position + 1 < text.length && !/[\s)]/.test(text[position + 1])
+                && (position === 0 || /[\s(]/.test(text[position - 1]))) {
+                tokens.push({ type: 'not', position });
+                position++;
+            } else if (char === '-' && (position === 0 || /[\s(]/.test(text[position - 1]))) {
+                throw new SearchQueryError('Nothing to exclude after "-"', position);
+            } else if (char === '"') {
+                const start = position;
+                const value = readQuoted(start);
+                if (!value.trim()) throw new SearchQueryError('Empty phrase ""', start);
+                tokens.push({ type: 'term', field: null, value, phrase: true, position: start });
+            } else {
+                const start = position;
+                while (position < text.length && !/[\s()"]/.test(text[position])) position++;
+                const word = text.slice(start, position);
+
+                if (word === 'OR') {
+                    tokens.push({ type: 'or', position: start });
+                    continue;
+                }
+
+                const qualifier = /^([a-z_]+):(.*)$/i.exec(word);
+                if (!qualifier) {
+                    tokens.push({ type: 'term', field: null, value: word, phrase: false, position: start });
+                    continue;
+                }
+
+                const field = qualifier[1].toLowerCase();
+                if (!SearchQuery.FIELDS[field]) {
+                    throw new SearchQueryError(`Unknown field "${qualifier[1]}:" - use ${Object.keys(SearchQuery.FIELDS).map(name => `${name}:`).join(', ')}`, start);
+                }
+
+                let value = qualifier[2];
+                let phrase = false;
+                if (!value && text[position] === '"') {
+                    value = readQuoted(position);
+                    phrase = true;
+                }
+                if (!value.trim()) {
+                    throw new SearchQueryError(`Missing value after "${field}:"`, start);
+                }
+                tokens.push({ type: 'term', field, value, phrase, position: start });
+            }
+        }
+
+        return tokens;
+    }
+
+    static matches(node, item, options = {}) {
+        if (!node) return true;
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => SearchQuery.matches(child, item, options));
+            case 'or':
+                return node.children.some(child => SearchQuery.matches(child, item, options));
+            case 'not':
+                return !SearchQuery.matches(node.child, item, options);
+            default:
+                return SearchQuery.matchesTerm(node, item, options);
+        }
+    }
+
+    static matchesTerm(term, item, options = {}) {
+        if (!term.field) {
+            // Phrases are taken as typed
+            return SearchQuery.matchesWords(SearchQuery.queryWords(term.value), SearchQuery.textWords(buildSearchableText(item)),
+                { fuzzy: options.fuzzy && !term.phrase });
+        }
+
+        const { field, kind } = SearchQuery.FIELDS[term.field];
+        const raw = item[field];
+        const values = (Array.isArray(raw) ? raw : [raw]).filter(value => value != null && value !== '').map(String);
+
+        if (kind === 'text') {
+            const words = SearchQuery.queryWords(term.value);
+            return values.some(value => SearchQuery.matchesWords(words, SearchQuery.textWords(value)));
+        }
+
+        // Whole-value comparison, case-insensitive, with * wildcards
+        const pattern = SearchQuery.wildcardPattern(term.value.trim().toLowerCase());
+        return values.some(value => pattern.test(value.trim().toLowerCase()));
+    }
+
+    // The words of a term, lower-cased; * is kept as a wildcard
+    static queryWords(value) {
+        return String(value).toLowerCase().split(/[^\p{L}\p{N}*]+/u).filter(Boolean);
+    }
+
+    static textWords(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    // Consecutive words: earlier ones whole, the last one as a prefix; wildcard words as patterns
+    static matchesWords(queryWords, textWords, options = {}) {
+        if (queryWords.length === 0) return true;
+        const matchers = queryWords.map((word, index) => {
+            if (word.includes('*')) {
+                const pattern = SearchQuery.wildcardPattern(word);
+                return candidate => pattern.test(candidate);
+            }
+            const matcher = index === queryWords.length - 1
+                ? candidate => candidate.startsWith(word)
+                : candidate => candidate === word;
+            return options.fuzzy ? candidate => matcher(candidate) || SearchQuery.isNearMiss(word, candidate) : matcher;
+        });
+
+        for (let start = 0; start + matchers.length <= textWords.length; start++) {
+            if (matchers.every((matcher, offset) => matcher(textWords[start + offset]))) return true;
+        }
+        return false;
+    }
+
+    static wildcardPattern(value) {
+        const escaped = value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    // Typos tolerated in a word: none in short words, where one changed letter makes another word
+    static typoAllowance(word) {
+        if (word.length < 4) return 0;
+        return word.length < 8 ? 1 : 2;
+    }
+
+    // Optimal string alignment distance (insert, delete, substitute, swap neighbours).
+    // Gives up early with limit + 1 once the distance must exceed limit.
+    static editDistance(a, b, limit = Infinity) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, beforePrevious[j - 2] + 1);
+                }
+                current[j] = distance;
+                rowMinimum = Math.min(rowMinimum, distance);
+            }
+            if (rowMinimum > limit) return limit + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // A whole word within the typo allowance of a query word
+    static isNearMiss(word, candidate) {
+        const allowance = SearchQuery.typoAllowance(word);
+        return allowance > 0 && SearchQuery.editDistance(word, candidate, allowance) <= allowance;
+    }
+
+    // Words a result was found by, for ranking and highlighting; excluded terms do not count
+    static soughtWords(node) {
+        if (!node || node.type === 'not') return [];
+        if (node.type === 'and' || node.type === 'or') {
+            return [...new Set(node.children.flatMap(child => SearchQuery.soughtWords(child)))];
+        }
+        if (!node.field || SearchQuery.FIELDS[node.field].kind === 'text') {
+            return SearchQuery.queryWords(node.value);
+        }
+        return [];
+    }
+
+    // Words every match must contain, for narrowing candidates through the token index.
+    // Only plain free-text words outside OR and negation qualify.
+    static requiredWords(node) {
+        if (!node) return [];
+        if (node.type === 'and') return node.children.flatMap(child => SearchQuery.requiredWords(child));
+        if (node.type === 'term' && !node.field) {
+            return SearchQuery.queryWords(node.value).filter(word => !word.includes('*'));
+        }
+        return [];
+    }
+}
+
+const listText = values => (Array.isArray(values) ? values.join('; ') : '');
+
+/**
+ * Relevance scoring for text search. Each sought word scores its best match
+ * across fields: field weight times match quality (exact, prefix, wildcard, typo).
+ * Words found close together, in order, within one field earn a proximity bonus.
+ * explain() also reports which fields matched and where, for highlighting.
+ */
+export class SearchRanker {
+    // Heaviest first; the label names the field in result snippets
+    static FIELDS = [
+        { key: 'record_series_title', label: 'Title', weight: 10, read: item => item.record_series_title },
+        { key: 'schedule_number', label: 'Schedule', weight: 6, read: item => item.schedule_number },
+        { key: 'item_number', label: 'Item', weight: 6, read: item => item.item_number },
+        { key: 'tags', label: 'Tags', weight: 5, read: item => listText(item.tags) },
+        { key: 'division', label: 'Division', weight: 4, read: item => item.division },
+        { key: 'seriesDescription', label: 'Description', weight: 3, read: item => item.ui_extras?.seriesDescription },
+        { key: 'retention_text', label: 'Retention', weight: 3, read: item => item.retention_text },
+        { key: 'omb_or_statute_refs', label: 'Statutes', weight: 3, read: item => listText(item.omb_or_statute_refs) },
+        { key: 'media_types', label: 'Media', weight: 2, read: item => listText(item.media_types) },
+        { key: 'approval_status', label: 'Status', weight: 2, read: item => item.approval_status },
+        { key: 'notes', label: 'Notes', weight: 1, read: item => item.notes },
+        { key: 'seriesContact', label: 'Contact', weight: 1, read: item => item.ui_extras?.seriesContact },
+        { key: 'arrangement', label: 'Arrangement', weight: 1, read: item => item.ui_extras?.arrangement }
+    ];
+
+    static MATCH_QUALITY = { exact: 1, prefix: 0.8, wildcard: 0.7, typo: 0.5 };
+
+    // Scores one text word against one query word; 0 when it does not match
+    static wordMatcher(word, fuzzy) {
+        const quality = SearchRanker.MATCH_QUALITY;
+        if (word.includes('*')) {
+            const pattern = SearchQuery.wildcardPattern(word);
+            return candidate => (pattern.test(candidate) ? quality.wildcard : 0);
+        }
+        return (candidate) => {
+            if (candidate === word) return quality.exact;
+            if (candidate.startsWith(word)) return quality.prefix;
+            return fuzzy && SearchQuery.isNearMiss(word, candidate) ? quality.typo : 0;
+        };
+    }
+
+    // Lower-cased words with their character offsets in the original text
+    static wordSpans(text) {
+        return [...String(text).matchAll(/[\p{L}\p{N}]+/gu)]
+            .map(match => ({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length }));
+    }
+
+    // Word distance between the nearest pair; a pair out of order counts one further apart
+    static closestGap(firstPositions, secondPositions) {
+        let gap = Infinity;
+        firstPositions.forEach(first => secondPositions.forEach(second => {
+            gap = Math.min(gap, second > first ? second - first : first - second + 1);
+        }));
+        return gap;
+    }
+
+    // { score, fields: [{ key, label, text, ranges: [[start, end], ...] }] } in field weight order
+    static explain(item, words, options = {}) {
+        const matchers = words.map(word => SearchRanker.wordMatcher(word, options.fuzzy));
+        const best = words.map(() => 0);
+        const fields = [];
+        let proximity = 0;
+
+        SearchRanker.FIELDS.forEach((field) => {
+            const value = field.read(item);
+            if (value == null || value === '') return;
+            const text = String(value);
+            const positions = matchers.map(() => []);
+            const ranges = [];
+
+            SearchRanker.wordSpans(text).forEach((span, position) => {
+                let matched = false;
+                matchers.forEach((matcher, index) => {
+                    const quality = matcher(span.word);
+                    if (quality === 0) return;
+                    best[index] = Math.max(best[index], quality * field.weight);
+                    positions[index].push(position);
+                    matched = true;
+                });
+                if (matched) ranges.push([span.start, span.end]);
+            });
+            if (ranges.length === 0) return;
+
+            fields.push({ key: field.key, label: field.label, text, ranges });
+            for (let index = 1; index < positions.length; index++) {
+                const gap = SearchRanker.closestGap(positions[index - 1], positions[index]);
+                if (gap !== Infinity) proximity += field.weight / (2 * gap);
+            }
+        });
+
+        return { score: best.reduce((sum, score) => sum + score, 0) + proximity, fields };
+    }
+
+    // Best first; the sort is stable, so equal scores keep their incoming order
+    static rank(items, words, options = {}) {
+        const scores = new Map(items.map(item => [item, SearchRanker.explain(item, words, options).score]));
+        return items.sort((a, b) => scores.get(b) - scores.get(a));
+    }
+
+    // A short excerpt around the first range, with the ranges moved to match
+    static snippet(text, ranges, radius = 40) {
+        const [firstStart, firstEnd] = ranges[0];
+        let start = Math.max(0, firstStart - radius);
+        let end = Math.min(text.length, firstEnd + radius * 2);
+        // Don't cut words in half
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space < firstStart) start = space + 1;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > firstEnd) end = space;
+        }
+
+        const lead = start > 0 ? '\u2026' : '';
+        return {
+            text: `${lead}${text.slice(start, end)}${end < text.length ? '\u2026' : ''}`,
+            ranges: ranges
+                .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+                .map(([rangeStart, rangeEnd]) => [rangeStart - start + lead.length, rangeEnd - start + lead.length])
+        };
+    }
+}
+
+/**
+ * Raised for a date range filter that cannot be read or runs backwards.
+ * `bound` is 'from' or 'to', the end of the range at fault.
+ */
+export class DateRangeError extends Error {
+    constructor(message, bound) {
+        super(message);
+        this.name = 'DateRangeError';
+        this.type = ERROR_TYPES.VALIDATION;
+        this.bound = bound;
+    }
+}
+
+/**
+ * Partial ISO dates as periods of whole days: "1998" is the whole year, "1998-06"
+ * the whole month. A coverage end of "present" is open-ended. Periods are
+ * { start, end } day strings, which compare correctly as text.
+ */
+export class DateRange {
+    static OPEN_START = '0000-01-01';
+    static OPEN_END = '9999-12-31';
+
+    // The period a YYYY, YYYY-MM or YYYY-MM-DD value stands for; null when unreadable
+    static parse(value) {
+        const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(String(value ?? '').trim());
+        if (!match) return null;
+
+        const [, year, month, day] = match;
+        if (!month) return { start: `${year}-01-01`, end: `${year}-12-31` };
+        if (Number(month) < 1 || Number(month) > 12) return null;
+
+        const lastDay = DateRange.daysInMonth(year, month);
+        if (!day) return { start: `${year}-${month}-01`, end: `${year}-${month}-${String(lastDay).padStart(2, '0')}` };
+        if (Number(day) < 1 || Number(day) > lastDay) return null;
+        return { start: `${year}-${month}-${day}`, end: `${year}-${month}-${day}` };
+    }
+
+    static daysInMonth(year, month) {
+        return new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    }
+
+    static isPresent(value) {
+        return String(value ?? '').trim().toLowerCase() === 'present';
+    }
+
+    // What a series covers. A missing (or unreadable) end means the start period alone,
+    // a missing start means everything up to the end. null when neither is usable.
+    static coverage(item) {
+        const start = DateRange.parse(item.dates_covered_start);
+        const end = DateRange.isPresent(item.dates_covered_end)
+            ? { end: DateRange.OPEN_END }
+            : DateRange.parse(item.dates_covered_end);
+        if (!start && !end) return null;
+
+        return {
+            start: start ? start.start : DateRange.OPEN_START,
+            end: end ? end.end : start.end
+        };
+    }
+
+    // Filter bounds from the two (optional) filter values; "present" as the upper bound is the same as none
+    static bounds(from, to, label = 'Date') {
+        const lower = from ? DateRange.parse(from) : null;
+        if (from && !lower) {
+            throw new DateRangeError(`${label} from "${from}" must be YYYY, YYYY-MM or YYYY-MM-DD`, 'from');
+        }
+        if (DateRange.isPresent(to)) to = '';
+        const upper = to ? DateRange.parse(to) : null;
+        if (to && !upper) {
+            throw new DateRangeError(`${label} to "${to}" must be YYYY, YYYY-MM or YYYY-MM-DD`, 'to');
+        }
+        if (lower && upper && lower.start > upper.end) {
+            throw new DateRangeError(`${label} from ${from} is after ${to}`, 'to');
+        }
+
+        return {
+            start: lower ? lower.start : DateRange.OPEN_START,
+            end: upper ? upper.end : DateRange.OPEN_END
+        };
+    }
+
+    static overlaps(period, bounds) {
+        return Boolean(period) && period.start <= bounds.end && period.end >= bounds.start;
+    }
+}
+
+/**
+ * Tamper-evident hash chain over audit events.
+ * Each event's hash covers its own content plus the previous event's hash.
+ */
+export class AuditChain {
+    static GENESIS = '0'.repeat(64);
+
+    // Stable serialization: sorted top-level keys, chain fields excluded
+    static canonicalize(event) {
+        const content = {};
+        Object.keys(event)
+            .filter(key => key !== 'hash' && key !== 'prev_hash' && key !== '_id')
+            .sort()
+            .forEach(key => {
+                content[key] = event[key];
+            });
+        return JSON.stringify(content);
+    }
+
+    static async hashEvent(prevHash, event) {
+        const data = new TextEncoder().encode(`${prevHash}|${AuditChain.canonicalize(event)}`);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Walk events in chain order and report the first broken link.
+    // `sealed` is how many events a chain head kept elsewhere says were already hashed.
+    static async verify(events, { sealed = 0 } = {}) {
+        let prevHash = AuditChain.GENESIS;
+        let verified = 0;
+
+        for (let index = 0; index < events.length; index++) {
+            const event = events[index];
+
+            if (!event.hash) {
+                if (index < sealed) {
+                    return { ok: false, index, event, verified, reason: 'event has no hash but the chain head covers it (its hash was removed)' };
+                }
+                // Unsealed events are only legitimate at the tail (written but not sealed yet)
+                if (events.slice(index + 1).some(later => later.hash)) {
+                    return { ok: false, index, event, verified, reason: 'event has no hash but later events do' };
+                }
+                return { ok: true, verified, pending: events.length - index, headHash: prevHash };
+            }
+
+            if (event.prev_hash !== prevHash) {
+                return { ok: false, index, event, verified, reason: 'link to the previous event is broken (an event was removed, inserted or reordered)' };
+            }
+
+            const expected = await AuditChain.hashEvent(prevHash, event);
+            if (expected !== event.hash) {
+                return { ok: false, index, event, verified, reason: 'content does not match its hash (the event was edited)' };
+            }
+
+            prevHash = event.hash;
+            verified++;
+        }
+
+        return { ok: true, verified, pending: 0, headHash: prevHash };
+    }
+}
+
+/**
+ * Raised when a save would create a second series with the same
+ * [schedule_number + item_number] pair. Carries the conflicting record.
+ */
+export class DuplicateSeriesError extends Error {
+    constructor(item, conflict) {
+        const title = conflict.record_series_title || 'Untitled';
+        super(`Schedule ${item.schedule_number} item ${item.item_number} already exists: "${title}" (record #${conflict._id})`);
+        this.name = 'DuplicateSeriesError';
+        this.type = ERROR_TYPES.VALIDATION;
+        this.item = item;
+        this.conflict = conflict;
+    }
+}
+
+// The current series store and its indexes, as the schema steps create it
+const createSeriesStore = (db) => {
+    const seriesStore = db.createObjectStore('series', { keyPath: '_id', autoIncrement: true });
+    seriesStore.createIndex('schedule_number_item_number', ['schedule_number', 'item_number'], { unique: false });
+    seriesStore.createIndex('record_series_title', 'record_series_title', { unique: false });
+    seriesStore.createIndex('division', 'division', { unique: false });
+    seriesStore.createIndex('schedule_number', 'schedule_number', { unique: false });
+    seriesStore.createIndex('dates_covered_start', 'dates_covered_start', { unique: false });
+    seriesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    return seriesStore;
+};
+
+/**
+ * IndexedDB schema history, one named step per database version.
+ * Each step runs inside the versionchange transaction and calls done() when
+ * its requests are issued. Steps marked destructive list the stores they
+ * rewrite or drop in `backup`; those stores are snapshotted first.
+ */
+export const DB_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial-schema',
+        migrate(db, transaction, done) {
+            const scheduleStore = db.createObjectStore('schedules', { autoIncrement: true });
+            scheduleStore.createIndex('schedule_number', 'schedule_number', { unique: true });
+            scheduleStore.createIndex('approval_status', 'approval_status', { unique: false });
+            scheduleStore.createIndex('approval_date', 'approval_date', { unique: false });
+
+            const seriesItemsStore = db.createObjectStore('series_items', { autoIncrement: true });
+            seriesItemsStore.createIndex('schedule_id', 'schedule_id', { unique: false });
+            seriesItemsStore.createIndex('schedule_item', ['schedule_id', 'item_number'], { unique: true });
+            seriesItemsStore.createIndex('division', 'division', { unique: false });
+            seriesItemsStore.createIndex('record_series_title', 'record_series_title', { unique: false });
+
+            const auditStore = db.createObjectStore('audit_events', { autoIncrement: true });
+            auditStore.createIndex('entity', 'entity', { unique: false });
+            auditStore.createIndex('action', 'action', { unique: false });
+            auditStore.createIndex('at', 'at', { unique: false });
+            done();
+        }
+    },
+    {
+        version: 2,
+        name: 'audit-entity-action-date-index',
+        migrate(db, transaction, done) {
+            const auditStore = transaction.objectStore('audit_events');
+            if (!auditStore.indexNames.contains('entity_action_date')) {
+                auditStore.createIndex('entity_action_date', ['entity', 'entity_id', 'at'], { unique: false });
+            }
+            done();
+        }
+    },
+    {
+        // Schedules and series items were merged into one series record
+        version: 3,
+        name: 'merge-schedules-into-series',
+        destructive: true,
+        backup: ['schedules', 'series_items'],
+        migrate(db, transaction, done) {
+            ['schedules', 'series_items'].forEach(storeName => {
+                if (db.objectStoreNames.contains(storeName)) {
+                    db.deleteObjectStore(storeName);
+                }
+            });
+            done();
+        }
+    },
+    {
+        // Recreate series with schedule_number naming and the current index set
+        version: 4,
+        name: 'rename-application-number-to-schedule-number',
+        destructive: true,
+        backup: ['series'],
+        migrate(db, transaction, done) {
+            if (!db.objectStoreNames.contains('series')) {
+                createSeriesStore(db);
+                done();
+                return;
+            }
+
+            const getAllRequest = transaction.objectStore('series').getAll();
+            getAllRequest.onsuccess = () => {
+                const existingData = getAllRequest.result || [];
+                db.deleteObjectStore('series');
+                const seriesStore = createSeriesStore(db);
+
+                const toArr = v => Array.isArray(v) ? v :
+                    (typeof v === 'string' ? v.split(/[,;\n]/).map(x => x.trim()).filter(Boolean) : []);
+
+                existingData.forEach(item => {
+                    if (item.application_number && !item.schedule_number) {
+                        item.schedule_number = item.application_number;
+                    }
+                    delete item.application_number;
+
+                    item.tags = toArr(item.tags);
+                    item.media_types = toArr(item.media_types);
+                    item.omb_or_statute_refs = toArr(item.omb_or_statute_refs);
+                    item.related_series = toArr(item.related_series);
+                    item.ui_extras = item.ui_extras || {};
+
+                    delete item.retention_is_permanent;
+                    delete item.schedule_id;
+
+                    seriesStore.add(item);
+                });
+                done();
+            };
+            getAllRequest.onerror = () => done(getAllRequest.error);
+        }
+    },
+    {
+        // Local user profiles for audit attribution
+        version: 5,
+        name: 'users-store',
+        migrate(db, transaction, done) {
+            const usersStore = db.createObjectStore('users', { keyPath: '_id', autoIncrement: true });
+            usersStore.createIndex('name', 'name', { unique: true });
+            done();
+        }
+    },
+    {
+        // Deleted series are kept here, under their original _id, until purged
+        version: 6,
+        name: 'trash-store',
+        migrate(db, transaction, done) {
+            const trashStore = db.createObjectStore('trash', { keyPath: '_id' });
+            trashStore.createIndex('deleted_at', 'deleted_at', { unique: false });
+            done();
+        }
+    },
+    {
+        // Token index for text search, built from the existing records
+        version: 7,
+        name: 'search-token-index',
+        migrate(db, transaction, done) {
+            const indexStore = db.createObjectStore(SEARCH_INDEX_STORE, { keyPath: 'series_id' });
+            indexStore.createIndex('token', 'tokens', { unique: false, multiEntry: true });
+            rebuildSearchIndexStore(transaction, (error) => done(error));
+        }
+    },
+    {
+        // Approval status became searchable text, so existing entries are rebuilt
+        version: 8,
+        name: 'index-approval-status',
+        migrate(db, transaction, done) {
+            rebuildSearchIndexStore(transaction, (error) => done(error));
+        }
+    },
+    {
+        // Saved searches, listed by position
+        version: 9,
+        name: 'saved-searches-store',
+        migrate(db, transaction, done) {
+            db.createObjectStore(SAVED_SEARCH_STORE, { keyPath: '_id', autoIncrement: true });
+            done();
+        }
+    }
+];
+
+/**
+ * Runs the pending DB_MIGRATIONS steps in order inside one versionchange
+ * transaction. Any failing step aborts the whole upgrade, so the database
+ * stays at its previous version with its data untouched.
+ */
+export class MigrationRunner {
+    static BACKUP_STORE = 'migration_backups';
+
+    static latestVersion(migrations = DB_MIGRATIONS) {
+        return migrations.reduce((latest, step) => Math.max(latest, step.version), 0);
+    }
+
+    static pending(oldVersion, newVersion, migrations = DB_MIGRATIONS) {
+        return migrations
+            .filter(step => step.version > oldVersion && step.version <= newVersion)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    // callback(error, appliedSteps); appliedSteps carry the backup key when one was taken
+    static run(db, transaction, oldVersion, newVersion, callback, migrations = DB_MIGRATIONS) {
+        const steps = MigrationRunner.pending(oldVersion, newVersion, migrations);
+        const applied = [];
+
+        const fail = (step, error) => {
+            const wrapped = new Error(`Migration v${step.version} (${step.name}) failed: ${error.message || error}`);
+            wrapped.type = ERROR_TYPES.DATABASE;
+            try { transaction.abort(); } catch (e) { /* already finished */ }
+            callback(wrapped, applied);
+        };
+
+        const runStep = (index) => {
+            if (index >= steps.length) {
+                callback(null, applied);
+                return;
+            }
+
+            const step = steps[index];
+            const execute = (backupKey) => {
+                try {
+                    step.migrate(db, transaction, (error) => {
+                        if (error) {
+                            fail(step, error);
+                            return;
+                        }
+                        applied.push({ version: step.version, name: step.name, backupKey });
+                        runStep(index + 1);
+                    });
+                } catch (error) {
+                    fail(step, error);
+                }
+            };
+
+            if (step.destructive && oldVersion > 0) {
+                MigrationRunner.backup(db, transaction, step, oldVersion, (error, backupKey) => {
+                    if (error) {
+                        fail(step, error);
+                        return;
+                    }
+                    execute(backupKey);
+                });
+            } else {
+                execute(null);
+            }
+        };
+
+        runStep(0);
+    }
+
+    // Snapshot the stores a destructive step touches into the backup store, in the same transaction
+    static backup(db, transaction, step, oldVersion, callback) {
+        if (!db.objectStoreNames.contains(MigrationRunner.BACKUP_STORE)) {
+            db.createObjectStore(MigrationRunner.BACKUP_STORE, { autoIncrement: true });
+        }
+
+        const storeNames = (step.backup || []).filter(name => db.objectStoreNames.contains(name));
+        const snapshot = {
+            version: step.version,
+            name: step.name,
+            from_version: oldVersion,
+            created_at: new Date().toISOString(),
+            stores: {}
+        };
+
+        const readStore = (index) => {
+            if (index >= storeNames.length) {
+                const request = transaction.objectStore(MigrationRunner.BACKUP_STORE).add(snapshot);
+                request.onsuccess = () => callback(null, request.result);
+                request.onerror = () => callback(request.error);
+                return;
+            }
+
+            const request = transaction.objectStore(storeNames[index]).getAll();
+            request.onsuccess = () => {
+                snapshot.stores[storeNames[index]] = request.result || [];
+                readStore(index + 1);
+            };
+            request.onerror = () => callback(request.error);
+        };
+
+        readStore(0);
+    }
+}
+
+/**
+ * Open (and migrate) the database, then build the repositories on it.
+ * `indexedDB` and `IDBKeyRange` are injectable so Node can pass an in-memory implementation.
+ */
+export async function openRepositories(options = {}) {
+    const {
+        indexedDB = globalThis.indexedDB,
+        IDBKeyRange = globalThis.IDBKeyRange,
+        name = 'RecordsRetentionRecords',
+        migrations = DB_MIGRATIONS,
+        version = MigrationRunner.latestVersion(migrations)
+    } = options;
+
+    const { db, applied } = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        let appliedMigrations = [];
+        let migrationError = null;
+
+        request.onerror = () => reject(migrationError || request.error);
+        request.onsuccess = () => resolve({ db: request.result, applied: appliedMigrations });
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            const transaction = event.target.transaction;
+
+            MigrationRunner.run(db, transaction, event.oldVersion, version, (error, steps) => {
+                if (error) {
+                    migrationError = error;
+                    return;
+                }
+                appliedMigrations = steps.map(step => ({ ...step, from_version: event.oldVersion }));
+            }, migrations);
+        };
+    });
+
+    const audit = new AuditRepository(db, { ...options, IDBKeyRange });
+    const savedSearches = new SavedSearchRepository(db);
+    const series = new SeriesRepository(db, { ...options, IDBKeyRange, audit, savedSearches });
+
+    // The audit store may itself be created by a migration, so steps are logged once the upgrade has committed
+    await audit.logMigrations(applied).catch(error => audit.onError(error, 'Log database migrations'));
+
+    return { db, audit, series, savedSearches, applied };
+}
+
+/**
+ * Audit trail: event log, queries and the tamper-evident hash chain.
+ */
+export class AuditRepository {
+    static CHAIN_HEAD_KEY = 'iletsb_audit_chain_head';
+
+    // options: storage (localStorage-like, for the chain head), getActor(), onError(error, context)
+    constructor(db, options = {}) {
+        this.db = db;
+        this.IDBKeyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+        this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage || null);
+        this.getActor = options.getActor || (() => 'local-user');
+        this.onError = options.onError || ((error, context) => console.error(context, error));
+        this.sealScheduled = false;
+        this.sealQueue = null;
+    }
+
+    // `fields` overrides event fields, e.g. the actor and time of an imported event
+    async log(entity, entityId, action, payload, transaction = null, fields = {}) {
+        return new Promise((resolve, reject) => {
+            // If no transaction is passed, create a new one
+            const trans = transaction || this.db.transaction(['audit_events'], 'readwrite');
+            const store = trans.objectStore('audit_events');
+            
+            const event = {
+                entity,
+                entity_id: entityId,
+                action,
+                actor: this.getActor(),
+                at: new Date().toISOString(),
+                payload: JSON.stringify(payload),
+                ...fields
+            };
+            
+            const request = store.add(event);
+            request.onsuccess = () => {
+                // The sealing read is queued behind this transaction, so it runs once it commits
+                this.seal();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            
+            // Don't commit if the transaction was passed in from outside
+            // The calling function will handle committing
+        });
+    }
+
+    // Audit Chain Sealing
+    // WebCrypto digests are asynchronous and would let an IndexedDB transaction
+    // auto-commit mid-write, so events are hashed in a serialized step right
+    // after the transaction that wrote them commits. Only log() starts one.
+    seal() {
+        if (this.sealScheduled) return this.sealQueue;
+        
+        this.sealScheduled = true;
+        this.sealQueue = (this.sealQueue || Promise.resolve())
+            .then(() => {
+                this.sealScheduled = false;
+                return this.sealPending();
+            })
+            .catch(error => this.onError(error, 'Seal audit chain'));
+        return this.sealQueue;
+    }
+
+    // Resolves once the sealing log() has already started is done; starts none itself
+    sealed() {
+        return this.sealQueue || Promise.resolve();
+    }
+
+    async sealPending() {
+        // Walk back from the newest event to the last sealed one. Events the stored head covers
+        // are never sealed again, so one whose hash was removed stays broken for verify().
+        const storedHead = this.getChainHead();
+        const range = storedHead?.key != null ? this.IDBKeyRange.lowerBound(storedHead.key, true) : null;
+        const { pending, headHash } = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['audit_events'], 'readonly');
+            const request = transaction.objectStore('audit_events').openCursor(range, 'prev');
+            const unsealed = [];
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || cursor.value.hash) {
+                    resolve({
+                        pending: unsealed.reverse(),
+                        headHash: cursor ? cursor.value.hash : (range ? storedHead.hash : AuditChain.GENESIS)
+                    });
+                    return;
+                }
+                unsealed.push({ key: cursor.primaryKey, value: cursor.value });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        
+        if (pending.length === 0) return;
+        
+        let prevHash = headHash;
+        for (const entry of pending) {
+            entry.value.prev_hash = prevHash;
+            entry.value.hash = await AuditChain.hashEvent(prevHash, entry.value);
+            prevHash = entry.value.hash;
+        }
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['audit_events'], 'readwrite');
+            const store = transaction.objectStore('audit_events');
+            pending.forEach(entry => store.put(entry.value, entry.key));
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        this.saveChainHead({ hash: prevHash, key: pending[pending.length - 1].key });
+    }
+
+    // The head is also kept outside IndexedDB so removing events from the end is detectable
+    saveChainHead(head) {
+        try {
+            if (this.storage) this.storage.setItem(AuditRepository.CHAIN_HEAD_KEY, JSON.stringify(head));
+        } catch (e) {
+            // If storage is unavailable, verification falls back to the chain alone
+        }
+    }
+
+    getChainHead() {
+        try {
+            return this.storage ? JSON.parse(this.storage.getItem(AuditRepository.CHAIN_HEAD_KEY) || 'null') : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // A cleared audit store starts a fresh chain
+    clearChainHead() {
+        try {
+            if (this.storage) this.storage.removeItem(AuditRepository.CHAIN_HEAD_KEY);
+        } catch (e) {
+            // If storage is unavailable, continue
+        }
+    }
+
+    // Read-only: waits for sealing already under way, but never seals or writes anything
+    async verify() {
+        await this.sealed();
+        
+        const { events, keys } = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['audit_events'], 'readonly');
+            const store = transaction.objectStore('audit_events');
+            const eventsRequest = store.getAll();
+            const keysRequest = store.getAllKeys();
+            transaction.oncomplete = () => resolve({ events: eventsRequest.result || [], keys: keysRequest.result || [] });
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        // Every event up to the stored head was sealed on this workstation and must still carry its hash
+        const storedHead = this.getChainHead();
+        const sealed = storedHead?.key != null ? keys.filter(key => key <= storedHead.key).length : 0;
+        const result = await AuditChain.verify(events, { sealed });
+        
+        if (result.ok) {
+            if (storedHead && storedHead.hash !== result.headHash) {
+                return {
+                    ...result,
+                    ok: false,
+                    reason: 'the newest events recorded on this workstation are missing (events were removed from the end)'
+                };
+            }
+        }
+        
+        return result;
+    }
+
+    describeChainHead(auditEvents) {
+        const sealed = auditEvents.filter(event => event.hash);
+        return {
+            hash: sealed.length > 0 ? sealed[sealed.length - 1].hash : AuditChain.GENESIS,
+            events: sealed.length
+        };
+    }
+
+    // Check the audit log inside an import file against the chain head it was exported with
+    async verifyImported(auditEvents, chainHead) {
+        if (auditEvents.length === 0) return null;
+        if (!chainHead || !chainHead.hash) {
+            return { ok: null, message: 'Audit log in this file carries no chain head and cannot be verified' };
+        }
+        
+        const result = await AuditChain.verify(auditEvents);
+        if (!result.ok) {
+            return { ok: false, message: `Audit log in this file is broken at event ${result.index + 1}: ${result.reason}` };
+        }
+        if (result.headHash !== chainHead.hash) {
+            return { ok: false, message: 'Audit log in this file does not end at the chain head recorded at export (events were removed or added)' };
+        }
+        return { ok: true, message: `Audit log in this file verified: ${result.verified} events, chain intact` };
+    }
+
+    async getAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['audit_events'], 'readonly');
+            const request = transaction.objectStore('audit_events').getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Record History
+    async getForSeries(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['audit_events'], 'readonly');
+            const index = transaction.objectStore('audit_events').index('entity_action_date');
+            // ISO timestamps sort as strings, so ['', '￿'] spans every event for this record
+            const range = this.IDBKeyRange.bound(['series', id, ''], ['series', id, '￿']);
+            const request = index.getAll(range);
+
+            request.onsuccess = () => {
+                const events = (request.result || []).map(event => ({
+                    ...event,
+                    payload: this.parsePayload(event.payload)
+                }));
+                resolve(events);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    parsePayload(payload) {
+        if (typeof payload !== 'string') return payload || {};
+        try {
+            return JSON.parse(payload) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Audit Log Queries
+    async query(criteria = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['audit_events'], 'readonly');
+            const store = transaction.objectStore('audit_events');
+            
+            // Narrow with the most selective index available, then filter the rest in memory
+            let request;
+            if (criteria.action) {
+                request = store.index('action').getAll(criteria.action);
+            } else if (criteria.from || criteria.to) {
+                let range;
+                if (criteria.from && criteria.to) {
+                    range = this.IDBKeyRange.bound(criteria.from, criteria.to);
+                } else if (criteria.from) {
+                    range = this.IDBKeyRange.lowerBound(criteria.from);
+                } else {
+                    range = this.IDBKeyRange.upperBound(criteria.to);
+                }
+                request = store.index('at').getAll(range);
+            } else if (criteria.entity) {
+                request = store.index('entity').getAll(criteria.entity);
+            } else {
+                request = store.getAll();
+            }
+            
+            request.onsuccess = () => {
+                const events = (request.result || [])
+                    .map(event => ({ ...event, payload: this.parsePayload(event.payload) }))
+                    .filter(event => this.matchesCriteria(event, criteria))
+                    .sort((a, b) => String(b.at || '').localeCompare(String(a.at || '')));
+                resolve(events);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    matchesCriteria(event, criteria) {
+        const payload = event.payload || {};
+        const current = payload.after || payload.before || {};
+        
+        if (criteria.entity && event.entity !== criteria.entity) return false;
+        if (criteria.action && event.action !== criteria.action) return false;
+        if (criteria.from && String(event.at || '') < criteria.from) return false;
+        if (criteria.to && String(event.at || '') > criteria.to) return false;
+        
+        if (criteria.actor && event.actor !== criteria.actor) return false;
+        
+        if (criteria.scheduleNumber) {
+            const scheduleNumber = payload.schedule_number || current.schedule_number ||
+                (typeof event.entity_id === 'string' ? event.entity_id.replace('sched_', '') : '');
+            if (scheduleNumber !== criteria.scheduleNumber) return false;
+        }
+        
+        if (criteria.division) {
+            const divisions = [payload.before?.division, payload.after?.division]
+                .filter(Boolean)
+                .map(division => division.toLowerCase());
+            if (!divisions.includes(criteria.division.toLowerCase())) return false;
+        }
+        
+        if (criteria.text) {
+            const haystack = JSON.stringify(payload).toLowerCase();
+            if (!haystack.includes(criteria.text.toLowerCase())) return false;
+        }
+        
+        return true;
+    }
+
+    // Each applied schema step becomes a 'migrate' event on the 'database' entity
+    async logMigrations(applied) {
+        for (const step of applied) {
+            await this.log('database', `v${step.version}`, 'migrate', {
+                name: step.name,
+                version: step.version,
+                from_version: step.from_version,
+                backup_key: step.backupKey
+            });
+        }
+    }
+}
+
+/**
+ * Saved searches: named search criteria (as the search pane builds them, without the
+ * parsed query) in a user-defined order. They travel with JSON exports.
+ */
+export class SavedSearchRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static cleanName(name) {
+        const cleaned = String(name ?? '').trim();
+        if (!cleaned) throw new Error('A saved search needs a name');
+        return cleaned;
+    }
+
+    // Only the plain criteria fields are kept; the parsed query is rebuilt from searchText
+    static cleanCriteria(criteria = {}) {
+        return JSON.parse(JSON.stringify({ ...criteria, query: undefined }));
+    }
+
+    // In list order
+    async getAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SAVED_SEARCH_STORE], 'readonly');
+            const request = transaction.objectStore(SAVED_SEARCH_STORE).getAll();
+            
+            request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.position - b.position));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SAVED_SEARCH_STORE], 'readonly');
+            const request = transaction.objectStore(SAVED_SEARCH_STORE).get(id);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Added at the end of the list
+    async create(name, criteria) {
+        const existing = await this.getAll();
+        const now = new Date().toISOString();
+        const search = {
+            name: SavedSearchRepository.cleanName(name),
+            criteria: SavedSearchRepository.cleanCriteria(criteria),
+            position: existing.length > 0 ? existing[existing.length - 1].position + 1 : 0,
+            created_at: now,
+            updated_at: now
+        };
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SAVED_SEARCH_STORE], 'readwrite');
+            const request = transaction.objectStore(SAVED_SEARCH_STORE).add(search);
+            
+            request.onsuccess = () => {
+                search._id = request.result;
+            };
+            transaction.oncomplete = () => resolve(search);
+            transaction.onabort = () => reject(transaction.error || new Error('Saved search transaction aborted'));
+        });
+    }
+
+    async rename(id, name) {
+        const cleaned = SavedSearchRepository.cleanName(name);
+        return this.update(id, search => ({ ...search, name: cleaned }));
+    }
+
+    async update(id, change) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SAVED_SEARCH_STORE], 'readwrite');
+            const store = transaction.objectStore(SAVED_SEARCH_STORE);
+            let updated = null;
+            
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) {
+                    reject(new Error(`Saved search #${id} not found`));
+                    return;
+                }
+                updated = { ...change(request.result), _id: id, updated_at: new Date().toISOString() };
+                store.put(updated);
+            };
+            
+            transaction.oncomplete = () => updated && resolve(updated);
+            transaction.onabort = () => reject(transaction.error || new Error('Saved search transaction aborted'));
+        });
+    }
+
+    // Renumber positions to follow ids; searches not listed keep their relative order after them
+    async reorder(ids) {
+        const searches = await this.getAll();
+        const rank = new Map(ids.map((id, index) => [id, index]));
+        const ordered = [...searches].sort((a, b) => (rank.get(a._id) ?? ids.length + a.position) - (rank.get(b._id) ?? ids.length + b.position));
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SAVED_SEARCH_STORE], 'readwrite');
+            const store = transaction.objectStore(SAVED_SEARCH_STORE);
+            ordered.forEach((search, position) => {
+                if (search.position !== position) {
+                    search.position = position;
+                    store.put(search);
+                }
+            });
+            transaction.oncomplete = () => resolve(ordered);
+            transaction.onabort = () => reject(transaction.error || new Error('Saved search transaction aborted'));
+        });
+    }
+
+    // Move one place up (offset -1) or down (offset 1); a no-op at either end of the list
+    async move(id, offset) {
+        const ids = (await this.getAll()).map(search => search._id);
+        const from = ids.indexOf(id);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= ids.length) return this.getAll();
+        
+        [ids[from], ids[to]] = [ids[to], ids[from]];
+        return this.reorder(ids);
+    }
+
+    async delete(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SAVED_SEARCH_STORE], 'readwrite');
+            transaction.objectStore(SAVED_SEARCH_STORE).delete(id);
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error || new Error('Saved search transaction aborted'));
+        });
+    }
+
+    // Add exported searches in an import transaction, after the existing ones.
+    // A search with the same name and criteria as an existing one is skipped.
+    importInto(transaction, searches, callback) {
+        const store = transaction.objectStore(SAVED_SEARCH_STORE);
+        const request = store.getAll();
+        request.onsuccess = () => {
+            const existing = request.result || [];
+            const seen = new Set(existing.map(search => JSON.stringify([search.name, search.criteria])));
+            let position = existing.reduce((max, search) => Math.max(max, search.position + 1), 0);
+            const result = { imported: 0, alreadyPresent: 0 };
+            
+            try {
+                [...searches].sort((a, b) => (a.position ?? 0) - (b.position ?? 0)).forEach(source => {
+                    const search = {
+                        name: SavedSearchRepository.cleanName(source.name),
+                        criteria: SavedSearchRepository.cleanCriteria(source.criteria),
+                        position: position,
+                        created_at: source.created_at || new Date().toISOString(),
+                        updated_at: source.updated_at || new Date().toISOString()
+                    };
+                    const key = JSON.stringify([search.name, search.criteria]);
+                    if (seen.has(key)) {
+                        result.alreadyPresent++;
+                        return;
+                    }
+                    seen.add(key);
+                    store.add(search);
+                    position++;
+                    result.imported++;
+                });
+            } catch (error) {
+                callback(error);
+                return;
+            }
+            callback(null, result);
+        };
+        request.onerror = () => callback(request.error);
+    }
+}
+
+/**
+ * Series records: CRUD, trash, undo/redo application, search, import and export.
+ * Every write is audited in the same transaction through the AuditRepository.
+ */
+export class SeriesRepository {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.audit = options.audit;
+        this.IDBKeyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+        this.getActor = options.getActor || (() => (this.audit ? this.audit.getActor() : 'local-user'));
+        // Called with (label, changes) after every committed write, e.g. to feed an undo stack
+        this.onChange = options.onChange || null;
+        this.onError = options.onError || ((error, context) => console.error(context, error));
+        // Listeners for every committed change to the series store, undo and redo included; see onWrite()
+        this.writeListeners = new Set();
+        // Saved searches are exported and imported along with the records
+        this.savedSearches = options.savedSearches || null;
+        // Distinct index tokens for typo-tolerant search; bumping the generation invalidates them
+        this.tokenVocabulary = null;
+        this.searchIndexGeneration = 0;
+    }
+
+    notifyChange(label, changes) {
+        if (this.onChange) this.onChange(label, changes);
+        this.notifyWrite({ label, records: this.writtenRecords(changes, 'after') });
+    }
+
+    // Subscribe to committed writes. Listeners get { label, records: [{ id, record }] }, record being
+    // null once it has left the series store, or { label, cleared: true } after clearAll().
+    // Returns a function that unsubscribes.
+    onWrite(listener) {
+        this.writeListeners.add(listener);
+        return () => this.writeListeners.delete(listener);
+    }
+
+    notifyWrite(event) {
+        this.writeListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                this.onError(error, 'Series write listener');
+            }
+        });
+    }
+
+    // The series store state each undo change leaves behind, read from its 'before' or 'after' side
+    writtenRecords(changes, side) {
+        return changes
+            .filter(change => 'series' in change[side])
+            .map(change => ({ id: change.id, record: change[side].series || null }));
+    }
+
+    // Keep the token index in step with a series write, in the same transaction.
+    // Pass null when the record leaves the series store.
+    updateSearchIndex(transaction, id, item) {
+        this.invalidateTokenVocabulary();
+        const store = transaction.objectStore(SEARCH_INDEX_STORE);
+        return item ? store.put(searchIndexEntry({ ...item, _id: id })) : store.delete(id);
+    }
+
+    async getAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series'], 'readonly');
+            const request = transaction.objectStore('series').getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series'], 'readonly');
+            const request = transaction.objectStore('series').get(id);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async count() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series'], 'readonly');
+            const store = transaction.objectStore('series');
+            const request = store.count();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSchedules() {
+        return this.schedulesFrom(await this.getAll());
+    }
+
+    // Schedules are derived from the schedule fields on each series record
+    schedulesFrom(series) {
+        const scheduleMap = new Map();
+        
+        series.forEach(item => {
+            if (item.schedule_number) {
+                const key = item.schedule_number;
+                if (!scheduleMap.has(key)) {
+                    scheduleMap.set(key, {
+                        _id: `sched_${key}`,
+                        schedule_number: item.schedule_number,
+                        approval_status: item.approval_status,
+                        approval_date: item.approval_date,
+                        division: item.division,
+                        notes: item.notes,
+                        tags: item.tags || []
+                    });
+                }
+            }
+        });
+        
+        return Array.from(scheduleMap.values());
+    }
+
+    async findByNaturalKey(scheduleNumber, itemNumber) {
+        return new Promise((resolve, reject) => {
+            // Series without a full [schedule_number + item_number] pair have no natural key
+            if (!scheduleNumber || !itemNumber) {
+                resolve(null);
+                return;
+            }
+
+            const transaction = this.db.transaction(['series'], 'readonly');
+            const index = transaction.objectStore('series').index('schedule_number_item_number');
+            const request = index.get([scheduleNumber, itemNumber]);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Look up another series holding the same [schedule_number + item_number] pair.
+    // Series without a schedule assignment (or without an item number) are exempt.
+    findNaturalKeyConflict(seriesStore, item, callback) {
+        if (!item.schedule_number || !item.item_number) {
+            callback(null);
+            return;
+        }
+        
+        const request = seriesStore.index('schedule_number_item_number').getAll([item.schedule_number, item.item_number]);
+        request.onsuccess = () => {
+            const matches = request.result || [];
+            callback(matches.find(match => match._id !== item._id) || null);
+        };
+        // On error the request aborts the transaction; the caller's onabort reports it
+    }
+
+    // Only a write that gives a record a new schedule/item pair needs the uniqueness check,
+    // so records already sharing a pair (legacy data) can still be edited
+    movesNaturalKey(before, after) {
+        return Boolean(after && after.schedule_number && after.item_number &&
+            (!before || after.schedule_number !== before.schedule_number || after.item_number !== before.item_number));
+    }
+
+    // Audit payloads carry the identifying fields plus full before/after snapshots
+    buildAuditPayload(before, after) {
+        const current = after || before || {};
+        return {
+            schedule_number: current.schedule_number,
+            item_number: current.item_number,
+            record_series_title: current.record_series_title,
+            before: before ? { ...before } : null,
+            after: after ? { ...after } : null
+        };
+    }
+
+    async save(item, isUpdate = false, options = {}) {
+        return new Promise((resolve, reject) => {
+            // Create a transaction that includes BOTH stores
+            const transaction = this.db.transaction(['series', 'audit_events', SEARCH_INDEX_STORE], 'readwrite');
+            const seriesStore = transaction.objectStore('series');
+            
+            const now = new Date().toISOString();
+            if (!isUpdate) {
+                item.created_at = now;
+            }
+            item.updated_at = now;
+            
+            let duplicateError = null;
+            let undoChange = null;
+            
+            // Capture the stored state first so the audit trail holds a full before/after pair
+            const beforeRequest = isUpdate && item._id != null ? seriesStore.get(item._id) : null;
+            const checkAndWrite = () => {
+                const before = beforeRequest ? beforeRequest.result || null : null;
+                if (!this.movesNaturalKey(before, item)) {
+                    write(before);
+                    return;
+                }
+                
+                // Guard [schedule_number + item_number] uniqueness inside the same transaction
+                this.findNaturalKeyConflict(seriesStore, item, (conflict) => {
+                    if (conflict) {
+                        duplicateError = new DuplicateSeriesError(item, conflict);
+                        transaction.abort();
+                        return;
+                    }
+                    write(before);
+                });
+            };
+            const write = (before) => {
+                const request = isUpdate ? seriesStore.put(item) : seriesStore.add(item);
+                
+                request.onsuccess = () => {
+                    const id = request.result;
+                    item._id = id;
+                    undoChange = { id, before: { series: before }, after: { series: { ...item } } };
+                    this.updateSearchIndex(transaction, id, item);
+                    
+                    // Log the audit event USING THE SAME TRANSACTION
+                    const action = options.action || (isUpdate ? 'update' : 'create');
+                    this.audit.log('series', id, action, {
+                        ...this.buildAuditPayload(before, item),
+                        ...(options.payload || {})
+                    }, transaction).catch(() => {
+                        transaction.abort(); // IMPORTANT: Abort if logging fails
+                    });
+                };
+                
+                request.onerror = () => reject(request.error);
+            };
+            
+            if (beforeRequest) {
+                beforeRequest.onsuccess = checkAndWrite;
+            } else {
+                checkAndWrite();
+            }
+            
+            transaction.oncomplete = () => {
+                const verb = { create: 'Create', restore: 'Restore version of' }[options.action || (isUpdate ? 'update' : 'create')] || 'Edit';
+                this.notifyChange(`${verb} "${item.record_series_title}"`, [undoChange]);
+                resolve(item);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(duplicateError || transaction.error || new Error('Save transaction aborted'));
+        });
+    }
+
+    async delete(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', 'trash', 'audit_events', SEARCH_INDEX_STORE], 'readwrite');
+            const store = transaction.objectStore('series');
+            let undoChange = null;
+            let abortError = null;
+            
+            // Deleting moves the record to the trash; it is only removed for good when purged
+            const beforeRequest = store.get(id);
+            beforeRequest.onsuccess = () => {
+                const before = beforeRequest.result || null;
+                if (!before) {
+                    // Abort so the transaction does not complete with nothing to record
+                    abortError = new Error(`Series record #${id} not found`);
+                    transaction.abort();
+                    return;
+                }
+                
+                const trashed = { ...before, deleted_at: new Date().toISOString(), deleted_by: this.getActor() };
+                undoChange = { id, before: { series: before, trash: null }, after: { series: null, trash: trashed } };
+                const request = store.delete(id);
+                
+                request.onsuccess = () => {
+                    transaction.objectStore('trash').put(trashed);
+                    this.updateSearchIndex(transaction, id, null);
+                    this.audit.log('series', id, 'delete', {
+                        ...this.buildAuditPayload(before, null),
+                        trashed: true
+                    }, transaction).catch(() => transaction.abort());
+                };
+                
+                request.onerror = () => reject(request.error || new Error('Failed to delete series record'));
+            };
+            
+            transaction.oncomplete = () => {
+                this.notifyChange(`Delete "${undoChange.before.series.record_series_title}"`, [undoChange]);
+                resolve();
+            };
+            
+            transaction.onabort = () => reject(abortError || transaction.error || new Error('Transaction aborted during delete'));
+        });
+    }
+
+    async saveSchedule(schedule, isUpdate = false) {
+        // Atomic bulk update for all series with matching schedule_number
+        const series = await this.getAll();
+        const matchingSeries = series.filter(s => s.schedule_number === schedule.schedule_number);
+        
+        if (matchingSeries.length === 0) {
+            return schedule; // No series to update
+        }
+        
+        // Use atomic transaction for bulk update
+        return this.bulkUpdateSchedule(schedule, matchingSeries, isUpdate);
+    }
+
+    async bulkUpdateSchedule(schedule, matchingSeries, isUpdate) {
+        return new Promise((resolve, reject) => {
+            // Start atomic transaction
+            const transaction = this.db.transaction(['series', 'audit_events', SEARCH_INDEX_STORE], 'readwrite');
+            const seriesStore = transaction.objectStore('series');
+            
+            const now = new Date().toISOString();
+            const updatedSeries = [];
+            const auditEvents = [];
+            const undoChanges = [];
+            
+            // Prepare all updates and audit events
+            matchingSeries.forEach(seriesItem => {
+                // Update schedule fields on the series item
+                const updatedItem = { ...seriesItem };
+                updatedItem.schedule_number = schedule.schedule_number;
+                updatedItem.approval_status = schedule.approval_status;
+                updatedItem.approval_date = schedule.approval_date;
+                updatedItem.division = schedule.division || seriesItem.division;
+                updatedItem.notes = schedule.notes;
+                updatedItem.tags = schedule.tags || seriesItem.tags;
+                updatedItem.updated_at = now;
+                
+                updatedSeries.push(updatedItem);
+                undoChanges.push({ id: seriesItem._id, before: { series: seriesItem }, after: { series: updatedItem } });
+                
+                // Prepare audit event for this series
+                auditEvents.push({
+                    id: seriesItem._id,
+                    payload: {
+                        ...this.buildAuditPayload(seriesItem, updatedItem),
+                        bulk_update_fields: ['approval_status', 'approval_date', 'division', 'notes', 'tags']
+                    }
+                });
+            });
+            
+            // Transaction success handler
+            transaction.oncomplete = () => {
+                this.notifyChange(`Bulk update of schedule ${schedule.schedule_number}`, undoChanges);
+                resolve(schedule);
+            };
+            
+            // Transaction error handler - automatic rollback
+            transaction.onerror = (event) => {
+                reject(new Error(`Bulk update transaction failed: ${event.target.error?.message || 'Unknown error'}`));
+            };
+            
+            let duplicateError = null;
+            
+            transaction.onabort = (event) => {
+                if (duplicateError) {
+                    reject(duplicateError);
+                    return;
+                }
+                reject(new Error(`Bulk update transaction aborted: ${event.target.error?.message || 'Transaction aborted'}`));
+            };
+            
+            const writeAll = () => {
+                try {
+                    // Perform all series updates within the transaction
+                    updatedSeries.forEach(item => {
+                        const request = seriesStore.put(item);
+                        request.onerror = () => {
+                            transaction.abort();
+                        };
+                        this.updateSearchIndex(transaction, item._id, item);
+                    });
+                    
+                    // Add all audit events within the same transaction
+                    auditEvents.forEach(({ id, payload }) => {
+                        this.audit.log('series', id, 'schedule_bulk_update', payload, transaction, { at: now }).catch(() => {
+                            transaction.abort();
+                        });
+                    });
+                    
+                } catch (error) {
+                    transaction.abort();
+                }
+            };
+            
+            // Guard [schedule_number + item_number] uniqueness within the batch itself...
+            const moved = updatedSeries.filter((item, index) => this.movesNaturalKey(matchingSeries[index], item));
+            const seenKeys = new Map();
+            for (const item of moved) {
+                const key = `${item.schedule_number}|${item.item_number}`;
+                if (seenKeys.has(key)) {
+                    duplicateError = new DuplicateSeriesError(item, seenKeys.get(key));
+                    transaction.abort();
+                    return;
+                }
+                seenKeys.set(key, item);
+            }
+            
+            // ...and against the rest of the store before writing anything
+            let pendingChecks = moved.length;
+            if (pendingChecks === 0) {
+                writeAll();
+                return;
+            }
+            moved.forEach(item => {
+                this.findNaturalKeyConflict(seriesStore, item, (conflict) => {
+                    if (duplicateError) return;
+                    if (conflict) {
+                        duplicateError = new DuplicateSeriesError(item, conflict);
+                        transaction.abort();
+                        return;
+                    }
+                    pendingChecks--;
+                    if (pendingChecks === 0) writeAll();
+                });
+            });
+        });
+    }
+
+    async deleteSchedule(id) {
+        // Legacy method - now removes schedule assignment from all matching series
+        const series = await this.getAll();
+        const scheduleNumber = id.replace('sched_', '');
+        const matchingSeries = series.filter(s => s.schedule_number === scheduleNumber);
+        
+        const promises = matchingSeries.map(seriesItem => {
+            // Remove schedule assignment fields
+            delete seriesItem.schedule_number;
+            delete seriesItem.approval_status;
+            delete seriesItem.approval_date;
+            
+            return this.save(seriesItem, true);
+        });
+        
+        await Promise.all(promises);
+        this.audit.log('series', id, 'schedule_unassigned', { schedule_number: scheduleNumber });
+    }
+
+    // Bulk Edit
+    // A results selection changed by one BULK_EDIT_ACTIONS action in a single transaction.
+    // Each record it changes gets its own audit event; the events share a batch_id.
+
+    // The record after `edit` ({ action, value }), or null when the action deletes it
+    applyBulkEdit(item, edit) {
+        const action = BULK_EDIT_ACTIONS[edit.action];
+        if (!action) throw new Error(`Unknown bulk action "${edit.action}"`);
+        if (action.op === 'delete') return null;
+        
+        const updated = { ...item, ui_extras: { ...(item.ui_extras || {}) } };
+        const [target, key] = action.field.startsWith('ui_extras.')
+            ? [updated.ui_extras, action.field.slice('ui_extras.'.length)]
+            : [updated, action.field];
+        
+        if (action.op === 'add' || action.op === 'remove') {
+            const values = this.bulkEditValues(edit.value);
+            const current = Array.isArray(target[key]) ? target[key] : [];
+            target[key] = action.op === 'add'
+                ? [...new Set([...current, ...values])]
+                : current.filter(value => !values.includes(value));
+        } else if (action.op === 'clear') {
+            target[key] = '';
+        } else {
+            target[key] = String(edit.value ?? '').trim();
+        }
+        return updated;
+    }
+
+    // Tag and media type lists arrive as arrays or as text separated like an import cell
+    bulkEditValues(value) {
+        const values = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n]/);
+        return [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+    }
+
+    // What `edit` would do to each record: { id, before, after, changes, errors, conflict, sameSchedule }.
+    // Records it leaves as they are have no changes. A change has errors when it fails validation
+    // or moves a record onto the schedule/item pair of another one, the `conflict`, in the
+    // selection or, when given, in `others` (e.g. every cached record). A schedule action also
+    // plans the records in `others` on the selection's schedules, flagged `sameSchedule`.
+    planBulkEdit(records, edit, others = null) {
+        const planEntry = (before, sameSchedule) => {
+            const after = this.applyBulkEdit(before, edit);
+            const changes = after ? this.diffFields(before, after) : [];
+            // Only problems the edit brings in; older ones are left to the record form
+            const known = this.validate(before).errors;
+            const errors = changes.length > 0 ? this.validate(after).errors.filter(error => !known.includes(error)) : [];
+            return { id: before._id, before, after, changes, errors, conflict: null, sameSchedule };
+        };
+        const scheduleRecords = BULK_EDIT_ACTIONS[edit.action]?.schedule && others ? this.sameScheduleRecords(records, others) : [];
+        const plan = [
+            ...records.map(before => planEntry(before, false)),
+            ...scheduleRecords.map(before => planEntry(before, true))
+        ];
+        
+        const naturalKey = record => (record?.schedule_number && record.item_number ? `${record.schedule_number}|${record.item_number}` : null);
+        const byKey = new Map();
+        plan.filter(entry => naturalKey(entry.after)).forEach(entry => {
+            byKey.set(naturalKey(entry.after), [...(byKey.get(naturalKey(entry.after)) || []), entry]);
+        });
+        const taken = new Map();
+        const planIds = new Set(plan.map(entry => entry.id));
+        (others || []).forEach(other => {
+            if (!planIds.has(other._id) && naturalKey(other)) taken.set(naturalKey(other), other);
+        });
+        
+        plan.filter(entry => this.movesNaturalKey(entry.before, entry.after)).forEach(entry => {
+            const key = naturalKey(entry.after);
+            entry.conflict = byKey.get(key).find(other => other !== entry)?.before || taken.get(key) || null;
+            if (entry.conflict) entry.errors.push(new DuplicateSeriesError(entry.after, entry.conflict).message);
+        });
+        return plan;
+    }
+
+    // The records in `pool` outside `records` that share a schedule_number with one of them
+    sameScheduleRecords(records, pool) {
+        const ids = new Set(records.map(item => item._id));
+        const schedules = new Set(records.map(item => item.schedule_number).filter(Boolean));
+        return pool.filter(item => !ids.has(item._id) && schedules.has(item.schedule_number));
+    }
+
+    // Look for records outside the plan holding a schedule/item pair the plan moves a record to.
+    // Calls back with the clashes found, as [{ entry, conflict }].
+    findBulkEditConflicts(seriesStore, plan, callback) {
+        const planIds = new Set(plan.map(entry => entry.id));
+        const moved = plan.filter(entry => this.movesNaturalKey(entry.before, entry.after));
+        const conflicts = [];
+        let pending = moved.length;
+        if (pending === 0) {
+            callback(conflicts);
+            return;
+        }
+        
+        moved.forEach(entry => {
+            const request = seriesStore.index('schedule_number_item_number').getAll([entry.after.schedule_number, entry.after.item_number]);
+            request.onsuccess = () => {
+                const conflict = (request.result || []).find(series => !planIds.has(series._id));
+                if (conflict) conflicts.push({ entry, conflict });
+                pending--;
+                if (pending === 0) callback(conflicts);
+            };
+            // On error the request aborts the transaction; the caller's onabort reports it
+        });
+    }
+
+    // The stored records for `ids`, in that order, skipping any that are gone
+    readRecords(store, ids, callback) {
+        const records = new Array(ids.length).fill(null);
+        let pending = ids.length;
+        if (pending === 0) {
+            callback([]);
+            return;
+        }
+        
+        ids.forEach((id, index) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                records[index] = request.result || null;
+                pending--;
+                if (pending === 0) callback(records.filter(Boolean));
+            };
+        });
+    }
+
+    // The stored records on any of `scheduleNumbers`
+    readScheduleRecords(store, scheduleNumbers, callback) {
+        const records = [];
+        let pending = scheduleNumbers.length;
+        if (pending === 0) {
+            callback(records);
+            return;
+        }
+        
+        scheduleNumbers.forEach(scheduleNumber => {
+            const request = store.index('schedule_number').getAll(scheduleNumber);
+            request.onsuccess = () => {
+                records.push(...(request.result || []));
+                pending--;
+                if (pending === 0) callback(records);
+            };
+        });
+    }
+
+    // Apply `edit` to the stored records for `ids` in one transaction. The plan is worked out
+    // again from what is stored, so the result does not depend on how old the caller's copies are.
+    // Nothing is written if any change is invalid or clashes. A schedule action also changes the
+    // rest of each selected record's schedule. Resolves to { batchId, count }.
+    async bulkEdit(ids, edit) {
+        const action = BULK_EDIT_ACTIONS[edit.action];
+        if (!action) throw new Error(`Unknown bulk action "${edit.action}"`);
+        const batchId = `bulk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', 'trash', 'audit_events', SEARCH_INDEX_STORE], 'readwrite');
+            const seriesStore = transaction.objectStore('series');
+            const undoChanges = [];
+            let failure = null;
+            
+            const fail = (error) => {
+                if (failure) return;
+                failure = error;
+                try { transaction.abort(); } catch (e) { /* already finished */ }
+            };
+            
+            const write = (plan) => {
+                const now = new Date().toISOString();
+                plan.forEach(({ id, before, after, changes, sameSchedule }) => {
+                    if (after) {
+                        const record = { ...after, updated_at: now };
+                        const request = seriesStore.put(record);
+                        request.onerror = () => fail(request.error);
+                        this.updateSearchIndex(transaction, id, record);
+                        undoChanges.push({ id, before: { series: before }, after: { series: record } });
+                        this.audit.log('series', id, 'bulk_edit', {
+                            ...this.buildAuditPayload(before, record),
+                            batch_id: batchId,
+                            bulk_action: edit.action,
+                            bulk_update_fields: changes.map(change => change.field),
+                            ...(sameSchedule ? { same_schedule: true } : {})
+                        }, transaction).catch(fail);
+                        return;
+                    }
+                    
+                    // Deleting moves the records to the trash, as delete() does
+                    const trashed = { ...before, deleted_at: now, deleted_by: this.getActor() };
+                    const request = seriesStore.delete(id);
+                    request.onerror = () => fail(request.error);
+                    transaction.objectStore('trash').put(trashed);
+                    this.updateSearchIndex(transaction, id, null);
+                    undoChanges.push({ id, before: { series: before, trash: null }, after: { series: null, trash: trashed } });
+                    this.audit.log('series', id, 'delete', {
+                        ...this.buildAuditPayload(before, null),
+                        trashed: true,
+                        batch_id: batchId,
+                        bulk_action: edit.action
+                    }, transaction).catch(fail);
+                });
+            };
+            
+            const writePlan = (records, others) => {
+                const plan = this.planBulkEdit(records, edit, others).filter(entry => !entry.after || entry.changes.length > 0);
+                const invalid = plan.find(entry => entry.errors.length > 0);
+                if (invalid) {
+                    fail(invalid.conflict
+                        ? new DuplicateSeriesError(invalid.after, invalid.conflict)
+                        : new Error(`Record #${invalid.id}: ${invalid.errors[0]}`));
+                    return;
+                }
+                
+                this.findBulkEditConflicts(seriesStore, plan, (conflicts) => {
+                    if (conflicts.length > 0) {
+                        fail(new DuplicateSeriesError(conflicts[0].entry.after, conflicts[0].conflict));
+                        return;
+                    }
+                    write(plan);
+                });
+            };
+            
+            this.readRecords(seriesStore, ids, (records) => {
+                if (!action.schedule) {
+                    writePlan(records, null);
+                    return;
+                }
+                const scheduleNumbers = [...new Set(records.map(item => item.schedule_number).filter(Boolean))];
+                this.readScheduleRecords(seriesStore, scheduleNumbers, (scheduleRecords) => writePlan(records, scheduleRecords));
+            });
+            
+            transaction.oncomplete = () => {
+                if (undoChanges.length > 0) {
+                    const count = undoChanges.length;
+                    const label = action.op === 'delete'
+                        ? `Delete ${count} record${count !== 1 ? 's' : ''}`
+                        : `${action.label} on ${count} record${count !== 1 ? 's' : ''}`;
+                    this.notifyChange(label, undoChanges);
+                }
+                resolve({ batchId, count: undoChanges.length });
+            };
+            transaction.onabort = () => reject(failure || transaction.error || new Error('Bulk edit transaction aborted'));
+        });
+    }
+
+    // Put a record back to the state captured in an earlier audit event.
+    // The write goes through saveSeries() so uniqueness and auditing still apply.
+    async restoreVersion(id, sourceEvent) {
+        const snapshot = sourceEvent.payload?.after;
+        if (!snapshot) {
+            throw new Error('This history entry has no saved version to restore');
+        }
+
+        const current = (await this.getAll()).find(series => series._id === id) || null;
+        const restored = {
+            ...snapshot,
+            _id: id,
+            created_at: current?.created_at || snapshot.created_at,
+            version: (current?.version || snapshot.version || 0) + 1
+        };
+
+        return this.save(restored, true, {
+            action: 'restore',
+            payload: { restored_from: { action: sourceEvent.action, at: sourceEvent.at } }
+        });
+    }
+
+    // Trash
+    async getTrashed() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['trash'], 'readonly');
+            const request = transaction.objectStore('trash').getAll();
+            request.onsuccess = () => {
+                const items = request.result || [];
+                items.sort((a, b) => String(b.deleted_at || '').localeCompare(String(a.deleted_at || '')));
+                resolve(items);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Put a trashed record back under its original _id so its history stays attached
+    async restoreFromTrash(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', 'trash', 'audit_events', SEARCH_INDEX_STORE], 'readwrite');
+            const seriesStore = transaction.objectStore('series');
+            const trashStore = transaction.objectStore('trash');
+            let restored = null;
+            let undoChange = null;
+            let abortError = null;
+            
+            const fail = (error) => {
+                abortError = error;
+                try { transaction.abort(); } catch (e) { /* already finished */ }
+            };
+            
+            const getRequest = trashStore.get(id);
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) {
+                    fail(new Error(`Record #${id} is not in the trash`));
+                    return;
+                }
+                
+                const { deleted_at, deleted_by, ...record } = getRequest.result;
+                
+                // Another record may have taken this schedule/item pair since the delete
+                this.findNaturalKeyConflict(seriesStore, record, (conflict) => {
+                    if (conflict) {
+                        fail(new DuplicateSeriesError(record, conflict));
+                        return;
+                    }
+                    
+                    const request = seriesStore.add(record);
+                    request.onsuccess = () => {
+                        restored = record;
+                        undoChange = { id, before: { series: null, trash: getRequest.result }, after: { series: record, trash: null } };
+                        trashStore.delete(id);
+                        this.updateSearchIndex(transaction, id, record);
+                        this.audit.log('series', id, 'trash_restore', {
+                            ...this.buildAuditPayload(null, record),
+                            deleted_at,
+                            deleted_by
+                        }, transaction).catch(fail);
+                    };
+                    request.onerror = () => fail(request.error);
+                });
+            };
+            getRequest.onerror = () => fail(getRequest.error);
+            
+            transaction.oncomplete = () => {
+                this.notifyChange(`Restore "${restored.record_series_title}" from the trash`, [undoChange]);
+                resolve(restored);
+            };
+            transaction.onabort = () => reject(abortError || transaction.error || new Error('Transaction aborted during restore'));
+        });
+    }
+
+    // Permanently remove trashed records; the audit trail keeps a summary of what was purged
+    async purge(ids, options = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['trash', 'audit_events'], 'readwrite');
+            const trashStore = transaction.objectStore('trash');
+            let purged = 0;
+            let abortError = null;
+            
+            const fail = (error) => {
+                abortError = error;
+                try { transaction.abort(); } catch (e) { /* already finished */ }
+            };
+            
+            ids.forEach(id => {
+                const getRequest = trashStore.get(id);
+                getRequest.onsuccess = () => {
+                    const item = getRequest.result;
+                    if (!item) return;
+                    
+                    const request = trashStore.delete(id);
+                    request.onsuccess = () => {
+                        purged++;
+                        this.audit.log('series', id, 'purge', {
+                            schedule_number: item.schedule_number || '',
+                            item_number: item.item_number || '',
+                            record_series_title: item.record_series_title || '',
+                            deleted_at: item.deleted_at,
+                            deleted_by: item.deleted_by,
+                            automatic: !!options.automatic
+                        }, transaction).catch(fail);
+                    };
+                    request.onerror = () => fail(request.error);
+                };
+                getRequest.onerror = () => fail(getRequest.error);
+            });
+            
+            transaction.oncomplete = () => resolve(purged);
+            transaction.onabort = () => reject(abortError || transaction.error || new Error('Transaction aborted during purge'));
+        });
+    }
+
+    // Purge anything that has sat in the trash longer than `days`; 0 keeps it forever
+    async autoPurge(days) {
+        if (!days) return 0;
+        
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const expired = (await this.getTrashed()).filter(item => String(item.deleted_at || '') < cutoff);
+        if (expired.length === 0) return 0;
+        
+        return this.purge(expired.map(item => item._id), { automatic: true });
+    }
+
+    applyChanges(entry, direction) {
+        const expectedKey = direction === 'undo' ? 'after' : 'before';
+        const targetKey = direction === 'undo' ? 'before' : 'after';
+        const batchIds = new Set(entry.changes.map(change => change.id));
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', 'trash', 'audit_events', SEARCH_INDEX_STORE], 'readwrite');
+            const seriesStore = transaction.objectStore('series');
+            let failure = null;
+            
+            const fail = (error) => {
+                if (failure) return;
+                failure = error;
+                try { transaction.abort(); } catch (e) { /* already finished */ }
+            };
+            
+            const sameState = (a, b) => (a == null && b == null) ||
+                (a != null && b != null && AuditChain.canonicalize(a) === AuditChain.canonicalize(b));
+            
+            // Refuse to overwrite anything that changed after this entry was recorded
+            const checkChange = (index) => {
+                if (failure) return;
+                if (index >= entry.changes.length) {
+                    checkNaturalKeys(0);
+                    return;
+                }
+                
+                const change = entry.changes[index];
+                const stores = Object.keys(change[expectedKey]);
+                let pending = stores.length;
+                stores.forEach(storeName => {
+                    const request = transaction.objectStore(storeName).get(change.id);
+                    request.onsuccess = () => {
+                        if (!sameState(request.result || null, change[expectedKey][storeName])) {
+                            fail(new Error(`Cannot ${direction} "${entry.label}": record #${change.id} was changed afterwards`));
+                            return;
+                        }
+                        pending--;
+                        if (pending === 0) checkChange(index + 1);
+                    };
+                    request.onerror = () => fail(request.error);
+                });
+            };
+            
+            // Records outside this entry may have taken a schedule/item pair in the meantime
+            const checkNaturalKeys = (index) => {
+                if (failure) return;
+                if (index >= entry.changes.length) {
+                    writeChanges();
+                    return;
+                }
+                
+                const record = entry.changes[index][targetKey].series;
+                if (!record || !record.schedule_number || !record.item_number) {
+                    checkNaturalKeys(index + 1);
+                    return;
+                }
+                
+                const request = seriesStore.index('schedule_number_item_number').getAll([record.schedule_number, record.item_number]);
+                request.onsuccess = () => {
+                    const conflict = (request.result || []).find(series => !batchIds.has(series._id));
+                    if (conflict) {
+                        fail(new DuplicateSeriesError(record, conflict));
+                        return;
+                    }
+                    checkNaturalKeys(index + 1);
+                };
+                request.onerror = () => fail(request.error);
+            };
+            
+            const writeChanges = () => {
+                entry.changes.forEach(change => {
+                    Object.entries(change[targetKey]).forEach(([storeName, state]) => {
+                        const store = transaction.objectStore(storeName);
+                        const request = state ? store.put(state) : store.delete(change.id);
+                        request.onerror = () => fail(request.error);
+                    });
+                    if ('series' in change[targetKey]) {
+                        this.updateSearchIndex(transaction, change.id, change[targetKey].series);
+                    }
+                    
+                    const current = change[expectedKey].series || null;
+                    const target = change[targetKey].series || null;
+                    this.audit.log('series', change.id, direction, {
+                        ...this.buildAuditPayload(current, target),
+                        [`${direction}_of`]: entry.label
+                    }, transaction).catch(fail);
+                });
+            };
+            
+            transaction.oncomplete = () => {
+                this.notifyWrite({ label: `${direction === 'undo' ? 'Undo' : 'Redo'} ${entry.label}`, records: this.writtenRecords(entry.changes, targetKey) });
+                resolve();
+            };
+            transaction.onabort = () => reject(failure || transaction.error || new Error(`${direction} transaction aborted`));
+            
+            checkChange(0);
+        });
+    }
+
+    // Modern Search and Filtering System
+    // searchCriteria.query is a parsed SearchQuery; searchText alone is matched word by word.
+    // fuzzy: true tolerates typos in search words; sortBy 'relevance' ranks with SearchRanker.
+    async search(searchCriteria = {}) {
+        const options = { fuzzy: Boolean(searchCriteria.fuzzy) };
+        
+        // Text search reads only the records whose tokens match; other filters narrow further
+        const terms = this.searchTerms(searchCriteria);
+        let items = terms.length > 0
+            ? await this.findByTokenPrefixes(terms, options.fuzzy ? await this.findNearMissTokens(terms) : {})
+            : await this.getFilterCandidates(searchCriteria);
+        
+        // Apply specific filters
+        items = items.filter(item => this.matchesFilterCriteria(item, searchCriteria));
+        if (searchCriteria.query) {
+            items = items.filter(item => SearchQuery.matches(searchCriteria.query, item, options));
+        }
+        
+        // Apply sorting; equally relevant records keep schedule/item order
+        if (searchCriteria.sortBy === 'relevance') {
+            const words = searchCriteria.query ? SearchQuery.soughtWords(searchCriteria.query) : terms;
+            items = SearchRanker.rank(this.sort(items, 'schedule_item'), words, options);
+        } else if (searchCriteria.sortBy) {
+            items = this.sort(items, searchCriteria.sortBy, searchCriteria.sortOrder, searchCriteria.thenBy);
+        }
+        
+        return items;
+    }
+
+    searchTerms(searchCriteria) {
+        return searchCriteria.query
+            ? SearchQuery.requiredWords(searchCriteria.query)
+            : tokenizeSearchText(searchCriteria.searchText);
+    }
+
+    // Live counts for the filter pane, one entry per SEARCH_FACETS key:
+    // - inResults: value -> records in the current results having it
+    // - ifPicked: value -> records the search would return with the value picked; values
+    //   not listed would return `otherwise` records
+    // Picking replaces a schedule or status, and is added to the picked divisions, tags or media types.
+    async facetCounts(searchCriteria = {}) {
+        const options = { fuzzy: Boolean(searchCriteria.fuzzy) };
+        const terms = this.searchTerms(searchCriteria);
+        let items = terms.length > 0
+            ? await this.findByTokenPrefixes(terms, options.fuzzy ? await this.findNearMissTokens(terms) : {})
+            : await this.getAll();
+        if (searchCriteria.query) {
+            items = items.filter(item => SearchQuery.matches(searchCriteria.query, item, options));
+        }
+        
+        const facets = SEARCH_FACETS.map(facet => {
+            const withoutFacet = { ...searchCriteria };
+            facet.criteria.forEach(key => delete withoutFacet[key]);
+            const picked = !facet.picked ? []
+                : searchCriteria[facet.picked]?.length ? searchCriteria[facet.picked]
+                    : (facet.key === 'division' && searchCriteria.division ? [searchCriteria.division] : []);
+            return { facet, withoutFacet, picked, mode: searchCriteria[facet.mode] || MATCH_MODES.ANY };
+        });
+        const counts = Object.fromEntries(SEARCH_FACETS.map(facet => [facet.key, { inResults: new Map(), ifPicked: new Map(), otherwise: 0 }]));
+        // Records outside the results that an extra "any of" value would bring in
+        const added = Object.fromEntries(SEARCH_FACETS.map(facet => [facet.key, new Map()]));
+        let total = 0;
+        
+        items.forEach(item => {
+            const inResults = this.matchesFilterCriteria(item, searchCriteria);
+            if (inResults) total++;
+            
+            facets.forEach(({ facet, withoutFacet, picked, mode }) => {
+                const values = facetValues(item, facet);
+                if (inResults) values.forEach(value => increment(counts[facet.key].inResults, value));
+                
+                if (!facet.picked) {
+                    if (this.matchesFilterCriteria(item, withoutFacet)) values.forEach(value => increment(counts[facet.key].ifPicked, value));
+                } else if (!inResults && mode === MATCH_MODES.ANY && picked.length > 0 && this.matchesFilterCriteria(item, withoutFacet)) {
+                    values.forEach(value => increment(added[facet.key], value));
+                }
+            });
+        });
+        
+        facets.forEach(({ facet, picked, mode }) => {
+            if (!facet.picked) return;
+            const { inResults, ifPicked } = counts[facet.key];
+            if (mode === MATCH_MODES.NONE) {
+                // Picking a value drops the records that have it
+                inResults.forEach((count, value) => ifPicked.set(value, total - count));
+                counts[facet.key].otherwise = total;
+            } else if (mode === MATCH_MODES.ANY && picked.length > 0) {
+                // Picking a value keeps every current result and adds the records that have it
+                inResults.forEach((count, value) => ifPicked.set(value, total));
+                added[facet.key].forEach((count, value) => ifPicked.set(value, total + count));
+                counts[facet.key].otherwise = total;
+            } else {
+                // Picking a value keeps the current results that have it
+                inResults.forEach((count, value) => ifPicked.set(value, count));
+            }
+        });
+        
+        return { total, facets: counts };
+    }
+
+    async getFilterCandidates(searchCriteria) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series'], 'readonly');
+            const store = transaction.objectStore('series');
+            
+            // Use appropriate index if available
+            let request;
+            if (searchCriteria.scheduleNumber) {
+                request = store.index('schedule_number').getAll(searchCriteria.scheduleNumber);
+            } else if (searchCriteria.division) {
+                request = store.index('division').getAll(searchCriteria.division);
+            } else if (searchCriteria.divisions?.length === 1 && (searchCriteria.divisionMode || MATCH_MODES.ANY) === MATCH_MODES.ANY) {
+                request = store.index('division').getAll(searchCriteria.divisions[0]);
+            } else {
+                request = store.getAll();
+            }
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Records having, for every term, a token that starts with it (in _id order).
+    // nearMisses maps a term to whole tokens that also count for it (see findNearMissTokens).
+    async findByTokenPrefixes(terms, nearMisses = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', SEARCH_INDEX_STORE], 'readonly');
+            const tokenIndex = transaction.objectStore(SEARCH_INDEX_STORE).index('token');
+            const items = [];
+            let matches = null;
+            
+            const lookupTerm = (index) => {
+                if (index >= terms.length) {
+                    readRecords([...matches].sort((a, b) => a - b));
+                    return;
+                }
+                
+                const term = terms[index];
+                const ranges = [
+                    this.IDBKeyRange.bound(term, `${term}\uffff`),
+                    ...(nearMisses[term] || []).map(token => this.IDBKeyRange.only(token))
+                ];
+                const ids = new Set();
+                let pending = ranges.length;
+                ranges.forEach(range => {
+                    const request = tokenIndex.getAllKeys(range);
+                    request.onsuccess = () => {
+                        (request.result || []).forEach(id => ids.add(id));
+                        if (--pending > 0) return;
+                        matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+                        // No need to look further once a term rules everything out
+                        if (matches.size > 0) lookupTerm(index + 1);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            };
+            
+            const readRecords = (ids) => {
+                const store = transaction.objectStore('series');
+                ids.forEach(id => {
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        if (request.result) items.push(request.result);
+                    };
+                });
+            };
+            
+            transaction.oncomplete = () => resolve(items);
+            transaction.onabort = () => reject(transaction.error || new Error('Search transaction aborted'));
+            
+            lookupTerm(0);
+        });
+    }
+
+    // For each term, the indexed tokens within its typo allowance that it is not already a prefix of
+    async findNearMissTokens(terms) {
+        const vocabulary = await this.getTokenVocabulary();
+        const nearMisses = {};
+        terms.forEach(term => {
+            nearMisses[term] = vocabulary.filter(token => !token.startsWith(term) && SearchQuery.isNearMiss(term, token));
+        });
+        return nearMisses;
+    }
+
+    // Distinct tokens in the index, read once and kept until the index next changes
+    async getTokenVocabulary() {
+        if (this.tokenVocabulary) return this.tokenVocabulary;
+        const generation = this.searchIndexGeneration;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SEARCH_INDEX_STORE], 'readonly');
+            const request = transaction.objectStore(SEARCH_INDEX_STORE).index('token').openKeyCursor(null, 'nextunique');
+            const tokens = [];
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    tokens.push(cursor.key);
+                    cursor.continue();
+                }
+            };
+            
+            transaction.oncomplete = () => {
+                // A write that landed meanwhile may have made this list stale
+                if (generation === this.searchIndexGeneration) this.tokenVocabulary = tokens;
+                resolve(tokens);
+            };
+            transaction.onabort = () => reject(transaction.error || new Error('Token vocabulary read aborted'));
+        });
+    }
+
+    invalidateTokenVocabulary() {
+        this.tokenVocabulary = null;
+        this.searchIndexGeneration++;
+    }
+
+    // Rebuild the token index from the series store, e.g. after an interrupted import or a tokenizer change
+    async rebuildSearchIndex() {
+        this.invalidateTokenVocabulary();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', SEARCH_INDEX_STORE], 'readwrite');
+            let indexed = 0;
+            
+            rebuildSearchIndexStore(transaction, (error, count) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                indexed = count;
+            });
+            
+            transaction.oncomplete = () => resolve(indexed);
+            transaction.onabort = () => reject(transaction.error || new Error('Search index rebuild aborted'));
+        });
+    }
+
+    matchesFilterCriteria(item, criteria) {
+        // Schedule number filter
+        if (criteria.scheduleNumber && item.schedule_number !== criteria.scheduleNumber) {
+            return false;
+        }
+        
+        // Division filter
+        if (criteria.division && item.division !== criteria.division) {
+            return false;
+        }
+        
+        // Approval status filter
+        if (criteria.approvalStatus && item.approval_status !== criteria.approvalStatus) {
+            return false;
+        }
+        
+        // Multi-value filters: any of / all of / none of the picked values
+        if (!matchesValueSet(item.division ? [item.division] : [], criteria.divisions, criteria.divisionMode)) {
+            return false;
+        }
+        
+        // Tag filter
+        if (!matchesValueSet(Array.isArray(item.tags) ? item.tags : [], criteria.tags, criteria.tagMode)) {
+            return false;
+        }
+        
+        // Media type filter
+        if (!matchesValueSet(Array.isArray(item.media_types) ? item.media_types : [], criteria.mediaTypes, criteria.mediaMode)) {
+            return false;
+        }
+        
+        // Coverage filter: the dates covered overlap the requested period
+        if (criteria.coveredFrom || criteria.coveredTo) {
+            const bounds = DateRange.bounds(criteria.coveredFrom, criteria.coveredTo, 'Dates covered');
+            if (!DateRange.overlaps(DateRange.coverage(item), bounds)) {
+                return false;
+            }
+        }
+        
+        // Approval date filter
+        if (criteria.approvedFrom || criteria.approvedTo) {
+            const bounds = DateRange.bounds(criteria.approvedFrom, criteria.approvedTo, 'Approval date');
+            if (!DateRange.overlaps(DateRange.parse(item.approval_date), bounds)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    // thenBy breaks ties in order: field names, with a leading '-' for descending
+    sort(items, sortBy, sortOrder = 'asc', thenBy = []) {
+        const keys = [
+            { field: sortBy, order: sortOrder || 'asc' },
+            ...(thenBy || []).map(key => (key.startsWith('-') ? { field: key.slice(1), order: 'desc' } : { field: key, order: 'asc' }))
+        ];
+        
+        return items.sort((a, b) => {
+            for (const { field, order } of keys) {
+                const comparison = this.compareSortValues(this.getSortValue(a, field), this.getSortValue(b, field), order);
+                if (comparison !== 0) return comparison;
+            }
+            return 0;
+        });
+    }
+
+    compareSortValues(aVal, bVal, sortOrder) {
+        // Handle null/undefined values
+        if (aVal == null && bVal == null) return 0;
+        if (aVal == null) return sortOrder === 'asc' ? 1 : -1;
+        if (bVal == null) return sortOrder === 'asc' ? -1 : 1;
+        
+        // Convert to strings for comparison
+        aVal = String(aVal).toLowerCase();
+        bVal = String(bVal).toLowerCase();
+        
+        const comparison = aVal.localeCompare(bVal, undefined, { numeric: true });
+        return sortOrder === 'asc' ? comparison : -comparison;
+    }
+
+    getSortValue(item, sortBy) {
+        switch (sortBy) {
+            case 'schedule_item':
+                // Handle 2-digit year interpretation for schedule numbers
+                const scheduleNum = item.schedule_number || 'zzz';
+                const itemNum = item.item_number || 'zzz';
+                
+                // Parse schedule number format "XX-XXX" and handle year interpretation
+                const parts = scheduleNum.split('-');
+                if (parts.length === 2) {
+                    const yearPart = parts[0];
+                    const seqPart = parts[1];
+                    
+                    // Convert 2-digit year to 4-digit (95 -> 1995, 25 -> 2025)
+                    let fullYear;
+                    if (yearPart.length === 2) {
+                        const yearNum = parseInt(yearPart, 10);
+                        // Assume 2-digit years 00-25 are 2000-2025, 26-99 are 1926-1999
+                        fullYear = yearNum <= 25 ? 2000 + yearNum : 1900 + yearNum;
+                    } else {
+                        fullYear = parseInt(yearPart, 10) || 9999;
+                    }
+                    
+                    // Pad to 4 digits for proper string sorting
+                    const paddedYear = String(fullYear).padStart(4, '0');
+                    return `${paddedYear}-${seqPart}-${itemNum}`;
+                }
+                
+                return `${scheduleNum}-${itemNum}`;
+            case 'dates_covered_start':
+            case 'dates_covered_end':
+            case 'approval_date':
+                return this.normalizeDateForSorting(item[sortBy]);
+            case 'created_at':
+            case 'updated_at':
+                return item[sortBy] || '';
+            default: {
+                // Any other field, including "ui_extras.<key>"; lists sort by their joined values
+                const value = sortBy.startsWith('ui_extras.') ? item.ui_extras?.[sortBy.slice('ui_extras.'.length)] : item[sortBy];
+                if (Array.isArray(value)) return value.join(', ');
+                return value == null ? '' : value;
+            }
+        }
+    }
+
+    // First day of the period; blanks sort first and "present" last
+    normalizeDateForSorting(dateStr) {
+        if (!dateStr) return '0000';
+        if (DateRange.isPresent(dateStr)) return '9999';
+        
+        const period = DateRange.parse(dateStr);
+        if (period) return period.start;
+        
+        // Free-form values fall back to their year
+        const yearMatch = String(dateStr).match(/(\d{4})/);
+        return yearMatch ? yearMatch[1] : '0000';
+    }
+
+    // Import Upsert Helpers
+    normalize(item) {
+        // Handle legacy application_number field
+        if (item.application_number && !item.schedule_number) {
+            item.schedule_number = item.application_number;
+        }
+        delete item.application_number;
+
+        // Natural key parts and dates are compared as strings (Excel may hand back numbers)
+        ['schedule_number', 'item_number', 'dates_covered_start', 'dates_covered_end'].forEach(field => {
+            if (item[field] != null && item[field] !== '') {
+                item[field] = String(item[field]).trim();
+            }
+        });
+
+        // Normalize arrays (an empty Excel cell is an empty list, not an empty string)
+        ['tags', 'media_types', 'omb_or_statute_refs', 'related_series'].forEach(field => {
+            if (typeof item[field] === 'string') {
+                item[field] = item[field].split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+            }
+        });
+
+        // Ensure ui_extras exists
+        item.ui_extras = item.ui_extras || {};
+
+        // Remove old fields that are no longer needed
+        delete item.retention_is_permanent;
+        delete item.schedule_id;
+
+        return item;
+    }
+
+    // Excel rows: arrays become semicolon-separated cells and ui_extras is flattened
+    // into ui_extras_<key> columns; fromExcelRow() reverses both
+    toExcelRow(item) {
+        const row = { ...item };
+        
+        // Placeholder for a blank required field so the row survives the round trip
+        if (!row.record_series_title || String(row.record_series_title).trim() === '') {
+            row.record_series_title = EXCEL_TITLE_PLACEHOLDER;
+        }
+        
+        ['tags', 'media_types', 'omb_or_statute_refs', 'related_series'].forEach(field => {
+            if (Array.isArray(row[field])) {
+                row[field] = row[field].join('; ');
+            }
+        });
+        
+        if (row.ui_extras && typeof row.ui_extras === 'object') {
+            Object.keys(row.ui_extras).forEach(key => {
+                row[`ui_extras_${key}`] = row.ui_extras[key];
+            });
+            delete row.ui_extras;
+        }
+        
+        return row;
+    }
+
+    fromExcelRow(row) {
+        const item = { ...row };
+        
+        if (item.record_series_title === EXCEL_TITLE_PLACEHOLDER) {
+            item.record_series_title = '';
+        }
+        
+        item.ui_extras = {};
+        Object.keys(item).forEach(key => {
+            if (key.startsWith('ui_extras_')) {
+                item.ui_extras[key.replace('ui_extras_', '')] = item[key];
+                delete item[key];
+            }
+        });
+        
+        return item;
+    }
+
+    // Import Preview (dry run) and Commit
+    validate(item) {
+        const errors = [];
+        const warnings = [];
+        const isoDate = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+        
+        if (!item.record_series_title || String(item.record_series_title).trim() === '') {
+            errors.push('record_series_title is required');
+        }
+        if (item.schedule_number && !/^\d{2}-\d{3}$/.test(item.schedule_number)) {
+            errors.push(`schedule_number "${item.schedule_number}" must be in format XX-XXX`);
+        }
+        if (item.item_number && !/^\d+([A-Za-z]|\.\d+)?$/.test(item.item_number)) {
+            warnings.push(`item_number "${item.item_number}" should be numeric with optional letter or decimal suffix`);
+        }
+        if (item.approval_status && !Object.values(APPROVAL_STATUS).includes(item.approval_status)) {
+            errors.push(`approval_status "${item.approval_status}" must be one of ${Object.values(APPROVAL_STATUS).join(', ')}`);
+        }
+        if (item.dates_covered_start && !isoDate.test(item.dates_covered_start)) {
+            errors.push(`dates_covered_start "${item.dates_covered_start}" must be YYYY, YYYY-MM or YYYY-MM-DD`);
+        }
+        if (item.dates_covered_end && item.dates_covered_end !== 'present' && !isoDate.test(item.dates_covered_end)) {
+            warnings.push(`dates_covered_end "${item.dates_covered_end}" is not an ISO date; kept as entered`);
+        }
+        
+        return { errors, warnings };
+    }
+
+    // Field-level differences between two series records (ui_extras compared per key)
+    diffFields(before, after) {
+        const ignored = new Set(['_id', 'created_at', 'updated_at', 'version']);
+        const flatten = (record) => {
+            const flat = {};
+            Object.keys(record || {}).forEach(key => {
+                if (ignored.has(key)) return;
+                if (key === 'ui_extras' && record.ui_extras && typeof record.ui_extras === 'object') {
+                    Object.keys(record.ui_extras).forEach(extraKey => {
+                        flat[`ui_extras.${extraKey}`] = record.ui_extras[extraKey];
+                    });
+                } else {
+                    flat[key] = record[key];
+                }
+            });
+            return flat;
+        };
+        const isBlank = value => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+        
+        const beforeFlat = flatten(before);
+        const afterFlat = flatten(after);
+        const fields = [...new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)])].sort();
+        
+        return fields
+            .filter(field => !(isBlank(beforeFlat[field]) && isBlank(afterFlat[field])))
+            .filter(field => JSON.stringify(beforeFlat[field]) !== JSON.stringify(afterFlat[field]))
+            .map(field => ({ field, before: beforeFlat[field], after: afterFlat[field] }));
+    }
+
+    // Update in place: keep the original _id and created_at, bump version.
+    // Fields missing from the imported row (including ui_extras keys) are kept.
+    mergeImported(existing, item) {
+        return {
+            ...existing,
+            ...item,
+            ui_extras: { ...(existing.ui_extras || {}), ...(item.ui_extras || {}) },
+            _id: existing._id,
+            created_at: existing.created_at,
+            version: (existing.version || 0) + 1
+        };
+    }
+
+    async upsert(item) {
+        // Never trust imported _ids
+        delete item._id;
+
+        if (!item.record_series_title || String(item.record_series_title).trim() === '') {
+            return { action: 'skipped', reason: 'missing record_series_title', item };
+        }
+
+        const existing = await this.findByNaturalKey(item.schedule_number, item.item_number);
+
+        if (existing) {
+            const merged = this.mergeImported(existing, item);
+            await this.save(merged, true);
+            return { action: 'updated', item: merged };
+        }
+
+        item.version = item.version || 1;
+        await this.save(item, false);
+        return { action: 'created', item };
+    }
+
+    // options: source, fileName, auditEvents, auditChainHead, savedSearches;
+    // onProgress(done, total) and an AbortSignal `signal` for long files
+    async buildImportPreview(rawRows, options = {}) {
+        const existingSeries = await this.getAll();
+        const existingByKey = new Map();
+        existingSeries.forEach(series => {
+            if (series.schedule_number && series.item_number) {
+                existingByKey.set(`${series.schedule_number}|${series.item_number}`, series);
+            }
+        });
+        
+        const seenKeys = new Map();
+        const classify = (raw, index) => {
+            const item = this.normalize({ ...raw });
+            delete item._id;
+            
+            const { errors, warnings } = this.validate(item);
+            const key = item.schedule_number && item.item_number ? `${item.schedule_number}|${item.item_number}` : null;
+            const row = { rowNumber: index + 1, sourceId: raw._id, key, item, errors, warnings, changes: [], existing: null, reason: '' };
+            
+            if (errors.length > 0) {
+                row.status = 'invalid';
+                row.reason = errors.join('; ');
+                return row;
+            }
+            
+            if (key && seenKeys.has(key)) {
+                row.status = 'duplicate';
+                row.duplicateOf = seenKeys.get(key);
+                row.reason = `Repeats row ${row.duplicateOf} of this file`;
+                return row;
+            }
+            if (key) seenKeys.set(key, row.rowNumber);
+            
+            const existing = key ? existingByKey.get(key) : null;
+            if (!existing) {
+                row.status = 'new';
+                return row;
+            }
+            
+            row.existing = existing;
+            row.changes = this.diffFields(existing, this.mergeImported(existing, item));
+            if (row.changes.length > 0) {
+                row.status = 'update';
+            } else {
+                row.status = 'duplicate';
+                row.reason = `Identical to existing record #${existing._id}`;
+            }
+            return row;
+        };
+        
+        const rows = [];
+        for (let index = 0; index < rawRows.length; index++) {
+            if (index > 0 && index % IMPORT_PREVIEW_CHUNK === 0) {
+                if (options.onProgress) options.onProgress(index, rawRows.length);
+                if (options.signal) {
+                    // Give a cancel request the chance to arrive
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    options.signal.throwIfAborted();
+                }
+            }
+            rows.push(classify(rawRows[index], index));
+        }
+        if (options.onProgress) options.onProgress(rawRows.length, rawRows.length);
+        
+        const summary = { new: 0, update: 0, duplicate: 0, invalid: 0 };
+        rows.forEach(row => summary[row.status]++);
+        
+        const auditVerification = await this.audit.verifyImported(options.auditEvents || [], options.auditChainHead);
+        
+        return {
+            source: options.source || 'JSON',
+            fileName: options.fileName || '',
+            auditEvents: options.auditEvents || [],
+            savedSearches: this.savedSearches ? options.savedSearches || [] : [],
+            existingIdsByKey: new Map([...existingByKey].map(([key, series]) => [key, series._id])),
+            auditVerification,
+            rows,
+            summary
+        };
+    }
+
+    // Write all new/update rows of a preview in ONE transaction; any failure rolls everything back
+    async commitImport(preview) {
+        const rows = preview.rows.filter(row => row.status === 'new' || row.status === 'update');
+        
+        const savedSearches = preview.savedSearches || [];
+        
+        return new Promise((resolve, reject) => {
+            const stores = ['series', 'audit_events', SEARCH_INDEX_STORE];
+            if (savedSearches.length > 0) stores.push(SAVED_SEARCH_STORE);
+            const transaction = this.db.transaction(stores, 'readwrite');
+            const seriesStore = transaction.objectStore('series');
+            const now = new Date().toISOString();
+            const counts = { created: 0, updated: 0, skipped: preview.rows.length - rows.length };
+            let savedSearchCounts = { imported: 0, alreadyPresent: 0 };
+            const undoChanges = [];
+            let failure = null;
+            
+            const fail = (error) => {
+                if (failure) return;
+                failure = error;
+                try { transaction.abort(); } catch (e) { /* already finished */ }
+            };
+            
+            const writeRow = (index) => {
+                if (failure) return;
+                if (index >= rows.length) {
+                    writeAuditEvents();
+                    return;
+                }
+                
+                const row = rows[index];
+                const isUpdate = row.status === 'update';
+                const record = isUpdate
+                    ? this.mergeImported(row.existing, row.item)
+                    : { ...row.item, version: row.item.version || 1, created_at: row.item.created_at || now };
+                record.updated_at = now;
+                
+                // Re-check the natural key inside the transaction; the store may have changed since the preview
+                this.findNaturalKeyConflict(seriesStore, record, (conflict) => {
+                    if (conflict) {
+                        fail(new DuplicateSeriesError(record, conflict));
+                        return;
+                    }
+                    
+                    const request = isUpdate ? seriesStore.put(record) : seriesStore.add(record);
+                    request.onsuccess = () => {
+                        record._id = request.result;
+                        row.savedId = record._id;
+                        this.updateSearchIndex(transaction, record._id, record);
+                        counts[isUpdate ? 'updated' : 'created']++;
+                        undoChanges.push({ id: record._id, before: { series: isUpdate ? row.existing : null }, after: { series: { ...record } } });
+                        
+                        this.audit.log('series', record._id, isUpdate ? 'update' : 'create', {
+                            ...this.buildAuditPayload(isUpdate ? row.existing : null, record),
+                            import_source: preview.source
+                        }, transaction).catch(fail);
+                        
+                        writeRow(index + 1);
+                    };
+                    request.onerror = () => fail(request.error);
+                });
+            };
+            
+            // Imported history is written in the same transaction, re-pointed at the new _ids
+            const audit = { imported: 0, alreadyPresent: 0, unresolved: [] };
+            const writeAuditEvents = () => {
+                const idMap = this.buildImportIdMap(preview);
+                const auditStore = transaction.objectStore('audit_events');
+                
+                const writeEvent = (index) => {
+                    if (failure || index >= preview.auditEvents.length) return;
+                    
+                    const source = preview.auditEvents[index];
+                    const entityId = this.resolveImportedAuditEntityId(source, idMap);
+                    if (entityId == null) {
+                        audit.unresolved.push(`${source.action || 'event'} at ${source.at || 'unknown time'} for old _id ${source.entity_id}`);
+                        writeEvent(index + 1);
+                        return;
+                    }
+                    
+                    const event = {
+                        entity: source.entity || 'series',
+                        entity_id: entityId,
+                        action: source.action,
+                        actor: source.actor || 'local-user',
+                        at: source.at || now,
+                        payload: typeof source.payload === 'string' ? source.payload : JSON.stringify(source.payload ?? {})
+                    };
+                    // The event is re-sealed into this workstation's chain; keep the original hash for provenance
+                    if (source.hash) event.source_hash = source.hash;
+                    
+                    // Re-importing our own backup must not duplicate history
+                    const lookup = auditStore.index('entity_action_date').getAll([event.entity, event.entity_id, event.at]);
+                    lookup.onsuccess = () => {
+                        if ((lookup.result || []).some(existing => existing.action === event.action)) {
+                            audit.alreadyPresent++;
+                            writeEvent(index + 1);
+                            return;
+                        }
+                        // The payload is already serialized; it goes in with the other kept fields
+                        const { entity, entity_id: id, action, ...fields } = event;
+                        this.audit.log(entity, id, action, null, transaction, fields).then(() => {
+                            audit.imported++;
+                            writeEvent(index + 1);
+                        }, fail);
+                    };
+                    lookup.onerror = () => fail(lookup.error);
+                };
+                
+                writeEvent(0);
+            };
+            
+            transaction.oncomplete = () => {
+                // Undoing an import reverts its records; imported history stays in the audit trail
+                if (undoChanges.length > 0) {
+                    this.notifyChange(`${preview.source} import${preview.fileName ? ` of ${preview.fileName}` : ''}`, undoChanges);
+                }
+                resolve({ counts, rows, audit, savedSearches: savedSearchCounts });
+            };
+            transaction.onabort = () => reject(failure || transaction.error || new Error('Import transaction aborted'));
+            
+            if (savedSearches.length > 0) {
+                this.savedSearches.importInto(transaction, savedSearches, (error, result) => {
+                    if (error) fail(error);
+                    else savedSearchCounts = result;
+                });
+            }
+            writeRow(0);
+        });
+    }
+
+    // Map the _ids used in the import file to the _ids the rows ended up with.
+    // Rows that were skipped as duplicates resolve to the record they matched.
+    buildImportIdMap(preview) {
+        const byId = new Map();
+        const byKey = new Map(preview.existingIdsByKey || []);
+        const resolvedByRow = new Map();
+        
+        preview.rows.forEach(row => {
+            let resolved = row.savedId ?? row.existing?._id ?? null;
+            if (resolved == null && row.duplicateOf) {
+                resolved = resolvedByRow.get(row.duplicateOf) ?? null;
+            }
+            resolvedByRow.set(row.rowNumber, resolved);
+            
+            if (resolved == null) return;
+            if (row.sourceId != null) byId.set(String(row.sourceId), resolved);
+            if (row.key) byKey.set(row.key, resolved);
+        });
+        
+        return { byId, byKey };
+    }
+
+    resolveImportedAuditEntityId(event, idMap) {
+        // Events on other entities (e.g. 'database' migrations) do not point at series; keep them as they are
+        if (event.entity && event.entity !== 'series') {
+            return event.entity_id;
+        }
+        
+        // Schedule-level events point at a schedule number, not a series _id
+        if (typeof event.entity_id === 'string' && event.entity_id.startsWith('sched_')) {
+            return event.entity_id;
+        }
+        
+        if (event.entity_id != null && idMap.byId.has(String(event.entity_id))) {
+            return idMap.byId.get(String(event.entity_id));
+        }
+        
+        // Fall back to the natural key recorded in the event payload
+        let payload = event.payload;
+        if (typeof payload === 'string') {
+            try { payload = JSON.parse(payload); } catch (e) { payload = null; }
+        }
+        if (payload && payload.schedule_number && payload.item_number) {
+            const key = `${String(payload.schedule_number).trim()}|${String(payload.item_number).trim()}`;
+            if (idMap.byKey.has(key)) return idMap.byKey.get(key);
+        }
+        
+        return null;
+    }
+    // Preview and commit in one call, for callers that do not review rows first
+    async import(rawRows, options = {}) {
+        const preview = await this.buildImportPreview(rawRows, options);
+        const result = await this.commitImport(preview);
+        return { ...result, summary: preview.summary, auditVerification: preview.auditVerification };
+    }
+
+    // Full backup in the JSON export format, saved searches included.
+    // Pass `series` to export a subset (audit events are narrowed to match, saved searches left out).
+    async export(options = {}) {
+        // Wait for sealing in progress so the chain head covers every event
+        await this.audit.sealed();
+        const series = options.series || await this.getAll();
+        let auditEvents = await this.audit.getAll();
+        const metadata = {
+            exported_at: new Date().toISOString(),
+            version: EXPORT_FORMAT_VERSION
+        };
+        
+        if (options.series) {
+            const seriesIds = new Set(series.map(item => item._id));
+            auditEvents = auditEvents.filter(event => event.entity === 'series' && seriesIds.has(event.entity_id));
+            metadata.filtered_export = true;
+        }
+        
+        metadata.total_series = series.length;
+        metadata.total_schedules = new Set(series.map(item => item.schedule_number).filter(Boolean)).size;
+        if (options.series) {
+            return { metadata, series, audit_events: auditEvents };
+        }
+        
+        metadata.audit_chain_head = this.audit.describeChainHead(auditEvents);
+        const exported = { metadata, series, audit_events: auditEvents };
+        if (this.savedSearches) {
+            exported.saved_searches = await this.savedSearches.getAll();
+            metadata.total_saved_searches = exported.saved_searches.length;
+        }
+        return exported;
+    }
+
+    // Remove every record, trashed record, index entry, saved search and audit event; the audit chain starts fresh
+    async clearAll() {
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['series', 'trash', 'audit_events', SEARCH_INDEX_STORE, SAVED_SEARCH_STORE], 'readwrite');
+            transaction.objectStore('series').clear();
+            transaction.objectStore(SAVED_SEARCH_STORE).clear();
+            transaction.objectStore(SEARCH_INDEX_STORE).clear();
+            this.invalidateTokenVocabulary();
+            transaction.objectStore('trash').clear();
+            transaction.objectStore('audit_events').clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error || new Error('Clear transaction aborted'));
+        });
+        this.audit.clearChainHead();
+        this.notifyWrite({ label: 'Clear database', cleared: true });
+    }
+}
+
+/**
+ * In-memory copy of the series store, read once and then kept current from SeriesRepository
+ * write notifications, so views can share it instead of each calling getAll().
+ * subscribe(listener) gets { type: 'load' | 'change' | 'clear', label, ids } after each update.
+ */
+export class SeriesCache {
+    constructor(repository) {
+        this.repository = repository;
+        this.records = null; // Map of _id -> record once loaded
+        this.loading = null;
+        this.snapshot = null; // getAll() result, until the next change
+        this.schedules = null;
+        this.listeners = new Set();
+        this.unsubscribe = repository.onWrite(event => this.applyWrite(event));
+    }
+
+    get loaded() {
+        return this.records !== null;
+    }
+
+    get size() {
+        return this.records ? this.records.size : 0;
+    }
+
+    // Read the store on first use; later calls resolve to the cached records
+    async load() {
+        if (!this.loading) {
+            this.loading = this.repository.getAll().then(items => {
+                this.records = new Map(items.map(item => [item._id, item]));
+                this.changed({ type: 'load', label: 'Load', ids: [...this.records.keys()] });
+            }).catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        await this.loading;
+        return this.getAll();
+    }
+
+    // Records in _id order; treat them as read-only, they are shared with every view
+    getAll() {
+        if (!this.records) return [];
+        if (!this.snapshot) {
+            this.snapshot = [...this.records.values()].sort((a, b) => a._id - b._id);
+        }
+        return this.snapshot;
+    }
+
+    get(id) {
+        return this.records?.get(id) || null;
+    }
+
+    getSchedules() {
+        if (!this.schedules) {
+            this.schedules = this.repository.schedulesFrom(this.getAll());
+        }
+        return this.schedules;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Writes before the first load are skipped: IndexedDB runs the initial read after any
+    // write transaction started before it, and any later write commits after the read
+    applyWrite({ label, records = [], cleared = false }) {
+        if (!this.records) return;
+
+        if (cleared) {
+            this.records.clear();
+            this.changed({ type: 'clear', label, ids: [] });
+            return;
+        }
+        records.forEach(({ id, record }) => {
+            if (record) {
+                this.records.set(id, { ...record, _id: id });
+            } else {
+                this.records.delete(id);
+            }
+        });
+        this.changed({ type: 'change', label, ids: records.map(({ id }) => id) });
+    }
+
+    changed(event) {
+        this.snapshot = null;
+        this.schedules = null;
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                this.repository.onError(error, 'Series cache listener');
+            }
+        });
+    }
+}
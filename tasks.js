@@ -0,0 +1,170 @@
+// Background tasks: import file parsing and checks, search, and export serialization.
+// worker.js runs them off the main thread; the app runs them in place when workers are unavailable.
+
+// SheetJS as an ES module, loaded on first use (workers cannot use the page's script tag)
+export const XLSX_MODULE_URL = 'https://unpkg.com/xlsx@0.18.5/xlsx.mjs';
+
+// On the page, the SheetJS script tag in index.html has already set the XLSX global
+export const loadXLSX = () => (globalThis.XLSX ? Promise.resolve(globalThis.XLSX) : import(XLSX_MODULE_URL));
+
+export const EXCEL_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export class TaskCancelledError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'TaskCancelledError';
+    }
+}
+
+// An import file that cannot be read as an export; the message is meant for the user as is
+export class ImportFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFileError';
+    }
+}
+
+// Errors cross the worker boundary as { name, message }; rebuild the ones callers tell apart
+export function taskError({ name, message }) {
+    if (name === 'TaskCancelledError') return new TaskCancelledError(message);
+    if (name === 'ImportFileError') return new ImportFileError(message);
+    return new Error(message);
+}
+
+const orderedByIds = (items, ids) => {
+    const byId = new Map(items.map(item => [item._id, item]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Task handlers, by type. Each gets its payload and a context:
+ * - repos: openRepositories() result
+ * - loadXLSX(): resolves to the SheetJS module
+ * - signal: AbortSignal, aborted with a TaskCancelledError
+ * - progress(message, done, total): report a step; counts are optional
+ * Results must survive structured cloning.
+ */
+export const TASK_HANDLERS = {
+    // Read a JSON or Excel export and classify its rows against the database
+    async parseImport({ file, format }, { repos, loadXLSX, signal, progress }) {
+        progress(`Reading ${file.name}`);
+        const content = format === 'excel' ? await file.arrayBuffer() : await file.text();
+        signal.throwIfAborted();
+
+        let rows;
+        let options;
+        if (format === 'excel') {
+            progress('Reading the workbook');
+            const XLSX = await loadXLSX();
+            const workbook = XLSX.read(content, { type: 'array' });
+            signal.throwIfAborted();
+
+            if (!workbook.SheetNames.includes('Series Data')) {
+                throw new ImportFileError('Invalid Excel file: missing "Series Data" sheet');
+            }
+            rows = XLSX.utils.sheet_to_json(workbook.Sheets['Series Data']).map(row => repos.series.fromExcelRow(row));
+            if (rows.length === 0) {
+                throw new ImportFileError('No series data found in Excel file');
+            }
+
+            // Audit events and the chain head travel on their own sheets
+            const metadata = workbook.SheetNames.includes('Metadata')
+                ? XLSX.utils.sheet_to_json(workbook.Sheets['Metadata'])[0] || {}
+                : {};
+            options = {
+                source: 'Excel',
+                auditEvents: workbook.SheetNames.includes('Audit Events')
+                    ? XLSX.utils.sheet_to_json(workbook.Sheets['Audit Events'])
+                    : [],
+                auditChainHead: metadata.audit_chain_head_hash
+                    ? { hash: metadata.audit_chain_head_hash, events: metadata.audit_chain_head_events }
+                    : null
+            };
+        } else {
+            progress('Parsing JSON');
+            const data = JSON.parse(content);
+            signal.throwIfAborted();
+
+            if (!data.series || !Array.isArray(data.series)) {
+                throw new ImportFileError('Invalid import file: missing series array');
+            }
+            rows = data.series;
+            options = {
+                source: 'JSON',
+                auditEvents: Array.isArray(data.audit_events) ? data.audit_events : [],
+                auditChainHead: data.metadata?.audit_chain_head,
+                savedSearches: Array.isArray(data.saved_searches) ? data.saved_searches : []
+            };
+        }
+
+        progress('Checking rows', 0, rows.length);
+        return repos.series.buildImportPreview(rows, {
+            ...options,
+            fileName: file.name,
+            signal,
+            onProgress: (done, total) => progress('Checking rows', done, total)
+        });
+    },
+
+    // Matching record ids in result order, with the filter pane counts
+    async search({ criteria }, { repos, signal }) {
+        const items = await repos.series.search(criteria);
+        signal.throwIfAborted();
+        const facets = await repos.series.facetCounts(criteria);
+        return { ids: items.map(item => item._id), facets };
+    },
+
+    async facetCounts({ criteria }, { repos }) {
+        return repos.series.facetCounts(criteria);
+    },
+
+    // The JSON export as a file; `ids` limits it to those records, in that order
+    async exportJson({ ids = null }, { repos, signal, progress }) {
+        progress('Reading records');
+        const exported = ids
+            ? await repos.series.export({ series: orderedByIds(await repos.series.getAll(), ids) })
+            : await repos.series.export();
+        signal.throwIfAborted();
+
+        progress(`Writing ${exported.series.length} records`);
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        return { blob, count: exported.series.length };
+    },
+
+    // Series, audit events and metadata sheets, flattened for spreadsheet editing
+    async exportExcel(payload, { repos, loadXLSX, signal, progress }) {
+        progress('Reading records');
+        const { metadata: exportMetadata, series, audit_events: auditEvents } = await repos.series.export();
+        signal.throwIfAborted();
+
+        progress(`Writing ${series.length} records`);
+        const XLSX = await loadXLSX();
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(series.map(item => repos.series.toExcelRow(item))), 'Series Data');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(auditEvents), 'Audit Events');
+
+        const chainHead = exportMetadata.audit_chain_head;
+        const metadata = {
+            exported_at: exportMetadata.exported_at,
+            version: exportMetadata.version,
+            total_series: exportMetadata.total_series,
+            total_schedules: exportMetadata.total_schedules,
+            export_type: 'excel_full_database',
+            audit_chain_head_hash: chainHead.hash,
+            audit_chain_head_events: chainHead.events
+        };
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([metadata]), 'Metadata');
+        signal.throwIfAborted();
+
+        const blob = new Blob([XLSX.write(workbook, { bookType: 'xlsx', type: 'array' })], { type: EXCEL_MIME_TYPE });
+        return { blob, count: series.length };
+    }
+};
+
+export async function runTask(type, payload, context) {
+    const handler = TASK_HANDLERS[type];
+    if (!handler) throw new Error(`Unknown task "${type}"`);
+
+    context.signal.throwIfAborted();
+    return handler(payload, context);
+}
@@ -0,0 +1,400 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RecordsRetentionApp } from '../app.js';
+import { SeriesRepository } from '../repository.js';
+
+// Just enough of the DOM for the filter summary: a lookup table of elements by id
+function withElements(elements, run) {
+    globalThis.document = { getElementById: id => elements[id] || null };
+    try {
+        return run();
+    } finally {
+        delete globalThis.document;
+    }
+}
+
+test('updateFilterSummary describes the criteria it is given', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    const summary = { textContent: '' };
+
+    withElements({ filterSummary: summary }, () => {
+        app.updateFilterSummary({ searchText: 'rosters', division: 'Training', approvalStatus: 'approved' });
+    });
+    assert.equal(summary.textContent, 'Active filters: Text: "rosters", Division: Training, Status: approved');
+
+    withElements({ filterSummary: summary }, () => {
+        app.updateFilterSummary({ coveredFrom: '1990', coveredTo: '1999-06', approvedFrom: '2020' });
+    });
+    assert.equal(summary.textContent, 'Active filters: Dates covered: 1990 to 1999-06, Approval date: from 2020');
+
+    withElements({ filterSummary: summary }, () => app.updateFilterSummary({}));
+    assert.equal(summary.textContent, 'No active filters');
+});
+
+test('updateFilterSummary reads the filter form when called without criteria', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    const summary = { textContent: '' };
+
+    withElements({
+        filterSummary: summary,
+        searchInput: { value: ' evaluations ' },
+        scheduleFilter: { value: '25-012' }
+    }, () => app.updateFilterSummary());
+
+    assert.equal(summary.textContent, 'Active filters: Text: "evaluations", Schedule: 25-012');
+});
+
+test('filter criteria round-trip through the URL hash', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    const criteria = {
+        searchText: 'tag:personnel "case files"',
+        division: 'Investigations',
+        approvalStatus: 'pending',
+        divisions: ['Investigations', 'Administration, Finance'],
+        divisionMode: 'none',
+        tags: ['personnel', 'hr'],
+        tagMode: 'all',
+        mediaTypes: ['paper'],
+        sortBy: 'relevance',
+        fuzzy: true,
+        coveredFrom: '1998-06',
+        approvedTo: '2021'
+    };
+
+    const hash = app.criteriaToHash(criteria, 42);
+    assert.deepEqual(app.parseLocationHash(`#${hash}`), { criteria, recordId: 42 });
+
+    // The default sort and empty values are left out
+    assert.equal(app.criteriaToHash({ sortBy: 'item_number', scheduleNumber: '', tags: [] }), '');
+    assert.deepEqual(app.parseLocationHash(''), { criteria: {}, recordId: null });
+    assert.deepEqual(app.parseLocationHash('#record=abc&q=rosters'), { criteria: { searchText: 'rosters' }, recordId: null });
+});
+
+test('buildSearchCriteria rejects an unreadable date bound and names its input', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+
+    withElements({ coveredFromFilter: { value: '2001' }, coveredToFilter: { value: ' 1999 ' } }, () => {
+        assert.throws(() => app.buildSearchCriteria(), (error) => error.inputId === 'coveredToFilter' && /after 1999/.test(error.message));
+    });
+
+    withElements({ coveredToFilter: { value: 'present' }, approvedFromFilter: { value: '2019-04' } }, () => {
+        assert.deepEqual(app.buildSearchCriteria(), { coveredTo: 'present', approvedFrom: '2019-04' });
+    });
+});
+
+test('chip filters feed the criteria with their match mode and show in the summary', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.filterChips = { tag: ['training', 'rosters'], media: ['paper'], division: [] };
+    const summary = { textContent: '' };
+
+    withElements({ filterSummary: summary, tagFilterMode: { value: 'all' }, mediaFilterMode: { value: 'any' } }, () => {
+        assert.deepEqual(app.buildSearchCriteria(), { tags: ['training', 'rosters'], tagMode: 'all', mediaTypes: ['paper'] });
+        app.updateFilterSummary();
+    });
+    assert.equal(summary.textContent, 'Active filters: Tags (all of): training; rosters, Media types (any of): paper');
+
+    // Clearing drops every chip and resets the toggles
+    const modes = { divisionFilterMode: { value: 'none' }, tagFilterMode: { value: 'all' }, mediaFilterMode: { value: 'any' } };
+    app.applyFilters = () => {};
+    withElements(modes, () => app.clearFilters());
+    assert.deepEqual(Object.values(modes).map(mode => mode.value), ['any', 'any', 'any']);
+    withElements({}, () => assert.deepEqual(app.buildSearchCriteria(), {}));
+});
+
+test('a saved single division becomes a division chip', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.setRelevanceMode = () => {};
+
+    withElements({}, () => {
+        app.setFilterForm({ division: 'Training', tags: ['rosters'] });
+        assert.deepEqual(app.buildSearchCriteria(), { divisions: ['Training'], tags: ['rosters'] });
+    });
+});
+
+test('filter options show how many records picking them would return', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.facetCounts = { total: 3, facets: { status: { ifPicked: new Map([['approved', 2]]), inResults: new Map(), otherwise: 0 } } };
+    const option = (value, text) => ({ value, textContent: text, dataset: {}, classList: { toggle(name, on) { this[name] = on; } } });
+    const select = { options: [option('', 'All Statuses'), option('approved', 'Approved'), option('draft', 'Draft')] };
+
+    app.labelFacetOptions(select, 'status');
+    assert.deepEqual(select.options.map(item => item.textContent), ['All Statuses', 'Approved (2)', 'Draft (0)']);
+    assert.deepEqual(select.options.slice(1).map(item => item.classList['facet-empty']), [false, true]);
+
+    // Relabelling keeps the original name
+    app.facetCounts.facets.status.ifPicked.set('draft', 1);
+    app.labelFacetOptions(select, 'status');
+    assert.equal(select.options[2].textContent, 'Draft (1)');
+});
+
+test('a breakdown value narrows with a chip, or with a qualifier when a chip would not', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    const tagGroup = { key: 'tag', label: 'Tags', qualifier: 'tag' };
+    const elements = { searchInput: { value: 'rosters' }, tagFilterMode: { value: 'any' } };
+    let applied = 0;
+    app.applyFilters = () => { applied++; };
+
+    withElements(elements, () => {
+        app.filterChips = {};
+        app.narrowByFacet(tagGroup, 'training');
+        assert.deepEqual(app.filterChips.tag, ['training']);
+
+        app.narrowByFacet(tagGroup, 'academy');
+        assert.deepEqual(app.filterChips.tag, ['training']);
+        assert.equal(elements.searchInput.value, 'rosters tag:"academy"');
+
+        elements.tagFilterMode.value = 'all';
+        app.narrowByFacet(tagGroup, 'academy');
+        assert.deepEqual(app.filterChips.tag, ['training', 'academy']);
+    });
+    assert.equal(applied, 3);
+});
+
+test('the results window covers the visible rows plus a buffer either side', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+
+    assert.deepEqual(app.getResultsWindowRange(0, 400, 80, 20000), { first: 0, last: 10 });
+    assert.deepEqual(app.getResultsWindowRange(80 * 1000 + 40, 400, 80, 20000), { first: 995, last: 1011 });
+    assert.deepEqual(app.getResultsWindowRange(80 * 19995, 400, 80, 20000), { first: 19990, last: 20000 });
+    // A list scrolled past the end of shorter results still draws the last rows
+    assert.deepEqual(app.getResultsWindowRange(80 * 5000, 400, 80, 12), { first: 7, last: 12 });
+    assert.deepEqual(app.getResultsWindowRange(0, 400, 80, 0), { first: 0, last: 0 });
+});
+
+test('arrow keys move the selection through results that are not drawn', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.filteredItems = [{ _id: 1 }, { _id: 2 }, { _id: 3 }];
+    app.selectedItemId = 3;
+    const scrolled = [];
+    app.scrollResultIntoView = index => scrolled.push(index);
+    app.selectSeriesItem = item => { app.selectedItemId = item._id; };
+    const press = key => app.handleKeydown({ key, target: { matches: () => false }, preventDefault() {} });
+
+    press('ArrowDown');
+    assert.equal(app.selectedItemId, 1);
+    press('ArrowUp');
+    assert.equal(app.selectedItemId, 3);
+    press('ArrowUp');
+    assert.equal(app.selectedItemId, 2);
+    assert.deepEqual(scrolled, [0, 2, 1]);
+});
+
+test('the detail pane redraws only for changes to the open record', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    const cached = new Map([[7, { _id: 7, record_series_title: 'Academy Rosters', schedule_number: '25-012' }]]);
+    app.seriesCache = { get: id => cached.get(id) || null };
+    app.currentSeriesItem = { _id: 7, record_series_title: 'Training Rosters' };
+    const drawn = [];
+    app.populateSeriesForm = item => drawn.push(item.record_series_title);
+    app.populateScheduleForm = schedule => drawn.push(schedule.schedule_number);
+    app.refreshCurrentSeriesItem = () => drawn.push('closed');
+
+    app.refreshDetailsAfterChange({ type: 'change', ids: [3, 4] });
+    assert.deepEqual(drawn, []);
+    app.refreshDetailsAfterChange({ type: 'change', ids: [7] });
+    assert.deepEqual(drawn, ['Academy Rosters', '25-012']);
+
+    cached.clear();
+    app.refreshDetailsAfterChange({ type: 'clear', ids: [] });
+    assert.equal(drawn.at(-1), 'closed');
+});
+
+test('column headers sort alone on click and add sort keys on shift-click', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.sortThenBy = [];
+    app.applyFilters = () => {};
+    app.updateColumnSortIndicators = () => {};
+    const sortBy = { value: 'item_number', options: [{ value: 'item_number' }, { value: 'division' }], appendChild: option => sortBy.options.push(option) };
+    const sortOrder = { value: '' };
+    const elements = { sortBy, sortOrder };
+    globalThis.document = { getElementById: id => elements[id] || null, createElement: () => ({}) };
+
+    try {
+        const criteria = () => {
+            const { sortBy: by, sortOrder: order, thenBy } = app.buildSearchCriteria();
+            return { by, order, thenBy };
+        };
+
+        app.sortByColumn('division');
+        assert.deepEqual(criteria(), { by: 'division', order: undefined, thenBy: undefined });
+        app.sortByColumn('division');
+        assert.deepEqual(criteria(), { by: 'division', order: 'desc', thenBy: undefined });
+
+        app.sortByColumn('ui_extras.seriesContact', true);
+        app.sortByColumn('record_series_title', true);
+        assert.deepEqual(criteria(), { by: 'division', order: 'desc', thenBy: ['ui_extras.seriesContact', 'record_series_title'] });
+
+        app.sortByColumn('ui_extras.seriesContact', true);
+        assert.deepEqual(criteria().thenBy, ['-ui_extras.seriesContact', 'record_series_title']);
+        app.sortByColumn('ui_extras.seriesContact', true);
+        assert.deepEqual(criteria().thenBy, ['record_series_title']);
+
+        // A column the "Sort by" list lacks is added to it
+        app.sortByColumn('ui_extras.seriesContact');
+        assert.deepEqual(criteria(), { by: 'ui_extras.seriesContact', order: undefined, thenBy: undefined });
+        assert.equal(sortBy.options.at(-1).textContent, 'Contact');
+    } finally {
+        delete globalThis.document;
+    }
+
+    const hash = app.criteriaToHash({ sortBy: 'division', sortOrder: 'desc', thenBy: ['-approval_date', 'item_number'] });
+    assert.deepEqual(app.parseLocationHash(hash).criteria, { sortBy: 'division', sortOrder: 'desc', thenBy: ['-approval_date', 'item_number'] });
+});
+
+test('result column layouts are kept per user', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.renderResultsHeader = () => {};
+    const stored = new Map();
+    globalThis.localStorage = { getItem: key => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) };
+
+    try {
+        app.currentUser = { _id: 1 };
+        app.loadResultLayout();
+        assert.deepEqual(app.resultColumns.map(column => column.key), ['schedule_number', 'item_number', 'record_series_title', 'division']);
+
+        app.resultColumns = [{ key: 'record_series_title', width: null }, { key: 'ui_extras.boxNumber', width: 90 }];
+        app.saveResultLayout();
+        assert.deepEqual(app.getResultGridTemplate(), { template: '28px minmax(160px, 1fr) 90px', minWidth: 28 + 160 + 90 + 2 * 12 + 50 });
+
+        app.currentUser = { _id: 2 };
+        app.loadResultLayout();
+        assert.equal(app.resultColumns.length, 4);
+
+        app.currentUser = { _id: 1 };
+        app.loadResultLayout();
+        assert.deepEqual(app.resultColumns, [{ key: 'record_series_title', width: null }, { key: 'ui_extras.boxNumber', width: 90 }]);
+    } finally {
+        delete globalThis.localStorage;
+    }
+
+    // ui_extras fields outside the catalog still get a column
+    const column = app.getResultColumn('ui_extras.boxNumber');
+    assert.equal(column.label, 'Box Number');
+    assert.equal(app.formatColumnValue({ ui_extras: { boxNumber: 'B-12' } }, column), 'B-12');
+    assert.equal(app.formatColumnValue({ tags: ['hr', 'personnel'] }, app.getResultColumn('tags')), 'hr; personnel');
+    assert.equal(app.formatColumnValue({}, app.getResultColumn('record_series_title')), 'Untitled');
+});
+
+test('undo history is trimmed in storage only when it exceeds the quota', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.undoStack = [{ label: 'one' }, { label: 'two' }, { label: 'three' }];
+    app.redoStack = [{ label: 'four' }];
+    const stored = new Map();
+    const storageError = (name) => Object.assign(new Error(name), { name });
+    // Room for two entries
+    let failure = (value) => {
+        const { undo, redo } = JSON.parse(value);
+        return undo.length + redo.length > 2 ? storageError('QuotaExceededError') : null;
+    };
+
+    try {
+        globalThis.sessionStorage = {
+            setItem: (key, value) => {
+                const error = failure(value);
+                if (error) throw error;
+                stored.set(key, value);
+            }
+        };
+        app.saveUndoHistory();
+        assert.deepEqual(JSON.parse(stored.get('iletsb_undo_history')), { undo: [{ label: 'three' }], redo: [{ label: 'four' }] });
+        assert.equal(app.undoStack.length, 3);
+
+        // Storage turned off is not a quota problem: nothing is stored and nothing dropped
+        stored.clear();
+        failure = () => storageError('SecurityError');
+        app.saveUndoHistory();
+        assert.equal(stored.size, 0);
+        assert.equal(app.undoStack.length, 3);
+        assert.equal(app.redoStack.length, 1);
+    } finally {
+        delete globalThis.sessionStorage;
+    }
+});
+
+test('results are ticked one at a time or in ranges, and leave the selection when no longer listed', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.filteredItems = [1, 2, 3, 4, 5].map(id => ({ _id: id }));
+    app.checkedIds = new Set();
+    const selectAll = {};
+    const count = { textContent: '' };
+    const barHidden = [];
+    const selectionBar = { classList: { toggle: (name, hidden) => barHidden.push(hidden) } };
+    const checked = () => [...app.checkedIds].sort();
+
+    withElements({ selectAllResults: selectAll, selectionCount: count, selectionBar }, () => {
+        app.toggleResultChecked(1);
+        app.toggleResultChecked(3, true);
+        assert.deepEqual(checked(), [2, 3, 4]);
+        assert.equal(count.textContent, '3 records selected');
+        assert.deepEqual([selectAll.checked, selectAll.indeterminate], [false, true]);
+
+        // A range runs from the last result ticked on its own, in either direction
+        app.toggleResultChecked(4);
+        app.toggleResultChecked(0, true);
+        assert.deepEqual(checked(), [1, 2, 3, 4, 5]);
+        assert.deepEqual([selectAll.checked, selectAll.indeterminate], [true, false]);
+
+        app.toggleResultChecked(2);
+        app.filteredItems = app.filteredItems.slice(0, 2);
+        app.pruneCheckedResults();
+        assert.deepEqual(checked(), [1, 2]);
+
+        app.clearResultSelection();
+        assert.deepEqual(checked(), []);
+        assert.equal(barHidden.at(-1), true);
+    });
+});
+
+test('the bulk edit preview lists each change and holds back edits that would fail', () => {
+    const app = Object.create(RecordsRetentionApp.prototype);
+    app.seriesRepo = new SeriesRepository(null);
+    app.seriesItems = [
+        { _id: 1, schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters', tags: ['training'] },
+        { _id: 2, schedule_number: '95-004', item_number: '1', record_series_title: 'Officer Certification Files', tags: [] },
+        { _id: 3, schedule_number: '95-004', item_number: '2', record_series_title: 'Range Logs', tags: ['training'] }
+    ];
+    app.filteredItems = app.seriesItems;
+    app.checkedIds = new Set([2, 3]);
+
+    const element = () => ({
+        children: [],
+        appendChild(child) { this.children.push(child); },
+        removeChild(child) { this.children.splice(this.children.indexOf(child), 1); },
+        get firstChild() { return this.children[0] || null; }
+    });
+    const bulkEditBody = element();
+    const elements = {
+        bulkAction: { value: 'add_tags' },
+        bulkValue: { value: 'training, firearms' },
+        bulkEditBody,
+        bulkEditSummary: { textContent: '' },
+        bulkApplyBtn: { disabled: false }
+    };
+    const rows = () => bulkEditBody.children.map(row => row.children.map(cell => cell.textContent));
+
+    globalThis.document = { getElementById: id => elements[id] || null, createElement: element };
+    try {
+        app.renderBulkEditPreview();
+        assert.deepEqual(rows(), [
+            ['95-004', '1', 'Officer Certification Files', 'Tags: — → training; firearms'],
+            ['95-004', '2', 'Range Logs', 'Tags: training → training; firearms']
+        ]);
+        assert.equal(elements.bulkEditSummary.textContent, '2 of 2 selected records will change.');
+        assert.equal(elements.bulkApplyBtn.disabled, false);
+
+        elements.bulkAction.value = 'assign_schedule';
+        elements.bulkValue.value = '25-012';
+        app.renderBulkEditPreview();
+        assert.equal(rows()[0][3], 'Schedule 25-012 item 1 already exists: "Training Rosters" (record #1)');
+        assert.equal(elements.bulkEditSummary.textContent, '2 of 2 selected records will change; 1 cannot be changed; untick it or pick another value.');
+        assert.equal(elements.bulkApplyBtn.disabled, true);
+
+        elements.bulkAction.value = 'set_division';
+        elements.bulkValue.value = ' ';
+        app.renderBulkEditPreview();
+        assert.deepEqual(rows(), []);
+        assert.equal(elements.bulkApplyBtn.disabled, true);
+    } finally {
+        delete globalThis.document;
+    }
+});
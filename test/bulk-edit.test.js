@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DuplicateSeriesError } from '../repository.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters', division: 'Training', tags: ['training'], media_types: ['paper'] }),
+    seriesRecord({ schedule_number: '25-012', item_number: '2', record_series_title: 'Instructor Evaluations', division: 'Training', tags: ['training', 'instructors'], media_types: [] }),
+    seriesRecord({ schedule_number: '95-004', item_number: '2', record_series_title: 'Officer Certification Files', division: 'Certification', tags: [], media_types: ['electronic'] })
+];
+
+const batchEvents = async (audit, batchId) => (await audit.getAll())
+    .map(event => ({ ...event, payload: JSON.parse(event.payload) }))
+    .filter(event => event.payload.batch_id === batchId);
+
+test('a bulk edit changes the selection in one step, one audit event per changed record', async () => {
+    const { series, audit, changes, ids } = await seedRepository(seedRecords);
+
+    const { batchId, count } = await series.bulkEdit(ids, { action: 'add_tags', value: 'archive; instructors' });
+    assert.equal(count, 3);
+    assert.deepEqual((await series.getAll()).map(item => item.tags),
+        [['training', 'archive', 'instructors'], ['training', 'instructors', 'archive'], ['archive', 'instructors']]);
+
+    const events = await batchEvents(audit, batchId);
+    assert.deepEqual(events.map(event => [event.action, event.entity_id, event.payload.bulk_update_fields]),
+        ids.map(id => ['bulk_edit', id, ['tags']]));
+    assert.equal(changes.at(-1).label, 'Add tags on 3 records');
+
+    // Records the edit leaves alone are not written or audited
+    const removal = await series.bulkEdit(ids, { action: 'remove_tags', value: ['instructors'] });
+    assert.equal(removal.count, 3);
+    const cleared = await series.bulkEdit(ids.slice(2), { action: 'clear_division' });
+    const again = await series.bulkEdit(ids.slice(2), { action: 'clear_division' });
+    assert.equal(cleared.count, 1);
+    assert.equal(again.count, 0);
+    assert.equal((await batchEvents(audit, again.batchId)).length, 0);
+
+    await series.bulkEdit(ids.slice(0, 2), { action: 'set_retention_trigger', value: ' Separation ' });
+    assert.deepEqual((await series.getAll()).map(item => item.ui_extras.retentionTrigger), ['Separation', 'Separation', undefined]);
+});
+
+test('a bulk delete moves the selection to the trash and undoes as one step', async () => {
+    const { series, audit, changes, ids } = await seedRepository(seedRecords);
+
+    const { batchId } = await series.bulkEdit(ids.slice(0, 2), { action: 'delete' });
+    assert.deepEqual((await series.getAll()).map(item => item.record_series_title), ['Officer Certification Files']);
+    assert.equal((await series.getTrashed()).length, 2);
+    assert.deepEqual((await batchEvents(audit, batchId)).map(event => [event.action, event.payload.trashed]), [['delete', true], ['delete', true]]);
+
+    await series.applyChanges(changes.at(-1), 'undo');
+    assert.equal((await series.getAll()).length, 3);
+    assert.equal((await series.getTrashed()).length, 0);
+});
+
+test('nothing is written when any change in the selection is invalid or clashes', async () => {
+    const { series, audit, ids } = await seedRepository(seedRecords);
+    const before = await series.getAll();
+    const eventCount = (await audit.getAll()).length;
+
+    await assert.rejects(series.bulkEdit(ids, { action: 'set_status', value: 'shredded' }), /approval_status "shredded"/);
+    // 95-004/2 and 25-012/2 would both become 25-012/2
+    await assert.rejects(series.bulkEdit(ids.slice(1), { action: 'assign_schedule', value: '25-012' }), DuplicateSeriesError);
+    // 95-004/2 would land on the 25-012/2 left outside the selection
+    await assert.rejects(series.bulkEdit(ids.slice(2), { action: 'assign_schedule', value: '25-012' }), DuplicateSeriesError);
+    await assert.rejects(series.bulkEdit(ids, { action: 'rename' }), /Unknown bulk action/);
+
+    assert.deepEqual(await series.getAll(), before);
+    assert.equal((await audit.getAll()).length, eventCount);
+});
+
+test('the plan previews each change and flags the ones that would fail', async () => {
+    const { series, ids } = await seedRepository(seedRecords);
+    const records = await series.getAll();
+
+    const plan = series.planBulkEdit(records.slice(1), { action: 'assign_schedule', value: '25-012' }, records);
+    assert.deepEqual(plan.map(entry => [entry.id, entry.changes.map(change => `${change.field}: ${change.before} -> ${change.after}`)]),
+        [[ids[1], []], [ids[2], ['schedule_number: 95-004 -> 25-012']]]);
+    assert.match(plan[1].errors[0], /Schedule 25-012 item 2 already exists: "Instructor Evaluations"/);
+
+    const moved = series.planBulkEdit(records.slice(2), { action: 'assign_schedule', value: '26-001' }, records);
+    assert.deepEqual(moved[0].errors, []);
+    assert.equal(series.planBulkEdit(records, { action: 'delete' })[0].after, null);
+});
+
+test('a status edit covers the whole schedule of each selected record', async () => {
+    const { series, audit, ids } = await seedRepository(seedRecords);
+    const records = await series.getAll();
+
+    const plan = series.planBulkEdit(records.slice(0, 1), { action: 'set_status', value: 'pending' }, records);
+    assert.deepEqual(plan.map(entry => [entry.id, entry.sameSchedule]), [[ids[0], false], [ids[1], true]]);
+
+    const { batchId, count } = await series.bulkEdit(ids.slice(0, 1), { action: 'set_status', value: 'pending' });
+    assert.equal(count, 2);
+    assert.deepEqual((await series.getAll()).map(item => item.approval_status), ['pending', 'pending', 'approved']);
+    assert.deepEqual((await batchEvents(audit, batchId)).map(event => [event.entity_id, event.payload.same_schedule]),
+        [[ids[0], undefined], [ids[1], true]]);
+
+    // Other actions stay with the selection
+    await series.bulkEdit(ids.slice(0, 1), { action: 'clear_division' });
+    assert.deepEqual((await series.getAll()).map(item => item.division), ['', 'Training', 'Certification']);
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import * as esbuild from 'esbuild';
+import { BUNDLE_OPTIONS } from '../build.js';
+
+test('app.bundle.js is rebuilt from the current sources', async () => {
+    const { outputFiles } = await esbuild.build({ ...BUNDLE_OPTIONS, write: false, logLevel: 'silent' });
+    const committed = await readFile(new URL('../app.bundle.js', import.meta.url), 'utf8');
+    assert.ok(outputFiles[0].text === committed, 'app.bundle.js is out of date; run `npm run build`');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateRange, DateRangeError } from '../repository.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ item_number: '1', record_series_title: 'Academy Rosters', dates_covered_start: '1985', dates_covered_end: '1999', approval_date: '2019-04-02' }),
+    seriesRecord({ item_number: '2', record_series_title: 'Instructor Files', dates_covered_start: '1998-06', dates_covered_end: 'present', approval_date: '2021-11-30' }),
+    seriesRecord({ item_number: '3', record_series_title: 'Grant Letters', dates_covered_start: '2004-02-15', dates_covered_end: '2004-03', approval_date: '' }),
+    seriesRecord({ item_number: '4', record_series_title: 'Range Logs', dates_covered_start: '2010' }),
+    seriesRecord({ item_number: '5', record_series_title: 'Undated Notes' })
+];
+
+const titles = items => items.map(item => item.record_series_title);
+
+test('partial dates stand for the whole year or month', () => {
+    assert.deepEqual(DateRange.parse('1998'), { start: '1998-01-01', end: '1998-12-31' });
+    assert.deepEqual(DateRange.parse('2024-02'), { start: '2024-02-01', end: '2024-02-29' });
+    assert.deepEqual(DateRange.parse(' 2023-02-28 '), { start: '2023-02-28', end: '2023-02-28' });
+    assert.equal(DateRange.parse('2023-02-29'), null);
+    assert.equal(DateRange.parse('2023-13'), null);
+    assert.equal(DateRange.parse('circa 1998'), null);
+    assert.equal(DateRange.parse(''), null);
+});
+
+test('coverage treats "present" as open-ended and a missing end as the start period', () => {
+    assert.deepEqual(DateRange.coverage({ dates_covered_start: '1998-06', dates_covered_end: 'Present' }), { start: '1998-06-01', end: '9999-12-31' });
+    assert.deepEqual(DateRange.coverage({ dates_covered_start: '2010' }), { start: '2010-01-01', end: '2010-12-31' });
+    assert.deepEqual(DateRange.coverage({ dates_covered_end: '1960' }), { start: '0000-01-01', end: '1960-12-31' });
+    assert.equal(DateRange.coverage({}), null);
+});
+
+test('coverage filters find every series overlapping the period', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ coveredFrom: '1999', coveredTo: '1999' })), ['Academy Rosters', 'Instructor Files']);
+    assert.deepEqual(titles(await series.search({ coveredFrom: '2004-03' })), ['Instructor Files', 'Grant Letters', 'Range Logs']);
+    assert.deepEqual(titles(await series.search({ coveredFrom: '2004-03-02', coveredTo: '2009' })), ['Instructor Files', 'Grant Letters']);
+    assert.deepEqual(titles(await series.search({ coveredTo: '1998-05' })), ['Academy Rosters']);
+    // Only "present" reaches into the future
+    assert.deepEqual(titles(await series.search({ coveredFrom: '2090' })), ['Instructor Files']);
+});
+
+test('the approval date range is a separate filter', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ approvedFrom: '2020' })), ['Instructor Files']);
+    assert.deepEqual(titles(await series.search({ approvedFrom: '2019-04', approvedTo: '2021-11-30' })), ['Academy Rosters', 'Instructor Files']);
+    assert.deepEqual(titles(await series.search({ approvedFrom: '2019', coveredFrom: '2000' })), ['Instructor Files']);
+});
+
+test('unreadable or reversed bounds are rejected', () => {
+    assert.throws(() => DateRange.bounds('1990s', '', 'Dates covered'),
+        (error) => error instanceof DateRangeError && error.bound === 'from' && /Dates covered from "1990s" must be YYYY/.test(error.message));
+    assert.throws(() => DateRange.bounds('2001', '2000-12', 'Approval date'),
+        (error) => error instanceof DateRangeError && error.bound === 'to' && error.message === 'Approval date from 2001 is after 2000-12');
+    assert.deepEqual(DateRange.bounds('', ''), { start: '0000-01-01', end: '9999-12-31' });
+    assert.deepEqual(DateRange.bounds('2001', 'present'), { start: '2001-01-01', end: '9999-12-31' });
+});
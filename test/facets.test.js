@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchQuery } from '../repository.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters', division: 'Training', approval_status: 'approved', tags: ['training', 'rosters'], media_types: ['paper'] }),
+    seriesRecord({ schedule_number: '25-012', item_number: '2', record_series_title: 'Instructor Evaluations', division: 'Training', approval_status: 'pending', tags: ['training'], media_types: ['electronic'] }),
+    seriesRecord({ schedule_number: '95-004', item_number: '2', record_series_title: 'Officer Certification Files', division: 'Certification', approval_status: 'approved', tags: ['certification'], media_types: ['paper', 'electronic'] }),
+    seriesRecord({ schedule_number: '05-100', item_number: '3', record_series_title: 'Grant Correspondence', division: 'Administration', approval_status: 'draft', tags: [], media_types: [] })
+];
+
+const entries = map => Object.fromEntries([...map].sort(([a], [b]) => a.localeCompare(b)));
+
+test('facet counts break down the current results', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    const { total, facets } = await series.facetCounts({ approvalStatus: 'approved' });
+    assert.equal(total, 2);
+    assert.deepEqual(entries(facets.division.inResults), { Certification: 1, Training: 1 });
+    assert.deepEqual(entries(facets.media.inResults), { electronic: 1, paper: 2 });
+    assert.deepEqual(entries(facets.status.inResults), { approved: 2 });
+
+    // Text search narrows the counts like it narrows the results
+    const text = await series.facetCounts({ searchText: 'training', query: SearchQuery.parse('training') });
+    assert.equal(text.total, 2);
+    assert.deepEqual(entries(text.facets.tag.inResults), { rosters: 1, training: 2 });
+});
+
+test('option counts give the number of results picking the value would return', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    // A schedule or status replaces the current one
+    const byStatus = await series.facetCounts({ approvalStatus: 'approved', mediaTypes: ['paper'] });
+    assert.deepEqual(entries(byStatus.facets.status.ifPicked), { approved: 2 });
+    assert.deepEqual(entries(byStatus.facets.schedule.ifPicked), { '25-012': 1, '95-004': 1 });
+    assert.equal(byStatus.facets.schedule.ifPicked.get('05-100'), undefined);
+    assert.equal(byStatus.facets.schedule.otherwise, 0);
+
+    // Another "any of" value adds to the results
+    const any = await series.facetCounts({ tags: ['rosters'] });
+    assert.deepEqual(entries(any.facets.tag.ifPicked), { certification: 2, rosters: 1, training: 2 });
+    assert.equal(any.facets.tag.otherwise, 1);
+
+    // Another "all of" value keeps the results that have it
+    const all = await series.facetCounts({ tags: ['training'], tagMode: 'all' });
+    assert.deepEqual(entries(all.facets.tag.ifPicked), { rosters: 1, training: 2 });
+    assert.equal(all.facets.tag.otherwise, 0);
+
+    // Another "none of" value drops the results that have it
+    const none = await series.facetCounts({ mediaTypes: ['electronic'], mediaMode: 'none' });
+    assert.equal(none.total, 2);
+    assert.deepEqual(entries(none.facets.media.ifPicked), { paper: 1 });
+    assert.equal(none.facets.media.otherwise, 2);
+
+    // Each count matches an actual search
+    for (const [tag, count] of any.facets.tag.ifPicked) {
+        assert.equal((await series.search({ tags: ['rosters', tag] })).length, count, tag);
+    }
+});
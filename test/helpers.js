@@ -0,0 +1,64 @@
+// Shared setup for the test suite: every test gets its own in-memory IndexedDB
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { openRepositories } from '../repository.js';
+
+export function memoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key)
+    };
+}
+
+export async function openTestRepositories(options = {}) {
+    const changes = [];
+    const errors = [];
+    const repos = await openRepositories({
+        indexedDB: options.indexedDB || new IDBFactory(),
+        IDBKeyRange,
+        storage: memoryStorage(),
+        onChange: (label, changed) => changes.push({ label, changes: changed }),
+        onError: (error, context) => errors.push({ error, context }),
+        ...options
+    });
+    return { ...repos, changes, errors };
+}
+
+// Open a raw database at an old schema version and seed it, as an older release would have left it
+export function openLegacyDatabase(indexedDB, name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => upgrade(request.result, event.target.transaction);
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function seriesRecord(overrides = {}) {
+    return {
+        schedule_number: '25-012',
+        item_number: '1',
+        record_series_title: 'Training Rosters',
+        division: 'Training',
+        approval_status: 'approved',
+        tags: ['training'],
+        media_types: ['paper'],
+        ui_extras: {},
+        ...overrides
+    };
+}
+
+// Fresh repositories with the given records saved in order; `ids` holds their new _ids.
+// Each record is copied first, since save() fills in _id and timestamps.
+export async function seedRepository(records, options = {}) {
+    const repos = await openTestRepositories(options);
+    const ids = [];
+    for (const record of records) {
+        ids.push((await repos.series.save(structuredClone(record)))._id);
+    }
+    return { ...repos, ids };
+}
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import XLSX from 'xlsx';
+import { EXPORT_FORMAT_VERSION } from '../repository.js';
+import { openTestRepositories, seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({
+        item_number: '1',
+        tags: ['training', 'rosters'],
+        omb_or_statute_refs: ['50 ILCS 705/6'],
+        related_series: ['25-012/2'],
+        ui_extras: { arrangement: 'Alphabetical', seriesContact: 'Records Unit' }
+    }),
+    seriesRecord({ item_number: '2', record_series_title: 'Instructor Evaluations', tags: [], media_types: ['electronic'] })
+];
+
+// Compare records on content only; _id and updated_at are assigned by the receiving database
+const comparable = records => records
+    .map(({ _id, created_at, updated_at, version, ...rest }) => rest)
+    .sort((a, b) => a.item_number.localeCompare(b.item_number));
+
+test('JSON export carries metadata, records and a verifiable audit log', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    const exported = await series.export();
+
+    assert.equal(exported.metadata.version, EXPORT_FORMAT_VERSION);
+    assert.equal(exported.metadata.total_series, 2);
+    assert.equal(exported.metadata.total_schedules, 1);
+    assert.equal(exported.metadata.audit_chain_head.events, exported.audit_events.length);
+    assert.ok(exported.audit_events.every(event => event.hash));
+});
+
+test('JSON round trip restores the same records and history in a fresh database', async () => {
+    const source = await seedRepository(seedRecords);
+    const file = JSON.parse(JSON.stringify(await source.series.export()));
+    file.series[0].created_at = '2019-03-01T09:30:00.000Z';
+
+    const target = await openTestRepositories();
+    const result = await target.series.import(file.series, {
+        source: 'JSON',
+        auditEvents: file.audit_events,
+        auditChainHead: file.metadata.audit_chain_head
+    });
+
+    assert.deepEqual(result.counts, { created: 2, updated: 0, skipped: 0 });
+    assert.equal(result.auditVerification.ok, true);
+    assert.deepEqual(comparable(await target.series.getAll()), comparable(file.series));
+    // New records keep the creation time from the file
+    const createdAt = records => Object.fromEntries(records.map(item => [item.item_number, item.created_at]));
+    assert.deepEqual(createdAt(await target.series.getAll()), createdAt(file.series));
+
+    // Series history follows the records to their new _ids
+    const imported = (await target.audit.getAll()).filter(event => event.entity === 'series' && event.source_hash);
+    const seriesHistory = file.audit_events.filter(event => event.entity === 'series');
+    assert.equal(imported.length, seriesHistory.length);
+
+    // Importing the same file again changes nothing
+    const again = await target.series.import(file.series, { auditEvents: file.audit_events });
+    assert.deepEqual(again.counts, { created: 0, updated: 0, skipped: 2 });
+    assert.equal(again.audit.imported, 0);
+});
+
+test('migration events in a backup import back with the rest of the history', async () => {
+    const source = await seedRepository(seedRecords);
+    const file = JSON.parse(JSON.stringify(await source.series.export()));
+    const migrations = file.audit_events.filter(event => event.entity === 'database');
+    assert.ok(migrations.length > 0);
+
+    // Re-importing a workstation's own backup finds every event already there
+    const again = await source.series.import(file.series, { auditEvents: file.audit_events });
+    assert.deepEqual(again.audit.unresolved, []);
+    assert.equal(again.audit.imported, 0);
+
+    const target = await openTestRepositories();
+    const result = await target.series.import(file.series, { auditEvents: file.audit_events });
+    assert.deepEqual(result.audit.unresolved, []);
+    const imported = (await target.audit.getAll()).filter(event => event.entity === 'database' && event.source_hash);
+    assert.deepEqual(imported.map(event => event.entity_id), migrations.map(event => event.entity_id));
+});
+
+test('a tampered JSON audit log is reported before import', async () => {
+    const source = await seedRepository(seedRecords);
+    const file = JSON.parse(JSON.stringify(await source.series.export()));
+    file.audit_events[file.audit_events.length - 1].actor = 'someone-else';
+
+    const target = await openTestRepositories();
+    const preview = await target.series.buildImportPreview(file.series, {
+        auditEvents: file.audit_events,
+        auditChainHead: file.metadata.audit_chain_head
+    });
+
+    assert.equal(preview.auditVerification.ok, false);
+    assert.deepEqual(preview.summary, { new: 2, update: 0, duplicate: 0, invalid: 0 });
+});
+
+test('Excel round trip keeps arrays, ui_extras and blank titles', async () => {
+    const source = await seedRepository(seedRecords);
+    const untitled = await source.series.save(seriesRecord({ item_number: '3', record_series_title: '' }));
+    const exported = await source.series.export();
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(exported.series.map(item => source.series.toExcelRow(item))), 'Series Data');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const rows = XLSX.utils.sheet_to_json(XLSX.read(buffer, { type: 'buffer' }).Sheets['Series Data']);
+    assert.equal(rows.find(row => row.item_number === '1').tags, 'training; rosters');
+    assert.equal(rows.find(row => row.item_number === '1').ui_extras_seriesContact, 'Records Unit');
+
+    const restored = rows.map(row => source.series.fromExcelRow(row));
+    assert.equal(restored.find(item => item.item_number === '3').record_series_title, '');
+
+    // Blank titles are invalid on import, everything else comes back unchanged
+    const target = await openTestRepositories();
+    const result = await target.series.import(restored, { source: 'Excel' });
+    assert.deepEqual(result.summary, { new: 2, update: 0, duplicate: 0, invalid: 1 });
+    assert.deepEqual(
+        comparable(await target.series.getAll()),
+        comparable(exported.series.filter(item => item._id !== untitled._id))
+    );
+});
+
+test('clearAll empties the stores and restarts the audit chain', async () => {
+    const { series, audit } = await seedRepository(seedRecords);
+    await series.delete((await series.getAll())[0]._id);
+    await audit.sealed();
+    assert.ok(audit.getChainHead());
+
+    await series.clearAll();
+
+    assert.deepEqual(await series.getAll(), []);
+    assert.deepEqual(await series.getTrashed(), []);
+    assert.deepEqual(await audit.getAll(), []);
+    assert.equal(audit.getChainHead(), null);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { DB_MIGRATIONS, MigrationRunner } from '../repository.js';
+import { openTestRepositories, openLegacyDatabase } from './helpers.js';
+
+test('a fresh database is created at the latest version with every store', async () => {
+    const { db, applied, audit } = await openTestRepositories();
+
+    assert.equal(db.version, MigrationRunner.latestVersion());
+    assert.deepEqual(applied.map(step => step.version), DB_MIGRATIONS.map(step => step.version));
+    for (const store of ['series', 'audit_events', 'users', 'trash', 'search_index', 'saved_searches']) {
+        assert.ok(db.objectStoreNames.contains(store), `missing store ${store}`);
+    }
+    assert.ok(!db.objectStoreNames.contains('schedules'));
+
+    const indexes = [...db.transaction(['series'], 'readonly').objectStore('series').indexNames];
+    assert.deepEqual(indexes.sort(), ['dates_covered_start', 'division', 'record_series_title', 'schedule_number', 'schedule_number_item_number', 'tags']);
+
+    // A new database has nothing to back up
+    assert.ok(applied.every(step => step.backupKey === null));
+
+    const events = await audit.getAll();
+    assert.deepEqual(events.map(event => `${event.entity}:${event.entity_id}:${event.action}`),
+        DB_MIGRATIONS.map(step => `database:v${step.version}:migrate`));
+});
+
+test('upgrading a v3 database renames application_number and backs up the old records', async () => {
+    const indexedDB = new IDBFactory();
+    await openLegacyDatabase(indexedDB, 'legacy', 3, (db) => {
+        const auditStore = db.createObjectStore('audit_events', { autoIncrement: true });
+        auditStore.createIndex('entity', 'entity', { unique: false });
+        auditStore.createIndex('action', 'action', { unique: false });
+        auditStore.createIndex('at', 'at', { unique: false });
+        auditStore.createIndex('entity_action_date', ['entity', 'entity_id', 'at'], { unique: false });
+
+        const seriesStore = db.createObjectStore('series', { keyPath: '_id', autoIncrement: true });
+        seriesStore.add({
+            application_number: '95-004',
+            item_number: '2',
+            record_series_title: 'Legacy Rosters',
+            tags: 'training; rosters',
+            media_types: 'paper',
+            retention_is_permanent: false,
+            schedule_id: 7
+        });
+    });
+
+    const { db, applied, series } = await openTestRepositories({ indexedDB, name: 'legacy' });
+
+    assert.deepEqual(applied.map(step => step.version), DB_MIGRATIONS.filter(step => step.version > 3).map(step => step.version));
+    assert.equal(applied[0].from_version, 3);
+
+    const [record] = await series.getAll();
+    assert.equal(record.schedule_number, '95-004');
+    assert.equal(record.application_number, undefined);
+    assert.deepEqual(record.tags, ['training', 'rosters']);
+    assert.deepEqual(record.media_types, ['paper']);
+    assert.deepEqual(record.related_series, []);
+    assert.equal(record.schedule_id, undefined);
+    assert.equal(record.retention_is_permanent, undefined);
+
+    // The token index is built for records that predate it
+    assert.deepEqual((await series.search({ searchText: 'legacy ros' })).map(item => item._id), [record._id]);
+
+    // Only the destructive v4 step took a backup, holding the records as they were
+    assert.ok(applied[0].backupKey != null);
+    assert.equal(applied[1].backupKey, null);
+    const backups = await new Promise((resolve, reject) => {
+        const request = db.transaction([MigrationRunner.BACKUP_STORE], 'readonly').objectStore(MigrationRunner.BACKUP_STORE).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    assert.equal(backups.length, 1);
+    assert.equal(backups[0].version, 4);
+    assert.equal(backups[0].stores.series[0].application_number, '95-004');
+});
+
+test('a failing migration rolls the whole upgrade back', async () => {
+    const indexedDB = new IDBFactory();
+    const first = await openTestRepositories({ indexedDB, name: 'rollback' });
+    await first.series.save({ schedule_number: '25-001', item_number: '1', record_series_title: 'Kept' });
+    first.db.close();
+
+    const brokenVersion = MigrationRunner.latestVersion() + 1;
+    const migrations = [
+        ...DB_MIGRATIONS,
+        {
+            version: brokenVersion,
+            name: 'broken-step',
+            migrate(db, transaction, done) {
+                db.createObjectStore('half_done');
+                done(new Error('bad transform'));
+            }
+        }
+    ];
+
+    await assert.rejects(
+        openTestRepositories({ indexedDB, name: 'rollback', migrations }),
+        new RegExp(`Migration v${brokenVersion} \\(broken-step\\) failed: bad transform`)
+    );
+
+    const reopened = await openTestRepositories({ indexedDB, name: 'rollback' });
+    assert.equal(reopened.db.version, MigrationRunner.latestVersion());
+    assert.ok(!reopened.db.objectStoreNames.contains('half_done'));
+    assert.deepEqual((await reopened.series.getAll()).map(item => item.record_series_title), ['Kept']);
+});
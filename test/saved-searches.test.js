@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchQuery } from '../repository.js';
+import { openTestRepositories, seriesRecord } from './helpers.js';
+
+const names = searches => searches.map(search => search.name);
+
+test('saved searches can be created, renamed, reordered and deleted', async () => {
+    const { savedSearches } = await openTestRepositories();
+
+    const pending = await savedSearches.create('  Pending personnel  ', {
+        searchText: 'tag:personnel',
+        query: SearchQuery.parse('tag:personnel'),
+        division: 'Investigations',
+        approvalStatus: 'pending',
+        sortBy: 'item_number'
+    });
+    assert.equal(pending.name, 'Pending personnel');
+    assert.deepEqual(pending.criteria, { searchText: 'tag:personnel', division: 'Investigations', approvalStatus: 'pending', sortBy: 'item_number' });
+
+    const drafts = await savedSearches.create('Drafts', { approvalStatus: 'draft' });
+    const patrol = await savedSearches.create('Patrol', { division: 'Patrol' });
+    assert.deepEqual(names(await savedSearches.getAll()), ['Pending personnel', 'Drafts', 'Patrol']);
+
+    await savedSearches.rename(drafts._id, 'All drafts');
+    await savedSearches.move(patrol._id, -1);
+    assert.deepEqual(names(await savedSearches.getAll()), ['Pending personnel', 'Patrol', 'All drafts']);
+
+    // Moving past either end changes nothing
+    await savedSearches.move(pending._id, -1);
+    await savedSearches.reorder([drafts._id, pending._id]);
+    assert.deepEqual(names(await savedSearches.getAll()), ['All drafts', 'Pending personnel', 'Patrol']);
+
+    await savedSearches.delete(pending._id);
+    assert.deepEqual(names(await savedSearches.getAll()), ['All drafts', 'Patrol']);
+
+    await assert.rejects(savedSearches.create('   ', {}), /needs a name/);
+    await assert.rejects(savedSearches.rename(patrol._id, ''), /needs a name/);
+});
+
+test('saved searches travel with the JSON export', async () => {
+    const source = await openTestRepositories();
+    await source.series.save(seriesRecord());
+    await source.savedSearches.create('Training', { division: 'Training' });
+    await source.savedSearches.create('Rosters', { searchText: 'rosters', sortBy: 'relevance', fuzzy: true });
+
+    const file = JSON.parse(JSON.stringify(await source.series.export()));
+    assert.equal(file.metadata.total_saved_searches, 2);
+    assert.deepEqual(names(file.saved_searches), ['Training', 'Rosters']);
+
+    // A filtered export carries records only
+    const filtered = await source.series.export({ series: await source.series.getAll() });
+    assert.equal(filtered.saved_searches, undefined);
+
+    const target = await openTestRepositories();
+    await target.savedSearches.create('Mine', { approvalStatus: 'draft' });
+    await target.savedSearches.create('Training', { division: 'Training' });
+    const result = await target.series.import(file.series, { savedSearches: file.saved_searches });
+
+    assert.deepEqual(result.savedSearches, { imported: 1, alreadyPresent: 1 });
+    const imported = await target.savedSearches.getAll();
+    assert.deepEqual(names(imported), ['Mine', 'Training', 'Rosters']);
+    assert.deepEqual(imported[2].criteria, { searchText: 'rosters', sortBy: 'relevance', fuzzy: true });
+
+    await target.series.clearAll();
+    assert.deepEqual(await target.savedSearches.getAll(), []);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchQuery, SearchQueryError } from '../repository.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Patrol Activity Logs', division: 'Patrol', approval_status: 'approved', tags: ['personnel', 'patrol'], media_types: ['paper'], omb_or_statute_refs: ['5 ILCS 160/4'] }),
+    seriesRecord({ schedule_number: '25-012', item_number: '2', record_series_title: 'Patrol Shift Rosters', division: 'Patrol', approval_status: 'draft', tags: ['personnel'], media_types: ['electronic'], omb_or_statute_refs: [] }),
+    seriesRecord({ schedule_number: '24-300', item_number: '1', record_series_title: 'Personnel Case Files', division: 'Human Resources', approval_status: 'approved', tags: ['personnel', 'confidential'], media_types: ['paper', 'electronic'], omb_or_statute_refs: ['50 ILCS 205/3'] }),
+    seriesRecord({ schedule_number: '95-004', item_number: '7', record_series_title: 'Training Case Summaries', division: 'Training', approval_status: 'superseded', tags: ['training'], media_types: ['microfilm'], omb_or_statute_refs: ['5 ILCS 160/11'] })
+];
+
+const run = async (series, text) => (await series.search({ searchText: text, query: SearchQuery.parse(text) }))
+    .map(item => item.record_series_title);
+
+test('field qualifiers compare whole values, case-insensitively', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(await run(series, 'division:patrol'), ['Patrol Activity Logs', 'Patrol Shift Rosters']);
+    assert.deepEqual(await run(series, 'division:"Human Resources"'), ['Personnel Case Files']);
+    assert.deepEqual(await run(series, 'schedule:25-012 status:approved'), ['Patrol Activity Logs']);
+    assert.deepEqual(await run(series, 'tag:confidential'), ['Personnel Case Files']);
+    assert.deepEqual(await run(series, 'media:electronic'), ['Patrol Shift Rosters', 'Personnel Case Files']);
+    // A value qualifier is not a prefix match
+    assert.deepEqual(await run(series, 'division:Pat'), []);
+});
+
+test('statute: matches words within a reference', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(await run(series, 'statute:"5 ILCS"'), ['Patrol Activity Logs', 'Training Case Summaries']);
+    assert.deepEqual(await run(series, 'statute:"5 ILCS 160/11"'), ['Training Case Summaries']);
+    assert.deepEqual(await run(series, 'statute:205'), ['Personnel Case Files']);
+});
+
+test('phrases, negation, OR groups and wildcards', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(await run(series, '"case files"'), ['Personnel Case Files']);
+    assert.deepEqual(await run(series, 'case'), ['Personnel Case Files', 'Training Case Summaries']);
+    assert.deepEqual(await run(series, 'personnel -draft'), ['Patrol Activity Logs', 'Personnel Case Files']);
+    assert.deepEqual(await run(series, 'personnel -division:patrol'), ['Personnel Case Files']);
+    assert.deepEqual(await run(series, 'rosters OR summaries'), ['Patrol Shift Rosters', 'Training Case Summaries']);
+    assert.deepEqual(await run(series, '(division:training OR tag:confidential) case'), ['Personnel Case Files', 'Training Case Summaries']);
+    assert.deepEqual(await run(series, '-(patrol OR training)'), ['Personnel Case Files']);
+    assert.deepEqual(await run(series, 'pers*nel -patrol'), ['Personnel Case Files']);
+    assert.deepEqual(await run(series, '*ivity'), ['Patrol Activity Logs']);
+    assert.deepEqual(await run(series, 'schedule:25-* status:draft'), ['Patrol Shift Rosters']);
+});
+
+test('parse builds a tree of and/or/not/term nodes', () => {
+    assert.equal(SearchQuery.parse('   '), null);
+    assert.deepEqual(SearchQuery.parse('patrol -tag:legacy OR "case files"'), {
+        type: 'or',
+        children: [
+            {
+                type: 'and',
+                children: [
+                    { type: 'term', field: null, value: 'patrol', phrase: false },
+                    { type: 'not', child: { type: 'term', field: 'tag', value: 'legacy', phrase: false } }
+                ]
+            },
+            { type: 'term', field: null, value: 'case files', phrase: true }
+        ]
+    });
+    // Hyphens inside a word are not negation
+    assert.deepEqual(SearchQuery.parse('25-012'), { type: 'term', field: null, value: '25-012', phrase: false });
+});
+
+test('syntax errors say what is wrong and where', () => {
+    const cases = [
+        ['"case files', /Missing closing quote for the phrase starting at character 1/, 0],
+        ['(patrol OR training', /Missing "\)" for the group opened at character 1/, 0],
+        ['patrol)', /Unexpected "\)" at character 7/, 6],
+        ['OR patrol', /OR needs a search term before it/, 0],
+        ['patrol OR', /OR needs a search term after it/, 7],
+        ['patrol - draft', /Nothing to exclude after "-"/, 7],
+        ['division:', /Missing value after "division:"/, 0],
+        ['owner:smith', /Unknown field "owner:" - use division:, schedule:, status:, tag:, media:, statute:/, 0],
+        ['()', /Empty group "\(\)"/, 0]
+    ];
+
+    for (const [text, message, position] of cases) {
+        assert.throws(() => SearchQuery.parse(text), (error) => {
+            assert.ok(error instanceof SearchQueryError, text);
+            assert.match(error.message, message, text);
+            assert.equal(error.position, position, text);
+            return true;
+        });
+    }
+});
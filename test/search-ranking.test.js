@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchQuery, SearchRanker } from '../repository.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '24-300', item_number: '1', record_series_title: 'Personnel Case Files', division: 'Human Resources', tags: ['personnel'] }),
+    seriesRecord({ schedule_number: '24-300', item_number: '2', record_series_title: 'Applicant Files', division: 'Human Resources', tags: [], notes: 'Includes personnel screening forms' }),
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters', tags: ['training'], retention_text: 'Retain 5 years after the personnel file is closed' }),
+    seriesRecord({ schedule_number: '25-012', item_number: '2', record_series_title: 'Files of Instructor Personnel', tags: ['training'] })
+];
+
+const titles = items => items.map(item => item.record_series_title);
+
+const search = (series, text, extra = {}) => series.search({ searchText: text, query: SearchQuery.parse(text), ...extra });
+
+test('fuzzy search tolerates typos that exact search does not', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await search(series, 'personel file')), []);
+    assert.deepEqual(titles(await search(series, 'personel file', { fuzzy: true })),
+        ['Personnel Case Files', 'Applicant Files', 'Training Rosters', 'Files of Instructor Personnel']);
+    // Swapped letters count as one typo
+    assert.deepEqual(titles(await search(series, 'rotsers', { fuzzy: true })), ['Training Rosters']);
+    assert.deepEqual(titles(await search(series, 'fiels', { fuzzy: true })), ['Personnel Case Files', 'Applicant Files', 'Files of Instructor Personnel']);
+    assert.deepEqual(titles(await series.search({ searchText: 'rotsers', fuzzy: true })), ['Training Rosters']);
+    // Phrases are taken as typed
+    assert.deepEqual(titles(await search(series, '"personel case"', { fuzzy: true })), []);
+});
+
+test('relevance ranks by field weight, then by how close the words are', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    const ranked = await search(series, 'personel file', { fuzzy: true, sortBy: 'relevance' });
+    assert.deepEqual(titles(ranked), [
+        'Personnel Case Files',          // both words in the title, close together
+        'Files of Instructor Personnel', // both in the title, further apart and out of order
+        'Applicant Files',               // one in the title, the other in the notes
+        'Training Rosters'               // both only in the retention text
+    ]);
+
+    const scores = ranked.map(item => SearchRanker.explain(item, ['personel', 'file'], { fuzzy: true }).score);
+    assert.deepEqual([...scores].sort((a, b) => b - a), scores);
+});
+
+test('explain reports the matched fields with ranges to highlight', () => {
+    const item = seriesRecord({
+        record_series_title: 'Personnel Case Files',
+        retention_text: 'Retain 5 years after the personnel file is closed'
+    });
+
+    const { fields } = SearchRanker.explain(item, ['personel', 'file'], { fuzzy: true });
+    assert.deepEqual(fields.map(field => field.key), ['record_series_title', 'retention_text']);
+    assert.deepEqual(fields[0].ranges, [[0, 9], [15, 20]]);
+    assert.deepEqual(fields[1].ranges.map(([start, end]) => fields[1].text.slice(start, end)), ['personnel', 'file']);
+
+    // Without typo tolerance only the prefix match remains
+    assert.deepEqual(SearchRanker.explain(item, ['personel', 'file']).fields[0].ranges, [[15, 20]]);
+});
+
+test('snippet trims long text around the first match without cutting words', () => {
+    const text = 'Records are kept by the records unit for the full retention period and then reviewed by the archivist before disposal';
+    const start = text.indexOf('retention');
+    const snippet = SearchRanker.snippet(text, [[start, start + 'retention'.length]], 20);
+
+    assert.ok(snippet.text.startsWith('…'));
+    assert.ok(snippet.text.endsWith('…'));
+    assert.ok(snippet.text.length < text.length);
+    const [[from, to]] = snippet.ranges;
+    assert.equal(snippet.text.slice(from, to), 'retention');
+    // Both cuts fall between words
+    assert.ok(text.includes(` ${snippet.text.slice(1, -1)} `));
+
+    const short = SearchRanker.snippet('Patrol logs', [[0, 6]]);
+    assert.deepEqual(short, { text: 'Patrol logs', ranges: [[0, 6]] });
+});
+
+test('the typo vocabulary follows index changes', async () => {
+    const { series } = await seedRepository(seedRecords);
+    assert.deepEqual(titles(await search(series, 'qualifcation', { fuzzy: true })), []);
+
+    await series.save(seriesRecord({ schedule_number: '25-200', item_number: '1', record_series_title: 'Firearms Qualification Scores' }));
+    assert.deepEqual(titles(await search(series, 'qualifcation', { fuzzy: true })), ['Firearms Qualification Scores']);
+});
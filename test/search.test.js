@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openTestRepositories, seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters', division: 'Training', approval_status: 'approved', tags: ['training', 'rosters'], media_types: ['paper'] }),
+    seriesRecord({ schedule_number: '25-012', item_number: '10', record_series_title: 'Instructor Evaluations', division: 'Training', approval_status: 'pending', tags: ['instructors'], media_types: ['electronic'] }),
+    seriesRecord({ schedule_number: '95-004', item_number: '2', record_series_title: 'Officer Certification Files', division: 'Certification', approval_status: 'approved', tags: ['certification'], media_types: ['paper', 'electronic'], notes: 'Permanent retention' }),
+    seriesRecord({ schedule_number: '05-100', item_number: '3', record_series_title: 'Grant Correspondence', division: 'Administration', approval_status: 'draft', tags: [], media_types: [], ui_extras: { seriesDescription: 'Federal grant letters' } })
+];
+
+const titles = items => items.map(item => item.record_series_title);
+
+test('search text matches every term across fields, case-insensitively', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ searchText: 'training' })), ['Training Rosters', 'Instructor Evaluations']);
+    assert.deepEqual(titles(await series.search({ searchText: 'PERMANENT certification' })), ['Officer Certification Files']);
+    assert.deepEqual(titles(await series.search({ searchText: 'federal letters' })), ['Grant Correspondence']);
+    assert.deepEqual(titles(await series.search({ searchText: 'training federal' })), []);
+});
+
+test('structured criteria narrow the results', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ scheduleNumber: '25-012' })), ['Training Rosters', 'Instructor Evaluations']);
+    assert.deepEqual(titles(await series.search({ division: 'Certification' })), ['Officer Certification Files']);
+    assert.deepEqual(titles(await series.search({ approvalStatus: 'approved' })), ['Training Rosters', 'Officer Certification Files']);
+    assert.deepEqual(titles(await series.search({ scheduleNumber: '25-012', approvalStatus: 'pending' })), ['Instructor Evaluations']);
+
+    // Tags and media types match when the record has any of the requested values
+    assert.deepEqual(titles(await series.search({ tags: ['rosters', 'certification'] })), ['Training Rosters', 'Officer Certification Files']);
+    assert.deepEqual(titles(await series.search({ mediaTypes: ['electronic'] })), ['Instructor Evaluations', 'Officer Certification Files']);
+    assert.equal((await series.search({ tags: [] })).length, 4);
+});
+
+test('schedule_item sorting reads two-digit schedule years and numeric item numbers', async () => {
+    const { series } = await seedRepository(seedRecords);
+    await series.save(seriesRecord({ schedule_number: '', item_number: '', record_series_title: 'Unscheduled Notes' }));
+
+    const ordered = await series.search({ sortBy: 'schedule_item' });
+    assert.deepEqual(ordered.map(item => `${item.schedule_number}/${item.item_number}`),
+        ['95-004/2', '05-100/3', '25-012/1', '25-012/10', '/']);
+
+    const reversed = await series.search({ sortBy: 'schedule_item', sortOrder: 'desc' });
+    assert.equal(reversed[0].record_series_title, 'Unscheduled Notes');
+    assert.deepEqual(reversed.map(item => `${item.schedule_number}/${item.item_number}`).slice(1),
+        ['25-012/10', '25-012/1', '05-100/3', '95-004/2']);
+});
+
+test('getSortValue maps schedule years 00-25 to 2000s and 26-99 to 1900s', async () => {
+    const { series } = await openTestRepositories();
+
+    assert.equal(series.getSortValue({ schedule_number: '25-012', item_number: '4' }, 'schedule_item'), '2025-012-4');
+    assert.equal(series.getSortValue({ schedule_number: '26-001', item_number: '1' }, 'schedule_item'), '1926-001-1');
+    assert.equal(series.getSortValue({ schedule_number: '95-004', item_number: '2A' }, 'schedule_item'), '1995-004-2A');
+    assert.equal(series.getSortValue({ schedule_number: '2001-7', item_number: '1' }, 'schedule_item'), '2001-7-1');
+    assert.equal(series.getSortValue({}, 'schedule_item'), 'zzz-zzz');
+
+    assert.equal(series.getSortValue({ dates_covered_start: '1998-06' }, 'dates_covered_start'), '1998-06-01');
+    assert.equal(series.getSortValue({ dates_covered_start: 'circa 1998' }, 'dates_covered_start'), '1998');
+    assert.equal(series.getSortValue({ approval_date: 'present' }, 'approval_date'), '9999');
+    assert.equal(series.getSortValue({}, 'dates_covered_start'), '0000');
+});
+
+test('search terms match token prefixes', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ searchText: 'rost' })), ['Training Rosters']);
+    assert.deepEqual(titles(await series.search({ searchText: 'eval instr' })), ['Instructor Evaluations']);
+    assert.deepEqual(titles(await series.search({ searchText: '25-01' })), ['Training Rosters', 'Instructor Evaluations']);
+    // Prefixes only: the middle of a word does not match
+    assert.deepEqual(titles(await series.search({ searchText: 'osters' })), []);
+});
+
+test('the token index follows saves, deletes, restores, undo and imports', async () => {
+    const { series, changes } = await seedRepository(seedRecords);
+    const [rosters] = await series.search({ searchText: 'rosters' });
+
+    await series.save({ ...rosters, record_series_title: 'Academy Attendance Sheets', tags: ['training'] }, true);
+    assert.deepEqual(titles(await series.search({ searchText: 'rosters' })), []);
+    assert.deepEqual(titles(await series.search({ searchText: 'attendance' })), ['Academy Attendance Sheets']);
+
+    await series.applyChanges(changes[changes.length - 1], 'undo');
+    assert.deepEqual(titles(await series.search({ searchText: 'attendance' })), []);
+    assert.deepEqual(titles(await series.search({ searchText: 'rosters' })), ['Training Rosters']);
+
+    await series.delete(rosters._id);
+    assert.deepEqual(titles(await series.search({ searchText: 'rosters' })), []);
+    await series.restoreFromTrash(rosters._id);
+    assert.deepEqual(titles(await series.search({ searchText: 'rosters' })), ['Training Rosters']);
+
+    const matching = await series.search({ scheduleNumber: '25-012' });
+    await series.bulkUpdateSchedule({ schedule_number: '25-012', approval_status: 'approved', tags: ['accreditation'] }, matching, true);
+    assert.equal((await series.search({ searchText: 'accreditation' })).length, 2);
+
+    await series.import([seriesRecord({ schedule_number: '25-200', item_number: '1', record_series_title: 'Firearms Qualification Scores' })]);
+    assert.deepEqual(titles(await series.search({ searchText: 'firearms' })), ['Firearms Qualification Scores']);
+});
+
+test('rebuildSearchIndex restores a lost or stale index', async () => {
+    const { db, series } = await seedRepository(seedRecords);
+    await new Promise((resolve) => {
+        const transaction = db.transaction(['search_index'], 'readwrite');
+        transaction.objectStore('search_index').clear();
+        transaction.oncomplete = resolve;
+    });
+    assert.deepEqual(titles(await series.search({ searchText: 'rosters' })), []);
+
+    assert.equal(await series.rebuildSearchIndex(), 4);
+    assert.deepEqual(titles(await series.search({ searchText: 'rosters' })), ['Training Rosters']);
+});
+
+test('multi-value filters match any of, all of or none of the picked values', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ tags: ['training', 'certification'], tagMode: 'all' })), []);
+    assert.deepEqual(titles(await series.search({ tags: ['training', 'rosters'], tagMode: 'all' })), ['Training Rosters']);
+    assert.deepEqual(titles(await series.search({ tags: ['training', 'instructors'], tagMode: 'none' })),
+        ['Officer Certification Files', 'Grant Correspondence']);
+
+    assert.deepEqual(titles(await series.search({ mediaTypes: ['paper', 'electronic'], mediaMode: 'all' })), ['Officer Certification Files']);
+    assert.deepEqual(titles(await series.search({ mediaTypes: ['paper'], mediaMode: 'none' })), ['Instructor Evaluations', 'Grant Correspondence']);
+
+    assert.deepEqual(titles(await series.search({ divisions: ['Certification', 'Administration'] })), ['Officer Certification Files', 'Grant Correspondence']);
+    assert.deepEqual(titles(await series.search({ divisions: ['Training'] })), ['Training Rosters', 'Instructor Evaluations']);
+    assert.deepEqual(titles(await series.search({ divisions: ['Training'], divisionMode: 'none', tags: ['certification'], tagMode: 'none' })), ['Grant Correspondence']);
+});
+
+test('later sort keys break ties, and any field can be sorted on', async () => {
+    const { series } = await seedRepository(seedRecords);
+
+    assert.deepEqual(titles(await series.search({ sortBy: 'division', thenBy: ['-record_series_title'] })),
+        ['Grant Correspondence', 'Officer Certification Files', 'Training Rosters', 'Instructor Evaluations']);
+    assert.deepEqual(titles(await series.search({ sortBy: 'approval_status', sortOrder: 'desc', thenBy: ['schedule_item'] })),
+        ['Instructor Evaluations', 'Grant Correspondence', 'Officer Certification Files', 'Training Rosters']);
+
+    // ui_extras fields by "ui_extras.<key>", lists by their joined values
+    assert.equal((await series.search({ sortBy: 'ui_extras.seriesDescription', sortOrder: 'desc' }))[0].record_series_title, 'Grant Correspondence');
+    assert.deepEqual(titles(await series.search({ sortBy: 'media_types', thenBy: ['item_number'] })),
+        ['Grant Correspondence', 'Instructor Evaluations', 'Training Rosters', 'Officer Certification Files']);
+});
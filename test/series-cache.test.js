@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeriesCache } from '../repository.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters' }),
+    seriesRecord({ schedule_number: '25-012', item_number: '2', record_series_title: 'Instructor Evaluations' }),
+    seriesRecord({ schedule_number: '95-004', item_number: '2', record_series_title: 'Officer Certification Files' })
+];
+
+// A cache over a seeded repository, counting how often it reads the whole store
+async function seededCache() {
+    const repos = await seedRepository(seedRecords);
+
+    const getAll = repos.series.getAll.bind(repos.series);
+    let reads = 0;
+    repos.series.getAll = () => {
+        reads++;
+        return getAll();
+    };
+
+    const cache = new SeriesCache(repos.series);
+    const events = [];
+    cache.subscribe(event => events.push(event));
+    return { ...repos, cache, events, reads: () => reads };
+}
+
+const titles = items => items.map(item => item.record_series_title);
+
+test('the cache reads the store once and follows every write after that', async () => {
+    const { series, cache, events, reads } = await seededCache();
+
+    assert.equal((await cache.load()).length, 3);
+    await cache.load();
+    assert.equal(reads(), 1);
+    assert.equal(events[0].type, 'load');
+
+    const created = await series.save(seriesRecord({ schedule_number: '26-001', item_number: '1', record_series_title: 'Range Logs' }));
+    assert.equal(cache.get(created._id).record_series_title, 'Range Logs');
+
+    const [rosters] = cache.getAll();
+    await series.save({ ...rosters, record_series_title: 'Academy Rosters' }, true);
+    assert.equal(cache.get(rosters._id).record_series_title, 'Academy Rosters');
+
+    await series.delete(rosters._id);
+    assert.equal(cache.get(rosters._id), null);
+    await series.restoreFromTrash(rosters._id);
+    assert.equal(cache.get(rosters._id).record_series_title, 'Academy Rosters');
+
+    await series.bulkUpdateSchedule({ schedule_number: '25-012', approval_status: 'pending', tags: ['academy'] },
+        cache.getAll().filter(item => item.schedule_number === '25-012'), true);
+    assert.deepEqual(cache.getSchedules().map(schedule => [schedule.schedule_number, schedule.approval_status]),
+        [['25-012', 'pending'], ['95-004', 'approved'], ['26-001', 'approved']]);
+
+    // Only the first load read the whole store
+    assert.equal(reads(), 1);
+
+    await series.import([seriesRecord({ schedule_number: '26-001', item_number: '2', record_series_title: 'Firearms Scores' })]);
+    assert.deepEqual(titles(cache.getAll()), titles(await series.getAll()));
+    assert.equal(cache.size, 5);
+    assert.deepEqual(events.map(event => event.type), ['load', 'change', 'change', 'change', 'change', 'change', 'change']);
+    assert.deepEqual(events[3].ids, [rosters._id]);
+});
+
+test('undo, redo and clearing the database reach the cache', async () => {
+    const { series, changes, cache, events } = await seededCache();
+    await cache.load();
+
+    const [rosters] = cache.getAll();
+    await series.save({ ...rosters, record_series_title: 'Academy Rosters' }, true);
+    const edit = changes.at(-1);
+
+    await series.applyChanges(edit, 'undo');
+    assert.equal(cache.get(rosters._id).record_series_title, 'Training Rosters');
+    assert.equal(events.at(-1).label, `Undo ${edit.label}`);
+
+    await series.applyChanges(edit, 'redo');
+    assert.equal(cache.get(rosters._id).record_series_title, 'Academy Rosters');
+
+    await series.clearAll();
+    assert.deepEqual(cache.getAll(), []);
+    assert.deepEqual(events.at(-1), { type: 'clear', label: 'Clear database', ids: [] });
+});
+
+test('writes before the first load are picked up by it, and a failing listener does not stop the others', async () => {
+    const { series, cache, events, errors } = await seededCache();
+
+    await series.save(seriesRecord({ schedule_number: '26-001', item_number: '1', record_series_title: 'Range Logs' }));
+    assert.equal(events.length, 0);
+    assert.equal((await cache.load()).length, 4);
+
+    cache.subscribe(() => {
+        throw new Error('listener failed');
+    });
+    const seen = [];
+    cache.subscribe(event => seen.push(event.type));
+    await series.delete(cache.getAll()[0]._id);
+
+    assert.deepEqual(seen, ['change']);
+    assert.equal(errors.at(-1).context, 'Series cache listener');
+    assert.equal(cache.size, 3);
+});
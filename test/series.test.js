@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DuplicateSeriesError } from '../repository.js';
+import { openTestRepositories, seriesRecord } from './helpers.js';
+
+const seriesEvents = async (audit) => (await audit.getAll()).filter(event => event.entity === 'series');
+
+test('saveSeries writes the record and its audit event together', async () => {
+    const { series, audit, changes } = await openTestRepositories({ getActor: () => 'Ann Smith' });
+
+    const created = await series.save(seriesRecord());
+    assert.ok(created._id);
+    assert.ok(created.created_at);
+
+    await series.save({ ...created, record_series_title: 'Training Rosters (revised)' }, true);
+
+    const events = await seriesEvents(audit);
+    assert.deepEqual(events.map(event => event.action), ['create', 'update']);
+    assert.ok(events.every(event => event.entity_id === created._id && event.actor === 'Ann Smith'));
+
+    const payload = audit.parsePayload(events[1].payload);
+    assert.deepEqual(series.diffFields(payload.before, payload.after).map(change => change.field), ['record_series_title']);
+    assert.equal(payload.before.record_series_title, 'Training Rosters');
+    assert.equal(payload.after.record_series_title, 'Training Rosters (revised)');
+
+    assert.deepEqual(changes.map(change => change.label), ['Create "Training Rosters"', 'Edit "Training Rosters (revised)"']);
+});
+
+test('a failed audit write rolls the series write back', async () => {
+    const { series, audit } = await openTestRepositories();
+    audit.log = async () => {
+        throw new Error('audit store unavailable');
+    };
+
+    await assert.rejects(series.save(seriesRecord()));
+    assert.deepEqual(await series.getAll(), []);
+});
+
+test('a duplicate schedule/item pair is rejected without writing anything', async () => {
+    const { series, audit } = await openTestRepositories();
+    const original = await series.save(seriesRecord());
+
+    await assert.rejects(
+        series.save(seriesRecord({ record_series_title: 'Second Copy' })),
+        (error) => error instanceof DuplicateSeriesError && error.conflict._id === original._id
+    );
+
+    assert.equal((await series.getAll()).length, 1);
+    assert.deepEqual((await seriesEvents(audit)).map(event => event.action), ['create']);
+
+    // Saving a record over its own key is not a conflict
+    await series.save({ ...original, notes: 'updated' }, true);
+    assert.equal((await series.get(original._id)).notes, 'updated');
+});
+
+test('delete moves the record to the trash and audits it', async () => {
+    const { series, audit } = await openTestRepositories();
+    const saved = await series.save(seriesRecord());
+
+    await series.delete(saved._id);
+
+    assert.deepEqual(await series.getAll(), []);
+    const [trashed] = await series.getTrashed();
+    assert.equal(trashed._id, saved._id);
+    assert.ok(trashed.deleted_at);
+    assert.deepEqual((await seriesEvents(audit)).map(event => event.action), ['create', 'delete']);
+});
+
+test('deleting a missing record is rejected and changes nothing', async () => {
+    const { series, audit, changes } = await openTestRepositories();
+    const saved = await series.save(seriesRecord());
+
+    await assert.rejects(series.delete(saved._id + 1), /not found/);
+    assert.equal((await series.getAll()).length, 1);
+    assert.deepEqual((await seriesEvents(audit)).map(event => event.action), ['create']);
+    assert.equal(changes.length, 1);
+});
+
+test('upsert creates, then merges on the schedule/item pair', async () => {
+    const { series } = await openTestRepositories();
+
+    const first = await series.upsert(seriesRecord({ _id: 99, ui_extras: { arrangement: 'alphabetical' } }));
+    assert.equal(first.action, 'created');
+    assert.notEqual(first.item._id, 99, 'imported _ids are never trusted');
+    assert.equal(first.item.version, 1);
+
+    const second = await series.upsert(seriesRecord({ notes: 'New note', ui_extras: { seriesContact: 'Records Unit' } }));
+    assert.equal(second.action, 'updated');
+    assert.equal(second.item._id, first.item._id);
+    assert.equal(second.item.version, 2);
+    assert.equal(second.item.created_at, first.item.created_at);
+    assert.deepEqual(second.item.ui_extras, { arrangement: 'alphabetical', seriesContact: 'Records Unit' });
+
+    const skipped = await series.upsert(seriesRecord({ item_number: '2', record_series_title: '  ' }));
+    assert.equal(skipped.action, 'skipped');
+
+    const all = await series.getAll();
+    assert.equal(all.length, 1);
+    assert.equal(all[0].notes, 'New note');
+});
+
+test('normalize splits delimited strings into arrays and cleans legacy fields', async () => {
+    const { series } = await openTestRepositories();
+
+    const item = series.normalize({
+        application_number: '24-101',
+        item_number: 7,
+        dates_covered_start: 1998,
+        record_series_title: 'Case Files',
+        tags: 'investigations, closed;archive\nlegacy ,',
+        media_types: 'paper;electronic',
+        omb_or_statute_refs: ['50 ILCS 705'],
+        related_series: '',
+        retention_is_permanent: true,
+        schedule_id: 3
+    });
+
+    assert.equal(item.schedule_number, '24-101');
+    assert.equal(item.application_number, undefined);
+    assert.equal(item.item_number, '7');
+    assert.equal(item.dates_covered_start, '1998');
+    assert.deepEqual(item.tags, ['investigations', 'closed', 'archive', 'legacy']);
+    assert.deepEqual(item.media_types, ['paper', 'electronic']);
+    assert.deepEqual(item.omb_or_statute_refs, ['50 ILCS 705']);
+    assert.deepEqual(item.related_series, []);
+    assert.deepEqual(item.ui_extras, {});
+    assert.equal(item.retention_is_permanent, undefined);
+    assert.equal(item.schedule_id, undefined);
+});
+
+test('a schedule bulk update changes every matching record in one audited step', async () => {
+    const { series, audit } = await openTestRepositories();
+    await series.save(seriesRecord({ item_number: '1', approval_status: 'draft' }));
+    await series.save(seriesRecord({ item_number: '2', approval_status: 'draft' }));
+    await series.save(seriesRecord({ schedule_number: '25-013', item_number: '1', approval_status: 'draft' }));
+
+    const matching = (await series.getAll()).filter(item => item.schedule_number === '25-012');
+    await series.bulkUpdateSchedule({ schedule_number: '25-012', approval_status: 'approved', approval_date: '2025-03-01' }, matching, true);
+
+    const statuses = (await series.getAll()).map(item => `${item.schedule_number}/${item.item_number}:${item.approval_status}`);
+    assert.deepEqual(statuses, ['25-012/1:approved', '25-012/2:approved', '25-013/1:draft']);
+    assert.equal((await seriesEvents(audit)).filter(event => event.action === 'schedule_bulk_update').length, 2);
+});
+
+test('records that already share a schedule/item pair can still be edited', async () => {
+    const { db, series } = await openTestRepositories();
+    // Legacy data from before the uniqueness guard
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(['series'], 'readwrite');
+        transaction.objectStore('series').add(seriesRecord({ approval_status: 'draft' }));
+        transaction.objectStore('series').add(seriesRecord({ record_series_title: 'Training Rosters (copy)', approval_status: 'draft' }));
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+    const [first] = await series.getAll();
+
+    await series.save({ ...first, notes: 'checked' }, true);
+    await series.bulkUpdateSchedule({ schedule_number: '25-012', approval_status: 'approved' }, await series.getAll(), true);
+    assert.deepEqual((await series.getAll()).map(item => item.approval_status), ['approved', 'approved']);
+
+    // Moving a record onto the pair is still refused
+    const other = await series.save(seriesRecord({ item_number: '2' }));
+    await assert.rejects(series.save({ ...other, item_number: '1' }, true), DuplicateSeriesError);
+});
+
+test('verify reports a sealed event whose hash was removed, without resealing it', async () => {
+    const { db, series, audit } = await openTestRepositories();
+    const created = await series.save(seriesRecord());
+    await series.save({ ...created, record_series_title: 'Training Rosters (revised)' }, true);
+    await audit.sealed();
+    assert.equal((await audit.verify()).ok, true);
+    const head = audit.getChainHead();
+
+    // Edit the newest event and strip its hash so it looks like it was never sealed
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(['audit_events'], 'readwrite');
+        const store = transaction.objectStore('audit_events');
+        const request = store.openCursor(null, 'prev');
+        request.onsuccess = () => {
+            const event = { ...request.result.value, actor: 'someone else' };
+            delete event.hash;
+            delete event.prev_hash;
+            request.result.update(event);
+        };
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    const result = await audit.verify();
+    assert.equal(result.ok, false);
+    assert.match(result.reason, /chain head covers it/);
+    assert.deepEqual(audit.getChainHead(), head);
+
+    // Later events chain on from the stored head and leave the tampered one unhashed
+    await series.save(seriesRecord({ item_number: '2' }));
+    await audit.sealed();
+    const events = await audit.getAll();
+    assert.equal(events.at(-2).hash, undefined);
+    assert.equal(events.at(-1).prev_hash, head.hash);
+    assert.equal((await audit.verify()).ok, false);
+});
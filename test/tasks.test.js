@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchQuery } from '../repository.js';
+import { ImportFileError, TaskCancelledError, runTask, taskError } from '../tasks.js';
+import { seedRepository, seriesRecord } from './helpers.js';
+
+const loadXLSX = () => import('xlsx/xlsx.mjs');
+
+// Run a task the way worker.js does, collecting its progress reports
+async function run(repos, type, payload, controller = new AbortController()) {
+    const steps = [];
+    const result = await runTask(type, payload, {
+        repos,
+        loadXLSX,
+        signal: controller.signal,
+        progress: (message, done, total) => steps.push(total ? `${message} ${done}/${total}` : message)
+    });
+    return { result, steps };
+}
+
+const seedRecords = [
+    seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters', tags: ['training'] }),
+    seriesRecord({ schedule_number: '25-012', item_number: '2', record_series_title: 'Instructor Evaluations', tags: ['training'] }),
+    seriesRecord({ schedule_number: '95-004', item_number: '2', record_series_title: 'Officer Certification Files', tags: [] })
+];
+
+test('a JSON import is parsed and checked in chunks, reporting progress', async () => {
+    const repos = await seedRepository(seedRecords);
+    const series = Array.from({ length: 1200 }, (_, index) => seriesRecord({ schedule_number: '26-001', item_number: String(index + 1), record_series_title: `Imported ${index + 1}` }));
+    series.push(seriesRecord({ schedule_number: '25-012', item_number: '1', record_series_title: 'Training Rosters (revised)' }));
+    const file = new File([JSON.stringify({ series })], 'backup.json');
+
+    const { result: preview, steps } = await run(repos, 'parseImport', { file, format: 'json' });
+    assert.deepEqual(preview.summary, { new: 1200, update: 1, duplicate: 0, invalid: 0 });
+    assert.equal(preview.fileName, 'backup.json');
+    assert.deepEqual(steps, ['Reading backup.json', 'Parsing JSON', 'Checking rows 0/1201', 'Checking rows 500/1201', 'Checking rows 1000/1201', 'Checking rows 1201/1201']);
+
+    // The preview survives the trip back from a worker
+    assert.deepEqual(structuredClone(preview), preview);
+
+    await assert.rejects(run(repos, 'parseImport', { file: new File(['{"records": []}'], 'other.json'), format: 'json' }),
+        (error) => error instanceof ImportFileError && error.message === 'Invalid import file: missing series array');
+});
+
+test('a cancelled import stops between chunks and writes nothing', async () => {
+    const repos = await seedRepository(seedRecords);
+    const series = Array.from({ length: 1500 }, (_, index) => seriesRecord({ schedule_number: '26-001', item_number: String(index + 1) }));
+    const file = new File([JSON.stringify({ series })], 'big.json');
+    const controller = new AbortController();
+
+    const steps = [];
+    await assert.rejects(runTask('parseImport', { file, format: 'json' }, {
+        repos,
+        loadXLSX,
+        signal: controller.signal,
+        progress: (message, done) => {
+            steps.push(message);
+            if (done === 500) controller.abort(new TaskCancelledError());
+        }
+    }), TaskCancelledError);
+    assert.equal(steps.at(-1), 'Checking rows');
+    assert.equal((await repos.series.getAll()).length, 3);
+});
+
+test('search returns ids in result order with the facet counts', async () => {
+    const repos = await seedRepository(seedRecords);
+    const criteria = { searchText: 'tag:training', query: SearchQuery.parse('tag:training'), sortBy: 'record_series_title' };
+
+    const { result } = await run(repos, 'search', { criteria });
+    const titles = await Promise.all(result.ids.map(async id => (await repos.series.get(id)).record_series_title));
+    assert.deepEqual(titles, ['Instructor Evaluations', 'Training Rosters']);
+    assert.equal(result.facets.total, 2);
+    assert.equal(result.facets.facets.tag.inResults.get('training'), 2);
+});
+
+test('exports serialize to files that import back', async () => {
+    const repos = await seedRepository(seedRecords);
+    const all = await repos.series.search({ sortBy: 'record_series_title' });
+
+    const filtered = await run(repos, 'exportJson', { ids: [all[2]._id, all[0]._id] });
+    const exported = JSON.parse(await filtered.result.blob.text());
+    assert.equal(filtered.result.count, 2);
+    assert.deepEqual(exported.series.map(item => item.record_series_title), ['Training Rosters', 'Instructor Evaluations']);
+    assert.equal(exported.metadata.filtered_export, true);
+
+    const excel = await run(repos, 'exportExcel', {});
+    assert.equal(excel.result.count, 3);
+    const file = new File([await excel.result.blob.arrayBuffer()], 'backup.xlsx');
+    const { result: preview } = await run(repos, 'parseImport', { file, format: 'excel' });
+    assert.equal(preview.source, 'Excel');
+    assert.deepEqual(preview.summary, { new: 0, update: 0, duplicate: 3, invalid: 0 });
+    assert.equal(preview.auditVerification.ok, true);
+});
+
+test('errors keep their kind across the worker boundary', () => {
+    assert.ok(taskError({ name: 'TaskCancelledError', message: 'Cancelled' }) instanceof TaskCancelledError);
+    const fileError = taskError({ name: 'ImportFileError', message: 'No series data found in Excel file' });
+    assert.ok(fileError instanceof ImportFileError);
+    assert.equal(fileError.message, 'No series data found in Excel file');
+    assert.equal(taskError({ name: 'TypeError', message: 'bad' }).constructor, Error);
+});
@@ -0,0 +1,61 @@
+// Background worker: runs tasks.js handlers on its own connection to the database.
+// Messages in:  { id, type, payload, dbName } to start a task, { type: 'cancel', id },
+//               { type: 'invalidate' } after the page changed the search index.
+// Messages out: { id, progress: { message, done, total } }, then { id, result } or { id, error: { name, message } }.
+
+import { openRepositories } from './repository.js';
+import { TaskCancelledError, loadXLSX, runTask } from './tasks.js';
+
+let repositories = null;
+const running = new Map();
+
+// Opened on the first task; the page has already brought the database up to date
+function openDatabase(dbName) {
+    if (!repositories) {
+        repositories = openRepositories({
+            name: dbName,
+            // The page keeps the audit chain head; it seals the log before asking for an export
+            storage: null,
+            onError: (error, context) => console.error(context, error)
+        }).then(repos => {
+            // Let a newer page version upgrade the database
+            repos.db.onversionchange = () => {
+                repos.db.close();
+                repositories = null;
+            };
+            return repos;
+        });
+        repositories.catch(() => {
+            repositories = null;
+        });
+    }
+    return repositories;
+}
+
+self.addEventListener('message', async ({ data }) => {
+    if (data.type === 'cancel') {
+        running.get(data.id)?.abort(new TaskCancelledError());
+        return;
+    }
+    if (data.type === 'invalidate') {
+        repositories?.then(repos => repos.series.invalidateTokenVocabulary(), () => {});
+        return;
+    }
+
+    const { id, type, payload, dbName } = data;
+    const controller = new AbortController();
+    running.set(id, controller);
+    try {
+        const result = await runTask(type, payload, {
+            repos: await openDatabase(dbName),
+            loadXLSX,
+            signal: controller.signal,
+            progress: (message, done, total) => self.postMessage({ id, progress: { message, done, total } })
+        });
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    } finally {
+        running.delete(id);
+    }
+});